@@ -1,321 +1,3108 @@
-import React, { useEffect, useState } from 'react';
-import { StyleSheet, Text, View, Button, TextInput, TouchableOpacity, ActivityIndicator, Alert, Image, FlatList, Share, Platform, ScrollView } from 'react-native';
+import React, { useEffect, useRef, useState } from 'react';
+import { StyleSheet, Text, View, Button, TextInput, TouchableOpacity, ActivityIndicator, Alert, Image, FlatList, Share, Platform, ScrollView, AppState, I18nManager } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
 import * as TextRecognition from 'expo-text-recognition';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
 import * as Clipboard from 'expo-clipboard';
+import * as Linking from 'expo-linking';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import * as Updates from 'expo-updates';
+import { createClient } from '@supabase/supabase-js';
+import { EXPORT_FORMATS, exportNotes, exportFileName } from './backend/export';
+import { EXTRACTIVE_SENTENCES, summarizeExtractive } from './backend/extractive';
+import { t, LOCALES, deviceLocale, setLocale, isRTL, formatDate, formatDateTime } from './i18n';
 
 const API_URL = 'https://instanotes-49k2.onrender.com'; // Jouw Render backend
+const SUPABASE_URL = process.env.EXPO_PUBLIC_SUPABASE_URL || '';
+const SUPABASE_ANON_KEY = process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY || '';
 
 const HISTORY_KEY = 'instanotes_history_v2';
+const SYNC_QUEUE_KEY = 'instanotes_sync_queue_v1';
+const LAST_SYNC_KEY = 'instanotes_last_sync_v1';
+const QUIZ_KEY = 'instanotes_quiz_v1';
+const PENDING_JOB_KEY = 'instanotes_pending_job_v1';
+const CLASSES_KEY = 'instanotes_classes_v1';
+const FOLDERS_KEY = 'instanotes_folders_v1';
+const VERSIONS_KEY = 'instanotes_versions_v1';
+const SUMMARY_QUEUE_KEY = 'instanotes_summary_queue_v1';
+const LOCALE_KEY = 'instanotes_locale_v1'; // language picked in Settings, absent = device language (kept after sign-out)
+// everything the app keeps for the signed-in user, wiped when the account is deleted
+const LOCAL_DATA_KEYS = [HISTORY_KEY, SYNC_QUEUE_KEY, LAST_SYNC_KEY, QUIZ_KEY, PENDING_JOB_KEY, CLASSES_KEY, FOLDERS_KEY, VERSIONS_KEY, SUMMARY_QUEUE_KEY];
+const MAX_LOCAL_VERSIONS = 50;
+// stored in Dutch like the user's own folder names, translated where they are shown
+const DEFAULT_FOLDERS = ['Nederlands', 'Engels', 'Wiskunde', 'Geschiedenis', 'Aardrijkskunde', 'Biologie'];
+const UNDO_MS = 8000;
+const JOB_POLL_MS = 2000;
+
+// Must match the option values accepted by /api/summarize; labels are translated where they are shown.
+// language "auto" summarizes in the language of the text.
+const DEFAULT_SUMMARY_OPTIONS = { length: 'short', style: 'bullets', language: 'auto' };
+const SUMMARY_OPTION_CHOICES = {
+  length: [['short', 'Kort'], ['medium', 'Middel'], ['long', 'Lang']],
+  style: [['bullets', 'Bullets'], ['paragraph', 'Alinea'], ['keyterms', 'Begrippen'], ['outline', 'Schema']],
+  language: [['auto', 'Auto'], ['nl', 'NL'], ['en', 'EN'], ['de', 'DE'], ['fr', 'FR'], ['tr', 'TR'], ['ar', 'AR']]
+};
+
+function describeSummaryOptions(options) {
+  if (!options) return null;
+  const label = (key) => (SUMMARY_OPTION_CHOICES[key].find(([value]) => value === options[key]) || [null, options[key]])[1];
+  return ['length', 'style', 'language'].map(label).filter(Boolean).map(l => t(l)).join(' · ');
+}
+const HISTORY_LIMIT = 500;
+
+// Supabase client (anon key) — session is kept in AsyncStorage and refreshed automatically
+const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+  auth: {
+    storage: AsyncStorage,
+    autoRefreshToken: true,
+    persistSession: true,
+    detectSessionInUrl: false
+  }
+});
+
+// Only refresh tokens while the app is in the foreground
+AppState.addEventListener('change', (state) => {
+  if (state === 'active') supabase.auth.startAutoRefresh();
+  else supabase.auth.stopAutoRefresh();
+});
+
+class SessionExpiredError extends Error {
+  constructor() {
+    super(t('Sessie verlopen'));
+    this.name = 'SessionExpiredError';
+  }
+}
+
+// 429 from the backend; retryAfter comes from the Retry-After header (seconds)
+class RateLimitedError extends Error {
+  constructor(retryAfter) {
+    super(t('Te veel verzoeken. Probeer het over {seconds} seconden opnieuw.', { seconds: retryAfter }));
+    this.name = 'RateLimitedError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// the backend could not be reached (no network, or the host is down)
+class OfflineError extends Error {
+  constructor() {
+    super(t('Geen verbinding met de server'));
+    this.name = 'OfflineError';
+  }
+}
+
+function retryAfterSeconds(header) {
+  return Math.max(1, parseInt(header, 10) || 60);
+}
+
+// Shown on the login screen after apiFetch signed the user out
+let authNotice = null;
+
+/* ---------------------------
+   Backend calls with the Supabase access token
+----------------------------*/
+async function apiFetch(path, options = {}, retried = false) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  if (!token) return expireSession();
+
+  let res;
+  try {
+    res = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: { ...(options.headers || {}), Authorization: `Bearer ${token}` }
+    });
+  } catch (err) {
+    throw new OfflineError(); // fetch only rejects on network failures
+  }
+
+  if (res.status === 401) {
+    if (!retried) {
+      // token may have expired while the app was in the background
+      const { error } = await supabase.auth.refreshSession();
+      if (!error) return apiFetch(path, options, true);
+    }
+    return expireSession();
+  }
+  if (res.status === 429) throw new RateLimitedError(retryAfterSeconds(res.headers.get('Retry-After')));
+  return res;
+}
+
+async function expireSession() {
+  authNotice = t('Je sessie is verlopen. Log opnieuw in.');
+  await supabase.auth.signOut({ scope: 'local' }).catch(() => {});
+  throw new SessionExpiredError();
+}
+
+// Magic links redirect to instanotes://login#access_token=...&refresh_token=...
+async function createSessionFromUrl(url) {
+  const fragment = (url || '').split('#')[1] || (url || '').split('?')[1] || '';
+  const params = Object.fromEntries(fragment.split('&').filter(Boolean).map(p => p.split('=').map(decodeURIComponent)));
+  if (params.error_description) throw new Error(params.error_description);
+  if (!params.access_token || !params.refresh_token) return null;
+  const { data, error } = await supabase.auth.setSession({
+    access_token: params.access_token,
+    refresh_token: params.refresh_token
+  });
+  if (error) throw error;
+  return data.session;
+}
+
+/* ---------------------------
+   History storage + cloud sync
+   Local list in AsyncStorage, remote rows in the Supabase `summaries` table.
+   Notes made on the device are uploaded on the next sync (pushLocalHistory);
+   offline edits/deletes go into a queue that is pushed on the next sync;
+   conflicts are last-write-wins on updatedAt (the backend answers 409/410
+   when its copy is newer or deleted, and the next pull brings that copy in).
+----------------------------*/
+async function loadHistory() {
+  const raw = await AsyncStorage.getItem(HISTORY_KEY);
+  return raw ? JSON.parse(raw) : [];
+}
+
+async function saveHistory(list) {
+  const sorted = list.slice().sort((a, b) => new Date(b.date) - new Date(a.date));
+  await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify(sorted.slice(0, HISTORY_LIMIT)));
+}
+
+async function addHistoryItem(item) {
+  const history = await loadHistory();
+  await saveHistory([item, ...history.filter(h => h.id !== item.id)]);
+}
+
+async function loadSyncQueue() {
+  const raw = await AsyncStorage.getItem(SYNC_QUEUE_KEY);
+  return raw ? JSON.parse(raw) : [];
+}
+
+async function enqueueSyncOp(op) {
+  const queue = await loadSyncQueue();
+  const existing = queue.find(o => o.id === op.id);
+  let next;
+  if (op.op === 'restore') {
+    // undo of a delete that was not pushed yet: the server never knew
+    next = existing?.op === 'delete' ? queue.filter(o => o !== existing) : [...queue.filter(o => o.id !== op.id), op];
+  } else if (op.op === 'delete') {
+    // a delete supersedes any pending edit of the same note
+    next = [...queue.filter(o => o.id !== op.id), op];
+  } else if (existing && existing.op === 'patch') {
+    next = queue.map(o => (o === existing ? { ...o, fields: { ...o.fields, ...op.fields }, updatedAt: op.updatedAt } : o));
+  } else if (existing && existing.op === 'restore') {
+    next = [...queue, op]; // edit after undo, pushed after the restore
+  } else if (existing) {
+    next = queue; // already deleted locally
+  } else {
+    next = [...queue, op];
+  }
+  await AsyncStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(next));
+}
+
+async function dropSyncOp(op) {
+  const queue = await loadSyncQueue();
+  // only drop it if it was not changed again while the request was in flight
+  const next = queue.filter(o => !(o.id === op.id && o.op === op.op && o.updatedAt === op.updatedAt));
+  await AsyncStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(next));
+}
+
+// syncFields are only sent to the backend (e.g. version_reason)
+async function updateHistoryItem(id, fields, syncFields = {}) {
+  const updatedAt = new Date().toISOString();
+  const history = await loadHistory();
+  const item = history.find(h => h.id === id);
+  if (!item) return null;
+  const next = { ...item, ...fields, updatedAt, syncState: item.remote ? 'pending' : 'local' };
+  await saveHistory(history.map(h => (h.id === id ? next : h)));
+  if (item.remote) await enqueueSyncOp({ op: 'patch', id, fields: { ...fields, ...syncFields }, updatedAt });
+  return next;
+}
+
+async function findHistoryItem(id) {
+  return (await loadHistory()).find(h => h.id === id) || null;
+}
+
+// Returns the removed items so they can be restored (undo)
+async function removeHistoryItems(ids) {
+  const history = await loadHistory();
+  const removed = new Set(ids);
+  await saveHistory(history.filter(h => !removed.has(h.id)));
+  const updatedAt = new Date().toISOString();
+  for (const item of history) {
+    if (removed.has(item.id) && item.remote) await enqueueSyncOp({ op: 'delete', id: item.id, updatedAt });
+  }
+  return history.filter(h => removed.has(h.id));
+}
+
+async function restoreHistoryItems(items) {
+  const history = await loadHistory();
+  const restored = new Set(items.map(i => i.id));
+  await saveHistory([...history.filter(h => !restored.has(h.id)), ...items]);
+  const updatedAt = new Date().toISOString();
+  for (const item of items) {
+    if (item.remote) await enqueueSyncOp({ op: 'restore', id: item.id, updatedAt });
+  }
+}
+
+async function loadFolders() {
+  const raw = await AsyncStorage.getItem(FOLDERS_KEY);
+  return raw ? JSON.parse(raw) : DEFAULT_FOLDERS;
+}
+
+async function addFolder(name) {
+  const folders = await loadFolders();
+  if (folders.some(f => f.toLowerCase() === name.toLowerCase())) return folders;
+  const next = [...folders, name].sort((a, b) => a.localeCompare(b));
+  await AsyncStorage.setItem(FOLDERS_KEY, JSON.stringify(next));
+  return next;
+}
+
+// updatedAt is the edit time (client_updated_at); the server's updated_at is only the sync cursor
+function historyItemFromRemote(row, local) {
+  return {
+    ...(local || {}),
+    id: row.id,
+    date: row.created_at || local?.date || new Date().toISOString(),
+    updatedAt: row.client_updated_at || row.updated_at || row.created_at,
+    text: row.text || '',
+    summary: row.summary || '',
+    source: row.source || 'unknown',
+    options: row.options || local?.options || null,
+    sections: row.sections || local?.sections || null,
+    folder: row.folder ?? local?.folder ?? null,
+    tags: row.tags || local?.tags || [],
+    remote: true,
+    syncState: 'synced'
+  };
+}
+
+async function mergeRemoteHistory(rows) {
+  const history = await loadHistory();
+  const pending = new Set((await loadSyncQueue()).map(o => o.id));
+  const byId = new Map(history.map(h => [h.id, h]));
+  for (const row of rows) {
+    if (pending.has(row.id)) continue; // local change wins until it is pushed
+    if (row.deleted_at) {
+      byId.delete(row.id);
+      continue;
+    }
+    const local = byId.get(row.id);
+    if (local && local.updatedAt && new Date(local.updatedAt) > new Date(row.client_updated_at || row.updated_at)) continue;
+    byId.set(row.id, historyItemFromRemote(row, local));
+  }
+  await saveHistory([...byId.values()]);
+}
+
+async function pushSyncQueue() {
+  for (const op of await loadSyncQueue()) {
+    const path = `/api/summaries/${encodeURIComponent(op.id)}`;
+    let res;
+    if (op.op === 'delete') res = await apiFetch(path, { method: 'DELETE' });
+    else if (op.op === 'restore') res = await apiFetch(`${path}/restore`, { method: 'POST' });
+    else {
+      res = await apiFetch(path, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...op.fields, updated_at: op.updatedAt })
+      });
+    }
+    if (res.status >= 500 || res.status === 429) break; // keep the rest for the next sync
+    await dropSyncOp(op);
+    if (res.status === 409 || res.status === 410) {
+      // server copy is newer (or deleted): take it
+      const json = await res.json().catch(() => null);
+      if (json?.item) await mergeRemoteHistory([json.item]);
+    } else if (res.ok && op.op !== 'delete') {
+      const json = await res.json().catch(() => null);
+      if (json?.item) await mergeRemoteHistory([json.item]);
+    }
+  }
+}
+
+// Notes that only exist on this device (made offline, or the backend could not save
+// them) are uploaded once; client_id makes a repeated upload return the first copy
+async function pushLocalHistory() {
+  const queued = new Set((await loadSummaryQueue()).map(e => e.id)); // uploaded by processSummaryQueue
+  for (const item of (await loadHistory()).filter(h => !h.remote && !queued.has(h.id))) {
+    const res = await apiFetch('/api/summaries', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client_id: item.id,
+        text: item.text || '',
+        summary: item.summary || '',
+        source: item.source,
+        options: item.options,
+        sections: item.sections,
+        folder: item.folder ?? null,
+        tags: item.tags || [],
+        created_at: item.date
+      })
+    });
+    if (res.status >= 500) break; // keep the rest for the next sync
+    const json = await res.json().catch(() => null);
+    if (!res.ok || !json?.item) {
+      console.warn('local note upload failed', res.status);
+      continue;
+    }
+    const current = await findHistoryItem(item.id);
+    if (!current) {
+      // removed while the upload was in flight
+      await enqueueSyncOp({ op: 'delete', id: json.item.id, updatedAt: new Date().toISOString() });
+      continue;
+    }
+    await removeHistoryItems([item.id]);
+    await moveLocalVersions(item.id, json.item.id);
+    await addHistoryItem(historyItemFromRemote(json.item, current));
+    if (current.updatedAt !== item.updatedAt) {
+      // edited while the upload was in flight: push the edit like any other
+      await updateHistoryItem(json.item.id, { text: current.text, summary: current.summary, folder: current.folder ?? null, tags: current.tags || [] });
+    }
+  }
+}
+
+// { updatedAt, id } of the newest row pulled; older versions stored only the timestamp
+async function loadSyncCursor() {
+  const raw = await AsyncStorage.getItem(LAST_SYNC_KEY);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    return { updatedAt: raw, id: '' };
+  }
+}
+
+// pages on (updated_at, id): rows sharing a timestamp at a page boundary are not skipped
+async function pullRemoteHistory() {
+  const since = await loadSyncCursor();
+  let cursor = since;
+  let newest = since;
+  do {
+    const query = cursor
+      ? `updated_since=${encodeURIComponent(cursor.updatedAt)}&after_id=${encodeURIComponent(cursor.id)}&limit=200`
+      : 'limit=100';
+    const res = await apiFetch(`/api/summaries?${query}`);
+    if (!res.ok) throw new Error(t('Sync mislukt ({status})', { status: res.status }));
+    const json = await res.json();
+    const items = json.items || [];
+    await mergeRemoteHistory(items);
+    for (const row of items) {
+      if (!newest || row.updated_at > newest.updatedAt || (row.updated_at === newest.updatedAt && row.id > newest.id)) {
+        newest = { updatedAt: row.updated_at, id: row.id };
+      }
+    }
+    // first sync only takes the newest page; older pages load while scrolling
+    cursor = since && json.next_cursor ? { updatedAt: json.next_cursor, id: json.next_after_id || '' } : null;
+  } while (cursor);
+  if (newest) await AsyncStorage.setItem(LAST_SYNC_KEY, JSON.stringify(newest));
+}
+
+// Fetch one page of older notes (History scrolls past the local list)
+// filters ({ query, folder, range, source } of History) search the server, so older
+// notes that were never loaded on this device are found too
+async function loadOlderHistory(before, filters = null) {
+  const params = ['limit=50', ...(filters ? historySearchParams(filters) : [])];
+  if (before) params.push(`before=${encodeURIComponent(before)}`);
+  const res = await apiFetch(`/api/summaries?${params.join('&')}`);
+  if (!res.ok) throw new Error(t('Laden mislukt ({status})', { status: res.status }));
+  const json = await res.json();
+  await mergeRemoteHistory(json.items || []);
+  return json.next_cursor;
+}
+
+let syncPromise = null;
+function syncHistory() {
+  if (!syncPromise) {
+    syncPromise = (async () => {
+      try {
+        await processSummaryQueue();
+        await pushLocalHistory();
+        await pushSyncQueue();
+        await pullRemoteHistory();
+        return true;
+      } catch (err) {
+        if (!(err instanceof SessionExpiredError) && !(err instanceof OfflineError)) console.warn('history sync failed', err);
+        return false;
+      } finally {
+        syncPromise = null;
+      }
+    })();
+  }
+  return syncPromise;
+}
+
+/* ---------------------------
+   Offline summaries
+   Without a connection the Editor summarizes on the device (the backend's
+   extractive summarizer) and queues the note here. syncHistory works the queue
+   off once the backend is reachable again (App listens to NetInfo) and swaps
+   the on-device summary for the AI summary, unless it was edited meanwhile.
+----------------------------*/
+function summarizeOnDevice(text, options) {
+  return summarizeExtractive(text, EXTRACTIVE_SENTENCES[options.length] || EXTRACTIVE_SENTENCES.short, options.style);
+}
+
+async function loadSummaryQueue() {
+  const raw = await AsyncStorage.getItem(SUMMARY_QUEUE_KEY);
+  return raw ? JSON.parse(raw) : [];
+}
+
+async function saveSummaryQueue(queue) {
+  await AsyncStorage.setItem(SUMMARY_QUEUE_KEY, JSON.stringify(queue));
+}
+
+// item: the history item holding the on-device summary
+async function enqueueSummary(item) {
+  const queue = await loadSummaryQueue();
+  const entry = { id: item.id, options: item.options, localSummary: item.summary, queuedAt: new Date().toISOString() };
+  await saveSummaryQueue([...queue.filter(e => e.id !== item.id), entry]);
+}
+
+async function dropSummaryEntry(id) {
+  await saveSummaryQueue((await loadSummaryQueue()).filter(e => e.id !== id));
+}
+
+// Stops at the first network error or 429; other failures drop the entry (the on-device summary stays)
+async function processSummaryQueue() {
+  for (const entry of await loadSummaryQueue()) {
+    const item = await findHistoryItem(entry.id);
+    if (!item) {
+      await dropSummaryEntry(entry.id); // deleted while waiting
+      continue;
+    }
+    let json;
+    try {
+      json = await apiJSON('/api/summarize', {
+        method: 'POST',
+        body: { text: item.text, options: entry.options, note_id: item.remote ? item.id : undefined }
+      });
+    } catch (err) {
+      if (err instanceof OfflineError || err instanceof RateLimitedError || err instanceof SessionExpiredError) throw err;
+      console.warn('queued summary failed', err);
+      await dropSummaryEntry(entry.id);
+      await saveHistory((await loadHistory()).map(h => (h.id === item.id ? { ...h, syncState: h.remote ? 'pending' : 'local' } : h)));
+      continue;
+    }
+    await upgradeQueuedItem(entry, json);
+    await dropSummaryEntry(entry.id);
+  }
+}
+
+async function upgradeQueuedItem(entry, json) {
+  const item = await findHistoryItem(entry.id);
+  if (!item) return;
+  const now = new Date().toISOString();
+  const edited = item.summary !== entry.localSummary;
+  const upgraded = {
+    ...item,
+    ...(edited ? {} : { summary: json.summary || item.summary, source: json.source || item.source, sections: json.sections?.length ? json.sections : null }),
+    options: json.options || item.options,
+    id: json.id || item.id,
+    remote: item.remote || !!json.id,
+    updatedAt: now
+  };
+  upgraded.syncState = upgraded.remote ? 'synced' : 'local';
+  if (upgraded.id !== item.id) {
+    await removeHistoryItems([item.id]); // the local-only copy, now stored by the backend
+    await moveLocalVersions(item.id, upgraded.id);
+  }
+  if (!edited && !item.remote) await addLocalVersion(upgraded.id, item, upgraded, 'resummarize');
+  await addHistoryItem(upgraded);
+  // the backend saved the AI summary; a hand edit made while waiting wins
+  if (edited && upgraded.remote) await updateHistoryItem(upgraded.id, { summary: item.summary }, { version_reason: 'edit' });
+}
+
+/* ---------------------------
+   Streaming summary (POST /api/summarize/stream, Server-Sent Events)
+   fetch in React Native cannot read a body while it arrives, so this uses
+   XMLHttpRequest and parses responseText as it grows.
+   Resolves with the "done" payload, or { aborted: true } after signal.abort().
+----------------------------*/
+async function streamSummary(body, { onToken, onSections, signal } = {}, retried = false) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  if (!token) return expireSession();
+
+  const result = await new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let seen = 0;
+    let buffer = '';
+    let done = null;
+    let streamError = null;
+
+    const parse = () => {
+      buffer += xhr.responseText.slice(seen);
+      seen = xhr.responseText.length;
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+      for (const raw of events) {
+        let event = 'message';
+        const dataLines = [];
+        for (const line of raw.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+        }
+        if (!dataLines.length) continue; // keep-alive comment
+        let payload;
+        try {
+          payload = JSON.parse(dataLines.join('\n'));
+        } catch (err) {
+          console.warn('skipping malformed summary event', event);
+          continue; // one bad frame (e.g. mangled by a proxy) must not end the stream
+        }
+        if (event === 'token') onToken?.(payload.text);
+        else if (event === 'sections') onSections?.(payload.sections);
+        else if (event === 'done') done = payload;
+        else if (event === 'error') streamError = payload.error;
+      }
+    };
+
+    xhr.open('POST', `${API_URL}/api/summarize/stream`);
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    xhr.setRequestHeader('Accept', 'text/event-stream');
+    xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+    xhr.onprogress = () => {
+      if (xhr.status === 200) parse();
+    };
+    xhr.onload = () => {
+      if (xhr.status === 401) return resolve({ unauthorized: true });
+      if (xhr.status === 429) return reject(new RateLimitedError(retryAfterSeconds(xhr.getResponseHeader('Retry-After'))));
+      if (xhr.status === 503 || xhr.status === 504) return reject(new OfflineError()); // host down or starting
+      if (xhr.status >= 400) {
+        let message = `HTTP ${xhr.status}`;
+        try {
+          message = JSON.parse(xhr.responseText).error || message;
+        } catch (e) {}
+        return reject(new Error(message));
+      }
+      parse();
+      if (done) resolve(done);
+      else reject(new Error(streamError || t('Verbinding viel weg tijdens het samenvatten')));
+    };
+    xhr.onerror = () => reject(new OfflineError());
+    xhr.onabort = () => resolve({ aborted: true });
+    if (signal) signal.addEventListener('abort', () => xhr.abort());
+    xhr.send(JSON.stringify(body));
+  });
+
+  if (result.unauthorized) {
+    if (!retried && !(await supabase.auth.refreshSession()).error) {
+      return streamSummary(body, { onToken, onSections, signal }, true);
+    }
+    return expireSession();
+  }
+  return result;
+}
+
+/* ---------------------------
+   Server-side OCR (POST /api/ocr)
+----------------------------*/
+async function imageFormPart(uri) {
+  if (Platform.OS === 'web') {
+    // web pickers return blob:/data: URIs
+    const blob = await (await fetch(uri)).blob();
+    return blob;
+  }
+  const name = uri.split('/').pop() || 'page.jpg';
+  const ext = (name.split('.').pop() || 'jpg').toLowerCase();
+  return { uri, name, type: ext === 'png' ? 'image/png' : 'image/jpeg' };
+}
+
+async function recognizeOnServer(uri, mode = 'text') {
+  const form = new FormData();
+  form.append('image', await imageFormPart(uri));
+  form.append('mode', mode);
+  const res = await apiFetch('/api/ocr', { method: 'POST', body: form });
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json) throw new Error(json?.error || t('OCR mislukt ({status})', { status: res.status }));
+  return json; // { text, engine, mode, blocks: [{ text, confidence }] }
+}
+
+/* ---------------------------
+   File import (POST /api/import)
+   PDF, Word (DOCX) or text file -> Markdown text; scanned PDFs are read with OCR
+----------------------------*/
+const IMPORT_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'text/markdown'
+];
+const IMPORT_FORMAT_LABELS = { pdf: 'PDF', docx: 'Word', txt: 'tekst' };
+
+async function importFileOnServer(asset) {
+  const form = new FormData();
+  // web pickers hand out a File, native pickers a file:// uri
+  if (asset.file) form.append('file', asset.file, asset.name);
+  else form.append('file', { uri: asset.uri, name: asset.name || 'bestand', type: asset.mimeType || 'application/octet-stream' });
+  const res = await apiFetch('/api/import', { method: 'POST', body: form });
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json) throw new Error(json?.error || t('Importeren mislukt ({status})', { status: res.status }));
+  return json; // { text, title, format, pages, ocr, truncated }
+}
+
+function importNotice(json) {
+  const format = t(IMPORT_FORMAT_LABELS[json.format] || json.format);
+  const parts = [json.pages
+    ? t(json.pages.length === 1 ? 'Geïmporteerd: {title} ({format}, 1 pagina)' : "Geïmporteerd: {title} ({format}, {count} pagina's)", { title: json.title, format, count: json.pages.length })
+    : t('Geïmporteerd: {title} ({format})', { title: json.title, format })];
+  if (json.ocr?.engine) {
+    parts.push(t(json.ocr.pages.length === 1 ? '1 gescande pagina gelezen met OCR' : "{count} gescande pagina's gelezen met OCR", { count: json.ocr.pages.length }));
+  }
+  if (json.ocr?.skipped?.length) parts.push(t('pagina {pages} zonder tekst overgeslagen', { pages: json.ocr.skipped.join(', ') }));
+  if (json.truncated) parts.push(t("alleen de eerste pagina's zijn ingelezen"));
+  return parts.join(' · ');
+}
+
+/* ---------------------------
+   Plan + monthly quota (GET /api/billing, POST /api/billing/checkout)
+----------------------------*/
+const PLAN_LABELS = { free: 'Gratis', pro: 'Pro' };
+
+async function fetchBilling() {
+  const res = await apiFetch('/api/billing');
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json) throw new Error(json?.error || `HTTP ${res.status}`);
+  return json; // { plan, status, limits, usage, period, checkout }
+}
+
+// Opens Stripe Checkout in the browser; it returns to instanotes://billing
+async function startCheckout() {
+  const res = await apiFetch('/api/billing/checkout', { method: 'POST' });
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json?.url) throw new Error(json?.error || `HTTP ${res.status}`);
+  await Linking.openURL(json.url);
+}
+
+/* ---------------------------
+   Note versions
+   Every change of a note's text or summary is kept as a version, locally in
+   AsyncStorage ({ [noteId]: [{ at, text, summary, source, reason }] }, newest
+   first) and for synced notes in the backend (GET /api/summaries/:id/versions).
+   Versions are matched on their time: a local edit is stored with the same
+   timestamp as the PATCH that carries it.
+----------------------------*/
+const VERSION_LABELS = {
+  created: 'Origineel',
+  edit: 'Bewerkt',
+  resummarize: 'Opnieuw samengevat',
+  restore: 'Hersteld'
+};
+
+async function loadAllLocalVersions() {
+  const raw = await AsyncStorage.getItem(VERSIONS_KEY);
+  return raw ? JSON.parse(raw) : {};
+}
+
+function noteVersion(item, reason, at) {
+  return { at: at || item.updatedAt || item.date, text: item.text || '', summary: item.summary || '', source: item.source || null, reason };
+}
+
+// Stores the new state; the first change of a note also stores the state before it
+async function addLocalVersion(noteId, previous, next, reason) {
+  const all = await loadAllLocalVersions();
+  const list = all[noteId] || [];
+  const added = [noteVersion(next, reason), ...(list.length || !previous ? [] : [noteVersion(previous, 'created')])];
+  all[noteId] = [...added, ...list].slice(0, MAX_LOCAL_VERSIONS);
+  await AsyncStorage.setItem(VERSIONS_KEY, JSON.stringify(all));
+}
+
+// A local-only note gets the backend's id once it is summarized again
+async function moveLocalVersions(fromId, toId) {
+  const all = await loadAllLocalVersions();
+  if (!all[fromId]) return;
+  all[toId] = [...(all[toId] || []), ...all[fromId]].slice(0, MAX_LOCAL_VERSIONS);
+  delete all[fromId];
+  await AsyncStorage.setItem(VERSIONS_KEY, JSON.stringify(all));
+}
+
+async function loadNoteVersions(note) {
+  const local = (await loadAllLocalVersions())[note.id] || [];
+  if (!note.remote) return local;
+  try {
+    const { items } = await apiJSON(`/api/summaries/${encodeURIComponent(note.id)}/versions`);
+    const remote = items.map(v => ({ at: v.created_at, text: v.text, summary: v.summary, source: v.source, reason: v.reason }));
+    const known = new Set(remote.map(v => new Date(v.at).getTime()));
+    return [...remote, ...local.filter(v => !known.has(new Date(v.at).getTime()))]
+      .sort((a, b) => new Date(b.at) - new Date(a.at));
+  } catch (err) {
+    if (err instanceof SessionExpiredError) throw err;
+    console.warn('load versions failed', err);
+    return local; // offline: what this device knows
+  }
+}
+
+// Line diff (longest common subsequence) for comparing two versions
+function diffLines(before, after) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      out.push({ type: 'same', line: a[i] });
+      i++; j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      out.push({ type: 'del', line: a[i++] });
+    } else {
+      out.push({ type: 'add', line: b[j++] });
+    }
+  }
+  return out;
+}
+
+/* ---------------------------
+   Export (Markdown, PDF, Anki) via the system share sheet
+   Synced notes are exported through POST /api/export so the file matches the
+   cloud copy; without a connection the same formatter (backend/export.js)
+   runs on the device.
+----------------------------*/
+const EXPORT_KINDS = [
+  { kind: 'markdown', label: 'Markdown' },
+  { kind: 'pdf', label: 'PDF' },
+  { kind: 'anki', label: 'Anki-kaarten' }
+];
+
+function exportNote(item) {
+  return { text: item.text, summary: item.summary, source: item.source, date: item.date, sections: item.sections };
+}
+
+async function exportContent(items, format) {
+  if (items.some(i => i.remote && i.syncState === 'synced')) {
+    try {
+      const res = await apiFetch('/api/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          format,
+          notes: items.map(i => (i.remote && i.syncState === 'synced' ? { id: i.id } : exportNote(i)))
+        })
+      });
+      if (res.ok) return await res.text();
+      console.warn('export via backend failed', res.status);
+    } catch (err) {
+      if (err instanceof SessionExpiredError) throw err;
+      console.warn('export via backend failed', err);
+    }
+  }
+  return exportNotes(items.map(exportNote), format);
+}
+
+async function exportHistoryItems(items, kind) {
+  const format = kind === 'pdf' ? 'html' : kind;
+  const content = await exportContent(items, format);
+  const fileName = exportFileName(items.map(exportNote), format);
+
+  if (!(await Sharing.isAvailableAsync())) {
+    if (kind === 'pdf') throw new Error(t('Delen van bestanden is niet beschikbaar op dit apparaat.'));
+    return Share.share({ message: content });
+  }
+  if (kind === 'pdf') {
+    const { uri } = await Print.printToFileAsync({ html: content });
+    const target = `${FileSystem.cacheDirectory}${fileName.replace(/\.html$/, '.pdf')}`;
+    await FileSystem.moveAsync({ from: uri, to: target });
+    return Sharing.shareAsync(target, { mimeType: 'application/pdf', UTI: 'com.adobe.pdf', dialogTitle: t('Exporteren als PDF') });
+  }
+  const target = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(target, content);
+  return Sharing.shareAsync(target, { mimeType: EXPORT_FORMATS[format].mimeType, dialogTitle: t('Exporteren') });
+}
+
+function chooseExport(items) {
+  const run = async (kind) => {
+    try {
+      await exportHistoryItems(items, kind);
+    } catch (err) {
+      if (!(err instanceof SessionExpiredError)) Alert.alert(t('Exporteren mislukt'), String(err.message || err));
+    }
+  };
+  Alert.alert(
+    t('Exporteren'),
+    items.length === 1 ? t('Kies een formaat') : t('{count} notities — kies een formaat', { count: items.length }),
+    [...EXPORT_KINDS.map(k => ({ text: t(k.label), onPress: () => run(k.kind) })), { text: t('Annuleren'), style: 'cancel' }],
+    { cancelable: true } // Android shows at most three buttons
+  );
+}
+
+/* ---------------------------
+   Classes (/api/classes)
+   The list is kept in AsyncStorage so the home screen can show the class
+   welcome text offline.
+----------------------------*/
+async function apiJSON(path, { method = 'GET', body } = {}) {
+  const res = await apiFetch(path, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json) throw new Error(json?.error || `HTTP ${res.status}`);
+  return json;
+}
+
+async function loadCachedClasses() {
+  const raw = await AsyncStorage.getItem(CLASSES_KEY);
+  return raw ? JSON.parse(raw) : [];
+}
+
+async function refreshClasses() {
+  const { items } = await apiJSON('/api/classes');
+  await AsyncStorage.setItem(CLASSES_KEY, JSON.stringify(items));
+  return items;
+}
+
+// Shares a history item with a class; teachers choose between note and assignment
+async function shareWithClass(item) {
+  const classes = await refreshClasses().catch(loadCachedClasses);
+  if (!classes.length) return Alert.alert(t('Geen klas'), t('Word eerst lid van een klas (Mijn klas op het beginscherm).'));
+
+  const send = async (cls, assignment) => {
+    try {
+      await apiJSON(`/api/classes/${cls.id}/shares`, {
+        method: 'POST',
+        // synced notes are shared by id, so the backend copies its own version
+        body: item.remote ? { summary_id: item.id, assignment } : { text: item.text, summary: item.summary, assignment }
+      });
+      Alert.alert(t('Gedeeld'), t(assignment ? 'Gedeeld met {name} als opdracht.' : 'Gedeeld met {name}.', { name: cls.name }));
+    } catch (err) {
+      if (!(err instanceof SessionExpiredError)) Alert.alert(t('Delen mislukt'), String(err.message || err));
+    }
+  };
+  const pickKind = (cls) => {
+    if (cls.role !== 'teacher') return send(cls, false);
+    Alert.alert(t('Delen met klas'), cls.name, [
+      { text: t('Als notitie'), onPress: () => send(cls, false) },
+      { text: t('Als opdracht'), onPress: () => send(cls, true) },
+      { text: t('Annuleren'), style: 'cancel' }
+    ]);
+  };
+  if (classes.length === 1) return pickKind(classes[0]);
+  Alert.alert(t('Kies een klas'), null, [
+    ...classes.slice(0, 5).map(cls => ({ text: cls.name, onPress: () => pickKind(cls) })),
+    { text: t('Annuleren'), style: 'cancel' }
+  ]);
+}
+
+/* ---------------------------
+   Background jobs (POST /api/jobs/*, GET /api/jobs/:id)
+   Long OCR/summarize work runs on the backend; the job id is kept in
+   AsyncStorage so the result can be picked up after the app was backgrounded.
+----------------------------*/
+async function submitJob(path, init) {
+  const res = await apiFetch(path, { method: 'POST', ...init });
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json) throw new Error(json?.error || t('Taak starten mislukt ({status})', { status: res.status }));
+  return json; // { id, type, status, progress, step }
+}
+
+// Pages go up in the order shown in the Editor; summarize=true also summarizes the OCR text
+async function submitOcrJob(uris, mode, { summarize = false, options } = {}) {
+  const form = new FormData();
+  for (const uri of uris) form.append('images', await imageFormPart(uri));
+  form.append('mode', mode);
+  if (summarize) {
+    form.append('summarize', '1');
+    form.append('options', JSON.stringify(options || DEFAULT_SUMMARY_OPTIONS));
+  }
+  return submitJob('/api/jobs/ocr', { body: form });
+}
+
+async function fetchJob(id) {
+  const res = await apiFetch(`/api/jobs/${encodeURIComponent(id)}`);
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json) {
+    const err = new Error(json?.error || t('Taak ophalen mislukt ({status})', { status: res.status }));
+    err.status = res.status;
+    throw err;
+  }
+  return json;
+}
+
+async function loadPendingJob() {
+  const raw = await AsyncStorage.getItem(PENDING_JOB_KEY);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function savePendingJob(pending) {
+  if (pending) await AsyncStorage.setItem(PENDING_JOB_KEY, JSON.stringify(pending));
+  else await AsyncStorage.removeItem(PENDING_JOB_KEY);
+}
+
+// Polls until the job is done or failed. Network errors (e.g. while the app is
+// in the background) are ignored; a missing job (404) ends the wait.
+async function waitForJob(id, onUpdate, isCancelled = () => false) {
+  for (;;) {
+    if (isCancelled()) return null;
+    let job = null;
+    try {
+      job = await fetchJob(id);
+    } catch (err) {
+      if (err instanceof SessionExpiredError || err.status === 404) throw err;
+      if (err instanceof RateLimitedError) await new Promise(resolve => setTimeout(resolve, err.retryAfter * 1000));
+      // offline or backend busy: try again on the next tick
+    }
+    if (job) {
+      if (onUpdate) onUpdate(job);
+      if (job.status === 'done') return job.result;
+      if (job.status === 'failed') throw new Error(job.error || t('Taak mislukt'));
+    }
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+  }
+}
+
+// Same page markers as the backend uses
+function joinPageTexts(texts) {
+  if (texts.length === 1) return texts[0];
+  return texts.map((t, i) => `--- Pagina ${i + 1} ---\n${t}`).join('\n\n');
+}
+
+// Camera/picker files live in the cache; copy them so saved notes keep their pages
+async function persistPageImages(uris) {
+  if (Platform.OS === 'web' || !uris.length) return uris;
+  const dir = `${FileSystem.documentDirectory}pages/`;
+  await FileSystem.makeDirectoryAsync(dir, { intermediates: true }).catch(() => {});
+  const saved = [];
+  for (const uri of uris) {
+    if (uri.startsWith(dir)) {
+      saved.push(uri);
+      continue;
+    }
+    const target = `${dir}${Date.now()}-${saved.length}.${(uri.split('.').pop() || 'jpg').split('?')[0]}`;
+    try {
+      await FileSystem.copyAsync({ from: uri, to: target });
+      saved.push(target);
+    } catch (err) {
+      console.warn('persist page failed', err);
+      saved.push(uri);
+    }
+  }
+  return saved;
+}
+
+function LoginScreen() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [notice, setNotice] = useState(authNotice);
+
+  useEffect(() => {
+    authNotice = null;
+  }, []);
+
+  async function signIn() {
+    if (!email.trim() || !password) return Alert.alert(t('Inloggen'), t('Vul je e-mail en wachtwoord in.'));
+    setLoading(true);
+    try {
+      const { error } = await supabase.auth.signInWithPassword({ email: email.trim(), password });
+      if (error) throw error;
+    } catch (err) {
+      Alert.alert(t('Inloggen mislukt'), err.message || String(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function signUp() {
+    if (!email.trim() || !password) return Alert.alert(t('Account maken'), t('Vul je e-mail en wachtwoord in.'));
+    setLoading(true);
+    try {
+      const { data, error } = await supabase.auth.signUp({ email: email.trim(), password });
+      if (error) throw error;
+      if (!data.session) setNotice(t('Check je e-mail om je account te bevestigen.'));
+    } catch (err) {
+      Alert.alert(t('Account maken mislukt'), err.message || String(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function sendMagicLink() {
+    if (!email.trim()) return Alert.alert(t('Magic link'), t('Vul eerst je e-mail in.'));
+    setLoading(true);
+    try {
+      const { error } = await supabase.auth.signInWithOtp({
+        email: email.trim(),
+        options: { emailRedirectTo: Linking.createURL('login') }
+      });
+      if (error) throw error;
+      setNotice(t('We hebben je een inloglink gestuurd. Open de link op dit apparaat.'));
+    } catch (err) {
+      Alert.alert(t('Magic link mislukt'), err.message || String(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <View style={styles.containerCenter}>
+      <Text style={styles.welcomeTitle}>{t('Inloggen bij InstaNotes')}</Text>
+      {notice ? <Text style={styles.noticeText}>{notice}</Text> : null}
+
+      <TextInput
+        value={email}
+        onChangeText={setEmail}
+        placeholder={t('E-mail')}
+        autoCapitalize="none"
+        autoComplete="email"
+        keyboardType="email-address"
+        style={styles.input}
+      />
+      <TextInput
+        value={password}
+        onChangeText={setPassword}
+        placeholder={t('Wachtwoord')}
+        secureTextEntry
+        style={styles.input}
+      />
+
+      <TouchableOpacity style={[styles.primaryButton, styles.fullWidth]} onPress={signIn} disabled={loading}>
+        {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.primaryButtonText}>{t('Inloggen')}</Text>}
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.secondaryButton, styles.fullWidth, { marginTop: 12 }]} onPress={signUp} disabled={loading}>
+        <Text style={styles.secondaryButtonText}>{t('Account maken')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.secondaryButton, styles.fullWidth, { marginTop: 12 }]} onPress={sendMagicLink} disabled={loading}>
+        <Text style={styles.secondaryButtonText}>{t('Stuur magic link')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
 
 function HomeScreen({ navigation }) {
+  const [pendingJob, setPendingJob] = useState(null);
+  const [billing, setBilling] = useState(null);
+  const [classes, setClasses] = useState([]);
+
+  useEffect(() => {
+    loadCachedClasses().then(setClasses);
+    const check = () => {
+      loadPendingJob().then(setPendingJob);
+      refreshClasses().then(setClasses).catch(() => {});
+      // also picks up the new plan after returning from Checkout
+      fetchBilling().then(setBilling).catch(() => {});
+    };
+    const unsub = navigation.addListener('focus', check);
+    const sub = AppState.addEventListener('change', (state) => {
+      if (state === 'active') check();
+    });
+    check();
+    return () => {
+      unsub();
+      sub.remove();
+    };
+  }, []);
+
+  // the welcome text comes from the (first) class that has one
+  const welcomeClass = classes.find(c => c.welcome_text);
+
+  return (
+    <View style={styles.containerCenter}>
+      {pendingJob ? (
+        <TouchableOpacity style={styles.jobBanner} onPress={() => navigation.navigate('Editor', { resumeJob: true })}>
+          <Text style={styles.jobBannerText}>{t('Er wordt nog een scan verwerkt. Tik om het resultaat te openen.')}</Text>
+        </TouchableOpacity>
+      ) : null}
+      {welcomeClass ? (
+        <>
+          <Text style={styles.welcomeTitle}>{welcomeClass.name}</Text>
+          <Text style={styles.welcomeText}>{welcomeClass.welcome_text}</Text>
+        </>
+      ) : (
+        <>
+          <Text style={styles.welcomeTitle}>{t('Welkom bij InstaNotes')}</Text>
+          <Text style={styles.welcomeText}>
+            {t('Scan of plak je lesstof en maak er samenvattingen en quizzen van.')}{'\n\n'}
+            {t('Zit je in een klas? Vraag je docent om de klascode.')}
+          </Text>
+        </>
+      )}
+      <TouchableOpacity style={styles.primaryButton} onPress={() => navigation.navigate('Actions')}>
+        <Text style={styles.primaryButtonText}>{t('Begin')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.secondaryButton, { marginTop: 12 }]} onPress={() => navigation.navigate('History')}>
+        <Text style={styles.secondaryButtonText}>{t('Bekijk samenvattingen')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.secondaryButton, { marginTop: 12 }]} onPress={() => navigation.navigate('Classes')}>
+        <Text style={styles.secondaryButtonText}>{t('Mijn klas')}</Text>
+      </TouchableOpacity>
+      {billing ? (
+        <View style={{ marginTop: 16, alignItems: 'center' }}>
+          <Text style={styles.historyMeta}>
+            {t(PLAN_LABELS[billing.plan] || billing.plan)} · {t('{used}/{limit} AI-samenvattingen', { used: billing.usage.aiSummaries, limit: billing.limits.aiSummaries })}
+            · {t("{used}/{limit} pagina's deze maand", { used: billing.usage.ocrPages, limit: billing.limits.ocrPages })}
+          </Text>
+          <TouchableOpacity onPress={() => navigation.navigate('Usage')}>
+            <Text style={[styles.linkText, { marginTop: 6 }]}>{t('Verbruik bekijken')}</Text>
+          </TouchableOpacity>
+          {billing.plan === 'free' && billing.checkout ? (
+            <TouchableOpacity onPress={() => startCheckout().catch(err => Alert.alert(t('Upgraden mislukt'), String(err.message || err)))}>
+              <Text style={[styles.linkText, { marginTop: 6 }]}>{t('Upgrade naar Pro')}</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      ) : null}
+      <TouchableOpacity style={{ marginTop: 24 }} onPress={() => navigation.navigate('Settings')}>
+        <Text style={styles.linkText}>{t('Instellingen')}</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={{ marginTop: 12 }} onPress={() => supabase.auth.signOut()}>
+        <Text style={styles.linkText}>{t('Uitloggen')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+function ActionsScreen({ navigation }) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('Kies een actie')}</Text>
+
+      <TouchableOpacity style={styles.actionButton} onPress={() => navigation.navigate('Editor', { mode: 'camera' })}>
+        <Text style={styles.actionButtonText}>{t('Scan tekst (camera)')}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.actionButton} onPress={() => navigation.navigate('Editor', { mode: 'photo' })}>
+        <Text style={styles.actionButtonText}>{t("Kies foto's (galerij)")}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.actionButton} onPress={() => navigation.navigate('Editor', { mode: 'import' })}>
+        <Text style={styles.actionButtonText}>{t('Importeer bestand (PDF, Word, tekst)')}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.actionButton} onPress={() => navigation.navigate('Editor', { mode: 'paste' })}>
+        <Text style={styles.actionButtonText}>{t('Plak tekst')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/* ---------------------------
+   Simplified text + glossary (POST /api/simplify)
+----------------------------*/
+const READING_LEVEL_CHOICES = [['A1', 'A1'], ['A2', 'A2'], ['B1', 'B1'], ['B2', 'B2']];
+
+// Splits text into plain parts and glossary words (whole words, case-insensitive)
+function glossaryParts(text, glossary) {
+  if (!glossary.length) return [{ text }];
+  const entries = glossary.slice().sort((a, b) => b.word.length - a.word.length);
+  const pattern = new RegExp(entries.map(g => escapeRegExp(g.word)).join('|'), 'gi');
+  const isWordChar = (c) => !!c && /[\p{L}\p{M}\p{N}]/u.test(c);
+  const parts = [];
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const end = match.index + match[0].length;
+    if (isWordChar(text[match.index - 1]) || isWordChar(text[end])) continue; // part of a longer word
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    parts.push({ text: match[0], entry: entries.find(g => g.word.toLowerCase() === match[0].toLowerCase()) });
+    last = end;
+  }
+  parts.push({ text: text.slice(last) });
+  return parts;
+}
+
+function GlossaryText({ text, glossary, onWord }) {
+  return (
+    <Text style={styles.simplifiedText}>
+      {glossaryParts(text, glossary).map((part, i) => (part.entry ? (
+        <Text key={i} style={styles.glossaryWord} onPress={() => onWord(part.entry)}>{part.text}</Text>
+      ) : part.text))}
+    </Text>
+  );
+}
+
+function GlossaryEntry({ entry }) {
+  return (
+    <View style={styles.glossaryBox}>
+      <Text style={{ fontWeight: '700' }}>{entry.word}</Text>
+      <Text>{entry.explanation || t('Geen uitleg beschikbaar: zoek dit woord op of vraag het je docent.')}</Text>
+      {entry.example ? <Text style={[styles.historyMeta, { marginTop: 4 }]}>{t('In de tekst: “{example}”', { example: entry.example })}</Text> : null}
+    </View>
+  );
+}
+
+function OptionPicker({ label, choices, value, onChange }) {
+  return (
+    <View style={styles.optionRow}>
+      <Text style={styles.optionLabel}>{label}</Text>
+      <View style={{ flexDirection: 'row', flexWrap: 'wrap', flex: 1 }}>
+        {choices.map(([choice, text]) => (
+          <TouchableOpacity
+            key={choice}
+            style={[styles.optionChip, value === choice && styles.optionChipActive]}
+            onPress={() => onChange(choice)}
+          >
+            <Text style={value === choice ? styles.optionChipTextActive : styles.optionChipText}>{t(text)}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+// seconds left until `until` (ms timestamp), ticking every second; 0 when passed
+function useSecondsUntil(until) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!until || until <= Date.now()) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [until]);
+  return until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+}
+
+function EditorScreen({ route, navigation }) {
+  const { mode } = route.params || {};
+  const [pages, setPages] = useState([]); // page image uris, in reading order
+  const [activePage, setActivePage] = useState(0);
+  const [text, setText] = useState(route.params?.text || '');
+  const [options, setOptions] = useState({ ...DEFAULT_SUMMARY_OPTIONS, ...(route.params?.options || {}) });
+  const [loading, setLoading] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [source, setSource] = useState(null);
+  const [sections, setSections] = useState([]); // per-section summaries of a long text
+  const [cached, setCached] = useState(false); // summary came from the backend cache
+  const [redactions, setRedactions] = useState([]); // personal data the backend masked before the AI call
+  const [streaming, setStreaming] = useState(false);
+  const streamAbort = useRef(null);
+  const [noteId, setNoteId] = useState(null);
+  const [note, setNote] = useState(null); // history item opened with route.params.noteId
+  const [editingSummary, setEditingSummary] = useState(false);
+  const [level, setLevel] = useState('B1');
+  const [simplified, setSimplified] = useState(null); // { simplified, glossary, level, source, glossary_source }
+  const [simplifying, setSimplifying] = useState(false);
+  const [glossaryWord, setGlossaryWord] = useState(null);
+  const [draftSummary, setDraftSummary] = useState('');
+  const [ocrEngine, setOcrEngine] = useState(null);
+  const [imported, setImported] = useState(null); // /api/import result: { title, format, pages, ocr, truncated }
+  const [keepLayout, setKeepLayout] = useState(true); // headings/lists/columns need the backend
+  const [job, setJob] = useState(null); // background job being followed: { status, progress, step }
+  const [retryAt, setRetryAt] = useState(null); // rate limited until (ms)
+  const waitSeconds = useSecondsUntil(retryAt);
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    (async () => {
+      if (route.params?.noteId) {
+        const item = await findHistoryItem(route.params.noteId);
+        if (!item) return Alert.alert(t('Niet gevonden'), t('Deze notitie staat niet (meer) in Geschiedenis.'));
+        openNote(item);
+      } else if (route.params?.resumeJob) {
+        const pending = await loadPendingJob();
+        if (pending) {
+          setPages(pending.pages || []);
+          if (pending.options) setOptions(pending.options);
+          await followJob(pending);
+        }
+      } else if (mode === 'camera' || mode === 'photo') {
+        await pickImage(mode === 'camera');
+      } else if (mode === 'import') {
+        await pickFile();
+      } else if (mode === 'paste') {
+        // nothing, user will paste
+      }
+    })();
+    return () => { mounted.current = false; };
+  }, []);
+
+  // coming back from Versions after a restore: show the restored text and summary
+  useEffect(() => {
+    if (!note) return undefined;
+    return navigation.addListener('focus', async () => {
+      const item = await findHistoryItem(note.id);
+      if (item && item.updatedAt !== note.updatedAt) openNote(item);
+    });
+  }, [note]);
+
+  function openNote(item) {
+    setNote(item);
+    setNoteId(item.id);
+    setText(item.text || '');
+    setSummary(item.summary || null);
+    setSource(item.source || null);
+    setSections(item.sections || []);
+    setCached(false);
+    setRedactions([]);
+    setSimplified(null);
+    setImported(null);
+    if (item.options) setOptions({ ...DEFAULT_SUMMARY_OPTIONS, ...item.options });
+    setPages(item.pages || []);
+  }
+
+  // Saves hand edits of the text and/or summary of the opened note as a new version
+  async function saveEdits(nextSummary = summary) {
+    const updated = await updateHistoryItem(note.id, { text, summary: nextSummary || '' });
+    if (!updated) return Alert.alert(t('Niet gevonden'), t('Deze notitie staat niet (meer) in Geschiedenis.'));
+    await addLocalVersion(note.id, note, updated, 'edit');
+    setNote(updated);
+    setSummary(updated.summary);
+    setEditingSummary(false);
+    syncHistory();
+  }
+
+  // Adds pages: camera takes one, the gallery allows picking several at once
+  async function pickImage(useCamera = false) {
+    try {
+      let result;
+      if (useCamera) {
+        const camPerm = await ImagePicker.requestCameraPermissionsAsync();
+        if (!camPerm.granted) return Alert.alert(t('Cameratoegang'), t('Toegang tot camera geweigerd'));
+        result = await ImagePicker.launchCameraAsync({ quality: 0.8 });
+      } else {
+        const libPerm = await ImagePicker.requestMediaLibraryPermissionsAsync();
+        if (!libPerm.granted) return Alert.alert(t('Fototoegang'), t("Toegang tot foto's geweigerd"));
+        result = await ImagePicker.launchImageLibraryAsync({ quality: 0.8, allowsMultipleSelection: true, orderedSelection: true });
+      }
+      const uris = (result.canceled ? [] : result.assets || []).map(a => a.uri).filter(Boolean);
+      if (uris.length) {
+        setActivePage(pages.length);
+        setPages([...pages, ...uris]);
+        setSummary(null); setSource(null); setSections([]); setCached(false); setRedactions([]); setNoteId(null); setNote(null); setSimplified(null);
+        setImported(null);
+      }
+    } catch (err) {
+      console.error('pickImage', err);
+      Alert.alert(t('Fout'), t('Kon afbeelding niet openen'));
+    }
+  }
+
+  // Replaces the text with the contents of a PDF, Word or text file, ready to summarize
+  async function pickFile() {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({ type: IMPORT_TYPES, copyToCacheDirectory: true });
+      const asset = result.canceled ? null : result.assets?.[0];
+      if (!asset) return;
+      setLoading(true);
+      const json = await importFileOnServer(asset);
+      setText(json.text);
+      setImported(json);
+      setPages([]);
+      setOcrEngine(json.ocr?.engine || null);
+      setSummary(null); setSource(null); setSections([]); setCached(false); setRedactions([]); setNoteId(null); setNote(null); setSimplified(null);
+    } catch (err) {
+      if (err instanceof SessionExpiredError) return;
+      if (err instanceof RateLimitedError) return setRetryAt(Date.now() + err.retryAfter * 1000);
+      if (err instanceof OfflineError) return Alert.alert(t('Geen verbinding'), t('Bestanden importeren kan alleen online.'));
+      console.error('import error', err);
+      Alert.alert(t('Importeren mislukt'), String(err.message || err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function movePage(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= pages.length) return;
+    const next = pages.slice();
+    [next[index], next[target]] = [next[target], next[index]];
+    setPages(next);
+    setActivePage(target);
+  }
+
+  function removePage(index) {
+    setPages(pages.filter((_, i) => i !== index));
+    setActivePage(Math.max(0, Math.min(activePage, pages.length - 2)));
+  }
+
+  async function recognizeOnDevice(uri) {
+    const res = await TextRecognition.recognize(uri);
+    // res.blocks / res.text? Use joined lines fallback
+    if (Array.isArray(res) && res.length) {
+      // expo-text-recognition returns array of blocks; join texts
+      return res.map(b => b.text).join('\n');
+    } else if (res.text) {
+      return res.text;
+    }
+    // Fallback: try small structure
+    return String(res);
+  }
+
+  async function doOCR() {
+    if (!pages.length) return Alert.alert(t('Geen afbeelding'), t('Kies eerst een foto of scan met camera'));
+    setLoading(true);
+    try {
+      const available = !keepLayout && Platform.OS !== 'web' && await TextRecognition.isAvailableAsync().catch(() => false);
+      let recognized = '';
+      if (available) {
+        const texts = [];
+        for (const uri of pages) texts.push((await recognizeOnDevice(uri)).trim());
+        recognized = joinPageTexts(texts);
+        setOcrEngine(t('apparaat'));
+      } else {
+        // layout mode, or no on-device OCR (web, many Android devices): let the backend do it
+        if (pages.length > 1) return await runOcrJob(false); // several pages can take a while
+        const json = await recognizeOnServer(pages[0], keepLayout ? 'layout' : 'text');
+        recognized = json.text;
+        setOcrEngine(json.engine || [...new Set((json.pages || []).map(p => p.engine))].join(', '));
+      }
+      setText(recognized);
+      setSummary(null); setSource(null); setSections([]); setCached(false); setRedactions([]); setNoteId(null); setNote(null); setSimplified(null);
+    } catch (err) {
+      if (err instanceof SessionExpiredError) return;
+      if (err instanceof RateLimitedError) return setRetryAt(Date.now() + err.retryAfter * 1000);
+      console.error('OCR error', err);
+      Alert.alert(t('OCR fout'), String(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Uploads the pages as a background job and waits for it; with summarize=true the
+  // backend also summarizes the recognized text and stores it like /api/summarize
+  async function runOcrJob(summarize) {
+    const submitted = await submitOcrJob(pages, keepLayout ? 'layout' : 'text', { summarize, options });
+    const pending = { id: submitted.id, summarize, options, pages: await persistPageImages(pages), createdAt: submitted.created_at };
+    await savePendingJob(pending);
+    await followJob(pending);
+  }
+
+  async function doScanAndSummarize() {
+    if (!pages.length) return Alert.alert(t('Geen afbeelding'), t('Kies eerst een foto of scan met camera'));
+    setLoading(true);
+    try {
+      await runOcrJob(true);
+    } catch (err) {
+      if (err instanceof SessionExpiredError) return;
+      if (err instanceof RateLimitedError) return setRetryAt(Date.now() + err.retryAfter * 1000);
+      console.error('scan job error', err);
+      Alert.alert(t('Scannen mislukt'), String(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function followJob(pending) {
+    setLoading(true);
+    setJob({ status: 'queued', progress: 0, step: t('In de wachtrij') });
+    try {
+      const result = await waitForJob(pending.id, setJob, () => !mounted.current);
+      if (!result) return; // Editor closed: the job stays pending and Home offers to open it
+      await savePendingJob(null);
+      setText(result.text || '');
+      setOcrEngine([...new Set((result.pages || []).map(p => p.engine))].join(', ') || null);
+      setSummary(null); setSource(null); setSections([]); setCached(false); setRedactions([]); setNoteId(null); setNote(null); setSimplified(null);
+      if (pending.summarize) await keepSummary(result, result.text || '', pending.pages || []);
+    } catch (err) {
+      if (err instanceof SessionExpiredError) return;
+      await savePendingJob(null);
+      console.error('job error', err);
+      Alert.alert(t('Verwerken mislukt'), String(err.message || err));
+    } finally {
+      if (mounted.current) {
+        setJob(null);
+        setLoading(false);
+      }
+    }
+  }
+
+  // Shows a finished summary and saves it to history (same id as the cloud copy when the backend stored one).
+  // queued: an on-device summary; the note waits in the summary queue for the AI summary
+  async function keepSummary(json, noteText, notePages, { queued = false } = {}) {
+    setSummary(json.summary || t('(geen samenvatting)'));
+    setSource(json.source || 'unknown');
+    setSections(json.sections || []);
+    setCached(!!json.cached);
+    setRedactions(json.redactions || []);
+
+    const date = json.created_at || new Date().toISOString();
+    const fields = {
+      text: noteText,
+      summary: json.summary || '',
+      source: json.source || 'unknown',
+      options: json.options || options,
+      sections: json.sections?.length ? json.sections : null,
+      pages: await persistPageImages(notePages)
+    };
+    let item;
+    if (note) {
+      // re-summarized an opened note: same note (folder, tags, versions), new summary
+      const now = new Date().toISOString();
+      item = { ...note, ...fields, id: json.id || note.id, updatedAt: now, remote: note.remote || !!json.id };
+      item.syncState = queued ? 'queued' : item.remote ? 'synced' : 'local';
+      if (item.id !== note.id) {
+        await removeHistoryItems([note.id]); // the local-only copy, now stored by the backend
+        await moveLocalVersions(note.id, item.id);
+      }
+      // synced notes got their version from the backend (note_id)
+      if (!note.remote) await addLocalVersion(item.id, note, item, 'resummarize');
+    } else {
+      item = { id: json.id || Date.now().toString(), date, updatedAt: date, ...fields, remote: !!json.id, syncState: queued ? 'queued' : json.id ? 'synced' : 'local' };
+    }
+    setNote(item);
+    await addHistoryItem(item);
+    setNoteId(item.id);
+    if (queued) {
+      await enqueueSummary(item);
+      Alert.alert(t('Geen verbinding'), t('Dit is een eenvoudige samenvatting, gemaakt op je telefoon. De AI-samenvatting volgt vanzelf zodra je weer online bent.'));
+    } else if (json.quota_exceeded && json.source === 'extractive') {
+      Alert.alert(t('AI-tegoed op'), t('Je AI-samenvattingen voor deze maand zijn op. Dit is een eenvoudige samenvatting; hij staat in Geschiedenis.'));
+    } else {
+      Alert.alert(t('Opgeslagen'), t('Samenvatting is opgeslagen in Geschiedenis'));
+    }
+  }
+
+  // force skips the backend cache (the same text was summarized before)
+  async function doSummarize(force = false) {
+    if (!text || !text.trim()) return Alert.alert(t('Geen tekst'), t('Typ of plak eerst tekst of voer OCR uit.'));
+    setLoading(true);
+    setStreaming(true);
+    setSummary(''); setSource(null); setSections([]); setCached(false); setRedactions([]);
+    const controller = new AbortController();
+    streamAbort.current = controller;
+    try {
+      let partial = '';
+      const json = await streamSummary({ text, options, force, note_id: note?.remote ? note.id : undefined }, {
+        signal: controller.signal,
+        onToken: (token) => {
+          partial += token;
+          setSummary(partial);
+        },
+        onSections: setSections
+      });
+      if (json.aborted) {
+        // the backend keeps the partial summary; it arrives in History with the next sync
+        setSource(t('afgebroken'));
+        return;
+      }
+      await keepSummary(json, text, pages);
+    } catch (err) {
+      if (err instanceof SessionExpiredError) return; // App switches back to the login screen
+      if (err instanceof OfflineError) {
+        setStreaming(false);
+        return keepSummary({ summary: summarizeOnDevice(text, options), source: 'on-device', options }, text, pages, { queued: true });
+      }
+      if (err instanceof RateLimitedError) {
+        setSummary(null);
+        return setRetryAt(Date.now() + err.retryAfter * 1000);
+      }
+      console.error('summarize error', err);
+      Alert.alert(t('Samenvatting mislukt'), String(err));
+    } finally {
+      streamAbort.current = null;
+      setStreaming(false);
+      setLoading(false);
+    }
+  }
+
+  async function doSimplify() {
+    if (!text || !text.trim()) return Alert.alert(t('Geen tekst'), t('Typ of plak eerst tekst of voer OCR uit.'));
+    setSimplifying(true);
+    setGlossaryWord(null);
+    try {
+      const json = await apiJSON('/api/simplify', { method: 'POST', body: { text, level } });
+      setSimplified(json);
+      if (json.quota_exceeded) Alert.alert(t('AI-tegoed op'), t('Je AI-samenvattingen voor deze maand zijn op. De tekst is niet herschreven; de moeilijke woorden staan eronder.'));
+    } catch (err) {
+      if (err instanceof SessionExpiredError) return;
+      if (err instanceof RateLimitedError) return setRetryAt(Date.now() + err.retryAfter * 1000);
+      Alert.alert(t('Vereenvoudigen mislukt'), String(err.message || err));
+    } finally {
+      setSimplifying(false);
+    }
+  }
+
+  function cancelSummarize() {
+    if (streamAbort.current) streamAbort.current.abort();
+  }
+
+  async function doShare() {
+    if (!summary && !text) return Alert.alert(t('Niets om te delen'));
+    const toShare = summary || text;
+    try {
+      await Share.share({ message: toShare });
+    } catch (e) {
+      Alert.alert(t('Delen mislukt'), String(e));
+    }
+  }
+
+  async function doCopy() {
+    const toCopy = summary || text;
+    if (!toCopy) return;
+    await Clipboard.setStringAsync(toCopy);
+    Alert.alert(t('Gekopieerd'), t('Tekst gekopieerd naar klembord'));
+  }
+
   return (
-    <View style={styles.containerCenter}>
-      <Text style={styles.welcomeTitle}>Voor mijn ambitieuze leerlingen</Text>
-      <Text style={styles.welcomeText}>
-        Voor mijn ambitieuze leerlingen Layla, Dennis, Mohamed, Ires en Dounia.{'\n\n'}
-        Veel plezier met de app :) {'\n\n'}Van Juf Mariam
-      </Text>
-      <TouchableOpacity style={styles.primaryButton} onPress={() => navigation.navigate('Actions')}>
-        <Text style={styles.primaryButtonText}>Begin</Text>
-      </TouchableOpacity>
-      <TouchableOpacity style={[styles.secondaryButton, { marginTop: 12 }]} onPress={() => navigation.navigate('History')}>
-        <Text style={styles.secondaryButtonText}>Bekijk samenvattingen</Text>
+    <ScrollView style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('Editor')}</Text>
+      {note ? (
+        <View style={[styles.row, { marginTop: 0, marginBottom: 8, alignItems: 'center' }]}>
+          <Text style={styles.historyMeta}>
+            {t('Notitie van {date}', { date: formatDate(note.date) })}{note.folder ? ` · ${t(note.folder)}` : ''}
+            {note.updatedAt && note.updatedAt !== note.date ? ` · ${t('gewijzigd {date}', { date: formatDateTime(note.updatedAt) })}` : ''}
+          </Text>
+          <TouchableOpacity onPress={() => navigation.navigate('Versions', { noteId: note.id })}>
+            <Text style={styles.linkText}>{t('Versies')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : null}
+
+      {pages.length ? <Image source={{ uri: pages[activePage] || pages[0] }} style={styles.previewImage} /> : null}
+
+      {pages.length ? (
+        <ScrollView horizontal style={{ marginBottom: 8 }}>
+          {pages.map((uri, i) => (
+            <View key={`${uri}-${i}`} style={[styles.pageThumb, i === activePage && styles.pageThumbActive]}>
+              <TouchableOpacity onPress={() => setActivePage(i)}>
+                <Image source={{ uri }} style={styles.pageThumbImage} />
+              </TouchableOpacity>
+              <Text style={styles.historyMeta}>{t('Pagina {page}', { page: i + 1 })}</Text>
+              <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+                <TouchableOpacity onPress={() => movePage(i, -1)} disabled={i === 0}>
+                  <Text style={styles.pageThumbAction}>{I18nManager.isRTL ? '▶' : '◀'}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => removePage(i)}>
+                  <Text style={[styles.pageThumbAction, { color: '#f44336' }]}>✕</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => movePage(i, 1)} disabled={i === pages.length - 1}>
+                  <Text style={styles.pageThumbAction}>{I18nManager.isRTL ? '◀' : '▶'}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))}
+        </ScrollView>
+      ) : null}
+
+      <View style={{ flexDirection: 'row' }}>
+        <TouchableOpacity style={[styles.smallButton, { marginRight: 8 }]} onPress={() => pickImage(true)}>
+          <Text style={styles.smallButtonText}>{t('Pagina scannen')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.smallButton, { marginRight: 8 }]} onPress={() => pickImage(false)}>
+          <Text style={styles.smallButtonText}>{t("Foto's toevoegen")}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.smallButton} onPress={pickFile}>
+          <Text style={styles.smallButtonText}>{t('Bestand')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {pages.length ? (
+        <TouchableOpacity style={styles.checkRow} onPress={() => setKeepLayout(!keepLayout)}>
+          <Text style={styles.checkBox}>{keepLayout ? '☑' : '☐'}</Text>
+          <Text>{t('Behoud opmaak (koppen, lijsten, kolommen)')}</Text>
+        </TouchableOpacity>
+      ) : null}
+
+      <TextInput
+        value={text}
+        onChangeText={setText}
+        multiline
+        placeholder={t('De tekst verschijnt hier (of plak)')}
+        style={styles.textArea}
+        textAlignVertical="top"
+      />
+      {imported ? <Text style={styles.historyMeta}>{importNotice(imported)}</Text> : null}
+      {ocrEngine ? <Text style={styles.historyMeta}>{t('Tekst herkend met: {engine}', { engine: ocrEngine })}</Text> : null}
+      {note && text !== note.text && !streaming ? (
+        <TouchableOpacity onPress={() => saveEdits()}>
+          <Text style={[styles.linkText, { marginTop: 6 }]}>{t('Tekst opslaan (zonder opnieuw samen te vatten)')}</Text>
+        </TouchableOpacity>
+      ) : null}
+
+      <View style={{ marginTop: 10 }}>
+        <OptionPicker label={t('Lengte')} choices={SUMMARY_OPTION_CHOICES.length} value={options.length} onChange={length => setOptions({ ...options, length })} />
+        <OptionPicker label={t('Stijl')} choices={SUMMARY_OPTION_CHOICES.style} value={options.style} onChange={style => setOptions({ ...options, style })} />
+        <OptionPicker label={t('Taal')} choices={SUMMARY_OPTION_CHOICES.language} value={options.language} onChange={language => setOptions({ ...options, language })} />
+      </View>
+
+      <View style={styles.row}>
+        <TouchableOpacity style={styles.actionBtn} onPress={doOCR} disabled={loading || !pages.length || waitSeconds > 0}>
+          {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.actionBtnText}>{t('OCR uitvoeren')}</Text>}
+        </TouchableOpacity>
+
+        {streaming ? (
+          <TouchableOpacity style={[styles.actionBtn, { backgroundColor: '#f44336' }]} onPress={cancelSummarize}>
+            <Text style={styles.actionBtnText}>{t('Stop')}</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity style={styles.actionBtn} onPress={() => doSummarize()} disabled={loading || waitSeconds > 0}>
+            {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.actionBtnText}>{t('Samenvatten')}</Text>}
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {waitSeconds > 0 ? (
+        <Text style={[styles.noticeText, { marginTop: 8 }]}>{t('Even wachten: te veel verzoeken. Probeer het over {seconds} seconden opnieuw.', { seconds: waitSeconds })}</Text>
+      ) : null}
+
+      {pages.length && !job ? (
+        <TouchableOpacity style={[styles.secondaryButton, { marginTop: 8, alignItems: 'center' }]} onPress={doScanAndSummarize} disabled={loading || waitSeconds > 0}>
+          <Text style={styles.secondaryButtonText}>{t('Scannen + samenvatten (op de achtergrond)')}</Text>
+        </TouchableOpacity>
+      ) : null}
+
+      {job ? (
+        <View style={styles.summaryBox}>
+          <Text>{job.step || t('Bezig…')}</Text>
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressBar, { width: `${Math.round((job.progress || 0) * 100)}%` }]} />
+          </View>
+          <Text style={styles.historyMeta}>{t('Je kunt de app sluiten; het resultaat wordt later opgehaald.')}</Text>
+        </View>
+      ) : null}
+
+      <View style={styles.row}>
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.secondaryButtonText}>{t('Terug')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryButton} onPress={doShare}>
+          <Text style={styles.secondaryButtonText}>{t('Delen')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryButton} onPress={doCopy}>
+          <Text style={styles.secondaryButtonText}>{t('Kopiëren')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={{ marginTop: 12 }}>
+        <Text style={{ fontWeight: '700' }}>{t('Samenvatting')}</Text>
+        <View style={styles.summaryBox}>
+          {editingSummary ? (
+            <>
+              <TextInput value={draftSummary} onChangeText={setDraftSummary} multiline style={[styles.textArea, { minHeight: 120 }]} textAlignVertical="top" />
+              <View style={[styles.row, { justifyContent: 'flex-start' }]}>
+                <TouchableOpacity style={styles.smallButton} onPress={() => saveEdits(draftSummary)}>
+                  <Text style={styles.smallButtonText}>{t('Opslaan')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.smallButton, { marginLeft: 8 }]} onPress={() => setEditingSummary(false)}>
+                  <Text style={styles.smallButtonText}>{t('Annuleren')}</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <Text>{summary || (streaming ? t('Bezig met samenvatten…') : t('(nog geen samenvatting)'))}</Text>
+          )}
+          <Text style={{ color: '#666', marginTop: 8 }}>{t('Bron: {source}', { source: source ?? '-' })}{cached ? ` ${t('(eerder gemaakt)')}` : ''}</Text>
+          {redactions.length ? <Text style={[styles.historyMeta, { marginTop: 4 }]}>{redactionNotice(redactions)}</Text> : null}
+          {note && summary && !editingSummary && !loading ? (
+            <TouchableOpacity onPress={() => { setDraftSummary(summary); setEditingSummary(true); }}>
+              <Text style={[styles.linkText, { marginTop: 6 }]}>{t('Samenvatting bewerken')}</Text>
+            </TouchableOpacity>
+          ) : null}
+          {cached && !loading ? (
+            <TouchableOpacity onPress={() => doSummarize(true)}>
+              <Text style={[styles.linkText, { marginTop: 6 }]}>{t('Opnieuw genereren')}</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+        {sections.length ? (
+          <View style={{ marginTop: 8 }}>
+            <Text style={{ fontWeight: '700' }}>{t('Per onderdeel')}</Text>
+            {sections.map((section, i) => (
+              <View key={i} style={styles.summaryBox}>
+                <Text style={{ fontWeight: '600', marginBottom: 4 }}>{section.title}</Text>
+                <Text>{section.summary}</Text>
+              </View>
+            ))}
+          </View>
+        ) : null}
+      </View>
+
+      <View style={{ marginTop: 12 }}>
+        <Text style={{ fontWeight: '700', marginBottom: 6 }}>{t('Makkelijker lezen')}</Text>
+        <OptionPicker label={t('Niveau')} choices={READING_LEVEL_CHOICES} value={level} onChange={setLevel} />
+        <TouchableOpacity style={[styles.secondaryButton, { alignItems: 'center' }]} onPress={doSimplify} disabled={simplifying || !text.trim() || waitSeconds > 0}>
+          {simplifying ? <ActivityIndicator /> : <Text style={styles.secondaryButtonText}>{t('Vereenvoudig tekst + woordenlijst')}</Text>}
+        </TouchableOpacity>
+        {simplified ? (
+          <View style={styles.summaryBox}>
+            {simplified.source === 'local' ? (
+              <Text style={[styles.historyMeta, { marginBottom: 6 }]}>{t('Herschrijven is nu niet beschikbaar; dit is de originele tekst met de moeilijke woorden gemarkeerd.')}</Text>
+            ) : (
+              <Text style={[styles.historyMeta, { marginBottom: 6 }]}>{t('Niveau {level} · tik op een onderstreept woord voor uitleg', { level: simplified.level })}</Text>
+            )}
+            <GlossaryText text={simplified.simplified} glossary={simplified.glossary} onWord={setGlossaryWord} />
+            {glossaryWord ? <GlossaryEntry entry={glossaryWord} /> : null}
+            {simplified.glossary.length ? (
+              <>
+                <Text style={{ fontWeight: '600', marginTop: 10 }}>{t('Woordenlijst')}</Text>
+                <View style={styles.chipWrap}>
+                  {simplified.glossary.map(entry => (
+                    <TouchableOpacity
+                      key={entry.word}
+                      style={[styles.optionChip, glossaryWord?.word === entry.word && styles.optionChipActive]}
+                      onPress={() => setGlossaryWord(glossaryWord?.word === entry.word ? null : entry)}
+                    >
+                      <Text style={glossaryWord?.word === entry.word ? styles.optionChipTextActive : styles.optionChipText}>{entry.word}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            ) : null}
+          </View>
+        ) : null}
+      </View>
+
+      <TouchableOpacity
+        style={[styles.secondaryButton, { marginTop: 12, alignItems: 'center' }]}
+        onPress={() => navigation.navigate('Quiz', { noteId, text })}
+        disabled={!text.trim()}
+      >
+        <Text style={styles.secondaryButtonText}>{t('Oefen met een quiz')}</Text>
       </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+// Translated where they are shown
+const SYNC_LABELS = {
+  synced: 'Gesynchroniseerd',
+  pending: 'Wacht op synchronisatie',
+  queued: 'Offline samengevat · AI-samenvatting volgt',
+  local: 'Alleen op dit apparaat'
+};
+
+const NO_FOLDER = '__none__'; // folder filter/move target for notes without a folder
+const DATE_FILTERS = [['all', 'Altijd'], ['today', 'Vandaag'], ['week', '7 dagen'], ['month', '30 dagen']];
+
+// Lower-cased search words; a note matches when every word occurs in its text, summary or tags
+function searchWords(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function rangeStart(range) {
+  if (range === 'all') return null;
+  const since = new Date();
+  if (range === 'today') since.setHours(0, 0, 0, 0);
+  if (range === 'week') since.setDate(since.getDate() - 7);
+  if (range === 'month') since.setDate(since.getDate() - 30);
+  return since;
+}
+
+function hasHistoryFilters({ query, folder, range, source }) {
+  return !!(searchWords(query).length || folder || range !== 'all' || source);
+}
+
+// The same filters as query parameters of GET /api/summaries
+function historySearchParams({ query, folder, range, source }) {
+  const params = [];
+  const words = searchWords(query);
+  const since = rangeStart(range);
+  if (words.length) params.push(`q=${encodeURIComponent(words.join(' '))}`);
+  if (folder) params.push(`folder=${folder === NO_FOLDER ? '' : encodeURIComponent(folder)}`);
+  if (source) params.push(`source=${encodeURIComponent(source)}`);
+  if (since) params.push(`since=${encodeURIComponent(since.toISOString())}`);
+  return params;
+}
+
+function filterHistory(history, { query, folder, range, source }) {
+  const words = searchWords(query);
+  const since = rangeStart(range);
+  return history.filter(item => {
+    if (folder && (folder === NO_FOLDER ? item.folder : item.folder !== folder)) return false;
+    if (source && item.source !== source) return false;
+    if (since && new Date(item.date) < since) return false;
+    if (!words.length) return true;
+    const haystack = `${item.text}\n${item.summary}\n${(item.tags || []).join(' ')}`.toLowerCase();
+    return words.every(w => haystack.includes(w));
+  });
+}
+
+// Part of the original text around the first match, for notes whose summary does not match
+function matchSnippet(text, words) {
+  const lower = text.toLowerCase();
+  const at = Math.min(...words.map(w => lower.indexOf(w)).filter(i => i >= 0));
+  if (!isFinite(at)) return null;
+  const start = Math.max(0, at - 40);
+  return `${start ? '…' : ''}${text.slice(start, at + 120).replace(/\s+/g, ' ')}…`;
+}
+
+function HighlightText({ text, words, style, numberOfLines }) {
+  if (!words.length) return <Text style={style} numberOfLines={numberOfLines}>{text}</Text>;
+  const pattern = new RegExp(`(${words.map(escapeRegExp).join('|')})`, 'gi');
+  return (
+    <Text style={style} numberOfLines={numberOfLines}>
+      {text.split(pattern).map((part, i) => (i % 2 ? <Text key={i} style={styles.highlight}>{part}</Text> : part))}
+    </Text>
+  );
+}
+
+function Chip({ label, active, onPress }) {
+  return (
+    <TouchableOpacity style={[styles.optionChip, active && styles.optionChipActive]} onPress={onPress}>
+      <Text style={active ? styles.optionChipTextActive : styles.optionChipText}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+function HistoryScreen({ navigation }) {
+  const [history, setHistory] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [olderCursor, setOlderCursor] = useState(undefined);
+  const [selected, setSelected] = useState([]); // ids, long-press a note to start selecting
+  const [query, setQuery] = useState('');
+  const [folder, setFolder] = useState(null); // null = all, NO_FOLDER = notes without folder
+  const [range, setRange] = useState('all');
+  const [source, setSource] = useState(null);
+  const [showFilters, setShowFilters] = useState(false);
+  const [folders, setFolders] = useState(DEFAULT_FOLDERS);
+  const [moving, setMoving] = useState(null); // ids waiting for a folder
+  const [newFolder, setNewFolder] = useState('');
+  const [editingTags, setEditingTags] = useState(null); // { id, value }
+  const [undo, setUndo] = useState(null); // { items, message }
+  const [searchCursor, setSearchCursor] = useState({ key: null, cursor: undefined }); // server search, per filter
+  const undoTimer = useRef(null);
+  const loadingOlder = useRef(null); // filter key of the page being fetched
+  const filters = { query, folder, range, source };
+  const filterKey = JSON.stringify(filters);
+  const filtering = hasHistoryFilters(filters);
+
+  useEffect(() => {
+    const unsub = navigation.addListener('focus', load);
+    loadFolders().then(setFolders);
+    load();
+    return () => {
+      unsub();
+      clearTimeout(undoTimer.current);
+    };
+  }, []);
+
+  async function load() {
+    setHistory(await loadHistory());
+    await syncHistory();
+    setHistory(await loadHistory());
+  }
+
+  async function refresh() {
+    setRefreshing(true);
+    try {
+      await load();
+    } finally {
+      setRefreshing(false);
+    }
+  }
+
+  // the first page of a new search/filter is fetched once the typing stops
+  useEffect(() => {
+    if (!filtering) return undefined;
+    const timer = setTimeout(loadOlder, 400);
+    return () => clearTimeout(timer);
+  }, [filterKey]);
+
+  // with filters the server is searched page by page, so older notes show up as well
+  async function loadOlder() {
+    if (loadingOlder.current === filterKey) return;
+    const search = filtering && searchCursor.key === filterKey ? searchCursor.cursor : undefined;
+    const oldest = history[history.length - 1];
+    if (filtering ? search === null : !oldest || olderCursor === null) return;
+    loadingOlder.current = filterKey;
+    try {
+      if (filtering) setSearchCursor({ key: filterKey, cursor: await loadOlderHistory(search, filters) });
+      else setOlderCursor(await loadOlderHistory(olderCursor || oldest.date));
+      setHistory(await loadHistory());
+    } catch (err) {
+      if (!(err instanceof SessionExpiredError) && !(err instanceof OfflineError)) console.warn('load older history failed', err);
+    } finally {
+      if (loadingOlder.current === filterKey) loadingOlder.current = null;
+    }
+  }
+
+  // Deletes are only pushed once the undo window has passed
+  async function removeItems(ids, message) {
+    clearTimeout(undoTimer.current);
+    const items = await removeHistoryItems(ids);
+    setHistory(await loadHistory());
+    setSelected([]);
+    setUndo({ items, message });
+    undoTimer.current = setTimeout(() => {
+      setUndo(null);
+      syncHistory();
+    }, UNDO_MS);
+  }
+
+  async function undoRemove() {
+    clearTimeout(undoTimer.current);
+    await restoreHistoryItems(undo.items);
+    setUndo(null);
+    setHistory(await loadHistory());
+    syncHistory();
+  }
+
+  function clearAll() {
+    if (!history.length) return;
+    Alert.alert(t('Alles wissen'), t('Weet je zeker dat je alle {count} notities wilt verwijderen?', { count: history.length }), [
+      { text: t('Annuleren'), style: 'cancel' },
+      { text: t('Wis alles'), style: 'destructive', onPress: () => removeItems(history.map(h => h.id), t('Alle notities verwijderd')) }
+    ]);
+  }
+
+  function removeSelected() {
+    Alert.alert(t('Verwijderen'), t('{count} notitie(s) verwijderen?', { count: selected.length }), [
+      { text: t('Annuleren'), style: 'cancel' },
+      { text: t('Verwijder'), style: 'destructive', onPress: () => removeItems(selected, t('{count} notitie(s) verwijderd', { count: selected.length })) }
+    ]);
+  }
+
+  async function moveTo(target) {
+    const name = target === NO_FOLDER ? null : target;
+    for (const id of moving) await updateHistoryItem(id, { folder: name });
+    setMoving(null);
+    setSelected([]);
+    setHistory(await loadHistory());
+    syncHistory();
+  }
+
+  async function createFolder() {
+    const name = newFolder.trim();
+    if (!name) return;
+    setFolders(await addFolder(name));
+    setNewFolder('');
+    await moveTo(name);
+  }
+
+  async function saveTags() {
+    const tags = editingTags.value.split(',').map(t => t.trim().replace(/^#/, '')).filter(Boolean);
+    await updateHistoryItem(editingTags.id, { tags: [...new Set(tags)] });
+    setEditingTags(null);
+    setHistory(await loadHistory());
+    syncHistory();
+  }
+
+  function toggleSelected(id) {
+    setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+  }
+
+  const allFolders = [...new Set([...folders, ...history.map(h => h.folder).filter(Boolean)])];
+  const sources = [...new Set(history.map(h => h.source).filter(Boolean))];
+  const words = searchWords(query);
+  const visible = filterHistory(history, { query, folder, range, source });
+  const filtered = visible.length !== history.length;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('Geschiedenis')}</Text>
+
+      <View style={[styles.row, { marginTop: 0, alignItems: 'center' }]}>
+        <TextInput value={query} onChangeText={setQuery} placeholder={t('Zoek in notities en samenvattingen')} style={[styles.input, { flex: 1, marginBottom: 0 }]} clearButtonMode="while-editing" />
+        <TouchableOpacity style={{ marginLeft: 8 }} onPress={() => setShowFilters(!showFilters)}>
+          <Text style={styles.linkText}>{showFilters ? t('Minder') : t('Filters')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+        <Chip label={t('Alle mappen')} active={!folder} onPress={() => setFolder(null)} />
+        {allFolders.map(f => <Chip key={f} label={t(f)} active={folder === f} onPress={() => setFolder(folder === f ? null : f)} />)}
+        <Chip label={t('Zonder map')} active={folder === NO_FOLDER} onPress={() => setFolder(folder === NO_FOLDER ? null : NO_FOLDER)} />
+      </ScrollView>
+      {showFilters ? (
+        <>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {DATE_FILTERS.map(([value, label]) => <Chip key={value} label={t(label)} active={range === value} onPress={() => setRange(value)} />)}
+          </ScrollView>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            <Chip label={t('Elke bron')} active={!source} onPress={() => setSource(null)} />
+            {sources.map(src => <Chip key={src} label={src} active={source === src} onPress={() => setSource(source === src ? null : src)} />)}
+          </ScrollView>
+        </>
+      ) : null}
+
+      {undo ? (
+        <View style={[styles.jobBanner, styles.row, { marginTop: 0, marginBottom: 10 }]}>
+          <Text style={styles.jobBannerText}>{undo.message}</Text>
+          <TouchableOpacity onPress={undoRemove}>
+            <Text style={[styles.linkText, { fontWeight: '700' }]}>{t('Ongedaan maken')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : null}
+
+      {moving ? (
+        <View style={styles.summaryBox}>
+          <Text style={{ fontWeight: '600', marginBottom: 6 }}>{t('Verplaats {count} notitie(s) naar', { count: moving.length })}</Text>
+          <View style={styles.chipWrap}>
+            {allFolders.map(f => <Chip key={f} label={t(f)} onPress={() => moveTo(f)} />)}
+            <Chip label={t('Geen map')} onPress={() => moveTo(NO_FOLDER)} />
+          </View>
+          <View style={[styles.row, { alignItems: 'center' }]}>
+            <TextInput value={newFolder} onChangeText={setNewFolder} placeholder={t('Nieuwe map')} style={[styles.input, { flex: 1, marginBottom: 0 }]} onSubmitEditing={createFolder} />
+            <TouchableOpacity style={[styles.smallButton, { marginLeft: 8, marginBottom: 0 }]} onPress={createFolder}>
+              <Text style={styles.smallButtonText}>{t('Maken')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={{ marginLeft: 8 }} onPress={() => setMoving(null)}>
+              <Text style={styles.linkText}>{t('Annuleren')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : null}
+
+      {selected.length ? (
+        <View style={{ marginBottom: 10 }}>
+          <View style={[styles.row, { marginTop: 0, alignItems: 'center' }]}>
+            <Text style={{ flex: 1 }}>{t('{count} geselecteerd', { count: selected.length })}</Text>
+            <TouchableOpacity onPress={() => setSelected(visible.map(h => h.id))}>
+              <Text style={styles.linkText}>{t('Alles')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={{ marginLeft: 12 }} onPress={() => setSelected([])}>
+              <Text style={styles.linkText}>{t('Annuleren')}</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={[styles.row, { justifyContent: 'flex-start' }]}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => setMoving(selected)}>
+              <Text style={styles.secondaryButtonText}>{t('Verplaats')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.secondaryButton, { marginLeft: 8 }]} onPress={() => chooseExport(history.filter(h => selected.includes(h.id)))}>
+              <Text style={styles.secondaryButtonText}>{t('Exporteren')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.secondaryButton, { marginLeft: 8, borderColor: '#f44336' }]} onPress={removeSelected}>
+              <Text style={[styles.secondaryButtonText, { color: '#f44336' }]}>{t('Verwijder')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 10 }}>
+          <TouchableOpacity style={styles.secondaryButton} onPress={clearAll}>
+            <Text style={styles.secondaryButtonText}>{t('Wis alles')}</Text>
+          </TouchableOpacity>
+          <Text style={[styles.historyMeta, { alignSelf: 'center' }]}>
+            {filtered ? t('{count} van {total} notities', { count: visible.length, total: history.length }) : t('Houd een notitie ingedrukt om te selecteren')}
+          </Text>
+        </View>
+      )}
+
+      <FlatList
+        data={visible}
+        keyExtractor={i => i.id}
+        refreshing={refreshing}
+        onRefresh={refresh}
+        onEndReached={loadOlder}
+        onEndReachedThreshold={0.5}
+        ListEmptyComponent={<Text style={{ color: '#666' }}>{filtered ? t('Geen notities gevonden.') : t('Nog geen opgeslagen samenvattingen.')}</Text>}
+        renderItem={({ item }) => {
+          const summaryMatches = words.some(w => item.summary.toLowerCase().includes(w));
+          const snippet = words.length && !summaryMatches ? matchSnippet(item.text, words) : null;
+          return (
+            <View style={[styles.historyCard, selected.includes(item.id) && styles.historyCardSelected]}>
+              <TouchableOpacity
+                style={{ flex: 1 }}
+                activeOpacity={0.7}
+                onLongPress={() => toggleSelected(item.id)}
+                onPress={() => selected.length && toggleSelected(item.id)}
+              >
+                <Text style={styles.historyDate}>{formatDateTime(item.date)}{item.folder ? ` · ${t(item.folder)}` : ''}</Text>
+                <HighlightText text={item.summary} words={words} numberOfLines={3} style={styles.historySummary} />
+                {snippet ? <HighlightText text={snippet} words={words} numberOfLines={3} style={[styles.historyMeta, { marginBottom: 6 }]} /> : null}
+                {item.tags?.length ? <HighlightText text={item.tags.map(t => `#${t}`).join(' ')} words={words} style={styles.historyTags} /> : null}
+                <Text style={styles.historyMeta}>{t('Bron: {source}', { source: item.source })}{item.pages?.length ? ` · ${t("{count} pagina('s)", { count: item.pages.length })}` : ''}</Text>
+                {item.options ? <Text style={styles.historyMeta}>{describeSummaryOptions(item.options)}</Text> : null}
+                <Text style={styles.historyMeta}>{t(SYNC_LABELS[item.syncState || 'local'])}</Text>
+                {editingTags?.id === item.id ? (
+                  <View style={[styles.row, { alignItems: 'center' }]}>
+                    <TextInput
+                      value={editingTags.value}
+                      onChangeText={value => setEditingTags({ id: item.id, value })}
+                      placeholder={t("labels, gescheiden door komma's")}
+                      autoCapitalize="none"
+                      autoFocus
+                      style={[styles.input, { flex: 1, marginBottom: 0 }]}
+                      onSubmitEditing={saveTags}
+                    />
+                    <TouchableOpacity style={{ marginLeft: 8 }} onPress={saveTags}>
+                      <Text style={styles.linkText}>{t('Opslaan')}</Text>
+                    </TouchableOpacity>
+                  </View>
+                ) : null}
+              </TouchableOpacity>
+              <View style={{ marginLeft: 8, justifyContent: 'space-between' }}>
+                <TouchableOpacity style={styles.hAction} onPress={() => { Clipboard.setStringAsync(item.summary); Alert.alert(t('Gekopieerd')); }}>
+                  <Text style={styles.hActionText}>{t('Kopiëren')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.hAction} onPress={() => { Share.share({ message: item.summary }); }}>
+                  <Text style={styles.hActionText}>{t('Delen')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.hAction} onPress={() => chooseExport([item])}>
+                  <Text style={styles.hActionText}>{t('Export')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.hAction} onPress={() => navigation.navigate('Editor', { noteId: item.id })}>
+                  <Text style={styles.hActionText}>{t('Openen')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.hAction} onPress={() => navigation.navigate('Editor', { mode: 'paste', text: item.text, options: item.options })}>
+                  <Text style={styles.hActionText}>{t('Opnieuw')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.hAction} onPress={() => navigation.navigate('Quiz', { noteId: item.id, text: item.text })}>
+                  <Text style={styles.hActionText}>{t('Quiz')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.hAction} onPress={() => shareWithClass(item)}>
+                  <Text style={styles.hActionText}>{t('Klas')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.hAction} onPress={() => setMoving([item.id])}>
+                  <Text style={styles.hActionText}>{t('Map')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.hAction} onPress={() => setEditingTags({ id: item.id, value: (item.tags || []).join(', ') })}>
+                  <Text style={styles.hActionText}>{t('Labels')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.hAction, { borderColor: '#f44336' }]} onPress={() => removeItems([item.id], t('Notitie verwijderd'))}>
+                  <Text style={[styles.hActionText, { color: '#f44336' }]}>{t('Verwijder')}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        }}
+      />
     </View>
   );
 }
 
-function ActionsScreen({ navigation }) {
-  return (
-    <View style={styles.container}>
-      <Text style={styles.sectionTitle}>Kies een actie</Text>
+/* ---------------------------
+   Versions of one note: compare with the current state, restore
+----------------------------*/
+function VersionsScreen({ route }) {
+  const { noteId } = route.params;
+  const [note, setNote] = useState(null);
+  const [versions, setVersions] = useState(null);
+  const [comparing, setComparing] = useState(null); // version.at
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function load() {
+    const item = await findHistoryItem(noteId);
+    setNote(item);
+    if (!item) return setVersions([]);
+    try {
+      setVersions(await loadNoteVersions(item));
+    } catch (err) {
+      if (!(err instanceof SessionExpiredError)) console.warn('load versions failed', err);
+    }
+  }
+
+  function restore(version) {
+    Alert.alert(t('Versie herstellen'), t('De tekst en samenvatting van {date} terugzetten? De huidige versie blijft bewaard.', { date: formatDateTime(version.at) }), [
+      { text: t('Annuleren'), style: 'cancel' },
+      {
+        text: t('Herstellen'),
+        onPress: async () => {
+          const updated = await updateHistoryItem(note.id, { text: version.text, summary: version.summary }, { version_reason: 'restore' });
+          await addLocalVersion(note.id, note, updated, 'restore');
+          syncHistory();
+          setComparing(null);
+          await load();
+        }
+      }
+    ]);
+  }
+
+  if (!versions) {
+    return (
+      <View style={styles.containerCenter}>
+        <ActivityIndicator />
+      </View>
+    );
+  }
+  if (!note) return <View style={styles.container}><Text>{t('Deze notitie staat niet (meer) in Geschiedenis.')}</Text></View>;
+
+  return (
+    <ScrollView style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('Versies')}</Text>
+      {versions.length ? null : <Text style={{ color: '#666' }}>{t('Nog geen eerdere versies. Bewerk de samenvatting of vat opnieuw samen in de Editor.')}</Text>}
+      {versions.map((version, i) => {
+        const current = version.text === note.text && version.summary === note.summary;
+        return (
+          <View key={`${version.at}-${i}`} style={styles.summaryBox}>
+            <Text style={styles.historyDate}>
+              {formatDateTime(version.at)} · {t(VERSION_LABELS[version.reason] || version.reason)}{current ? ` · ${t('huidige versie')}` : ''}
+            </Text>
+            {comparing === version.at ? (
+              <View>
+                <Text style={styles.historyMeta}>{t('Samenvatting: deze versie → huidige')}</Text>
+                {diffLines(version.summary, note.summary).map((d, j) => (
+                  <Text key={j} style={d.type === 'add' ? styles.diffAdd : d.type === 'del' ? styles.diffDel : null}>
+                    {d.type === 'add' ? '+ ' : d.type === 'del' ? '− ' : '  '}{d.line}
+                  </Text>
+                ))}
+                {version.text !== note.text ? <Text style={[styles.historyMeta, { marginTop: 6 }]}>{t('De originele tekst is ook anders.')}</Text> : null}
+              </View>
+            ) : (
+              <Text numberOfLines={4}>{version.summary || t('(geen samenvatting)')}</Text>
+            )}
+            {current ? null : (
+              <View style={[styles.row, { justifyContent: 'flex-start' }]}>
+                <TouchableOpacity style={styles.hAction} onPress={() => setComparing(comparing === version.at ? null : version.at)}>
+                  <Text style={styles.hActionText}>{comparing === version.at ? t('Sluiten') : t('Vergelijk')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.hAction, { marginLeft: 8 }]} onPress={() => restore(version)}>
+                  <Text style={styles.hActionText}>{t('Herstel')}</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+/* ---------------------------
+   Quiz + spaced repetition (SM-2)
+   Decks are stored per note in AsyncStorage; every card keeps its own
+   ease/interval/due date and right/wrong counts.
+----------------------------*/
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function quizDeckId(noteId, text) {
+  if (noteId) return noteId;
+  let h = 0;
+  for (let i = 0; i < text.length; i++) h = (h * 31 + text.charCodeAt(i)) >>> 0;
+  return `text-${h}`;
+}
+
+async function loadQuizDecks() {
+  const raw = await AsyncStorage.getItem(QUIZ_KEY);
+  return raw ? JSON.parse(raw) : {};
+}
 
-      <TouchableOpacity style={styles.actionButton} onPress={() => navigation.navigate('Editor', { mode: 'camera' })}>
-        <Text style={styles.actionButtonText}>Scan tekst (camera)</Text>
-      </TouchableOpacity>
+async function saveQuizDeck(deckId, deck) {
+  const decks = await loadQuizDecks();
+  await AsyncStorage.setItem(QUIZ_KEY, JSON.stringify({ ...decks, [deckId]: deck }));
+}
 
-      <TouchableOpacity style={styles.actionButton} onPress={() => navigation.navigate('Editor', { mode: 'photo' })}>
-        <Text style={styles.actionButtonText}>Kies foto (galerij)</Text>
-      </TouchableOpacity>
+function newQuizCard(card, type) {
+  return { ...card, type, ease: 2.5, interval: 0, reps: 0, due: new Date().toISOString(), right: 0, wrong: 0 };
+}
 
-      <TouchableOpacity style={styles.actionButton} onPress={() => navigation.navigate('Editor', { mode: 'paste' })}>
-        <Text style={styles.actionButtonText}>Plak tekst</Text>
-      </TouchableOpacity>
-    </View>
-  );
+// quality: 0-5 (SM-2). Below 3 counts as wrong and restarts the card.
+function scheduleReview(card, quality) {
+  let { ease, interval, reps } = card;
+  if (quality < 3) {
+    reps = 0;
+    interval = 1;
+  } else {
+    reps += 1;
+    interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(interval * ease);
+  }
+  ease = Math.max(1.3, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  return {
+    ...card,
+    ease,
+    interval,
+    reps,
+    due: new Date(Date.now() + interval * DAY_MS).toISOString(),
+    right: card.right + (quality >= 3 ? 1 : 0),
+    wrong: card.wrong + (quality < 3 ? 1 : 0),
+    lastReviewed: new Date().toISOString()
+  };
 }
 
-function EditorScreen({ route, navigation }) {
-  const { mode } = route.params || {};
-  const [image, setImage] = useState(null);
-  const [text, setText] = useState('');
+function QuizScreen({ route }) {
+  const { noteId, text = '' } = route.params || {};
+  const deckId = quizDeckId(noteId, text);
+  const [deck, setDeck] = useState(null);
+  const [queue, setQueue] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [summary, setSummary] = useState(null);
-  const [source, setSource] = useState(null);
+  const [picked, setPicked] = useState(null);
+  const [revealed, setRevealed] = useState(false);
 
   useEffect(() => {
     (async () => {
-      if (mode === 'camera' || mode === 'photo') {
-        await pickImage(mode === 'camera');
-      } else if (mode === 'paste') {
-        // nothing, user will paste
-      }
+      const decks = await loadQuizDecks();
+      if (decks[deckId]) startSession(decks[deckId]);
+      else await generate();
     })();
   }, []);
 
-  async function pickImage(useCamera = false) {
-    try {
-      if (useCamera) {
-        const camPerm = await ImagePicker.requestCameraPermissionsAsync();
-        if (!camPerm.granted) return Alert.alert('Camera permission', 'Toegang tot camera geweigerd');
-        const result = await ImagePicker.launchCameraAsync({ quality: 0.8 });
-        if (!result.cancelled && result.uri) {
-          setImage(result.uri);
-          setText(''); setSummary(null); setSource(null);
-        }
-      } else {
-        const libPerm = await ImagePicker.requestMediaLibraryPermissionsAsync();
-        if (!libPerm.granted) return Alert.alert('Media permission', 'Toegang tot foto\'s geweigerd');
-        const result = await ImagePicker.launchImageLibraryAsync({ quality: 0.8 });
-        if (!result.cancelled && result.uri) {
-          setImage(result.uri);
-          setText(''); setSummary(null); setSource(null);
-        }
-      }
-    } catch (err) {
-      console.error('pickImage', err);
-      Alert.alert('Fout', 'Kon afbeelding niet openen');
-    }
+  function startSession(nextDeck, all = false) {
+    const now = Date.now();
+    setDeck(nextDeck);
+    setQueue(nextDeck.cards.filter(c => all || new Date(c.due).getTime() <= now).map(c => c.id));
+    setPicked(null);
+    setRevealed(false);
   }
 
-  async function doOCR() {
-    if (!image) return Alert.alert('Geen afbeelding', 'Kies eerst een foto of scan met camera');
+  async function generate() {
+    if (!text.trim()) return Alert.alert(t('Geen tekst'), t('Er is geen tekst om een quiz van te maken.'));
     setLoading(true);
     try {
-      const available = await TextRecognition.isAvailableAsync();
-      if (!available) {
-        Alert.alert('OCR niet beschikbaar', 'OCR is op dit apparaat niet beschikbaar');
-        setLoading(false);
-        return;
-      }
-      const res = await TextRecognition.recognize(image);
-      // res.blocks / res.text? Use joined lines fallback
-      let recognized = '';
-      if (Array.isArray(res) && res.length) {
-        // expo-text-recognition returns array of blocks; join texts
-        recognized = res.map(b => b.text).join('\n');
-      } else if (res.text) {
-        recognized = res.text;
-      } else {
-        // Fallback: try small structure
-        recognized = String(res);
-      }
-      setText(recognized);
-      setSummary(null); setSource(null);
+      const res = await apiFetch('/api/quiz', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+      });
+      const json = await res.json();
+      if (!res.ok || json.error) throw new Error(json.error || `HTTP ${res.status}`);
+      const nextDeck = {
+        createdAt: new Date().toISOString(),
+        source: json.source,
+        cards: [
+          ...(json.questions || []).map(q => newQuizCard(q, 'mc')),
+          ...(json.flashcards || []).map(f => newQuizCard(f, 'flash'))
+        ]
+      };
+      await saveQuizDeck(deckId, nextDeck);
+      startSession(nextDeck);
     } catch (err) {
-      console.error('OCR error', err);
-      Alert.alert('OCR fout', String(err));
+      if (err instanceof SessionExpiredError) return;
+      console.error('quiz error', err);
+      Alert.alert(t('Quiz maken mislukt'), String(err));
     } finally {
       setLoading(false);
     }
   }
 
-  async function doSummarize() {
-    if (!text || !text.trim()) return Alert.alert('Geen tekst', 'Typ of plak eerst tekst of voer OCR uit.');
-    setLoading(true);
+  async function grade(quality) {
+    const card = deck.cards.find(c => c.id === queue[0]);
+    const nextDeck = { ...deck, cards: deck.cards.map(c => (c.id === card.id ? scheduleReview(c, quality) : c)) };
+    setDeck(nextDeck);
+    // wrong cards come back at the end of this session
+    setQueue(quality < 3 ? [...queue.slice(1), card.id] : queue.slice(1));
+    setPicked(null);
+    setRevealed(false);
+    await saveQuizDeck(deckId, nextDeck);
+  }
+
+  if (loading || !deck) {
+    return (
+      <View style={styles.containerCenter}>
+        {loading ? <ActivityIndicator /> : <Text style={{ color: '#666' }}>{t('Quiz laden…')}</Text>}
+      </View>
+    );
+  }
+
+  const card = deck.cards.find(c => c.id === queue[0]);
+  const right = deck.cards.reduce((n, c) => n + c.right, 0);
+  const wrong = deck.cards.reduce((n, c) => n + c.wrong, 0);
+  const nextDue = deck.cards.map(c => c.due).sort()[0];
+
+  return (
+    <ScrollView style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('Quiz')}</Text>
+      <Text style={styles.historyMeta}>
+        {t('Nog {count} van {total} kaarten · {right} goed · {wrong} fout', { count: queue.length, total: deck.cards.length, right, wrong })}
+        {' · '}{t('Bron: {source}', { source: deck.source })}
+      </Text>
+
+      {!card ? (
+        <View style={styles.summaryBox}>
+          <Text style={{ fontWeight: '700' }}>{t('Klaar voor nu!')}</Text>
+          <Text style={{ color: '#666', marginTop: 6 }}>
+            {t('Volgende herhaling: {date}', { date: nextDue ? formatDate(nextDue) : '-' })}
+          </Text>
+          <TouchableOpacity style={[styles.secondaryButton, { marginTop: 12 }]} onPress={() => startSession(deck, true)}>
+            <Text style={styles.secondaryButtonText}>{t('Toch alles oefenen')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : card.type === 'mc' ? (
+        <View style={styles.summaryBox}>
+          <Text style={styles.quizQuestion}>{card.question}</Text>
+          {card.options.map((option, i) => {
+            const answered = picked !== null;
+            const color = answered && i === card.answer_index ? '#16a34a' : answered && i === picked ? '#f44336' : '#d1d5db';
+            return (
+              <TouchableOpacity key={i} style={[styles.quizOption, { borderColor: color }]} onPress={() => setPicked(i)} disabled={answered}>
+                <Text>{option}</Text>
+              </TouchableOpacity>
+            );
+          })}
+          {picked !== null ? (
+            <TouchableOpacity style={[styles.primaryButton, { marginTop: 8, alignItems: 'center' }]} onPress={() => grade(picked === card.answer_index ? 4 : 1)}>
+              <Text style={styles.primaryButtonText}>{picked === card.answer_index ? t('Goed! Volgende') : t('Volgende')}</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      ) : (
+        <View style={styles.summaryBox}>
+          <Text style={styles.quizQuestion}>{card.front}</Text>
+          {revealed ? (
+            <>
+              <Text style={styles.quizAnswer}>{card.back}</Text>
+              <View style={styles.row}>
+                {[['Fout', 1], ['Moeilijk', 3], ['Goed', 4], ['Makkelijk', 5]].map(([label, quality]) => (
+                  <TouchableOpacity key={label} style={styles.hAction} onPress={() => grade(quality)}>
+                    <Text style={styles.hActionText}>{t(label)}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          ) : (
+            <TouchableOpacity style={[styles.secondaryButton, { marginTop: 8 }]} onPress={() => setRevealed(true)}>
+              <Text style={styles.secondaryButtonText}>{t('Toon antwoord')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      <TouchableOpacity style={[styles.smallButton, { marginTop: 16 }]} onPress={generate}>
+        <Text style={styles.smallButtonText}>{t('Nieuwe quiz maken')}</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+/* ---------------------------
+   Usage (GET /api/usage, admins also GET /api/admin/usage)
+   Tokens, OCR pages and cost (USD) per month and per day.
+----------------------------*/
+function formatCost(cost) {
+  return `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`;
+}
+
+function UsageRow({ label, usage }) {
+  return (
+    <View style={styles.usageRow}>
+      <Text style={{ fontWeight: '600' }}>{label}</Text>
+      <Text style={styles.historyMeta}>
+        {usage.ai_calls} AI · {(usage.prompt_tokens + usage.completion_tokens).toLocaleString()} tokens · {t('{count} pag.', { count: usage.ocr_pages })} · {formatCost(usage.cost)}
+      </Text>
+    </View>
+  );
+}
+
+function UsageScreen() {
+  const [usage, setUsage] = useState(null);
+  const [admin, setAdmin] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function load() {
+    setRefreshing(true);
     try {
-      const res = await fetch(`${API_URL}/api/summarize`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text })
-      });
-      const ct = res.headers.get('content-type') || '';
-      const raw = await res.text();
-      if (!ct.includes('application/json')) throw new Error('Server returned non-JSON: ' + raw);
-      const json = JSON.parse(raw);
-      if (json.error) throw new Error(json.error || JSON.stringify(json));
-      setSummary(json.summary || '(geen samenvatting)');
-      setSource(json.source || 'unknown');
-
-      // Save to history
-      const item = {
-        id: Date.now().toString(),
-        date: new Date().toISOString(),
-        text,
-        summary: json.summary || '',
-        source: json.source || 'unknown'
-      };
-      const rawHistory = await AsyncStorage.getItem(HISTORY_KEY);
-      const history = rawHistory ? JSON.parse(rawHistory) : [];
-      await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify([item, ...history].slice(0, 200)));
-      Alert.alert('Opgeslagen', 'Samenvatting is opgeslagen in Geschiedenis');
+      const res = await apiFetch('/api/usage?days=30');
+      const json = await res.json().catch(() => null);
+      if (!res.ok || !json) throw new Error(json?.error || `HTTP ${res.status}`);
+      setUsage(json);
+      // 403 for everyone but admins
+      const adminRes = await apiFetch('/api/admin/usage?days=30');
+      setAdmin(adminRes.ok ? await adminRes.json() : null);
     } catch (err) {
-      console.error('summarize error', err);
-      Alert.alert('Samenvatting mislukt', String(err));
+      if (err instanceof SessionExpiredError) return;
+      Alert.alert(t('Verbruik laden mislukt'), String(err.message || err));
     } finally {
-      setLoading(false);
+      setRefreshing(false);
     }
   }
 
-  async function doShare() {
-    if (!summary && !text) return Alert.alert('Niets om te delen');
-    const toShare = summary || text;
+  if (!usage) {
+    return (
+      <View style={styles.containerCenter}>
+        <ActivityIndicator />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('Verbruik')}</Text>
+
+      <Text style={{ fontWeight: '700', marginTop: 4 }}>{t('Per maand')}</Text>
+      {usage.months.length ? usage.months.map(m => <UsageRow key={m.month} label={m.month} usage={m} />) : (
+        <Text style={{ color: '#666' }}>{t('Nog geen verbruik.')}</Text>
+      )}
+
+      <Text style={{ fontWeight: '700', marginTop: 12 }}>{t('Afgelopen 30 dagen')}</Text>
+      {usage.days.map(d => <UsageRow key={d.day} label={formatDate(d.day)} usage={d} />)}
+
+      {admin ? (
+        <>
+          <Text style={{ fontWeight: '700', marginTop: 12 }}>{t('Alle gebruikers (30 dagen)')}</Text>
+          <UsageRow label={t('Totaal')} usage={admin.total} />
+          {admin.users.map(u => <UsageRow key={u.user_id} label={u.user_id.slice(0, 8)} usage={u} />)}
+        </>
+      ) : null}
+
+      <TouchableOpacity style={[styles.smallButton, { marginTop: 16 }]} onPress={load} disabled={refreshing}>
+        {refreshing ? <ActivityIndicator color="#fff" /> : <Text style={styles.smallButtonText}>{t('Vernieuwen')}</Text>}
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+/* ---------------------------
+   Settings: account data (/api/me)
+   Download everything the backend stores as a JSON file, or delete the account
+   together with the history, quizzes and page photos on this device.
+----------------------------*/
+async function downloadAccountData() {
+  const res = await apiFetch('/api/me/export');
+  if (!res.ok) {
+    const json = await res.json().catch(() => null);
+    throw new Error(json?.error || `HTTP ${res.status}`);
+  }
+  const content = await res.text();
+  const fileName = `instanotes-gegevens-${new Date().toISOString().slice(0, 10)}.json`;
+  if (!(await Sharing.isAvailableAsync())) return Share.share({ message: content });
+  const target = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(target, content);
+  return Sharing.shareAsync(target, { mimeType: 'application/json', dialogTitle: t('Mijn gegevens') });
+}
+
+async function wipeLocalData() {
+  await AsyncStorage.multiRemove(LOCAL_DATA_KEYS);
+  if (Platform.OS !== 'web') {
+    await FileSystem.deleteAsync(`${FileSystem.documentDirectory}pages/`, { idempotent: true }).catch(() => {});
+  }
+}
+
+// locale: language picked by the user, null = device language
+function SettingsScreen({ locale, onLocaleChange }) {
+  const [email, setEmail] = useState(null);
+  const [busy, setBusy] = useState(null); // 'export' | 'delete'
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setEmail(data.session?.user?.email || null));
+  }, []);
+
+  async function run(kind, action, failTitle) {
+    setBusy(kind);
     try {
-      await Share.share({ message: toShare });
-    } catch (e) {
-      Alert.alert('Delen mislukt', String(e));
+      await action();
+    } catch (err) {
+      if (err instanceof SessionExpiredError) return;
+      if (err instanceof RateLimitedError) return Alert.alert(t('Even wachten'), t('Probeer het over {seconds} seconden opnieuw.', { seconds: err.retryAfter }));
+      Alert.alert(failTitle, String(err.message || err));
+    } finally {
+      setBusy(null);
     }
   }
 
-  async function doCopy() {
-    const toCopy = summary || text;
-    if (!toCopy) return;
-    await Clipboard.setStringAsync(toCopy);
-    Alert.alert('Gekopieerd', 'Tekst gekopieerd naar klembord');
+  function confirmDelete() {
+    Alert.alert(
+      t('Account verwijderen'),
+      t('Je account, al je samenvattingen, versies, klassen en verbruik worden definitief verwijderd, ook op dit apparaat. Dit kan niet ongedaan worden gemaakt.'),
+      [
+        { text: t('Annuleren'), style: 'cancel' },
+        {
+          text: t('Verwijderen'),
+          style: 'destructive',
+          onPress: () => run('delete', async () => {
+            await apiJSON('/api/me', { method: 'DELETE' });
+            await wipeLocalData();
+            // the account is gone on the server, so only the local session can be cleared
+            await supabase.auth.signOut({ scope: 'local' });
+          }, t('Verwijderen mislukt'))
+        }
+      ]
+    );
   }
 
   return (
     <ScrollView style={styles.container}>
-      <Text style={styles.sectionTitle}>Editor</Text>
+      <Text style={styles.sectionTitle}>{t('Instellingen')}</Text>
+      {email ? <Text style={{ color: '#666', marginBottom: 12 }}>{t('Ingelogd als {email}', { email })}</Text> : null}
+
+      <Text style={{ fontWeight: '700', marginTop: 12, marginBottom: 6 }}>{t('Taal')}</Text>
+      <View style={styles.chipWrap}>
+        <Chip label={t('Automatisch')} active={!locale} onPress={() => onLocaleChange(null)} />
+        {Object.entries(LOCALES).map(([code, name]) => (
+          <Chip key={code} label={name} active={locale === code} onPress={() => onLocaleChange(code)} />
+        ))}
+      </View>
 
-      {image ? <Image source={{ uri: image }} style={styles.previewImage} /> : null}
+      <Text style={{ fontWeight: '700', marginTop: 12, marginBottom: 6 }}>{t('Mijn gegevens')}</Text>
+      <Text style={{ color: '#666', marginBottom: 8 }}>
+        {t('Download alles wat InstaNotes van je bewaart: samenvattingen, versies, klassen en verbruik.')}
+      </Text>
+      <TouchableOpacity
+        style={styles.smallButton}
+        disabled={!!busy}
+        onPress={() => run('export', downloadAccountData, t('Downloaden mislukt'))}
+      >
+        {busy === 'export' ? <ActivityIndicator /> : <Text style={styles.smallButtonText}>{t('Gegevens downloaden')}</Text>}
+      </TouchableOpacity>
 
-      <TouchableOpacity style={styles.smallButton} onPress={() => pickImage(false)}>
-        <Text style={styles.smallButtonText}>Nieuwe foto kiezen</Text>
+      <Text style={{ fontWeight: '700', marginTop: 24, marginBottom: 6 }}>{t('Account verwijderen')}</Text>
+      <Text style={{ color: '#666', marginBottom: 8 }}>
+        {t('Verwijdert je account en al je gegevens op de server en op dit apparaat. Klassen waarvan je docent bent worden ook verwijderd.')}
+      </Text>
+      <TouchableOpacity style={[styles.smallButton, { borderColor: '#f44336' }]} disabled={!!busy} onPress={confirmDelete}>
+        {busy === 'delete' ? <ActivityIndicator /> : <Text style={[styles.smallButtonText, { color: '#f44336' }]}>{t('Account verwijderen')}</Text>}
       </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+/* ---------------------------
+   Classes: list/join/create, and one class screen that differs per role
+   (teacher: code, welcome text, privacy settings, students, assignment progress, usage;
+   student: welcome text, shared notes and assignments)
+----------------------------*/
+const PII_KIND_LABELS = {
+  name: 'namen',
+  email: 'e-mailadressen',
+  phone: 'telefoonnummers',
+  address: 'adressen',
+  postcode: 'postcodes',
+  bsn: 'BSN',
+  iban: 'IBAN'
+};
 
+// redactions: [{ kind, placeholder, restored }] from the backend (values are never sent back)
+function redactionNotice(redactions) {
+  const kinds = [...new Set(redactions.map(r => t(PII_KIND_LABELS[r.kind] || r.kind)))].join(', ');
+  const hidden = redactions.filter(r => !r.restored).map(r => r.placeholder);
+  const notice = redactions.length === 1
+    ? t('Privacy: 1 persoonsgegeven ({kinds}) afgeschermd voordat de tekst naar de AI ging.', { kinds })
+    : t('Privacy: {count} persoonsgegevens ({kinds}) afgeschermd voordat de tekst naar de AI ging.', { count: redactions.length, kinds });
+  return notice + (hidden.length ? ` ${t('Blijft verborgen: {placeholders}.', { placeholders: hidden.join(', ') })}` : '');
+}
+
+// Teacher's privacy settings for the class; the backend combines them with the other classes of each student
+function PrivacySettings({ value, onSave }) {
+  const [config, setConfig] = useState(value);
+  const toggle = (key, kind) => {
+    const list = config[key].includes(kind) ? config[key].filter(k => k !== kind) : [...config[key], kind];
+    setConfig({ ...config, [key]: list });
+  };
+  return (
+    <View style={styles.summaryBox}>
+      <Text style={styles.historyMeta}>{t('Afschermen voordat tekst naar de AI gaat')}</Text>
+      <View style={styles.chipWrap}>
+        {Object.keys(PII_KIND_LABELS).map(kind => (
+          <Chip key={kind} label={t(PII_KIND_LABELS[kind])} active={config.kinds.includes(kind)} onPress={() => toggle('kinds', kind)} />
+        ))}
+      </View>
+      <Text style={[styles.historyMeta, { marginTop: 6 }]}>{t('Terugzetten in de samenvatting en de opgeslagen notitie')}</Text>
+      <View style={styles.chipWrap}>
+        {Object.keys(PII_KIND_LABELS).filter(kind => config.kinds.includes(kind)).map(kind => (
+          <Chip key={kind} label={t(PII_KIND_LABELS[kind])} active={config.restore.includes(kind)} onPress={() => toggle('restore', kind)} />
+        ))}
+      </View>
+      <View style={[styles.chipWrap, { marginTop: 6 }]}>
+        <Chip label={t('Namen van klasgenoten afschermen')} active={config.member_names} onPress={() => setConfig({ ...config, member_names: !config.member_names })} />
+        <Chip label={t("Foto's niet naar Google Vision")} active={!config.external_ocr} onPress={() => setConfig({ ...config, external_ocr: !config.external_ocr })} />
+      </View>
       <TextInput
-        value={text}
-        onChangeText={setText}
-        multiline
-        placeholder="De tekst verschijnt hier (of plak)"
-        style={styles.textArea}
-        textAlignVertical="top"
+        value={config.names.join(', ')}
+        onChangeText={value => setConfig({ ...config, names: value.split(',').map(n => n.trimStart()) })}
+        placeholder={t("Extra namen om af te schermen (komma's ertussen)")}
+        style={[styles.input, { marginTop: 6 }]}
       />
+      <TouchableOpacity style={styles.smallButton} onPress={() => onSave({ ...config, names: config.names.map(n => n.trim()).filter(Boolean) })}>
+        <Text style={styles.smallButtonText}>{t('Privacy opslaan')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
 
-      <View style={styles.row}>
-        <TouchableOpacity style={styles.actionBtn} onPress={doOCR} disabled={loading || !image}>
-          {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.actionBtnText}>OCR uitvoeren</Text>}
-        </TouchableOpacity>
+function ClassesScreen({ navigation }) {
+  const [classes, setClasses] = useState([]);
+  const [code, setCode] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [newName, setNewName] = useState('');
+  const [busy, setBusy] = useState(false);
 
-        <TouchableOpacity style={styles.actionBtn} onPress={doSummarize} disabled={loading}>
-          {loading ? <ActivityIndicator color="#fff" /> : <Text style={styles.actionBtnText}>Samenvatten</Text>}
-        </TouchableOpacity>
-      </View>
+  useEffect(() => {
+    const unsub = navigation.addListener('focus', load);
+    loadCachedClasses().then(setClasses);
+    load();
+    return unsub;
+  }, []);
 
-      <View style={styles.row}>
-        <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()}>
-          <Text style={styles.secondaryButtonText}>Terug</Text>
-        </TouchableOpacity>
-        <TouchableOpacity style={styles.secondaryButton} onPress={doShare}>
-          <Text style={styles.secondaryButtonText}>Delen</Text>
-        </TouchableOpacity>
-        <TouchableOpacity style={styles.secondaryButton} onPress={doCopy}>
-          <Text style={styles.secondaryButtonText}>Kopiëren</Text>
+  async function load() {
+    try {
+      setClasses(await refreshClasses());
+    } catch (err) {
+      if (!(err instanceof SessionExpiredError)) console.warn('load classes failed', err);
+    }
+  }
+
+  async function run(action, failTitle) {
+    setBusy(true);
+    try {
+      const { item } = await action();
+      await load();
+      navigation.navigate('Class', { classId: item.id, name: item.name });
+    } catch (err) {
+      if (!(err instanceof SessionExpiredError)) Alert.alert(failTitle, String(err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('Mijn klassen')}</Text>
+      {classes.length ? classes.map(c => (
+        <TouchableOpacity key={c.id} style={styles.actionButton} onPress={() => navigation.navigate('Class', { classId: c.id, name: c.name })}>
+          <Text style={styles.actionButtonText}>{c.name}</Text>
+          <Text style={styles.historyMeta}>{c.role === 'teacher' ? t('Docent · code {code}', { code: c.join_code }) : t('Leerling')}</Text>
         </TouchableOpacity>
-      </View>
+      )) : <Text style={{ color: '#666', marginBottom: 12 }}>{t('Je zit nog niet in een klas.')}</Text>}
 
-      <View style={{ marginTop: 12 }}>
-        <Text style={{ fontWeight: '700' }}>Samenvatting</Text>
-        <View style={styles.summaryBox}>
-          <Text>{summary ?? '(nog geen samenvatting)'}</Text>
-          <Text style={{ color: '#666', marginTop: 8 }}>Bron: {source ?? '-'}</Text>
-        </View>
-      </View>
+      <Text style={{ fontWeight: '700', marginTop: 12, marginBottom: 6 }}>{t('Word lid met een klascode')}</Text>
+      <TextInput value={code} onChangeText={setCode} placeholder={t('Klascode (bijv. K7M2QP)')} autoCapitalize="characters" style={styles.input} />
+      <TextInput value={displayName} onChangeText={setDisplayName} placeholder={t('Je naam in de klas')} style={styles.input} />
+      <TouchableOpacity
+        style={styles.smallButton}
+        disabled={busy || !code.trim()}
+        onPress={() => run(() => apiJSON('/api/classes/join', { method: 'POST', body: { code, display_name: displayName } }), t('Lid worden mislukt'))}
+      >
+        <Text style={styles.smallButtonText}>{t('Lid worden')}</Text>
+      </TouchableOpacity>
+
+      <Text style={{ fontWeight: '700', marginTop: 20, marginBottom: 6 }}>{t('Klas maken (docent)')}</Text>
+      <TextInput value={newName} onChangeText={setNewName} placeholder={t('Naam van de klas')} style={styles.input} />
+      <TouchableOpacity
+        style={styles.smallButton}
+        disabled={busy || !newName.trim()}
+        onPress={() => run(() => apiJSON('/api/classes', { method: 'POST', body: { name: newName } }), t('Klas maken mislukt'))}
+      >
+        <Text style={styles.smallButtonText}>{t('Klas maken')}</Text>
+      </TouchableOpacity>
     </ScrollView>
   );
 }
 
-function HistoryScreen({ navigation }) {
-  const [history, setHistory] = useState([]);
+function ClassScreen({ route, navigation }) {
+  const { classId } = route.params;
+  const [data, setData] = useState(null);
+  const [welcome, setWelcome] = useState('');
+  const [progress, setProgress] = useState({}); // shareId -> { items, done, total }
+  const [usage, setUsage] = useState(null);
 
   useEffect(() => {
-    const unsub = navigation.addListener('focus', load);
     load();
-    return unsub;
   }, []);
 
   async function load() {
-    const raw = await AsyncStorage.getItem(HISTORY_KEY);
-    setHistory(raw ? JSON.parse(raw) : []);
+    try {
+      const json = await apiJSON(`/api/classes/${classId}`);
+      setData(json);
+      setWelcome(json.item.welcome_text || '');
+      if (json.item.role === 'teacher') setUsage(await apiJSON(`/api/classes/${classId}/usage?days=30`).catch(() => null));
+    } catch (err) {
+      if (err instanceof SessionExpiredError) return;
+      Alert.alert(t('Klas laden mislukt'), String(err.message || err));
+    }
+  }
+
+  async function act(action, failTitle) {
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      if (!(err instanceof SessionExpiredError)) Alert.alert(failTitle, String(err.message || err));
+    }
   }
 
-  async function removeItem(id) {
-    const next = history.filter(h => h.id !== id);
-    setHistory(next);
-    await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify(next));
+  async function toggleProgress(shareId) {
+    if (progress[shareId]) return setProgress({ ...progress, [shareId]: null });
+    try {
+      const json = await apiJSON(`/api/classes/${classId}/shares/${shareId}/progress`);
+      setProgress({ ...progress, [shareId]: json });
+    } catch (err) {
+      if (!(err instanceof SessionExpiredError)) Alert.alert(t('Voortgang laden mislukt'), String(err.message || err));
+    }
   }
 
-  async function clearAll() {
-    await AsyncStorage.removeItem(HISTORY_KEY);
-    setHistory([]);
+  function leave() {
+    Alert.alert(t('Klas verlaten'), t('Wil je {name} verlaten?', { name: data.item.name }), [
+      { text: t('Annuleren'), style: 'cancel' },
+      {
+        text: t('Verlaten'),
+        style: 'destructive',
+        onPress: () => act(async () => {
+          const { data: auth } = await supabase.auth.getSession();
+          await apiJSON(`/api/classes/${classId}/members/${auth.session.user.id}`, { method: 'DELETE' });
+          await refreshClasses();
+          navigation.goBack();
+        }, t('Verlaten mislukt'))
+      }
+    ]);
   }
 
-  function useItem(item) {
-    navigation.navigate('Editor', { mode: 'paste' });
-    setTimeout(() => {
-      // put item into editor by saving to clipboard or AsyncStorage temp
-      Clipboard.setStringAsync(item.text);
-      Alert.alert('Gereed', 'Tekst naar klembord gekopieerd. Plak in editor.');
-    }, 250);
+  if (!data) {
+    return (
+      <View style={styles.containerCenter}>
+        <ActivityIndicator />
+      </View>
+    );
   }
 
+  const teacher = data.item.role === 'teacher';
   return (
-    <View style={styles.container}>
-      <Text style={styles.sectionTitle}>Geschiedenis</Text>
+    <ScrollView style={styles.container}>
+      <Text style={styles.sectionTitle}>{data.item.name}</Text>
 
-      <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 10 }}>
-        <TouchableOpacity style={styles.secondaryButton} onPress={clearAll}>
-          <Text style={styles.secondaryButtonText}>Wis alles</Text>
-        </TouchableOpacity>
-      </View>
+      {teacher ? (
+        <>
+          <View style={styles.summaryBox}>
+            <Text>{t('Klascode:')} <Text style={{ fontWeight: '700' }}>{data.item.join_code}</Text></Text>
+            <TouchableOpacity onPress={() => act(() => apiJSON(`/api/classes/${classId}/code`, { method: 'POST' }), t('Nieuwe code mislukt'))}>
+              <Text style={[styles.linkText, { marginTop: 6 }]}>{t('Nieuwe code maken')}</Text>
+            </TouchableOpacity>
+          </View>
 
-      <FlatList
-        data={history}
-        keyExtractor={i => i.id}
-        ListEmptyComponent={<Text style={{ color: '#666' }}>Nog geen opgeslagen samenvattingen.</Text>}
-        renderItem={({ item }) => (
-          <View style={styles.historyCard}>
-            <View style={{ flex: 1 }}>
-              <Text style={styles.historyDate}>{new Date(item.date).toLocaleString()}</Text>
-              <Text numberOfLines={3} style={styles.historySummary}>{item.summary}</Text>
-              <Text style={styles.historyMeta}>Bron: {item.source}</Text>
-            </View>
-            <View style={{ marginLeft: 8, justifyContent: 'space-between' }}>
-              <TouchableOpacity style={styles.hAction} onPress={() => { Clipboard.setStringAsync(item.summary); Alert.alert('Gekopieerd'); }}>
-                <Text style={styles.hActionText}>Kopiëren</Text>
-              </TouchableOpacity>
-              <TouchableOpacity style={styles.hAction} onPress={() => { Share.share({ message: item.summary }); }}>
-                <Text style={styles.hActionText}>Delen</Text>
+          <Text style={{ fontWeight: '700', marginTop: 12, marginBottom: 6 }}>{t('Welkomsttekst')}</Text>
+          <TextInput value={welcome} onChangeText={setWelcome} multiline placeholder={t('Tekst op het beginscherm van je leerlingen')} style={[styles.input, { minHeight: 80 }]} textAlignVertical="top" />
+          <TouchableOpacity
+            style={styles.smallButton}
+            onPress={() => act(async () => {
+              await apiJSON(`/api/classes/${classId}`, { method: 'PATCH', body: { welcome_text: welcome } });
+              await refreshClasses();
+            }, t('Opslaan mislukt'))}
+          >
+            <Text style={styles.smallButtonText}>{t('Opslaan')}</Text>
+          </TouchableOpacity>
+
+          <Text style={{ fontWeight: '700', marginTop: 12, marginBottom: 6 }}>{t('Privacy')}</Text>
+          <PrivacySettings
+            key={JSON.stringify(data.item.redaction)}
+            value={data.item.redaction}
+            onSave={(redaction) => act(() => apiJSON(`/api/classes/${classId}`, { method: 'PATCH', body: { redaction } }), t('Opslaan mislukt'))}
+          />
+
+          <Text style={{ fontWeight: '700', marginTop: 12 }}>{t('Leerlingen ({count})', { count: data.members.length })}</Text>
+          {data.members.map(m => (
+            <View key={m.user_id} style={[styles.usageRow, { flexDirection: 'row', justifyContent: 'space-between' }]}>
+              <Text>{m.display_name || m.user_id.slice(0, 8)}</Text>
+              <TouchableOpacity onPress={() => act(() => apiJSON(`/api/classes/${classId}/members/${m.user_id}`, { method: 'DELETE' }), t('Verwijderen mislukt'))}>
+                <Text style={{ color: '#f44336' }}>{t('Verwijder')}</Text>
               </TouchableOpacity>
-              <TouchableOpacity style={styles.hAction} onPress={() => useItem(item)}>
-                <Text style={styles.hActionText}>Gebruik</Text>
+            </View>
+          ))}
+        </>
+      ) : (
+        data.item.welcome_text ? <Text style={styles.welcomeText}>{data.item.welcome_text}</Text> : null
+      )}
+
+      <Text style={{ fontWeight: '700', marginTop: 12 }}>{t('Gedeeld met de klas')}</Text>
+      {data.shares.length ? data.shares.map(share => (
+        <View key={share.id} style={styles.summaryBox}>
+          <Text style={{ fontWeight: '600' }}>{share.assignment ? '📝 ' : ''}{share.title}</Text>
+          {share.summary ? <Text numberOfLines={4} style={{ marginTop: 4 }}>{share.summary}</Text> : null}
+          <Text style={styles.historyMeta}>{formatDate(share.created_at)}{share.assignment ? ` · ${t('opdracht')}` : ''}</Text>
+          <View style={[styles.row, { marginTop: 6 }]}>
+            <TouchableOpacity style={styles.hAction} onPress={() => navigation.navigate('Editor', { mode: 'paste', text: share.text })}>
+              <Text style={styles.hActionText}>{share.assignment && !teacher ? t('Samenvatten') : t('Openen')}</Text>
+            </TouchableOpacity>
+            {teacher && share.assignment ? (
+              <TouchableOpacity style={styles.hAction} onPress={() => toggleProgress(share.id)}>
+                <Text style={styles.hActionText}>{t('Voortgang')}</Text>
               </TouchableOpacity>
-              <TouchableOpacity style={[styles.hAction, { borderColor: '#f44336' }]} onPress={() => removeItem(item.id)}>
-                <Text style={[styles.hActionText, { color: '#f44336' }]}>Verwijder</Text>
+            ) : null}
+            {teacher ? (
+              <TouchableOpacity style={[styles.hAction, { borderColor: '#f44336' }]} onPress={() => act(() => apiJSON(`/api/classes/${classId}/shares/${share.id}`, { method: 'DELETE' }), t('Verwijderen mislukt'))}>
+                <Text style={[styles.hActionText, { color: '#f44336' }]}>{t('Verwijder')}</Text>
               </TouchableOpacity>
-            </View>
+            ) : null}
           </View>
-        )}
-      />
-    </View>
+          {progress[share.id] ? (
+            <View style={{ marginTop: 6 }}>
+              <Text style={styles.historyMeta}>{t('{done} van {total} leerlingen hebben samengevat', progress[share.id])}</Text>
+              {progress[share.id].items.map(p => (
+                <Text key={p.user_id}>{p.summarized ? '✓' : '✗'} {p.display_name || p.user_id.slice(0, 8)}</Text>
+              ))}
+            </View>
+          ) : null}
+        </View>
+      )) : <Text style={{ color: '#666' }}>{t('Nog niets gedeeld. Deel een samenvatting via Geschiedenis → Klas.')}</Text>}
+
+      {teacher && usage ? (
+        <>
+          <Text style={{ fontWeight: '700', marginTop: 12 }}>{t('Verbruik van de klas (30 dagen)')}</Text>
+          <UsageRow label={t('Totaal')} usage={usage.total} />
+          {usage.users.map(u => <UsageRow key={u.user_id} label={u.display_name || u.user_id.slice(0, 8)} usage={u} />)}
+        </>
+      ) : null}
+
+      {!teacher ? (
+        <TouchableOpacity style={{ marginTop: 20, marginBottom: 30 }} onPress={leave}>
+          <Text style={[styles.linkText, { color: '#f44336' }]}>{t('Klas verlaten')}</Text>
+        </TouchableOpacity>
+      ) : null}
+    </ScrollView>
   );
 }
 
 const Stack = createNativeStackNavigator();
 
 export default function App() {
+  const [session, setSession] = useState(null);
+  const [authReady, setAuthReady] = useState(false);
+  const [localeChoice, setLocaleChoice] = useState(undefined); // undefined = not loaded yet, null = device language
+  const [locale, setActiveLocale] = useState(null);
+  const url = Linking.useURL();
+
+  useEffect(() => {
+    AsyncStorage.getItem(LOCALE_KEY).then(stored => applyLocale(stored && LOCALES[stored] ? stored : null));
+  }, []);
+
+  // React Native only switches the layout direction (Arabic is right-to-left) after a reload
+  async function applyLocale(choice) {
+    const next = choice || deviceLocale();
+    setLocale(next);
+    setLocaleChoice(choice);
+    setActiveLocale(next);
+    if (I18nManager.isRTL === isRTL(next)) return;
+    I18nManager.allowRTL(isRTL(next));
+    I18nManager.forceRTL(isRTL(next));
+    if (Platform.OS === 'web') return;
+    await Updates.reloadAsync().catch(() => {
+      Alert.alert(t('Taal gewijzigd'), t('Start de app opnieuw om de leesrichting aan te passen.'));
+    });
+  }
+
+  async function changeLocale(choice) {
+    if (choice) await AsyncStorage.setItem(LOCALE_KEY, choice);
+    else await AsyncStorage.removeItem(LOCALE_KEY);
+    await applyLocale(choice);
+  }
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setAuthReady(true);
+    });
+    const { data: sub } = supabase.auth.onAuthStateChange((_event, next) => setSession(next));
+    return () => sub.subscription.unsubscribe();
+  }, []);
+
+  // back online: work off the offline summaries and the pending edits
+  useEffect(() => {
+    if (!session) return undefined;
+    return NetInfo.addEventListener((state) => {
+      if (state.isConnected && state.isInternetReachable !== false) syncHistory();
+    });
+  }, [session]);
+
+  useEffect(() => {
+    if (!url) return;
+    createSessionFromUrl(url).catch(err => Alert.alert(t('Inloggen mislukt'), err.message || String(err)));
+  }, [url]);
+
+  if (!authReady || localeChoice === undefined) {
+    return (
+      <View style={styles.containerCenter}>
+        <ActivityIndicator />
+      </View>
+    );
+  }
+
   return (
-    <NavigationContainer>
-      <Stack.Navigator initialRouteName="Home">
-        <Stack.Screen name="Home" component={HomeScreen} options={{ title: 'InstaNotes' }} />
-        <Stack.Screen name="Actions" component={ActionsScreen} options={{ title: 'Acties' }} />
-        <Stack.Screen name="Editor" component={EditorScreen} options={{ title: 'Editor' }} />
-        <Stack.Screen name="History" component={HistoryScreen} options={{ title: 'Geschiedenis' }} />
+    // key: a new language remounts the screens so every text is translated again
+    <NavigationContainer key={locale}>
+      <Stack.Navigator initialRouteName={session ? 'Home' : 'Login'}>
+        {session ? (
+          <>
+            <Stack.Screen name="Home" component={HomeScreen} options={{ title: 'InstaNotes' }} />
+            <Stack.Screen name="Actions" component={ActionsScreen} options={{ title: t('Acties') }} />
+            <Stack.Screen name="Editor" component={EditorScreen} options={{ title: t('Editor') }} />
+            <Stack.Screen name="History" component={HistoryScreen} options={{ title: t('Geschiedenis') }} />
+            <Stack.Screen name="Quiz" component={QuizScreen} options={{ title: t('Quiz') }} />
+            <Stack.Screen name="Usage" component={UsageScreen} options={{ title: t('Verbruik') }} />
+            <Stack.Screen name="Versions" component={VersionsScreen} options={{ title: t('Versies') }} />
+            <Stack.Screen name="Classes" component={ClassesScreen} options={{ title: t('Mijn klas') }} />
+            <Stack.Screen name="Class" component={ClassScreen} options={({ route }) => ({ title: route.params?.name || t('Klas') })} />
+            <Stack.Screen name="Settings" options={{ title: t('Instellingen') }}>
+              {props => <SettingsScreen {...props} locale={localeChoice} onLocaleChange={changeLocale} />}
+            </Stack.Screen>
+          </>
+        ) : (
+          <Stack.Screen name="Login" component={LoginScreen} options={{ title: t('Inloggen') }} />
+        )}
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -326,6 +3113,11 @@ const styles = StyleSheet.create({
   containerCenter: { flex: 1, padding: 20, alignItems: 'center', justifyContent: 'center', backgroundColor: '#f6fbff' },
   welcomeTitle: { fontSize: 22, fontWeight: '700', color: '#1e3a8a', marginBottom: 8, textAlign: 'center' },
   welcomeText: { fontSize: 16, color: '#111', textAlign: 'center' },
+  noticeText: { fontSize: 14, color: '#1e3a8a', textAlign: 'center', marginBottom: 12 },
+  linkText: { color: '#1e3a8a', textDecorationLine: 'underline' },
+
+  input: { width: '100%', backgroundColor: '#fff', borderRadius: 10, padding: 12, borderWidth: 1, borderColor: '#d1d5db', fontSize: 15, marginBottom: 10 },
+  fullWidth: { width: '100%', alignItems: 'center' },
 
   sectionTitle: { fontSize: 18, fontWeight: '700', marginBottom: 12 },
 
@@ -339,9 +3131,23 @@ const styles = StyleSheet.create({
   secondaryButtonText: { color: '#333' },
 
   previewImage: { width: '100%', height: 220, borderRadius: 8, marginBottom: 8 },
+  pageThumb: { width: 84, padding: 4, marginRight: 8, borderRadius: 8, borderWidth: 1, borderColor: '#e6f0ff', backgroundColor: '#fff' },
+  pageThumbActive: { borderColor: '#1e3a8a', borderWidth: 2 },
+  pageThumbImage: { width: 74, height: 96, borderRadius: 4, marginBottom: 4 },
+  pageThumbAction: { fontSize: 16, paddingHorizontal: 4, color: '#333' },
   smallButton: { backgroundColor: '#fff', padding: 8, borderRadius: 8, borderWidth: 1, borderColor: '#e6f0ff', marginBottom: 8, alignSelf: 'flex-start' },
   smallButtonText: { color: '#333' },
 
+  optionRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 6 },
+  optionLabel: { width: 56, color: '#333' },
+  optionChip: { paddingVertical: 4, paddingHorizontal: 10, borderRadius: 14, borderWidth: 1, borderColor: '#d1d5db', backgroundColor: '#fff', marginRight: 6, marginBottom: 4 },
+  optionChipActive: { backgroundColor: '#1e3a8a', borderColor: '#1e3a8a' },
+  optionChipText: { color: '#333', fontSize: 13 },
+  optionChipTextActive: { color: '#fff', fontSize: 13 },
+
+  checkRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  checkBox: { fontSize: 18, marginRight: 6, color: '#1e3a8a' },
+
   textArea: { minHeight: 140, backgroundColor: '#fff', borderRadius: 10, padding: 12, borderWidth: 1, borderColor: '#e6f7ff', fontSize: 15 },
 
   row: { flexDirection: 'row', justifyContent: 'space-between', marginTop: 10 },
@@ -349,12 +3155,32 @@ const styles = StyleSheet.create({
   actionBtnText: { color: '#fff', fontWeight: '600' },
 
   summaryBox: { backgroundColor: '#fff', padding: 12, borderRadius: 8, borderWidth: 1, borderColor: '#eefaff', marginTop: 8 },
+  progressTrack: { height: 6, backgroundColor: '#e5e7eb', borderRadius: 3, marginVertical: 8, overflow: 'hidden' },
+  progressBar: { height: 6, backgroundColor: '#1e3a8a' },
+  jobBanner: { backgroundColor: '#e6f0ff', padding: 12, borderRadius: 10, marginBottom: 16, width: '100%' },
+  jobBannerText: { color: '#1e3a8a', textAlign: 'center' },
 
   historyCard: { backgroundColor: '#fff', padding: 12, borderRadius: 10, marginBottom: 10, borderWidth: 1, borderColor: '#eef6ff', flexDirection: 'row' },
+  historyCardSelected: { borderColor: '#4caf50', borderWidth: 2 },
+  historyTags: { color: '#1e88e5', fontSize: 12, marginBottom: 4 },
+  highlight: { backgroundColor: '#fff3a3', fontWeight: '600' },
+  simplifiedText: { fontSize: 16, lineHeight: 24, color: '#111' },
+  glossaryWord: { color: '#1e3a8a', textDecorationLine: 'underline', fontWeight: '600' },
+  glossaryBox: { backgroundColor: '#fffbe6', borderRadius: 8, padding: 10, marginTop: 8 },
+  diffAdd: { backgroundColor: '#e8f5e9', color: '#1b5e20' },
+  diffDel: { backgroundColor: '#ffebee', color: '#b71c1c', textDecorationLine: 'line-through' },
+  chipRow: { flexGrow: 0, marginTop: 8, marginBottom: 4 },
+  chipWrap: { flexDirection: 'row', flexWrap: 'wrap' },
   historyDate: { color: '#666', fontSize: 12, marginBottom: 6 },
   historySummary: { color: '#111', fontSize: 14, marginBottom: 6 },
   historyMeta: { color: '#666', fontSize: 12 },
 
+  usageRow: { backgroundColor: '#fff', padding: 10, borderRadius: 8, borderWidth: 1, borderColor: '#eef6ff', marginTop: 6 },
+
   hAction: { paddingVertical: 6, paddingHorizontal: 8, borderRadius: 8, borderWidth: 1, borderColor: '#d1d5db', backgroundColor: '#fff', marginBottom: 6 },
-  hActionText: { color: '#333', fontSize: 12 }
+  hActionText: { color: '#333', fontSize: 12 },
+
+  quizQuestion: { fontSize: 16, fontWeight: '600', marginBottom: 10 },
+  quizAnswer: { fontSize: 16, color: '#1e3a8a', marginBottom: 4 },
+  quizOption: { padding: 10, borderRadius: 8, borderWidth: 2, backgroundColor: '#fff', marginBottom: 8 }
 });
\ No newline at end of file
@@ -0,0 +1,162 @@
+// backend/export.js
+// Export formats for notes, shared by the backend (/api/export) and the app (offline exports).
+// Plain CommonJS without dependencies so Metro can bundle it next to App.js.
+//  - markdown: title, date, source, summary (+ sections) and the original text
+//  - html: print-friendly page per note; the app turns it into a PDF with expo-print
+//  - anki: tab-separated text with Anki file headers (File > Import), one card per summary bullet
+// A note is { title?, text, summary, source, date | created_at, sections? }.
+
+const EXPORT_FORMATS = {
+  markdown: { ext: 'md', mimeType: 'text/markdown' },
+  html: { ext: 'html', mimeType: 'text/html' },
+  anki: { ext: 'txt', mimeType: 'text/plain' }
+};
+
+const BULLET_RE = /^\s*(?:[-*•–]|\d+[.)])\s+/;
+
+function noteTitle(note) {
+  if (note.title) return String(note.title).trim();
+  const firstLine = String(note.text || note.summary || '').split('\n').map(l => l.trim()).find(Boolean) || 'Notitie';
+  return firstLine.length > 60 ? `${firstLine.slice(0, 57).trim()}...` : firstLine;
+}
+
+function noteDate(note) {
+  const date = new Date(note.date || note.created_at || Date.now());
+  return isNaN(date) ? '' : date.toISOString().slice(0, 10);
+}
+
+// Summary bullets without their markers; summaries without bullets are split into sentences
+function summaryBullets(summary) {
+  const lines = String(summary || '').split('\n').map(l => l.trim()).filter(Boolean);
+  const bullets = lines.filter(l => BULLET_RE.test(l)).map(l => l.replace(BULLET_RE, '').trim());
+  if (bullets.length) return bullets.filter(Boolean);
+  return lines.join(' ').split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(s => s.length > 3);
+}
+
+/* ---------------------------
+   Markdown
+----------------------------*/
+function noteToMarkdown(note) {
+  const meta = [noteDate(note), note.source ? `Bron: ${note.source}` : null].filter(Boolean).join(' · ');
+  const parts = [`# ${noteTitle(note)}`];
+  if (meta) parts.push(`_${meta}_`);
+  parts.push('## Samenvatting', String(note.summary || '').trim() || '_Geen samenvatting_');
+  if (Array.isArray(note.sections) && note.sections.length > 1) {
+    for (const section of note.sections) parts.push(`### ${section.title}`, String(section.summary || '').trim());
+  }
+  parts.push('## Originele tekst', String(note.text || '').trim());
+  return parts.join('\n\n');
+}
+
+function toMarkdown(notes) {
+  return notes.map(noteToMarkdown).join('\n\n---\n\n') + '\n';
+}
+
+/* ---------------------------
+   HTML (print layout)
+----------------------------*/
+function escapeHTML(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function summaryToHTML(summary) {
+  const lines = String(summary || '').split('\n').map(l => l.trim()).filter(Boolean);
+  if (lines.length && lines.every(l => BULLET_RE.test(l))) {
+    return `<ul>${lines.map(l => `<li>${escapeHTML(l.replace(BULLET_RE, ''))}</li>`).join('')}</ul>`;
+  }
+  return lines.map(l => `<p>${escapeHTML(l)}</p>`).join('');
+}
+
+function noteToHTML(note) {
+  const meta = [noteDate(note), note.source ? `Bron: ${note.source}` : null].filter(Boolean).join(' · ');
+  const sections = Array.isArray(note.sections) && note.sections.length > 1
+    ? note.sections.map(s => `<h3>${escapeHTML(s.title)}</h3>${summaryToHTML(s.summary)}`).join('')
+    : '';
+  return `<article>
+<h1>${escapeHTML(noteTitle(note))}</h1>
+${meta ? `<p class="meta">${escapeHTML(meta)}</p>` : ''}
+<h2>Samenvatting</h2>
+${summaryToHTML(note.summary)}${sections}
+<h2>Originele tekst</h2>
+<div class="original">${escapeHTML(note.text).replace(/\n/g, '<br>')}</div>
+</article>`;
+}
+
+function toHTML(notes) {
+  return `<!DOCTYPE html>
+<html lang="nl">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(notes.length === 1 ? noteTitle(notes[0]) : 'InstaNotes export')}</title>
+<style>
+  @page { margin: 18mm; }
+  body { font-family: Georgia, 'Times New Roman', serif; font-size: 12pt; line-height: 1.5; color: #111; }
+  article + article { page-break-before: always; }
+  h1 { font-size: 20pt; margin: 0 0 4pt; }
+  h2 { font-size: 14pt; margin: 16pt 0 6pt; border-bottom: 1px solid #ccc; }
+  h3 { font-size: 12pt; margin: 10pt 0 4pt; }
+  .meta { color: #555; font-size: 10pt; margin: 0; }
+  .original { font-size: 10pt; color: #333; }
+  ul { padding-left: 18pt; }
+  li { margin-bottom: 4pt; page-break-inside: avoid; }
+</style>
+</head>
+<body>
+${notes.map(noteToHTML).join('\n')}
+</body>
+</html>
+`;
+}
+
+/* ---------------------------
+   Anki (text import with file headers, one subdeck per note)
+   "Term: uitleg" bullets become term -> uitleg cards, other bullets a
+   fill-in-the-blank card on their longest word.
+----------------------------*/
+const TERM_RE = /^(.{2,60}?)\s*(?::|\s[-–—]\s)\s*(.{3,})$/;
+
+function bulletToCard(bullet) {
+  const term = bullet.match(TERM_RE);
+  if (term) return { front: escapeHTML(term[1]), back: escapeHTML(term[2]) };
+  const words = bullet.match(/[\p{L}\p{N}]{5,}/gu) || [];
+  const answer = words.sort((a, b) => b.length - a.length)[0];
+  if (!answer) return null;
+  return { front: escapeHTML(bullet.replace(answer, '_____')), back: `${escapeHTML(answer)}<br><br>${escapeHTML(bullet)}` };
+}
+
+function ankiField(value) {
+  return `"${String(value).replace(/\r?\n/g, '<br>').replace(/\t/g, ' ').replace(/"/g, '""')}"`;
+}
+
+function toAnki(notes, deck = 'InstaNotes') {
+  const rows = [];
+  for (const note of notes) {
+    const subdeck = `${deck}::${noteTitle(note).replace(/::/g, ':')}`;
+    for (const bullet of summaryBullets(note.summary)) {
+      const card = bulletToCard(bullet);
+      if (!card) continue;
+      rows.push([card.front, card.back, subdeck].map(ankiField).join('\t'));
+    }
+  }
+  return ['#separator:tab', '#html:true', '#tags:instanotes', '#deck column:3', ...rows].join('\n') + '\n';
+}
+
+function exportNotes(notes, format) {
+  if (format === 'markdown') return toMarkdown(notes);
+  if (format === 'html') return toHTML(notes);
+  if (format === 'anki') return toAnki(notes);
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+function exportFileName(notes, format) {
+  const base = notes.length === 1
+    ? noteTitle(notes[0]).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'notitie'
+    : `instanotes-${notes.length}-notities`;
+  return `${base}.${EXPORT_FORMATS[format].ext}`;
+}
+
+module.exports = { EXPORT_FORMATS, exportNotes, exportFileName, summaryBullets, noteTitle };
@@ -0,0 +1,171 @@
+// backend/extractive.js
+// Extractive summarizer without a model, shared by the backend (the "extractive" provider,
+// the glossary and cloze fallbacks) and the app (on-device summaries while offline).
+// Plain CommonJS without dependencies so Metro can bundle it next to App.js.
+// Picks the sentences whose words are most frequent in the text; Markdown headings
+// (layout OCR) are summarized per section. The language of the text (Dutch, English,
+// Turkish or Arabic) is detected to pick its stopwords.
+
+// sentences per summary length option (short | medium | long)
+const EXTRACTIVE_SENTENCES = { short: 3, medium: 5, long: 8 };
+
+const STOPWORDS = {
+  nl: new Set([
+    'de','het','een','en','van','ik','je','u','we','wij','jij','hij','zij','ze','dat','die','dit','deze','in','op','te','is',
+    'om','aan','voor','met','als','zijn','was','werd','wordt','worden','bij','door','naar','niet','ook','maar','of','dan',
+    'er','nog','wel','geen','al','over','uit','tot','na','onder','wat','wie','waar','hoe','heeft','hebben','had','kan',
+    'kunnen','zal','zou','moet','meer','veel','zo','hun','haar','hem','mijn','ons','onze','jullie','men','daar','hier',
+    'toen','nu','want','omdat','dus'
+  ]),
+  en: new Set([
+    'the','a','an','and','or','but','of','to','in','on','at','by','for','with','from','as','is','are','was','were','be',
+    'been','being','it','its','this','that','these','those','he','she','they','we','you','i','his','her','their','our',
+    'your','not','no','do','does','did','have','has','had','will','would','can','could','should','may','might','than',
+    'then','there','here','which','who','what','when','where','why','how','also','into','about','over','after','before',
+    'so','if','such','more','most','other','some','any','all','each','only'
+  ]),
+  tr: new Set([
+    've','bir','bu','da','de','ile','için','çok','daha','gibi','olarak','olan','ama','en','ne','o','şu','her','kadar',
+    'sonra','önce','ise','mi','mı','mu','mü','ki','veya','ya','hem','değil','var','yok','ben','sen','biz','siz','onlar',
+    'bunu','buna','şey','göre','ancak','çünkü','diye','kendi','aynı','tüm','bazı','olduğu','oldu','olur'
+  ]),
+  ar: new Set([
+    'في','من','على','إلى','عن','أن','إن','كان','كانت','هذا','هذه','ذلك','تلك','التي','الذي','الذين','هو','هي','هم',
+    'ما','لا','لم','لن','قد','ثم','أو','و','مع','كل','بين','بعد','قبل','عند','حتى','أي','غير','بها','به','له','لها',
+    'كما','وهو','وهي','أيضا','ولا','وفي','يكون','تكون','عليه','فيه','فيها','منها','هناك'
+  ])
+};
+const ALL_STOPWORDS = new Set(Object.values(STOPWORDS).flatMap(set => [...set]));
+
+const ARABIC_LETTER_RE = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF]/g;
+const TURKISH_LETTER_RE = /[ğşıİĞŞ]/g;
+
+// Words are runs of letters, marks and digits in any script. Arabic vowel marks and
+// tatweel are optional in writing, so they are dropped; "İ" lowercases to i + dot.
+function tokenize(text) {
+  return (text.toLowerCase()
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/i\u0307/g, 'i')
+    .match(/[\p{L}\p{M}\p{N}]+/gu) || []);
+}
+
+// nl | en | tr | ar, or null when the text gives no clue. Arabic script decides on its
+// own; other texts go to the language with the most stopwords (Turkish letters count too).
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, 5000);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (!letters) return null;
+  if ((sample.match(ARABIC_LETTER_RE) || []).length / letters > 0.3) return 'ar';
+  const words = tokenize(sample);
+  let best = null;
+  let bestScore = 0;
+  for (const language of ['nl', 'en', 'tr']) {
+    let score = words.filter(w => STOPWORDS[language].has(w)).length;
+    if (language === 'tr') score += (sample.match(TURKISH_LETTER_RE) || []).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function stopwordsFor(language) {
+  return STOPWORDS[language] || ALL_STOPWORDS;
+}
+
+// Matches word as a whole word (case-insensitive), in any script
+function wordPattern(word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{M}\\p{N}])`, 'iu');
+}
+
+// Splits text into sentences and scores each by the frequency of its (non-stopword) words
+function scoreSentences(inputText, language = detectLanguage(inputText)) {
+  const text = stripMarkdown(inputText)
+    .replace(/^--- Pagina \d+ ---$/gm, '') // page markers from /api/ocr/batch
+    .replace(/\r\n/g, ' ').replace(/\n/g, ' ');
+  const sentences = text.split(/(?<=[.!?؟])\s+/).map(s => s.trim()).filter(Boolean);
+  const stopwords = stopwordsFor(language);
+  const wordFreq = Object.create(null);
+  for (const w of tokenize(text)) if (!stopwords.has(w)) wordFreq[w] = (wordFreq[w] || 0) + 1;
+  const scored = sentences.map(s => {
+    let score = 0;
+    for (const w of tokenize(s)) if (wordFreq[w]) score += wordFreq[w];
+    return { sentence: s, score };
+  });
+  return { sentences, scored, wordFreq, language };
+}
+
+// Splits Markdown-like text (layout OCR output) on its headings: [{ title, body }]
+// Text without headings is one section with title null.
+function splitSections(text) {
+  const sections = [];
+  let current = { title: null, lines: [] };
+  for (const line of (text || '').split(/\r?\n/)) {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      if (current.title || current.lines.some(l => l.trim())) sections.push(current);
+      current = { title: heading[1], lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  if (current.title || current.lines.some(l => l.trim())) sections.push(current);
+  return sections.map(s => ({ title: s.title, body: s.lines.join('\n').trim() }));
+}
+
+// Markdown heading/list markers and table pipes are layout, not sentence content
+function stripMarkdown(text) {
+  return (text || '')
+    // [ \t] and not \s: a match must not swallow the line breaks around it
+    .replace(/^#{1,6}[ \t]+(.*?)[ \t]*$/gm, '$1.')
+    .replace(/^[ \t]*\|?[ \t]*-{3,}.*$/gm, '')
+    .replace(/^[ \t]*(-|\*|\d+\.)[ \t]+(.*?)([.!?])?[ \t]*$/gm, (m, marker, item, end) => `${item}${end || '.'}`)
+    .replace(/\s*\|\s*/g, ' ');
+}
+
+// language: nl | en | tr | ar; detected from the text when left out
+function summarizeExtractive(inputText, maxSentences = 3, style = 'paragraph', language = detectLanguage(inputText)) {
+  const sections = splitSections(inputText).filter(s => s.body);
+  if (sections.length > 1 && sections.some(s => s.title)) {
+    // one summary per heading so every section of a chapter is represented
+    const perSection = Math.max(1, Math.ceil(maxSentences / sections.length));
+    return sections
+      .map(s => {
+        const body = summarizeExtractive(s.body, perSection, style, language);
+        if (!s.title) return body;
+        if (style === 'paragraph') return `${s.title}: ${body}`;
+        return `${style === 'outline' ? '## ' : ''}${s.title}\n${body}`;
+      })
+      .join(style === 'paragraph' ? '\n' : '\n\n');
+  }
+  const { sentences, scored, wordFreq } = scoreSentences(sections.length ? sections[0].body : inputText, language);
+  let picked = sentences;
+  if (sentences.length > maxSentences) {
+    const top = scored.slice().sort((a,b)=>b.score-a.score).slice(0, maxSentences).map(x=>x.sentence);
+    picked = sentences.filter(s => top.includes(s)).slice(0, maxSentences);
+  }
+  return formatExtractive(picked, style, wordFreq, stopwordsFor(language));
+}
+
+function formatExtractive(sentences, style, wordFreq, stopwords) {
+  switch (style) {
+    case 'bullets':
+      return sentences.map(s => `- ${s}`).join('\n');
+    case 'outline':
+      return sentences.map((s, i) => `${i + 1}. ${s}`).join('\n');
+    case 'keyterms':
+      // the most frequent word of the sentence is its key term; the sentence is the definition
+      return sentences.map(s => {
+        const term = tokenize(s)
+          .filter(w => w.length >= 4 && !stopwords.has(w))
+          .sort((a, b) => ((wordFreq[b] || 0) - (wordFreq[a] || 0)) || (b.length - a.length))[0];
+        return term ? `- ${term.charAt(0).toUpperCase()}${term.slice(1)}: ${s}` : `- ${s}`;
+      }).join('\n');
+    default:
+      return sentences.join(' ');
+  }
+}
+
+module.exports = { EXTRACTIVE_SENTENCES, tokenize, detectLanguage, stopwordsFor, wordPattern, scoreSentences, splitSections, summarizeExtractive };
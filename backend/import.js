@@ -0,0 +1,133 @@
+// backend/import.js
+// File handling for /api/import that needs no parser package: recognizing the format,
+// decoding plain text and turning mammoth's DOCX HTML into Markdown.
+// (PDFs are read in pdf-worker.js.)
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// The file name decides between DOCX and other zip files; PDF is recognized by its header
+function importFormat(file) {
+  const name = String(file.originalname || '').toLowerCase();
+  const head = file.buffer.subarray(0, 5).toString('latin1');
+  if (head.startsWith('%PDF')) return 'pdf';
+  if (head.startsWith('PK') && (name.endsWith('.docx') || file.mimetype === DOCX_MIME)) return 'docx';
+  if (/\.(txt|text|md|markdown)$/.test(name) || /^text\//.test(file.mimetype || '')) return 'txt';
+  return null;
+}
+
+function fileTitle(name) {
+  return String(name || '').replace(/\.[^.]+$/, '').replace(/[_]+/g, ' ').trim() || 'Geïmporteerd bestand';
+}
+
+// Windows-1252 at 0x80-0x9f (€, curly quotes, dashes); Node's TextDecoder decodes that
+// range as Latin-1 control characters
+const CP1252_C1 = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+// UTF-8 (with or without BOM), UTF-16 with BOM, otherwise Windows-1252/Latin-1 from older editors
+function decodeText(buffer) {
+  let text;
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) text = new TextDecoder('utf-16le').decode(buffer);
+  else if (buffer[0] === 0xfe && buffer[1] === 0xff) text = new TextDecoder('utf-16be').decode(buffer);
+  else {
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (err) {
+      text = new TextDecoder('windows-1252').decode(buffer).replace(/[\x80-\x9f]/g, c => CP1252_C1[c.charCodeAt(0) - 0x80]);
+    }
+  }
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// mammoth turns Word styles into plain HTML (h1-h6, p, ul/ol/li, table, strong, ...);
+// this keeps headings, (nested) lists and tables and drops inline formatting and images
+function docxHtmlToMarkdown(html) {
+  const blocks = [];
+  const lists = [];
+  let line = '';
+  let prefix = '';
+  let table = null;
+  let row = null;
+  let cell = null;
+  const flush = () => {
+    const text = line.replace(/\s+/g, ' ').trim();
+    if (text && cell) cell.push(text);
+    else if (text) blocks.push({ text: prefix + text, list: lists.length > 0 && !!prefix });
+    line = '';
+    prefix = '';
+  };
+
+  const re = /<(\/?)([a-z0-9]+)[^>]*>|([^<]+)/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    if (m[3] !== undefined) {
+      line += decodeEntities(m[3]);
+      continue;
+    }
+    const closing = m[1] === '/';
+    const tag = m[2].toLowerCase();
+    if (/^h[1-6]$/.test(tag)) {
+      flush();
+      if (!closing && !cell) prefix = `${'#'.repeat(Number(tag[1]))} `;
+    } else if (tag === 'p' || tag === 'li') {
+      flush();
+      if (tag === 'li' && !closing && lists.length) {
+        const list = lists[lists.length - 1];
+        list.count += 1;
+        prefix = `${'  '.repeat(lists.length - 1)}${list.ordered ? `${list.count}.` : '-'} `;
+      }
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      if (closing) lists.pop();
+      else lists.push({ ordered: tag === 'ol', count: 0 });
+    } else if (tag === 'br') {
+      line += ' ';
+    } else if (tag === 'table') {
+      flush();
+      if (!closing) table = [];
+      else if (table) {
+        if (table.some(r => r.length)) blocks.push({ text: tableToMarkdown(table), list: false });
+        table = null;
+      }
+    } else if (tag === 'tr' && table) {
+      if (!closing) row = [];
+      else if (row) {
+        table.push(row);
+        row = null;
+      }
+    } else if ((tag === 'td' || tag === 'th') && row) {
+      if (!closing) {
+        flush();
+        cell = [];
+      } else if (cell) {
+        flush();
+        row.push(cell.join(' ').replace(/\|/g, '\\|'));
+        cell = null;
+      }
+    }
+  }
+  flush();
+  return blocks.reduce((md, b, i) => (i === 0 ? b.text : md + (b.list && blocks[i - 1].list ? '\n' : '\n\n') + b.text), '');
+}
+
+function tableToMarkdown(rows) {
+  const filled = rows.filter(r => r.length);
+  const columns = Math.max(...filled.map(r => r.length));
+  const pad = r => [...r, ...Array(columns - r.length).fill('')];
+  const md = filled.map(r => `| ${pad(r).join(' | ')} |`);
+  md.splice(1, 0, `|${' --- |'.repeat(columns)}`);
+  return md.join('\n');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = { DOCX_MIME, importFormat, fileTitle, decodeText, docxHtmlToMarkdown };
@@ -0,0 +1,22 @@
+-- backend/migrations/drop-text-hash.sql
+-- One-time step for installs created before match_hash; not part of schema.sql, which only
+-- adds columns and can be run again at any time. Run it in the Supabase SQL editor after
+-- schema.sql and after the backend has started once: the backend fills in match_hash for
+-- the older rows when it starts (text_hash used a different hash, so it cannot be renamed).
+-- Nothing is dropped while a row still misses its match_hash.
+
+begin;
+
+do $$
+begin
+  if exists (select 1 from summaries where match_hash is null)
+     or exists (select 1 from class_shares where match_hash is null) then
+    raise exception 'match_hash is not filled in for every row yet: start the backend and run this again';
+  end if;
+end $$;
+
+drop index if exists summaries_text_hash_idx;
+alter table summaries drop column if exists text_hash;
+alter table class_shares drop column if exists text_hash;
+
+commit;
@@ -0,0 +1,127 @@
+// backend/pdf-worker.js
+// Reads PDFs for /api/import in a worker thread. pdf-parse bundles pdf.js 1.10, which runs
+// on the thread that calls it and has no time limit; here a slow or hostile file only blocks
+// this worker, and server.js terminates it after PDF_TIMEOUT_MS.
+// workerData { task, buffer, ... } -> one message with the result:
+//  - text { max }: { pages: [{ items, top } | null], numpages, numrender, title }, the text
+//    items of every page (pdfPageLayout in server.js lays them out)
+//  - images { pages }: { images: [{ page, image }] }, the scan of each page as JPEG or PNM,
+//    for tesseract when the pages cannot go to Vision
+//  - split { pages, size }: { parts: [{ pages, pdf }] }, PDFs of at most size of the pages,
+//    so Vision only receives the scanned pages
+
+const { parentPort, workerData } = require('worker_threads');
+const { resolveObjectURL } = require('buffer');
+
+const PDFJS_VERSION = 'v1.10.100';
+
+// pdf.js hands JPEG images to the DOM's Image for decoding; only their bytes are needed
+// here, which are in the (data: or blob:) URL
+global.Image = class {
+  set src(url) {
+    this.url = url;
+    setImmediate(() => this.onload());
+  }
+};
+
+async function readText({ buffer, max }) {
+  const pdfParse = require('pdf-parse');
+  const pages = [];
+  const result = await pdfParse(buffer, {
+    max,
+    version: PDFJS_VERSION,
+    pagerender: async (page) => {
+      const content = await page.getTextContent({ normalizeWhitespace: true });
+      pages[page.pageIndex] = { items: content.items, top: page.view[3] };
+      return '';
+    }
+  });
+  return {
+    pages: Array.from({ length: result.numrender }, (_, i) => pages[i] || null),
+    numpages: result.numpages,
+    numrender: result.numrender,
+    title: String(result.info?.Title || '').trim()
+  };
+}
+
+async function readImages({ buffer, pages }) {
+  const pdfParse = require('pdf-parse');
+  const { OPS } = require(`pdf-parse/lib/pdf.js/${PDFJS_VERSION}/build/pdf.js`);
+  const wanted = new Set(pages);
+  const images = [];
+  await pdfParse(buffer, {
+    max: Math.max(...pages),
+    version: PDFJS_VERSION,
+    pagerender: async (page) => {
+      if (!wanted.has(page.pageIndex + 1)) return '';
+      const image = await largestImage(page, OPS);
+      if (image) images.push({ page: page.pageIndex + 1, image });
+      return '';
+    }
+  });
+  return { images };
+}
+
+// A scanned page is one big image (sometimes with a small logo or stamp next to it)
+async function largestImage(page, OPS) {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  let best = null;
+  for (let i = 0; i < fnArray.length; i++) {
+    const [arg, width, height] = argsArray[i] || []; // null for operators without arguments
+    let candidate = null;
+    if (fnArray[i] === OPS.paintJpegXObject) candidate = { id: arg, width, height, jpeg: true };
+    else if (fnArray[i] === OPS.paintImageXObject) candidate = { id: arg };
+    else if (fnArray[i] === OPS.paintInlineImageXObject) candidate = { data: arg };
+    else if (fnArray[i] === OPS.paintImageMaskXObject) candidate = { data: { ...arg, mask: true } };
+    if (!candidate) continue;
+    const data = candidate.data || (await new Promise(resolve => page.objs.get(candidate.id, resolve)));
+    if (!data) continue;
+    const size = (candidate.width || data.width) * (candidate.height || data.height);
+    if (!best || size > best.size) best = { size, data, jpeg: candidate.jpeg };
+  }
+  if (!best) return null;
+  return best.jpeg ? jpegBytes(best.data.url) : toPNM(best.data);
+}
+
+async function jpegBytes(url) {
+  if (url.startsWith('data:')) return Buffer.from(url.slice(url.indexOf(',') + 1), 'base64');
+  return Buffer.from(await resolveObjectURL(url).arrayBuffer());
+}
+
+// Decoded images as PBM (1 bit), PPM (RGB) or from RGBA; pdf.js packs 1-bit rows per byte
+// with 1 = white (image masks: 1 = not painted), PBM uses 1 = black
+function toPNM({ width, height, kind, data, mask }) {
+  if (mask || kind === 1) {
+    const bits = Buffer.from(data.subarray(0, Math.ceil(width / 8) * height)).map(b => b ^ 0xff);
+    return Buffer.concat([Buffer.from(`P4\n${width} ${height}\n`), bits]);
+  }
+  let rgb = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  if (kind === 3) {
+    rgb = Buffer.alloc(width * height * 3);
+    for (let i = 0, j = 0; j < rgb.length; i += 4, j += 3) {
+      rgb[j] = data[i];
+      rgb[j + 1] = data[i + 1];
+      rgb[j + 2] = data[i + 2];
+    }
+  }
+  return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), rgb.subarray(0, width * height * 3)]);
+}
+
+async function splitPages({ buffer, pages, size }) {
+  const { PDFDocument } = require('pdf-lib');
+  const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  const parts = [];
+  for (let i = 0; i < pages.length; i += size) {
+    const numbers = pages.slice(i, i + size);
+    const part = await PDFDocument.create();
+    for (const copy of await part.copyPages(source, numbers.map(n => n - 1))) part.addPage(copy);
+    parts.push({ pages: numbers, pdf: Buffer.from(await part.save()) });
+  }
+  return { parts };
+}
+
+const TASKS = { text: readText, images: readImages, split: splitPages };
+
+TASKS[workerData.task]({ ...workerData, buffer: new Uint8Array(workerData.buffer) })
+  .then(result => parentPort.postMessage({ result }))
+  .catch(err => parentPort.postMessage({ error: String(err.message || err) }));
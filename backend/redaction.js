@@ -0,0 +1,191 @@
+// backend/redaction.js
+// Personal data detection for server.js ("PII redaction"): e-mail addresses, IBANs,
+// BSNs (after a cue like "BSN" or "burgerservicenummer", or in the dotted 1234.56.789
+// form when it passes the 11-proof), Dutch phone numbers (06, 0xx, +31/0031), postcodes,
+// street addresses and names (after cues like "Mijn naam is", "Beste", "Groetjes", plus
+// known names). A BSN without a cue may be any number, so it is only kept from the
+// model: the stored text keeps it.
+// No I/O here; where the config comes from (env, classes) stays in server.js.
+
+const PII_KINDS = ['email', 'iban', 'bsn', 'phone', 'postcode', 'address', 'name'];
+const PII_LABELS = { email: 'EMAIL', iban: 'IBAN', bsn: 'BSN', phone: 'TELEFOON', postcode: 'POSTCODE', address: 'ADRES', name: 'NAAM' };
+const PLACEHOLDER_RE = /\[(?:EMAIL|IBAN|BSN|TELEFOON|POSTCODE|ADRES|NAAM)_\d+\]/;
+const PLACEHOLDER_WORD_RE = /^\[?(?:EMAIL|IBAN|BSN|TELEFOON|POSTCODE|ADRES|NAAM)_\d+\]?$/i;
+
+const NAME_PART = "[A-ZÀ-Ý][a-zà-ÿ'-]+";
+const NAME_RE = `${NAME_PART}(?:\\s+(?:(?:van|de|der|den|ter|ten|el|al)\\s+)*${NAME_PART})?`;
+const NAME_CUE_RE = new RegExp(
+  `(\\b(?:[Mm]ijn naam is|[Ii]k heet|[Nn]aam:|[Ll]eerling:|[Bb]este|[Ll]ieve|[Gg]roetjes,?|[Gg]roeten,?|[Mm]et vriendelijke groet(?:en)?,?)\\s+)(${NAME_RE})`,
+  'g'
+);
+const BSN_CUE_RE = /(\b(?:BSN|burgerservicenummer|sofinummer)(?:[\s:.#-]*(?:nummer|nr\.?))?(?:[\s:.#=-]|\bis\b)*)(\d{4}[. ]?\d{2}[. ]?\d{3}|\d{3}[. ]\d{3}[. ]\d{3}|\d{8})(?!\d|[.,]\d)/gi;
+const BSN_DOTTED_RE = /(?<![\d.])\d{4}\.\d{2}\.\d{3}(?!\d|[.,]\d)/g;
+const STREET_RE = /\b[A-ZÀ-Ý][a-zà-ÿ'-]*(?:straat|laan|weg|plein|gracht|kade|singel|dreef|hof|pad|steeg|dijk|markt|plantsoen|erf|baan|wal)\s+\d{1,5}(?:\s?[a-zA-Z](?![a-zA-Z]))?/g;
+
+// validates a (partial) config from the env or a teacher; unknown keys and kinds are dropped
+function normalizeRedaction(input) {
+  const config = {};
+  if (!input || typeof input !== 'object') return config;
+  if (typeof input.enabled === 'boolean') config.enabled = input.enabled;
+  if (Array.isArray(input.kinds)) config.kinds = PII_KINDS.filter(k => input.kinds.includes(k));
+  if (Array.isArray(input.restore)) config.restore = PII_KINDS.filter(k => input.restore.includes(k));
+  if (Array.isArray(input.names)) config.names = input.names.map(n => (typeof n === 'string' ? n.trim().slice(0, 60) : '')).filter(Boolean).slice(0, 200);
+  if (typeof input.member_names === 'boolean') config.member_names = input.member_names;
+  if (typeof input.external_ocr === 'boolean') config.external_ocr = input.external_ocr;
+  return config;
+}
+
+function stricterRedaction(a, b) {
+  return {
+    enabled: a.enabled || b.enabled,
+    kinds: PII_KINDS.filter(k => a.kinds.includes(k) || b.kinds.includes(k)),
+    restore: a.restore.filter(k => b.restore.includes(k)),
+    names: [...new Set([...a.names, ...b.names])],
+    member_names: a.member_names || b.member_names,
+    external_ocr: a.external_ocr && b.external_ocr
+  };
+}
+
+function isValidBSN(digits) {
+  if (!/^\d{9}$/.test(digits) || /^0+$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < 8; i++) sum += Number(digits[i]) * (9 - i);
+  return (sum - Number(digits[8])) % 11 === 0;
+}
+
+function isValidIBAN(iban) {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of rearranged) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+// Each detector replaces its matches with mask(kind, value); order matters (e-mail before names etc.)
+const PII_DETECTORS = {
+  email: (text, mask) => text.replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, m => mask('email', m)),
+  iban: (text, mask) => text.replace(/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, m => (isValidIBAN(m.replace(/\s/g, '')) ? mask('iban', m) : m)),
+  // a bare 8-9 digit number passes the 11-proof one time in eleven: without a cue only the
+  // dotted form counts, and as a weak match (see redactForProviders)
+  bsn: (text, mask) => text
+    .replace(BSN_CUE_RE, (m, cue, number) => `${cue}${mask('bsn', number)}`)
+    .replace(BSN_DOTTED_RE, m => (isValidBSN(m.replace(/\D/g, '')) ? mask('bsn', m, true) : m)),
+  phone: (text, mask) => text.replace(/(?<![\d+])(?:\+31|0031|0)[\s.-]?(?:\(0\)[\s.-]?)?(?:\d[\s.-]?){8}\d(?!\d)/g, m => mask('phone', m)),
+  postcode: (text, mask) => text.replace(/\b[1-9]\d{3} ?(?!SA|SD|SS)[A-Z]{2}\b/g, m => mask('postcode', m)),
+  address: (text, mask) => text.replace(STREET_RE, m => mask('address', m)),
+  name: (text, mask, config) => {
+    let out = text.replace(NAME_CUE_RE, (m, cue, name) => `${cue}${mask('name', name)}`);
+    const known = new Set(config.names);
+    // a name found after a cue is also masked where it occurs on its own (first name)
+    for (const entity of mask.entities) if (entity.kind === 'name') known.add(entity.value.split(/\s+/)[0]);
+    const names = [...known].filter(n => n.length >= 2).map(n => n.charAt(0).toUpperCase() + n.slice(1)).sort((a, b) => b.length - a.length);
+    for (const name of names) {
+      out = out.replace(new RegExp(`(?<![\\p{L}\\[_])${escapeRegExp(name)}(?![\\p{L}_\\]])`, 'gu'), m => mask('name', m));
+    }
+    return out;
+  }
+};
+
+// -> { text, entities: [{ kind, value, placeholder }] }
+function redactPII(text, config) {
+  if (!config?.enabled || !text) return { text, entities: [] };
+  const entities = [];
+  const placeholders = new Map();
+  const counters = {};
+  // weak: the value may not be personal data, it is kept from the model but never changes the stored text
+  const mask = (kind, value, weak = false) => {
+    const key = `${kind}:${value.toLowerCase().replace(/\s+/g, ' ')}`;
+    if (!placeholders.has(key)) {
+      counters[kind] = (counters[kind] || 0) + 1;
+      const placeholder = `[${PII_LABELS[kind]}_${counters[kind]}]`;
+      placeholders.set(key, placeholder);
+      entities.push({ kind, value, placeholder, weak });
+    }
+    return placeholders.get(key);
+  };
+  mask.entities = entities;
+  let masked = text;
+  for (const kind of PII_KINDS) {
+    if (config.kinds.includes(kind)) masked = PII_DETECTORS[kind](masked, mask, config);
+  }
+  return { text: masked, entities };
+}
+
+// Models sometimes drop the brackets or change the case of a placeholder
+function restorePII(text, entities, kinds) {
+  if (!text || !entities.length) return text;
+  let out = text;
+  for (const entity of entities) {
+    if (!kinds.includes(entity.kind)) continue;
+    const [, label, n] = entity.placeholder.match(/^\[(\w+)_(\d+)\]$/);
+    out = out.replace(new RegExp(`\\[?${label}_${n}(?!\\d)\\]?`, 'gi'), () => entity.value);
+  }
+  return out;
+}
+
+// What was masked, without the values themselves (first and last characters only)
+function redactionReport(entities, config) {
+  return entities.map(e => ({
+    kind: e.kind,
+    placeholder: e.placeholder,
+    preview: e.value.length > 4 ? `${e.value.slice(0, 1)}…${e.value.slice(-2)}` : '…',
+    restored: config.restore.includes(e.kind)
+  }));
+}
+
+// Redaction for one request: masked text for the providers, restore() for their output,
+// the text to store (non-restorable kinds stay masked, weak matches are put back) and the
+// report for the client
+function redactForProviders(text, config) {
+  const { text: masked, entities } = redactPII(text, config);
+  const restore = (value) => (entities.length && value ? restorePII(value, entities, config.restore) : value);
+  const kept = entities.filter(e => e.weak || config.restore.includes(e.kind));
+  const stored = kept.length ? restorePII(masked, kept, PII_KINDS) : masked;
+  return { text: masked, entities, restore, stored, report: redactionReport(entities, config) };
+}
+
+function restoreSections(sections, restore) {
+  return (sections || []).map(s => ({ ...s, title: restore(s.title), summary: restore(s.summary) }));
+}
+
+// Streamed tokens may end halfway a placeholder: hold back an open "[..." until it closes
+function createStreamRestorer(restore) {
+  let pending = '';
+  return {
+    push(token) {
+      pending += token;
+      const open = pending.lastIndexOf('[');
+      let ready = pending;
+      if (open >= 0 && !pending.slice(open).includes(']') && pending.length - open < 16) {
+        ready = pending.slice(0, open);
+        pending = pending.slice(open);
+      } else {
+        pending = '';
+      }
+      return restore(ready);
+    },
+    flush() {
+      const rest = restore(pending);
+      pending = '';
+      return rest;
+    }
+  };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  PII_KINDS,
+  PLACEHOLDER_RE,
+  PLACEHOLDER_WORD_RE,
+  normalizeRedaction,
+  stricterRedaction,
+  isValidBSN,
+  isValidIBAN,
+  redactPII,
+  restorePII,
+  redactForProviders,
+  restoreSections,
+  createStreamRestorer
+};
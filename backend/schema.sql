@@ -0,0 +1,154 @@
+-- backend/schema.sql
+-- Supabase tables used by server.js. Run in the Supabase SQL editor.
+-- All access goes through the backend with the service role key, so RLS stays enabled without policies.
+
+-- Every summary produced by /api/summarize (also the cloud-synced history)
+create table if not exists summaries (
+  id text primary key,
+  user_id uuid references auth.users (id) on delete cascade,
+  text text not null default '',
+  summary text not null default '',
+  source text,
+  cost_estimate numeric,
+  options jsonb, -- { length, style, language } used for this summary
+  sections jsonb, -- [{ title, summary, source }] for long, chunked texts
+  match_hash text, -- sha256 of the text without case, punctuation and spacing, matches class assignments
+  folder text, -- subject folder (Geschiedenis, Biologie, ...), null = no folder
+  tags text[] not null default '{}',
+  client_id text, -- id the app gave a note it made on the device before uploading it (POST /api/summaries)
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(), -- server time of the last change, the sync cursor
+  client_updated_at timestamptz, -- time of the last edit on the client's clock, for conflicts (null: updated_at)
+  deleted_at timestamptz
+);
+
+-- Existing installs: add the columns added after the first release
+alter table summaries add column if not exists created_at timestamptz not null default now();
+alter table summaries add column if not exists updated_at timestamptz not null default now();
+alter table summaries add column if not exists deleted_at timestamptz;
+alter table summaries add column if not exists options jsonb;
+alter table summaries add column if not exists sections jsonb;
+alter table summaries add column if not exists match_hash text; -- filled in by the backend when it starts
+alter table summaries add column if not exists folder text;
+alter table summaries add column if not exists tags text[] not null default '{}';
+alter table summaries add column if not exists client_id text;
+alter table summaries add column if not exists client_updated_at timestamptz;
+
+create index if not exists summaries_user_created_idx on summaries (user_id, created_at desc);
+drop index if exists summaries_user_updated_idx;
+create index if not exists summaries_user_updated_id_idx on summaries (user_id, updated_at, id); -- sync cursor
+create unique index if not exists summaries_user_client_idx on summaries (user_id, client_id);
+create index if not exists summaries_match_hash_idx on summaries (match_hash);
+create index if not exists summaries_user_folder_idx on summaries (user_id, folder);
+
+alter table summaries enable row level security;
+
+-- Earlier states of a summary (edits, re-summarize, restored versions), see /api/summaries/:id/versions
+create table if not exists summary_versions (
+  id bigint generated always as identity primary key,
+  summary_id text not null references summaries (id) on delete cascade,
+  user_id uuid references auth.users (id) on delete cascade,
+  text text not null default '',
+  summary text not null default '',
+  source text,
+  options jsonb,
+  reason text not null default 'edit', -- created | edit | resummarize | restore
+  created_at timestamptz not null default now()
+);
+
+create index if not exists summary_versions_summary_idx on summary_versions (summary_id, created_at desc);
+
+alter table summary_versions enable row level security;
+
+-- Plan per user, written by /api/stripe/webhook (users without a row are on the free plan)
+create table if not exists user_plans (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  plan text not null default 'free', -- free | pro
+  status text, -- Stripe subscription status (active, trialing, past_due, canceled, ...)
+  stripe_customer_id text,
+  stripe_subscription_id text,
+  current_period_end timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists user_plans_customer_idx on user_plans (stripe_customer_id);
+
+alter table user_plans enable row level security;
+
+-- One row per model call (tokens + cost) or per OCR engine and request (pages), for /api/usage
+create table if not exists usage_events (
+  id bigint generated always as identity primary key,
+  user_id uuid references auth.users (id) on delete cascade,
+  kind text not null, -- summary | quiz | simplify | ocr
+  provider text, -- openai, compatible, vision, tesseract, ...
+  model text,
+  prompt_tokens integer not null default 0,
+  completion_tokens integer not null default 0,
+  pages integer not null default 0,
+  estimated boolean not null default false, -- tokens estimated because the server did not report usage
+  failed boolean not null default false, -- the call failed or timed out (it may have been billed anyway)
+  cost numeric not null default 0, -- USD
+  summary_id text,
+  class_id uuid, -- the class that shared the text the call was made for (class usage)
+  created_at timestamptz not null default now()
+);
+
+alter table usage_events add column if not exists failed boolean not null default false;
+alter table usage_events add column if not exists class_id uuid;
+
+create index if not exists usage_events_user_created_idx on usage_events (user_id, created_at desc);
+create index if not exists usage_events_created_idx on usage_events (created_at);
+create index if not exists usage_events_class_created_idx on usage_events (class_id, created_at desc);
+
+alter table usage_events enable row level security;
+
+-- Classes: a teacher hands out join_code, students join with it
+create table if not exists classes (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  welcome_text text, -- shown on the app's home screen for the class members
+  join_code text not null unique,
+  redaction jsonb, -- privacy settings for the members: { enabled, kinds, restore, names, member_names, external_ocr }
+  teacher_id uuid references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+alter table classes add column if not exists redaction jsonb;
+
+create table if not exists class_members (
+  class_id uuid not null references classes (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  role text not null default 'student', -- teacher | student
+  display_name text,
+  joined_at timestamptz not null default now(),
+  primary key (class_id, user_id)
+);
+
+create index if not exists class_members_user_idx on class_members (user_id);
+
+-- Notes/summaries shared with a class; assignment = teachers track who summarized the text
+create table if not exists class_shares (
+  id uuid primary key default gen_random_uuid(),
+  class_id uuid not null references classes (id) on delete cascade,
+  shared_by uuid references auth.users (id) on delete cascade, -- deleting an account deletes what it shared
+  summary_id text,
+  title text,
+  text text not null default '',
+  summary text,
+  assignment boolean not null default false,
+  match_hash text, -- see summaries.match_hash
+  created_at timestamptz not null default now()
+);
+
+alter table class_shares add column if not exists match_hash text; -- filled in by the backend when it starts
+-- text_hash (before match_hash) is left alone here; migrations/drop-text-hash.sql removes it
+-- Existing installs: shared_by was "on delete set null"; account deletion (DELETE /api/me) relies on the cascade
+alter table class_shares drop constraint if exists class_shares_shared_by_fkey;
+alter table class_shares add constraint class_shares_shared_by_fkey foreign key (shared_by) references auth.users (id) on delete cascade;
+
+create index if not exists class_shares_class_idx on class_shares (class_id, created_at desc);
+create index if not exists class_shares_match_hash_idx on class_shares (class_id, match_hash);
+
+alter table classes enable row level security;
+alter table class_members enable row level security;
+alter table class_shares enable row level security;
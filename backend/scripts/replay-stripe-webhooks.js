@@ -0,0 +1,41 @@
+// backend/scripts/replay-stripe-webhooks.js
+// Sends the recorded events in fixtures/stripe to a running backend, signed like Stripe does,
+// so the webhook and plan changes can be checked without a Stripe account.
+// Usage: STRIPE_WEBHOOK_SECRET=whsec_... node scripts/replay-stripe-webhooks.js <user-id> [event ...]
+//  - WEBHOOK_URL defaults to http://localhost:3000/api/stripe/webhook
+//  - without event names all fixtures are sent: checkout, subscription updated, subscription deleted
+
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'stripe');
+const DEFAULT_ORDER = ['checkout.session.completed', 'customer.subscription.updated', 'customer.subscription.deleted'];
+
+async function main() {
+  const [userId, ...names] = process.argv.slice(2);
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  const url = process.env.WEBHOOK_URL || 'http://localhost:3000/api/stripe/webhook';
+  if (!userId || !secret) {
+    console.error('Usage: STRIPE_WEBHOOK_SECRET=whsec_... node scripts/replay-stripe-webhooks.js <user-id> [event ...]');
+    process.exit(1);
+  }
+
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_replay');
+  for (const name of names.length ? names : DEFAULT_ORDER) {
+    const raw = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8');
+    const payload = raw.split('__USER_ID__').join(userId);
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+      body: payload
+    });
+    console.log(`${name}: ${res.status} ${await res.text()}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,14 +1,51 @@
 // backend/server.js
-// Express backend with /api/ocr and /api/summarize endpoints
+// Express backend with /api/ocr (+ /api/ocr/batch), /api/summarize, /api/summaries (history sync),
+// /api/jobs (background OCR/summarize jobs), /api/classes (teacher classroom mode), /api/export and
+// /api/me (account data export and deletion) and /api/import (PDF, DOCX and text files) endpoints
 // Requirements:
-//  - Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (for saving summaries)
+//  - Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (sign-in and saving summaries); without them protected routes answer 500
+//  - Create the tables from schema.sql in your Supabase project (upgrades: also see migrations/)
 //  - OPTIONAL: set OPENAI_API_KEY to enable OpenAI summarization
+//  - OPTIONAL: set OPENAI_COMPAT_BASE_URL (+ OPENAI_COMPAT_API_KEY, OPENAI_COMPAT_MODEL) for any
+//    OpenAI-compatible server, e.g. a local model at http://localhost:11434/v1
+//  - OPTIONAL: SUMMARY_PROVIDERS sets the fallback order (default "openai,compatible,extractive")
 //  - OPTIONAL: set GOOGLE_VISION_API_KEY to enable OCR via Google Vision
-// Install: npm install express body-parser @supabase/supabase-js ioredis multer
+//  - OCR_PROVIDERS sets the OCR order (default "vision,tesseract"); tesseract runs locally
+//    (WASM) with the Dutch + English language packs, TESSERACT_LANGS overrides "nld+eng"
+//  - OPTIONAL: REDIS_URL for rate limiting and the background job queue (shared by all instances);
+//    JOB_WORKERS (default 2) and JOB_RETRIES (default 3) tune the job workers
+//  - Summaries and OCR results are cached by content hash (Redis with REDIS_URL, else an
+//    in-memory LRU of CACHE_MAX_ENTRIES); CACHE_TTL_SEC defaults to 7 days
+//  - OPTIONAL: STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET and STRIPE_PRICE_PRO enable the paid plan
+//    (Checkout + /api/stripe/webhook). STRIPE_API_HOST/PORT/PROTOCOL point the client at stripe-mock;
+//    BILLING_RETURN_URL is where Checkout sends the user back (default instanotes://billing)
+//  - OPTIONAL: RATE_LIMITS (JSON) overrides the per-route limits per plan/role, e.g. {"ocr":{"free":5}}
+//  - Personal data (names, e-mail, phone numbers, postcodes, addresses, BSN, IBAN) is masked before
+//    text goes to a model; OPTIONAL: PII_REDACTION (JSON) changes the defaults, teachers can tighten
+//    them per class (classes.redaction), e.g. {"restore":["name"],"external_ocr":false}
+//  - /api/simplify rewrites a text at a reading level (A1-B2) with a glossary; without a model
+//    it only returns a local glossary of difficult words
+//  - OPTIONAL: MODEL_PRICES (JSON, USD per 1M tokens: {"model":[prompt, completion]}) and
+//    VISION_PRICE_PER_PAGE for the cost accounting behind /api/usage; ADMIN_USER_IDS (comma
+//    separated) may call /api/admin/usage next to users whose app_metadata.role is "admin"
+//  - /api/import reads PDF (pdf-parse, in a worker thread stopped after PDF_TIMEOUT_MS, default 30000),
+//    DOCX (mammoth) and text files up to IMPORT_MAX_MB (default 15); scanned PDF pages go through
+//    Vision OCR (only those pages, split off with pdf-lib) or else tesseract, IMPORT_MAX_PAGES caps the pages
+// Install: npm install express body-parser @supabase/supabase-js ioredis multer stripe tesseract.js @tesseract.js-data/nld @tesseract.js-data/eng pdf-parse pdf-lib mammoth
+// Tests: npm test (node:test, backend/test) for the helper modules next to this file
 
+const crypto = require('crypto');
+const path = require('path');
+const { Worker } = require('worker_threads');
 const express = require('express');
 const bodyParser = require('body-parser');
 const { createClient } = require('@supabase/supabase-js');
+const { EXPORT_FORMATS, exportNotes, exportFileName } = require('./export');
+const { tokenize, detectLanguage, stopwordsFor, wordPattern, scoreSentences, splitSections, summarizeExtractive } = require('./extractive');
+const { PII_KINDS, PLACEHOLDER_WORD_RE, normalizeRedaction, stricterRedaction, redactForProviders, restoreSections, createStreamRestorer } = require('./redaction');
+const { SUMMARY_LENGTHS, LANGUAGE_NAMES, DEFAULT_SUMMARY_OPTIONS, normalizeSummaryOptions, resolveSummaryLanguage, summaryMessages, placeholderPrompt } = require('./summary-options');
+const { emptyUsage, aggregateUsage } = require('./usage');
+const { importFormat, fileTitle, decodeText, docxHtmlToMarkdown } = require('./import');
 
 const PORT = process.env.PORT || 3000;
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -17,25 +54,52 @@ const OPENAI_KEY = process.env.OPENAI_API_KEY;
 const REDIS_URL = process.env.REDIS_URL || null;
 const DISABLE_OPENAI = String(process.env.DISABLE_OPENAI || '').trim() === '1';
 const GOOGLE_VISION_API_KEY = process.env.GOOGLE_VISION_API_KEY || null;
+const OPENAI_COMPAT_BASE_URL = process.env.OPENAI_COMPAT_BASE_URL || null;
+const SUMMARY_PROVIDERS = (process.env.SUMMARY_PROVIDERS || 'openai,compatible,extractive')
+  .split(',').map(s => s.trim()).filter(Boolean);
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.PROVIDER_TIMEOUT_MS, 10) || 20000;
+const SUMMARY_CHUNK_CHARS = parseInt(process.env.SUMMARY_CHUNK_CHARS, 10) || 6000;
+const SUMMARY_CONCURRENCY = parseInt(process.env.SUMMARY_CONCURRENCY, 10) || 3;
+const JOB_WORKERS = parseInt(process.env.JOB_WORKERS, 10) || 2;
+const JOB_RETRIES = parseInt(process.env.JOB_RETRIES, 10) || 3;
+const JOB_TTL_SEC = 24 * 60 * 60;
+const CACHE_TTL_SEC = parseInt(process.env.CACHE_TTL_SEC, 10) || 7 * 24 * 60 * 60;
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || null;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || null;
+const STRIPE_PRICE_PRO = process.env.STRIPE_PRICE_PRO || null;
+const BILLING_RETURN_URL = process.env.BILLING_RETURN_URL || 'instanotes://billing';
+const OCR_PROVIDERS = (process.env.OCR_PROVIDERS || 'vision,tesseract')
+  .split(',').map(s => s.trim()).filter(Boolean);
+const MAX_OCR_PAGES = parseInt(process.env.MAX_OCR_PAGES, 10) || 20;
+const IMPORT_MAX_MB = parseInt(process.env.IMPORT_MAX_MB, 10) || 15;
+const IMPORT_MAX_PAGES = parseInt(process.env.IMPORT_MAX_PAGES, 10) || 300;
+const PDF_TIMEOUT_MS = parseInt(process.env.PDF_TIMEOUT_MS, 10) || 30000;
+const PDF_MEMORY_MB = parseInt(process.env.PDF_MEMORY_MB, 10) || 512;
+const TESSERACT_LANGS = (process.env.TESSERACT_LANGS || 'nld+eng').split('+').map(s => s.trim()).filter(Boolean);
 
-// Supabase admin client (service role) — optional but used to save summaries
+// Supabase admin client (service role) — sign-in and saved notes need it. Without it the
+// server still starts: protected routes answer 500 and nothing is stored.
 let supabase = null;
-if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
-  supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+const supabaseMissing = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'].filter(name => !String(process.env[name] || '').trim());
+if (supabaseMissing.length) {
+  console.warn(`${supabaseMissing.join(' and ')} not set — sign-in and saving summaries are disabled.`);
+} else if (!/^https?:\/\/\S+$/.test(SUPABASE_URL.trim())) {
+  console.warn(`SUPABASE_URL "${SUPABASE_URL}" is not an http(s) URL — sign-in and saving summaries are disabled.`);
 } else {
-  console.warn('SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY not set. Supabase DB logging / auth may be disabled.');
+  supabase = createClient(SUPABASE_URL.trim(), SUPABASE_SERVICE_ROLE_KEY.trim());
 }
 
-// Redis (optional) for rate limiting
+// Redis (optional) for rate limiting, the job queue and the result cache
 let redis = null;
 try {
   if (REDIS_URL) {
     const IORedis = require('ioredis');
     redis = new IORedis(REDIS_URL);
     redis.on('error', (e) => console.error('Redis error', e));
-    console.log('Connected to Redis for rate limiting.');
+    console.log('Connected to Redis for rate limiting, jobs and caching.');
   } else {
-    console.log('No REDIS_URL provided — using in-memory rate limiter (dev only).');
+    console.log('No REDIS_URL provided — using in-memory rate limiter, job queue and cache (dev only).');
   }
 } catch (err) {
   console.warn('ioredis not installed or failed — continuing without Redis.', err.message);
@@ -45,23 +109,78 @@ try {
 // Multer for uploads (ensure installed)
 let multer = null;
 let upload = null;
+let importUpload = null;
 try {
   multer = require('multer');
-  upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+  upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: MAX_OCR_PAGES } });
+  importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_MB * 1024 * 1024, files: 1 } });
 } catch (err) {
-  console.warn('multer not installed; /api/ocr will be unavailable until you install multer.');
+  console.warn('multer not installed; /api/ocr and /api/import will be unavailable until you install multer.');
   multer = null;
   upload = null;
+  importUpload = null;
+}
+
+// Document parsers (optional) for /api/import: pdf-parse for PDF (loaded by pdf-worker.js,
+// pdf-lib there splits off the scanned pages for Vision), mammoth for DOCX
+let pdfParse = false;
+try {
+  pdfParse = !!require.resolve('pdf-parse');
+} catch (err) {
+  console.warn('pdf-parse not installed; /api/import cannot read PDF files.');
+}
+let pdfLib = false;
+try {
+  pdfLib = !!require.resolve('pdf-lib');
+} catch (err) {
+  console.warn('pdf-lib not installed; Vision receives whole PDFs instead of the scanned pages.');
+}
+let mammoth = null;
+try {
+  mammoth = require('mammoth');
+} catch (err) {
+  console.warn('mammoth not installed; /api/import cannot read DOCX files.');
+}
+
+// Stripe (optional) for the paid plan; STRIPE_API_HOST etc. point it at stripe-mock
+let stripe = null;
+try {
+  if (STRIPE_SECRET_KEY) {
+    const Stripe = require('stripe');
+    stripe = new Stripe(STRIPE_SECRET_KEY, process.env.STRIPE_API_HOST ? {
+      host: process.env.STRIPE_API_HOST,
+      port: parseInt(process.env.STRIPE_API_PORT, 10) || 12111,
+      protocol: process.env.STRIPE_API_PROTOCOL || 'http'
+    } : undefined);
+  } else {
+    console.log('No STRIPE_SECRET_KEY provided — everyone stays on the free plan.');
+  }
+} catch (err) {
+  console.warn('stripe not installed; billing is unavailable.', err.message);
+  stripe = null;
+}
+
+// Tesseract (optional) for local OCR without an external service
+let Tesseract = null;
+try {
+  Tesseract = require('tesseract.js');
+} catch (err) {
+  console.warn('tesseract.js not installed; local OCR is unavailable.');
+  Tesseract = null;
 }
 
 const app = express();
-app.use(bodyParser.json({ limit: '400kb' }));
+// Stripe signs the raw body, so the webhook is registered before the JSON parser
+app.post('/api/stripe/webhook', bodyParser.raw({ type: 'application/json' }), handleStripeWebhook);
+// long chapters are chunked by /api/summarize, so the body limit is well above one model context
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || '2mb' }));
 
 // Simple CORS (tighten in production)
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After');
   if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 });
@@ -70,36 +189,110 @@ app.get('/', (req, res) => res.send('InstaNotes backend running'));
 app.get('/_healthcheck_ocr', (req, res) => res.json({ ok: true, now: Date.now() }));
 
 /* ---------------------------
-   Rate limiter (per-user)
+   Rate limiter (per route, per user, sliding window)
+   Limits depend on the route and on the user's role (Supabase app_metadata.role)
+   or plan; RATE_LIMITS (JSON) overrides them, e.g. {"ocr":{"free":5,"teacher":60}}.
+   Multi-page OCR takes one slot per page.
+   Every response carries RateLimit-Limit/-Remaining/-Reset/-Policy; a 429 also
+   has Retry-After. When Redis fails the in-memory window takes over instead of
+   letting everything through.
 ----------------------------*/
-const inMemoryRate = new Map();
-function userRateLimiter({ limit = 60, windowSec = 60 } = {}) {
+const RATE_LIMITS = mergeRateLimits({
+  summarize: { windowSec: 60, free: 20, pro: 60, admin: 600 },
+  ocr: { windowSec: 60, free: 10, pro: 30, admin: 300 },
+  quiz: { windowSec: 60, free: 20, pro: 60, admin: 600 },
+  history: { windowSec: 60, free: 120, pro: 240, admin: 1200 },
+  jobs: { windowSec: 60, free: 240, pro: 240, admin: 1200 },
+  billing: { windowSec: 60, free: 10, pro: 10, admin: 100 },
+  classes: { windowSec: 60, free: 120, pro: 240, admin: 1200 },
+  simplify: { windowSec: 60, free: 20, pro: 60, admin: 600 },
+  export: { windowSec: 60, free: 20, pro: 60, admin: 600 },
+  import: { windowSec: 60, free: 10, pro: 30, admin: 300 },
+  account: { windowSec: 60, free: 5, pro: 5, admin: 50 }
+}, process.env.RATE_LIMITS);
+
+function mergeRateLimits(defaults, json) {
+  if (!json) return defaults;
+  try {
+    const overrides = JSON.parse(json);
+    const merged = { ...defaults };
+    for (const [route, limits] of Object.entries(overrides)) merged[route] = { ...(defaults[route] || { windowSec: 60 }), ...limits };
+    return merged;
+  } catch (err) {
+    console.warn('RATE_LIMITS is not valid JSON — using the defaults.', err.message);
+    return defaults;
+  }
+}
+
+const inMemoryRate = new Map(); // key -> request timestamps (ms) inside the window
+
+// cost: the slots this request takes (OCR: one per page)
+function hitMemoryWindow(key, limit, windowMs, now, cost = 1) {
+  const hits = (inMemoryRate.get(key) || []).filter(t => t > now - windowMs);
+  const allowed = hits.length + cost <= limit;
+  if (allowed) for (let i = 0; i < cost; i++) hits.push(now);
+  inMemoryRate.set(key, hits);
+  if (inMemoryRate.size > 10000) {
+    for (const [k, v] of inMemoryRate) if (!v.length || v[v.length - 1] <= now - windowMs) inMemoryRate.delete(k);
+  }
+  return { count: hits.length, oldest: hits[0] ?? now, allowed };
+}
+
+// sorted set of request timestamps; a rejected request is removed again so it does not count
+async function hitRedisWindow(key, limit, windowMs, now, cost = 1) {
+  const members = Array.from({ length: cost }, () => `${now}-${Math.random().toString(36).slice(2, 10)}`);
+  const results = await redis.multi()
+    .zremrangebyscore(key, 0, now - windowMs)
+    .zadd(key, ...members.flatMap(member => [now, member]))
+    .zcard(key)
+    .zrange(key, 0, 0, 'WITHSCORES')
+    .pexpire(key, windowMs)
+    .exec();
+  const failed = results.find(([err]) => err);
+  if (failed) throw failed[0];
+  const count = results[2][1];
+  const oldest = Number(results[3][1][1]) || now;
+  if (count > limit) {
+    await redis.zrem(key, ...members);
+    return { count: limit, oldest, allowed: false };
+  }
+  return { count, oldest, allowed: true };
+}
+
+// cost(req): slots the request takes, capped at the limit so a large batch fits an empty window
+function userRateLimiter(route, { cost } = {}) {
+  const config = RATE_LIMITS[route];
+  if (!config) throw new Error(`No rate limit configured for route "${route}"`);
+  const windowMs = config.windowSec * 1000;
+
   return async (req, res, next) => {
-    try {
-      const userId = (req.user && req.user.id) ? req.user.id : (req.ip || 'anon');
-      const key = `rl:${userId}`;
-      const now = Math.floor(Date.now() / 1000);
-
-      if (redis) {
-        const added = await redis.incr(key);
-        if (added === 1) await redis.expire(key, windowSec);
-        if (added > limit) return res.status(429).json({ error: 'Too many requests' });
-      } else {
-        const entry = inMemoryRate.get(key) || { start: now, count: 0 };
-        if (now - entry.start >= windowSec) {
-          entry.start = now;
-          entry.count = 1;
-        } else {
-          entry.count++;
-        }
-        inMemoryRate.set(key, entry);
-        if (entry.count > limit) return res.status(429).json({ error: 'Too many requests' });
+    const userId = (req.user && req.user.id) ? req.user.id : (req.ip || 'anon');
+    const plan = req.user ? (await getUserPlan(req.user.id).catch(() => null))?.plan : null;
+    const limit = config[req.user?.role] ?? config[plan] ?? config.free;
+    const key = `rl:${route}:${userId}`;
+    const now = Date.now();
+    const slots = Math.min(limit, Math.max(1, cost ? cost(req) : 1));
+
+    let result = null;
+    if (redis) {
+      try {
+        result = await hitRedisWindow(key, limit, windowMs, now, slots);
+      } catch (err) {
+        console.error('rateLimiter redis error — using the in-memory window', err.message);
       }
-      next();
-    } catch (err) {
-      console.error('rateLimiter error', err);
-      next();
     }
+    if (!result) result = hitMemoryWindow(key, limit, windowMs, now, slots);
+
+    const resetSec = Math.max(1, Math.ceil((result.oldest + windowMs - now) / 1000));
+    res.setHeader('RateLimit-Policy', `${limit};w=${config.windowSec}`);
+    res.setHeader('RateLimit-Limit', String(limit));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, limit - result.count)));
+    res.setHeader('RateLimit-Reset', String(resetSec));
+    if (!result.allowed) {
+      res.setHeader('Retry-After', String(resetSec));
+      return res.status(429).json({ error: 'Too many requests', retry_after: resetSec });
+    }
+    next();
   };
 }
 
@@ -124,7 +317,7 @@ async function requireAuth(req, res, next) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
-    req.user = { id: data.user.id, email: data.user.email };
+    req.user = { id: data.user.id, email: data.user.email, role: data.user.app_metadata?.role || null };
     next();
   } catch (err) {
     console.error('requireAuth error', err);
@@ -133,168 +326,3644 @@ async function requireAuth(req, res, next) {
 }
 
 /* ---------------------------
-   Summarize endpoint (protected)
+   Plans and monthly quotas
+   Plans live in the Supabase table user_plans (written by the Stripe webhook);
+   usage is counted per calendar month in Redis (quota:<userId>:<YYYY-MM>) or in
+   memory. Free users who run out of AI summaries get extractive summaries; paid
+   plans get a 402 instead. OCR pages count for every plan. A request reserves its
+   units before the work starts (check and increment in one step, see reserveUsage)
+   and gives back what it did not use: cache hits, fallbacks and failures are free.
+   - GET  /api/billing                      -> { plan, status, current_period_end, limits, usage, period }
+   - POST /api/billing/checkout             -> { id, url } Stripe Checkout for the pro plan
+   - POST /api/stripe/webhook               Stripe events (signature checked with STRIPE_WEBHOOK_SECRET)
 ----------------------------*/
-app.post('/api/summarize', requireAuth, userRateLimiter({ limit: 60, windowSec: 60 }), async (req, res) => {
+const PLANS = {
+  free: {
+    aiSummaries: parseInt(process.env.FREE_AI_SUMMARIES, 10) || 30,
+    ocrPages: parseInt(process.env.FREE_OCR_PAGES, 10) || 50,
+    extractiveFallback: true
+  },
+  pro: {
+    aiSummaries: parseInt(process.env.PRO_AI_SUMMARIES, 10) || 1000,
+    ocrPages: parseInt(process.env.PRO_OCR_PAGES, 10) || 2000,
+    extractiveFallback: false
+  }
+};
+const ACTIVE_SUBSCRIPTION = ['active', 'trialing', 'past_due'];
+const PLAN_CACHE_MS = 60 * 1000;
+const planCache = new Map();
+const inMemoryUsage = new Map();
+
+function usagePeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+// returns the user_plans row (or a free default); cached briefly, the webhook clears it
+async function getUserPlan(userId) {
+  const hit = planCache.get(userId);
+  if (hit && hit.at > Date.now() - PLAN_CACHE_MS) return hit.row;
+  let row = null;
+  if (supabase) {
+    const { data, error } = await supabase.from('user_plans').select('*').eq('user_id', userId).maybeSingle();
+    if (error) console.warn('Failed to load plan', error);
+    row = data || null;
+  }
+  row = row || { user_id: userId, plan: 'free', status: null };
+  if (row.plan !== 'free' && !ACTIVE_SUBSCRIPTION.includes(row.status)) row = { ...row, plan: 'free' };
+  planCache.set(userId, { at: Date.now(), row });
+  return row;
+}
+
+async function getUsage(userId, period = usagePeriod()) {
+  const key = `quota:${userId}:${period}`;
+  const raw = redis ? await redis.hgetall(key) : (inMemoryUsage.get(key) || {});
+  return { aiSummaries: parseInt(raw.aiSummaries, 10) || 0, ocrPages: parseInt(raw.ocrPages, 10) || 0 };
+}
+
+// amount < 0 gives reserved units back; period is the month they were reserved in
+async function addUsage(userId, field, amount = 1, period = usagePeriod()) {
+  if (!amount) return;
+  const key = `quota:${userId}:${period}`;
   try {
-    let { text } = req.body || {};
-    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'Missing text' });
+    if (redis) {
+      await redis.hincrby(key, field, amount);
+      await redis.expire(key, QUOTA_KEY_TTL_SEC);
+    } else {
+      const entry = inMemoryUsage.get(key) || {};
+      entry[field] = (entry[field] || 0) + amount;
+      inMemoryUsage.set(key, entry);
+    }
+  } catch (err) {
+    console.error('addUsage error', err);
+  }
+}
+
+const QUOTA_KEY_TTL_SEC = 40 * 24 * 60 * 60;
+const RESERVE_USAGE_SCRIPT = `
+local used = tonumber(redis.call('HGET', KEYS[1], ARGV[1]) or '0')
+if used + tonumber(ARGV[2]) > tonumber(ARGV[3]) then return 0 end
+redis.call('HINCRBY', KEYS[1], ARGV[1], ARGV[2])
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+return 1`;
+
+// Adds amount to the month's field unless that would pass limit; true when it was added.
+// Check and increment are one step (a Lua script in Redis, a single tick in memory), so
+// concurrent requests cannot all pass the check and overspend the quota.
+async function reserveUsage(userId, field, amount, limit, period = usagePeriod()) {
+  if (!amount) return true;
+  const key = `quota:${userId}:${period}`;
+  if (redis) return (await redis.eval(RESERVE_USAGE_SCRIPT, 1, key, field, amount, limit, QUOTA_KEY_TTL_SEC)) === 1;
+  const entry = inMemoryUsage.get(key) || {};
+  if ((entry[field] || 0) + amount > limit) return false;
+  entry[field] = (entry[field] || 0) + amount;
+  inMemoryUsage.set(key, entry);
+  return true;
+}
+
+const RESERVED_FIELDS = ['aiSummaries', 'ocrPages'];
+
+// gives back the units a request reserved and did not settle ({ period, aiSummaries, ocrPages }),
+// into the month they were taken from: a request that runs past midnight on the last day
+// must not lower the new month's count
+async function releaseUsage(userId, reserved) {
+  if (!reserved) return;
+  for (const field of RESERVED_FIELDS) {
+    if (reserved[field]) await addUsage(userId, field, -reserved[field], reserved.period);
+    reserved[field] = 0;
+  }
+}
+
+// middleware: req.quota = { plan, limits, usage }; req.reserved holds this request's reservations
+// and the month (period) they count against
+async function loadQuota(req, res, next) {
+  try {
+    const row = await getUserPlan(req.user.id);
+    const plan = PLANS[row.plan] ? row.plan : 'free';
+    const period = usagePeriod();
+    req.quota = { plan, limits: PLANS[plan], usage: await getUsage(req.user.id, period) };
+    req.reserved = { period, aiSummaries: 0, ocrPages: 0 };
+    next();
+  } catch (err) {
+    console.error('loadQuota error', err);
+    return res.status(500).json({ error: 'Could not load plan' });
+  }
+}
+
+// Which summary providers this request may use: { providers, quotaExceeded } or { error } for a 402.
+// Reserves one AI summary (req.reserved); settleSummary keeps or returns it.
+async function summaryAccess(req) {
+  const { limits } = req.quota;
+  if (await reserveUsage(req.user.id, 'aiSummaries', 1, limits.aiSummaries, req.reserved.period)) {
+    req.reserved.aiSummaries = 1;
+    return { providers: summaryProviders(), quotaExceeded: false };
+  }
+  if (limits.extractiveFallback) return { providers: [PROVIDERS.extractive], quotaExceeded: true };
+  return { error: `Monthly AI summary quota reached (${limits.aiSummaries})` };
+}
+
+// Reserves the pages (req.reserved): {} or { error } for a 402
+async function ocrAccess(req, pages) {
+  if (await reserveUsage(req.user.id, 'ocrPages', pages, req.quota.limits.ocrPages, req.reserved.period)) {
+    req.reserved.ocrPages += pages;
+    return {};
+  }
+  const { ocrPages } = await getUsage(req.user.id, req.reserved.period);
+  return { error: `Monthly OCR quota reached (${ocrPages}/${req.quota.limits.ocrPages} pages used)` };
+}
+
+// cache hits and extractive summaries cost nothing, so only fresh model summaries count
+function isModelSummary(result) {
+  return !result.cached && result.source !== 'extractive';
+}
+
+// charged: a model produced the result; otherwise the reserved summary is given back
+async function settleSummary(userId, reserved = {}, charged) {
+  if (reserved.aiSummaries && !charged) await addUsage(userId, 'aiSummaries', -reserved.aiSummaries, reserved.period);
+  reserved.aiSummaries = 0;
+}
+
+// keeps the reserved pages that were read (cache hits are free) and records them for /api/usage
+async function countOcrPages(userId, results, reserved = {}) {
+  await addUsage(userId, 'ocrPages', results.filter(r => !r.cached).length - (reserved.ocrPages || 0), reserved.period);
+  reserved.ocrPages = 0;
+  await recordUsage(userId, 'ocr', ocrUsageCalls(results));
+}
+
+async function savePlan(userId, fields) {
+  planCache.delete(userId);
+  if (!supabase) return;
+  const { error } = await supabase.from('user_plans').upsert({ user_id: userId, ...fields, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+  if (error) throw new Error(`Failed to save plan: ${error.message}`);
+}
+
+async function userIdForCustomer(customerId) {
+  if (!supabase || !customerId) return null;
+  const { data } = await supabase.from('user_plans').select('user_id').eq('stripe_customer_id', customerId).maybeSingle();
+  return data?.user_id || null;
+}
+
+function subscriptionFields(subscription) {
+  // current_period_end moved to the subscription items in newer API versions
+  const periodEnd = subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end;
+  return {
+    plan: ACTIVE_SUBSCRIPTION.includes(subscription.status) ? 'pro' : 'free',
+    status: subscription.status,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    current_period_end: periodEnd ? new Date(periodEnd * 1000).toISOString() : null
+  };
+}
+
+async function handleStripeWebhook(req, res) {
+  if (!stripe || !STRIPE_WEBHOOK_SECRET) return res.status(501).json({ error: 'Billing not configured' });
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.warn('Stripe webhook signature check failed', err.message);
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
 
-    if (DISABLE_OPENAI || !OPENAI_KEY) {
-      const extractive = summarizeExtractive(text, 3);
-      await saveSummaryToDB(req.user.id, text, extractive, 'extractive', null);
-      return res.json({ summary: extractive, source: 'extractive' });
+  try {
+    const object = event.data.object;
+    switch (event.type) {
+      case 'checkout.session.completed': {
+        const userId = object.client_reference_id || object.metadata?.user_id;
+        if (!userId) break;
+        await savePlan(userId, {
+          plan: 'pro',
+          status: 'active',
+          stripe_customer_id: object.customer,
+          stripe_subscription_id: object.subscription
+        });
+        break;
+      }
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted': {
+        const userId = object.metadata?.user_id || await userIdForCustomer(object.customer);
+        if (!userId) {
+          console.warn(`Stripe ${event.type} for unknown customer ${object.customer}`);
+          break;
+        }
+        const fields = subscriptionFields(object);
+        if (event.type === 'customer.subscription.deleted') fields.plan = 'free';
+        await savePlan(userId, fields);
+        break;
+      }
+      default:
+        break;
     }
+    return res.json({ received: true });
+  } catch (err) {
+    // 500 makes Stripe retry the event later
+    console.error('/api/stripe/webhook unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+}
 
-    // Call OpenAI Chat Completions
-    const payload = {
-      model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-      messages: [
-        { role: 'system', content: 'Vat de tekst kort samen in Nederlandse bullets.' },
-        { role: 'user', content: text }
-      ],
-      max_tokens: 300,
-      temperature: 0.2
-    };
+app.get('/api/billing', requireAuth, userRateLimiter('billing'), loadQuota, async (req, res) => {
+  try {
+    const row = await getUserPlan(req.user.id);
+    return res.json({
+      plan: req.quota.plan,
+      status: row.status || null,
+      current_period_end: row.current_period_end || null,
+      limits: { aiSummaries: req.quota.limits.aiSummaries, ocrPages: req.quota.limits.ocrPages },
+      usage: req.quota.usage,
+      period: usagePeriod(),
+      checkout: !!(stripe && STRIPE_PRICE_PRO)
+    });
+  } catch (err) {
+    console.error('/api/billing unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
 
-    const openaiRes = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${OPENAI_KEY}` },
-      body: JSON.stringify(payload)
+app.post('/api/billing/checkout', requireAuth, userRateLimiter('billing'), async (req, res) => {
+  try {
+    if (!stripe || !STRIPE_PRICE_PRO) return res.status(501).json({ error: 'Billing not configured' });
+    const row = await getUserPlan(req.user.id);
+    const session = await stripe.checkout.sessions.create({
+      mode: 'subscription',
+      line_items: [{ price: STRIPE_PRICE_PRO, quantity: 1 }],
+      client_reference_id: req.user.id,
+      ...(row.stripe_customer_id ? { customer: row.stripe_customer_id } : { customer_email: req.user.email }),
+      subscription_data: { metadata: { user_id: req.user.id } },
+      success_url: `${BILLING_RETURN_URL}?status=success`,
+      cancel_url: `${BILLING_RETURN_URL}?status=cancel`
     });
+    return res.json({ id: session.id, url: session.url });
+  } catch (err) {
+    console.error('/api/billing/checkout unexpected', err);
+    return res.status(502).json({ error: 'Could not start checkout' });
+  }
+});
+
+/* ---------------------------
+   Usage accounting
+   Every model call is stored in usage_events with its tokens, model and cost;
+   OCR pages are stored per engine (Vision pages cost VISION_PRICE_PER_PAGE).
+   - GET /api/usage?days=30         -> { days: [{ day, ...totals }], months: [{ month, ...totals }] } for the current user
+   - GET /api/admin/usage?days=30   -> { since, total, days, users: [{ user_id, ...totals }] } (admins only)
+   totals are { ai_calls, prompt_tokens, completion_tokens, ocr_pages, cost (USD) }
+----------------------------*/
+// USD per 1M tokens: [prompt, completion]; local/compatible models cost nothing unless listed
+const MODEL_PRICES = {
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  ...parseJSONEnv('MODEL_PRICES')
+};
+const VISION_PRICE_PER_PAGE = parseFloat(process.env.VISION_PRICE_PER_PAGE) || 0.0015;
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+const USAGE_COLUMNS = 'user_id, kind, provider, model, prompt_tokens, completion_tokens, pages, cost, created_at';
+
+function parseJSONEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (err) {
+    console.warn(`${name} is not valid JSON — ignoring.`, err.message);
+    return {};
+  }
+}
 
-    const status = openaiRes.status;
-    const json = await openaiRes.json().catch(() => null);
-    if (status >= 400) {
-      console.error('[summarize] OpenAI error', status, json);
-      return res.status(500).json({ error: 'OpenAI error', details: json });
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// dated model names (gpt-4o-mini-2024-07-18) use the price of their base name
+function modelPrice(model) {
+  if (!model) return null;
+  if (MODEL_PRICES[model]) return MODEL_PRICES[model];
+  const base = Object.keys(MODEL_PRICES).filter(name => model.startsWith(`${name}-`)).sort((a, b) => b.length - a.length)[0];
+  return base ? MODEL_PRICES[base] : null;
+}
+
+function callCost(call) {
+  const price = modelPrice(call.model);
+  if (!price) return 0;
+  return (call.prompt_tokens * price[0] + call.completion_tokens * price[1]) / 1e6;
+}
+
+function usageCost(calls = []) {
+  return calls.reduce((sum, call) => sum + callCost(call), 0);
+}
+
+// best effort: accounting must never fail the request it describes.
+// sourceText (the text the user sent) links the calls to the class that shared it.
+async function recordUsage(userId, kind, calls = [], summaryId = null, sourceText = null) {
+  if (!supabase || !calls.length) return;
+  const now = new Date().toISOString();
+  let classId = null;
+  if (sourceText) {
+    try {
+      classId = await classForText(userId, sourceText);
+    } catch (err) {
+      console.warn('Failed to link usage to a class', err.message || err);
     }
+  }
+  const rows = calls.map(call => ({
+    user_id: userId,
+    kind,
+    provider: call.provider,
+    model: call.model || null,
+    prompt_tokens: call.prompt_tokens || 0,
+    completion_tokens: call.completion_tokens || 0,
+    pages: call.pages || 0,
+    estimated: !!call.estimated,
+    failed: !!call.failed,
+    cost: call.cost ?? callCost(call),
+    summary_id: summaryId,
+    class_id: classId,
+    created_at: now
+  }));
+  try {
+    const { error } = await supabase.from('usage_events').insert(rows);
+    if (error) console.warn('Failed to record usage', error);
+  } catch (err) {
+    console.error('recordUsage error', err);
+  }
+}
+
+// one usage row per OCR engine for the pages that were not served from the cache
+function ocrUsageCalls(results) {
+  const byEngine = new Map();
+  for (const result of results.filter(r => !r.cached)) {
+    byEngine.set(result.engine, (byEngine.get(result.engine) || 0) + 1);
+  }
+  return [...byEngine].map(([engine, pages]) => ({
+    provider: engine,
+    pages,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    cost: engine === 'vision' ? pages * VISION_PRICE_PER_PAGE : 0
+  }));
+}
+
+const USAGE_PAGE_SIZE = 1000;
+
+// userIds: one id, a list of ids (a class) or nothing for everyone; classId keeps the
+// calls recorded for that class. Supabase returns at most 1000 rows per request, so the
+// rows are read page by page (id keeps the order stable).
+async function loadUsageRows(since, userIds, classId = null) {
+  const rows = [];
+  for (let from = 0; ; from += USAGE_PAGE_SIZE) {
+    let query = supabase.from('usage_events').select(USAGE_COLUMNS).gte('created_at', since.toISOString());
+    if (Array.isArray(userIds)) query = query.in('user_id', userIds);
+    else if (userIds) query = query.eq('user_id', userIds);
+    if (classId) query = query.eq('class_id', classId);
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(from, from + USAGE_PAGE_SIZE - 1);
+    if (error) throw new Error(`Failed to load usage: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < USAGE_PAGE_SIZE) return rows;
+  }
+}
+
+function usageDays(req) {
+  return Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+}
 
-    let summary = '';
-    if (json?.choices && json.choices[0]?.message?.content) summary = json.choices[0].message.content;
-    else if (json?.choices && json.choices[0]?.text) summary = json.choices[0].text;
+function isAdmin(user) {
+  return user.role === 'admin' || ADMIN_USER_IDS.includes(user.id);
+}
+
+app.get('/api/usage', requireAuth, userRateLimiter('history'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+    const days = usageDays(req);
+    const now = new Date();
+    const sinceDay = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    sinceDay.setUTCHours(0, 0, 0, 0);
+    // the last 12 months are always included for the month totals
+    const sinceMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1));
+    const rows = await loadUsageRows(sinceDay < sinceMonth ? sinceDay : sinceMonth, req.user.id);
 
-    await saveSummaryToDB(req.user.id, text, summary, 'openai', null);
-    return res.json({ summary, source: 'openai' });
+    return res.json({
+      days: aggregateUsage(rows.filter(r => r.created_at >= sinceDay.toISOString()), 'day', r => r.created_at.slice(0, 10)),
+      months: aggregateUsage(rows, 'month', r => r.created_at.slice(0, 7))
+    });
   } catch (err) {
-    console.error('/api/summarize unexpected', err);
+    console.error('/api/usage unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/admin/usage', requireAuth, userRateLimiter('history'), async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) return res.status(403).json({ error: 'Admins only' });
+    if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+    const since = new Date(Date.now() - (usageDays(req) - 1) * 24 * 60 * 60 * 1000);
+    since.setUTCHours(0, 0, 0, 0);
+    const rows = await loadUsageRows(since);
+
+    const { total, ...totals } = aggregateUsage(rows, 'total', () => true)[0] || { total: true, ...emptyUsage() };
+    return res.json({
+      since: since.toISOString(),
+      total: totals,
+      days: aggregateUsage(rows, 'day', r => r.created_at.slice(0, 10)),
+      users: aggregateUsage(rows, 'user_id', r => r.user_id).sort((a, b) => b.cost - a.cost)
+    });
+  } catch (err) {
+    console.error('/api/admin/usage unexpected', err);
     return res.status(500).json({ error: String(err) });
   }
 });
 
 /* ---------------------------
-   OCR endpoint (POST /api/ocr)
-   - expects multipart/form-data field "image"
-   - requires multer to be installed
-   - uses Google Vision if GOOGLE_VISION_API_KEY is set
+   Summarization providers
+   Each provider has { name, enabled(), summarize(text, options) }; model providers
+   also have chat(messages, opts), chatStream() and summarizeStream(). runSummaryProviders walks SUMMARY_PROVIDERS
+   in order and falls through to the next one on timeout or error.
 ----------------------------*/
-app.post(
-  '/api/ocr',
-  requireAuth,
-  userRateLimiter({ limit: 20, windowSec: 60 }),
-  (req, res, next) => {
-    if (!upload) {
-      return res.status(501).json({ error: 'OCR disabled: multer not installed. Run `npm install multer` in backend.' });
-    }
-    upload.single('image')(req, res, (err) => {
-      if (err) {
-        console.error('/api/ocr upload error', err);
-        return res.status(400).json({ error: 'Upload error', details: String(err.message || err) });
-      }
-      next();
-    });
-  },
-  async (req, res) => {
-    try {
-      if (!req.file) return res.status(400).json({ error: 'Missing image file (field name "image")' });
+// usage is { provider, model, prompt_tokens, completion_tokens, estimated } for every model call;
+// a failed or timed-out call may have been billed all the same, so its error carries
+// err.usage (with failed: true) for the usage accounting
+function chatCompletionsProvider({ name, baseUrl, apiKey, model, isEnabled }) {
+  const callUsage = (messages, content, reported, reportedModel) => ({
+    provider: name,
+    model: reportedModel || model,
+    // servers that do not report usage get a rough chars/4 estimate
+    prompt_tokens: reported?.prompt_tokens ?? estimateTokens(messages.map(m => m.content).join('\n')),
+    completion_tokens: reported?.completion_tokens ?? estimateTokens(content),
+    estimated: !reported
+  });
+  const failedCall = (err, messages, content = '', reported = null, reportedModel = null) => {
+    err.usage = { ...callUsage(messages, content, reported, reportedModel), failed: true };
+    return err;
+  };
 
-      if (!GOOGLE_VISION_API_KEY) {
-        return res.status(501).json({
-          error: 'No OCR provider configured. Set GOOGLE_VISION_API_KEY env var to enable OCR via Google Vision.'
+  const provider = {
+    name,
+    model,
+    enabled: isEnabled,
+    callUsage,
+    // signal: aborts the call when the request it serves is gone (client disconnected)
+    async chat(messages, { maxTokens = 300, temperature = 0.2, json = false, signal } = {}) {
+      const payload = { model, messages, max_tokens: maxTokens, temperature };
+      if (json) payload.response_format = { type: 'json_object' };
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const timeout = providerSignal(name, signal);
+      let res;
+      let body;
+      try {
+        res = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(payload),
+          signal: timeout.signal
         });
+        body = await res.json().catch(() => null);
+      } catch (err) {
+        throw failedCall(err, messages);
+      } finally {
+        timeout.clear();
+      }
+      if (!res.ok) {
+        const err = new Error(`${name} error ${res.status}: ${JSON.stringify(body).slice(0, 300)}`);
+        err.status = res.status;
+        throw failedCall(err, messages, '', body?.usage, body?.model);
       }
+      let content = '';
+      if (body?.choices && body.choices[0]?.message?.content) content = body.choices[0].message.content;
+      else if (body?.choices && body.choices[0]?.text) content = body.choices[0].text;
+      if (!content.trim()) throw failedCall(new Error(`${name} returned an empty response`), messages, '', body?.usage, body?.model);
+      return { content, json: body, usage: callUsage(messages, content, body.usage, body.model) };
+    },
+    // Streams the completion; onToken(text) is called per delta. Resolves with the full content.
+    async chatStream(messages, { maxTokens = 300, temperature = 0.2, signal } = {}, onToken) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      // the timeout covers the wait for the response headers, not the whole stream
+      const timeout = providerSignal(name, signal);
+      const res = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model, messages, max_tokens: maxTokens, temperature, stream: true, stream_options: { include_usage: true } }),
+        signal: timeout.signal
+      }).catch((err) => {
+        throw failedCall(err, messages);
+      }).finally(timeout.clear);
 
-      const imageBase64 = req.file.buffer.toString('base64');
-      const visionPayload = {
-        requests: [
-          {
-            image: { content: imageBase64 },
-            features: [{ type: 'TEXT_DETECTION', maxResults: 1 }]
-          }
-        ]
-      };
+      if (!res.ok) {
+        const body = await res.text().catch(() => '');
+        const err = new Error(`${name} error ${res.status}: ${body.slice(0, 300)}`);
+        err.status = res.status;
+        throw failedCall(err, messages);
+      }
 
-      const visionRes = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${GOOGLE_VISION_API_KEY}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(visionPayload)
+      let content = '';
+      let buffer = '';
+      let reported = null;
+      let reportedModel = null;
+      const decoder = new TextDecoder();
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (!data || data === '[DONE]') continue;
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch (err) {
+            console.warn(`${name} sent a malformed stream line, skipped`);
+            continue; // one bad line must not end the summary
+          }
+          // with include_usage the last chunk has no choices, only usage
+          if (parsed.usage) reported = parsed.usage;
+          if (parsed.model) reportedModel = parsed.model;
+          const delta = parsed.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+        }
+      }
+      return { content, usage: callUsage(messages, content, reported, reportedModel) };
+    },
+    async summarize(text, options = DEFAULT_SUMMARY_OPTIONS, signal) {
+      const hasHeadings = splitSections(text).some(s => s.title);
+      const { content, usage } = await provider.chat(summaryMessages(text, options, hasHeadings), {
+        maxTokens: SUMMARY_LENGTHS[options.length].maxTokens,
+        signal
       });
+      return { summary: content, usage };
+    },
+    async summarizeStream(text, options, onToken, signal) {
+      const hasHeadings = splitSections(text).some(s => s.title);
+      const { content, usage } = await provider.chatStream(summaryMessages(text, options, hasHeadings), {
+        maxTokens: SUMMARY_LENGTHS[options.length].maxTokens,
+        signal
+      }, onToken);
+      return { summary: content, usage };
+    }
+  };
+  return provider;
+}
 
-      const visionJson = await visionRes.json().catch(() => null);
-      if (!visionRes.ok) {
-        console.error('/api/ocr vision error', visionRes.status, visionJson);
-        return res.status(visionRes.status).json({ error: 'Vision API error', details: JSON.stringify(visionJson).slice(0, 1000) });
-      }
+// aborts after PROVIDER_TIMEOUT_MS, or together with signal; clear() stops the timer
+function providerSignal(name, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`${name} timed out`)), PROVIDER_TIMEOUT_MS);
+  if (signal?.aborted) controller.abort(signal.reason);
+  else if (signal) signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
 
-      const text =
-        visionJson?.responses?.[0]?.fullTextAnnotation?.text ||
-        visionJson?.responses?.[0]?.textAnnotations?.[0]?.description ||
-        '';
+const PROVIDERS = {
+  openai: chatCompletionsProvider({
+    name: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKey: OPENAI_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+    isEnabled: () => !DISABLE_OPENAI && !!OPENAI_KEY
+  }),
+  compatible: chatCompletionsProvider({
+    name: 'compatible',
+    baseUrl: OPENAI_COMPAT_BASE_URL || '',
+    apiKey: process.env.OPENAI_COMPAT_API_KEY || null,
+    model: process.env.OPENAI_COMPAT_MODEL || 'llama3.1',
+    isEnabled: () => !!OPENAI_COMPAT_BASE_URL
+  }),
+  extractive: {
+    name: 'extractive',
+    enabled: () => true,
+    // cannot translate: the language option only applies to model providers; the
+    // stopwords follow the language of the text itself
+    async summarize(text, options = DEFAULT_SUMMARY_OPTIONS) {
+      return { summary: summarizeExtractive(text, SUMMARY_LENGTHS[options.length].sentences, options.style, detectLanguage(text)) };
+    }
+  }
+};
+
+for (const name of SUMMARY_PROVIDERS) {
+  if (!PROVIDERS[name]) console.warn(`Unknown provider "${name}" in SUMMARY_PROVIDERS — ignoring.`);
+}
+
+function summaryProviders() {
+  return SUMMARY_PROVIDERS.map(name => PROVIDERS[name]).filter(p => p && p.enabled());
+}
+
+function chatProviders() {
+  return summaryProviders().filter(p => typeof p.chat === 'function');
+}
+
+function isRetryable(err) {
+  if (!err.status) return true; // network errors and timeouts
+  return err.status === 429 || err.status >= 500;
+}
 
-      return res.json({ text: text || '' });
+// Runs fn, retrying retryable errors after 1s, 2s, 4s, ... (JOB_RETRIES times);
+// nothing is retried once signal is aborted
+async function withRetry(fn, { retries = JOB_RETRIES, baseMs = 1000, onRetry, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
     } catch (err) {
-      console.error('/api/ocr unexpected', err);
-      return res.status(500).json({ error: String(err) });
+      if (attempt >= retries || !isRetryable(err) || signal?.aborted) throw err;
+      const delay = baseMs * 2 ** attempt;
+      if (onRetry) await onRetry(err, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
-);
+}
 
-/* ---------------------------
-   simple extractive summarizer
-----------------------------*/
-function summarizeExtractive(inputText, maxSentences = 3) {
-  const text = (inputText || '').replace(/\r\n/g, ' ').replace(/\n/g, ' ');
-  const sentences = text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
-  if (sentences.length <= maxSentences) return sentences.join(' ');
-  const stopwords = new Set(['de','het','een','en','van','ik','je','u','we','dat','die','in','op','te','is','om','aan','voor','met','als','zijn','was','werd','bij','door','naar']);
-  const wordFreq = Object.create(null);
-  const words = text.toLowerCase().replace(/[^a-z0-9\u00C0-\u017F\s]/g, ' ').split(/\s+/).filter(Boolean);
-  for (const w of words) if (!stopwords.has(w)) wordFreq[w] = (wordFreq[w] || 0) + 1;
-  const sentenceScores = sentences.map(s => {
-    const ws = s.toLowerCase().replace(/[^a-z0-9\u00C0-\u017F\s]/g, ' ').split(/\s+/).filter(Boolean);
-    let score = 0;
-    for (const w of ws) if (wordFreq[w]) score += wordFreq[w];
-    return { sentence: s, score };
-  });
-  const top = sentenceScores.slice().sort((a,b)=>b.score-a.score).slice(0, maxSentences).map(x=>x.sentence);
-  const ordered = sentences.filter(s => top.includes(s));
-  return ordered.slice(0, maxSentences).join(' ');
+// returns { summary, source } from the first provider that answers; once signal is
+// aborted no further provider is tried. retry ({ retries?, onRetry? }, background jobs)
+// retries every model call with backoff before the next provider (in the end the
+// extractive fallback) takes over. calls collects the usage of the failed model calls.
+async function runSummaryProviders(text, options = DEFAULT_SUMMARY_OPTIONS, providers = summaryProviders(), { signal, retry, calls } = {}) {
+  for (const provider of providers) {
+    signal?.throwIfAborted();
+    try {
+      const call = () => provider.summarize(text, options, signal).catch((err) => {
+        if (err.usage && calls) calls.push(err.usage);
+        throw err;
+      });
+      const result = retry && provider.chat ? await withRetry(call, { ...retry, signal }) : await call();
+      return { ...result, source: provider.name };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.warn(`[summarize] provider ${provider.name} failed:`, err.message);
+    }
+  }
+  const err = new Error('All summary providers failed');
+  err.status = 502;
+  throw err;
 }
 
-/* ---------------------------
-   Save summary to Supabase 'summaries' table (best-effort)
-----------------------------*/
-async function saveSummaryToDB(userId, text, summary, source, costEstimate) {
-  try {
-    if (!supabase) return;
-    const payload = {
-      id: Date.now().toString(),
-      user_id: userId || null,
-      text: text || '',
-      summary: summary || '',
-      source: source || null,
-      cost_estimate: costEstimate || null
+// Streaming variant: providers without summarizeStream (extractive) send their
+// whole summary as one token. A provider that fails before its first token
+// falls through to the next one; a failure mid-stream is reported as is.
+async function runSummaryProvidersStream(text, options, onToken, signal, providers = summaryProviders(), calls = []) {
+  for (const provider of providers) {
+    let sent = false;
+    const forward = (t) => {
+      sent = true;
+      onToken(t, provider.name);
     };
-    const { error } = await supabase.from('summaries').insert(payload);
-    if (error) console.warn('Failed to insert summary to Supabase', error);
-  } catch (err) {
-    console.error('saveSummaryToDB error', err);
+    try {
+      if (typeof provider.summarizeStream === 'function') {
+        const result = await provider.summarizeStream(text, options, forward, signal);
+        return { ...result, source: provider.name };
+      }
+      const result = await provider.summarize(text, options);
+      forward(result.summary);
+      return { ...result, source: provider.name };
+    } catch (err) {
+      if (sent || signal?.aborted) {
+        throw err;
+      }
+      if (err.usage) calls.push(err.usage);
+      console.warn(`[summarize/stream] provider ${provider.name} failed:`, err.message);
+    }
   }
+  const err = new Error('All summary providers failed');
+  err.status = 502;
+  throw err;
 }
 
 /* ---------------------------
-   Start server
+   Long texts: chunked map-reduce
+   Texts longer than SUMMARY_CHUNK_CHARS are split on headings, then paragraphs,
+   then sentences. Chunks are summarized in parallel (SUMMARY_CONCURRENCY at a
+   time) and the chunk summaries are summarized again into the overall summary;
+   when they are too long for one call together, groups of them are summarized
+   first, as often as needed. Every step goes through runSummaryProviders, so the
+   extractive fallback takes the same path.
 ----------------------------*/
-app.listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}`);
-});
\ No newline at end of file
+function chunkText(text, maxChars = SUMMARY_CHUNK_CHARS) {
+  const chunks = [];
+  splitSections(text).forEach((section) => {
+    const pieces = [];
+    for (const paragraph of section.body.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+      if (paragraph.length <= maxChars) {
+        pieces.push(paragraph);
+        continue;
+      }
+      for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+        // a single "sentence" longer than a chunk (no punctuation) is cut hard
+        for (let i = 0; i < sentence.length; i += maxChars) pieces.push(sentence.slice(i, i + maxChars));
+      }
+    }
+
+    let current = '';
+    const sectionChunks = [];
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > maxChars) {
+        sectionChunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+    if (current) sectionChunks.push(current);
+
+    sectionChunks.forEach((chunk, i) => {
+      const title = section.title
+        ? (sectionChunks.length > 1 ? `${section.title} (${i + 1})` : section.title)
+        : null;
+      chunks.push({ title, text: chunk });
+    });
+  });
+  return chunks.map((c, i) => ({ ...c, title: c.title || `Deel ${i + 1}` }));
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Joins partial summaries into the input of the overall summary. No headings: those
+// would make the model (and the extractive per-section split) summarize every part
+// separately again. Until the parts fit in one chunk, neighbouring parts are grouped
+// and summarized; calls collects the model usage.
+async function reduceSummaries(parts, options, { providers, calls, signal, retry }) {
+  const partOptions = { ...options, length: 'short' };
+  let combined = parts.join('\n\n');
+  while (combined.length > SUMMARY_CHUNK_CHARS && parts.length > 1) {
+    const groups = [];
+    for (const part of parts) {
+      const last = groups[groups.length - 1];
+      if (last && last.length + part.length + 2 <= SUMMARY_CHUNK_CHARS) groups[groups.length - 1] = `${last}\n\n${part}`;
+      else groups.push(part);
+    }
+    parts = await mapWithConcurrency(groups, SUMMARY_CONCURRENCY, async (group) => {
+      const { summary, usage } = await runSummaryProviders(group, partOptions, providers, { signal, retry, calls });
+      if (usage) calls.push(usage);
+      return summary;
+    });
+    const next = parts.join('\n\n');
+    if (next.length >= combined.length) break; // summaries that do not get shorter: stop here
+    combined = next;
+  }
+  return combined;
+}
+
+// Map and reduce steps of a long text, up to the input of the overall summary: returns
+// { sections: [{ title, summary, source }], combined }. The streaming endpoint streams
+// the overall summary of combined itself. calls collects the model usage.
+async function summarizeChunks(text, options, { onProgress, providers, signal, retry, calls }) {
+  const chunks = chunkText(text);
+  const chunkOptions = { ...options, length: 'short' };
+  let finished = 0;
+  const sections = await mapWithConcurrency(chunks, SUMMARY_CONCURRENCY, async (chunk) => {
+    const { summary, source, usage } = await runSummaryProviders(chunk.text, chunkOptions, providers, { signal, retry, calls });
+    if (usage) calls.push(usage);
+    if (onProgress) onProgress(++finished, chunks.length + 1);
+    return { title: chunk.title, summary, source };
+  });
+  const combined = await reduceSummaries(sections.map(s => s.summary), options, { providers, calls, signal, retry });
+  return { sections, combined };
+}
+
+// returns { summary, source, sections: [{ title, summary, source }], usage: [model calls] }
+// onProgress(done, total) is called after every chunk (used by background jobs);
+// providers limits the providers used (quota-exhausted free users only get extractive);
+// signal stops the remaining model calls (the client went away); retry, see runSummaryProviders
+async function summarizeLongText(text, options = DEFAULT_SUMMARY_OPTIONS, { onProgress, providers, signal, retry } = {}) {
+  const calls = [];
+  if (text.length <= SUMMARY_CHUNK_CHARS) {
+    const { summary, source, usage } = await runSummaryProviders(text, options, providers, { signal, retry, calls });
+    if (usage) calls.push(usage);
+    return { summary, source, sections: [], usage: calls };
+  }
+
+  const { sections, combined } = await summarizeChunks(text, options, { onProgress, providers, signal, retry, calls });
+  const overall = await runSummaryProviders(combined, options, providers, { signal, retry, calls });
+  if (overall.usage) calls.push(overall.usage);
+  return { summary: overall.summary, source: overall.source, sections, usage: calls };
+}
+
+/* ---------------------------
+   Result cache (content hash)
+   Summaries are keyed on the normalized text + options, OCR results on the
+   image bytes + engine + mode. Stored in Redis when available, otherwise in
+   a bounded in-memory LRU. Clients pass force: true (or force=1) to skip it.
+   Entries are shared between users with the same input; owner (a user id)
+   records which keys a user wrote or read, so DELETE /api/me can drop them.
+----------------------------*/
+const memoryCache = new Map(); // insertion order = least recently used first
+const memoryCacheOwners = new Map(); // userId -> Set of cache keys
+
+async function cacheGet(key, owner = null) {
+  try {
+    if (owner) await trackCacheKey(owner, key);
+    if (redis) {
+      const raw = await redis.get(key);
+      return raw ? JSON.parse(raw) : null;
+    }
+    const entry = memoryCache.get(key);
+    if (!entry) return null;
+    if (entry.expires < Date.now()) {
+      memoryCache.delete(key);
+      return null;
+    }
+    memoryCache.delete(key);
+    memoryCache.set(key, entry);
+    return entry.value;
+  } catch (err) {
+    console.warn('[cache] get failed', err.message);
+    return null;
+  }
+}
+
+async function cacheSet(key, value, owner = null) {
+  try {
+    if (owner) await trackCacheKey(owner, key);
+    if (redis) {
+      await redis.set(key, JSON.stringify(value), 'EX', CACHE_TTL_SEC);
+      return;
+    }
+    memoryCache.delete(key);
+    memoryCache.set(key, { value, expires: Date.now() + CACHE_TTL_SEC * 1000 });
+    while (memoryCache.size > CACHE_MAX_ENTRIES) memoryCache.delete(memoryCache.keys().next().value);
+  } catch (err) {
+    console.warn('[cache] set failed', err.message);
+  }
+}
+
+async function trackCacheKey(owner, key) {
+  if (redis) {
+    await redis.multi().sadd(`cachekeys:${owner}`, key).expire(`cachekeys:${owner}`, CACHE_TTL_SEC).exec();
+    return;
+  }
+  const keys = memoryCacheOwners.get(owner) || new Set();
+  keys.add(key);
+  if (keys.size > CACHE_MAX_ENTRIES) for (const k of keys) if (!memoryCache.has(k)) keys.delete(k);
+  memoryCacheOwners.set(owner, keys);
+}
+
+// removes every cache entry the user wrote or read; returns how many keys were dropped
+async function deleteUserCache(owner) {
+  if (redis) {
+    const keys = await redis.smembers(`cachekeys:${owner}`);
+    if (keys.length) await redis.del(...keys);
+    await redis.del(`cachekeys:${owner}`);
+    return keys.length;
+  }
+  const keys = [...(memoryCacheOwners.get(owner) || [])];
+  for (const key of keys) memoryCache.delete(key);
+  memoryCacheOwners.delete(owner);
+  return keys.length;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// whitespace and Unicode composition differences from OCR/copy-paste should not miss the cache
+function normalizeForCache(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+// Matches a student's summary with a class assignment (and usage with a class): case,
+// punctuation and spacing are ignored, so a retyped or reformatted copy still counts
+function matchHash(text) {
+  return sha256(String(text || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim());
+}
+
+function summaryCacheKey(text, options) {
+  const opts = `${options.length}|${options.style}|${options.language}`;
+  return `cache:summary:${sha256(`${opts}\n${normalizeForCache(text)}`)}`;
+}
+
+function ocrCacheKey(buffer, engine, mode) {
+  return `cache:ocr:${mode}:${engine || 'auto'}:${sha256(buffer)}`;
+}
+
+function wantsFresh(req) {
+  const force = req.body?.force ?? req.query.force;
+  return force === true || ['1', 'true'].includes(String(force || ''));
+}
+
+// summarizeLongText through the cache; extractive results are cheap and often a
+// fallback after a provider outage, so only model summaries are stored
+async function cachedSummarizeLongText(text, options, { force = false, onProgress, providers, owner, retry } = {}) {
+  const key = summaryCacheKey(text, options);
+  if (!force) {
+    const hit = await cacheGet(key, owner);
+    if (hit) return { ...hit, usage: [], cached: true };
+  }
+  const result = await summarizeLongText(text, options, { onProgress, providers, retry });
+  if (result.source !== 'extractive') {
+    const { usage, ...cacheable } = result;
+    await cacheSet(key, cacheable, owner);
+  }
+  return { ...result, cached: false };
+}
+
+/* ---------------------------
+   Summarize endpoint (protected)
+   POST /api/summarize { text, options?, force?, note_id? }
+     -> { summary, source, options, sections, cached, redactions, quota_exceeded, id, created_at }
+   sections is empty unless the text was long enough to be chunked;
+   redactions lists the personal data masked before the model call (see PII redaction);
+   force: true skips the cache and regenerates; note_id updates that note
+   (the old text/summary is kept as a version) instead of saving a new one
+----------------------------*/
+app.post('/api/summarize', requireAuth, userRateLimiter('summarize'), loadQuota, loadRedaction, async (req, res) => {
+  try {
+    let { text } = req.body || {};
+    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'Missing text' });
+    const { options: requested, error: optionsError } = normalizeSummaryOptions(req.body.options);
+    if (optionsError) return res.status(400).json({ error: optionsError });
+    const options = resolveSummaryLanguage(requested, text);
+
+    const access = await summaryAccess(req);
+    if (access.error) return res.status(402).json({ error: access.error });
+
+    // only the redacted text reaches the providers and the cache
+    const redacted = redactForProviders(text, req.redaction);
+    const result = await cachedSummarizeLongText(redacted.text, options, { force: wantsFresh(req), providers: access.providers, owner: req.user.id });
+    await settleSummary(req.user.id, req.reserved, isModelSummary(result));
+    const { source, cached } = result;
+    const summary = redacted.restore(result.summary);
+    const sections = restoreSections(result.sections, redacted.restore);
+    // cache hits are saved too, so the summary shows up in this user's history
+    const record = await storeSummary(req.user.id, req.body.note_id, redacted.stored, summary, source, usageCost(result.usage), { options, sections });
+    await recordUsage(req.user.id, 'summary', result.usage, record?.id, text);
+    return res.json({
+      summary, source, options, sections, cached,
+      redactions: redacted.report,
+      quota_exceeded: access.quotaExceeded,
+      id: record?.id || null,
+      created_at: record?.created_at || null
+    });
+  } catch (err) {
+    await releaseUsage(req.user.id, req.reserved);
+    if (err.status === 502) return res.status(502).json({ error: err.message });
+    console.error('/api/summarize unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+/* ---------------------------
+   Streaming summarize (protected, Server-Sent Events)
+   POST /api/summarize/stream { text, options?, force?, note_id? }
+   events:
+     sections { sections }                 long texts: the chunk summaries, before the overall summary
+     token    { text }                     summary text as it arrives
+     done     { source, id, created_at, summary, sections, options, cached, redactions, quota_exceeded }
+     error    { error }
+   Tokens are sent with the redacted personal data already put back. The summary is saved when the stream completes and also when the client
+   disconnects halfway (the partial text is saved then). A cache hit is sent
+   as one token.
+----------------------------*/
+app.post('/api/summarize/stream', requireAuth, userRateLimiter('summarize'), loadQuota, loadRedaction, async (req, res) => {
+  const { text } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'Missing text' });
+  const { options: requested, error: optionsError } = normalizeSummaryOptions(req.body.options);
+  if (optionsError) return res.status(400).json({ error: optionsError });
+  const options = resolveSummaryLanguage(requested, text);
+  let access;
+  try {
+    access = await summaryAccess(req);
+  } catch (err) {
+    console.error('/api/summarize/stream quota error', err);
+    return res.status(500).json({ error: String(err) });
+  }
+  if (access.error) return res.status(402).json({ error: access.error });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const abort = new AbortController();
+  const redacted = redactForProviders(text, req.redaction);
+  const restorer = createStreamRestorer(redacted.restore);
+  let summary = '';
+  let source = null;
+  let sections = [];
+  let cached = false;
+  let saved = false;
+  let input = redacted.text;
+  let streamed = false;
+  const calls = []; // model calls for the usage accounting
+  // also counts the summary against the quota (a cancelled model call still cost tokens);
+  // a partial summary never replaces the note given as note_id, it is saved as a new one
+  const save = async (complete = true) => {
+    if (saved) return null;
+    saved = true;
+    await settleSummary(req.user.id, req.reserved, isModelSummary({ cached, source }));
+    if (!streamed && summary && PROVIDERS[source]?.callUsage) {
+      // cut off mid-stream: the provider never reported usage, so estimate it
+      calls.push(PROVIDERS[source].callUsage([{ role: 'user', content: input }], summary));
+    }
+    const record = await storeSummary(req.user.id, complete ? req.body.note_id : null, redacted.stored, redacted.restore(summary), source || 'unknown', usageCost(calls), {
+      options,
+      sections: restoreSections(sections, redacted.restore)
+    });
+    await recordUsage(req.user.id, 'summary', calls, record?.id, text);
+    return record;
+  };
+  res.on('close', () => {
+    clearInterval(ping);
+    if (!res.writableFinished) {
+      // client went away: stop the model and keep what we have
+      abort.abort();
+      if (summary) {
+        save(false).catch((err) => {
+          console.error('/api/summarize/stream save error', err);
+          releaseUsage(req.user.id, req.reserved);
+        });
+      } else {
+        releaseUsage(req.user.id, req.reserved);
+      }
+    }
+  });
+
+  try {
+    // summary and sections stay redacted here; they are restored when sent and saved
+    const done = (record) => send('done', {
+      summary: redacted.restore(summary),
+      source,
+      options,
+      sections: restoreSections(sections, redacted.restore),
+      cached,
+      redactions: redacted.report,
+      quota_exceeded: access.quotaExceeded,
+      id: record?.id || null,
+      created_at: record?.created_at || null
+    });
+    const cacheKey = summaryCacheKey(redacted.text, options);
+    const hit = wantsFresh(req) ? null : await cacheGet(cacheKey, req.user.id);
+    if (hit) {
+      ({ summary, source, sections } = hit);
+      cached = true;
+      streamed = true;
+      if (sections.length) send('sections', { sections: restoreSections(sections, redacted.restore) });
+      send('token', { text: redacted.restore(summary) });
+      done(await save());
+      return;
+    }
+
+    if (input.length > SUMMARY_CHUNK_CHARS) {
+      // the same map/reduce as summarizeLongText; only the overall summary is streamed
+      const mapped = await summarizeChunks(input, options, { providers: access.providers, signal: abort.signal, calls });
+      sections = mapped.sections;
+      send('sections', { sections: restoreSections(sections, redacted.restore) });
+      input = mapped.combined;
+    }
+
+    const result = await runSummaryProvidersStream(input, options, (token, provider) => {
+      summary += token;
+      source = provider;
+      const restored = restorer.push(token);
+      if (restored) send('token', { text: restored });
+    }, abort.signal, access.providers, calls);
+    const rest = restorer.flush();
+    if (rest) send('token', { text: rest });
+    source = result.source;
+    summary = result.summary;
+    streamed = true;
+    if (result.usage) calls.push(result.usage);
+    if (source !== 'extractive') await cacheSet(cacheKey, { summary, source, sections }, req.user.id);
+
+    done(await save());
+  } catch (err) {
+    if (abort.signal.aborted) return;
+    console.error('/api/summarize/stream error', err);
+    if (summary) await save(false);
+    else await releaseUsage(req.user.id, req.reserved);
+    send('error', { error: err.status === 502 ? err.message : String(err) });
+  } finally {
+    clearInterval(ping);
+    if (!res.writableEnded) res.end();
+  }
+});
+
+/* ---------------------------
+   Quiz endpoint (protected)
+   POST /api/quiz { text, count? } -> { questions, flashcards, source, redactions?, quota_exceeded }
+   questions: [{ id, question, options, answer_index }]
+   flashcards: [{ id, front, back }]
+   A model quiz counts as an AI summary of the monthly quota; without quota (free
+   plan) the local cloze quiz is made instead.
+----------------------------*/
+app.post('/api/quiz', requireAuth, userRateLimiter('quiz'), loadQuota, loadRedaction, async (req, res) => {
+  try {
+    const { text } = req.body || {};
+    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'Missing text' });
+    const count = Math.min(Math.max(parseInt(req.body.count, 10) || 5, 1), 15);
+    const access = await summaryAccess(req);
+    if (access.error) return res.status(402).json({ error: access.error });
+    const redacted = redactForProviders(text, req.redaction);
+
+    const messages = [
+      {
+        role: 'system',
+        content:
+          `Maak een oefenquiz in het ${LANGUAGE_NAMES[detectLanguage(text)] || 'Nederlands'} bij de tekst. Antwoord alleen met JSON: ` +
+          `{"questions":[{"question":"...","options":["...","...","...","..."],"answer_index":0}],` +
+          `"flashcards":[{"front":"vraag","back":"antwoord"}]}. ` +
+          `Maak ${count} meerkeuzevragen en ${count} flashcards, alleen over wat in de tekst staat.` +
+          placeholderPrompt(redacted.text)
+      },
+      { role: 'user', content: redacted.text }
+    ];
+    // model providers in the configured order; the cloze generator is the last resort
+    for (const provider of access.quotaExceeded ? [] : chatProviders()) {
+      try {
+        const ai = await provider.chat(messages, { maxTokens: 1200, json: true });
+        await recordUsage(req.user.id, 'quiz', [ai.usage], null, text);
+        const quiz = parseQuizJSON(ai.content);
+        if (quiz) {
+          await settleSummary(req.user.id, req.reserved, true);
+          return res.json({ ...restoreQuiz(quiz, redacted.restore), source: provider.name, redactions: redacted.report, quota_exceeded: false });
+        }
+        console.warn(`[quiz] ${provider.name} returned no usable quiz`);
+      } catch (err) {
+        if (err.usage) await recordUsage(req.user.id, 'quiz', [err.usage], null, text);
+        console.warn(`[quiz] provider ${provider.name} failed:`, err.message);
+      }
+    }
+    await settleSummary(req.user.id, req.reserved, false);
+    return res.json({ ...generateClozeQuiz(text, count), source: 'cloze', quota_exceeded: access.quotaExceeded });
+  } catch (err) {
+    if (req.reserved) await releaseUsage(req.user.id, req.reserved);
+    console.error('/api/quiz unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+function restoreQuiz(quiz, restore) {
+  return {
+    questions: quiz.questions.map(q => ({ ...q, question: restore(q.question), options: q.options.map(restore) })),
+    flashcards: quiz.flashcards.map(f => ({ ...f, front: restore(f.front), back: restore(f.back) }))
+  };
+}
+
+// Validates the model output and gives every card a stable id
+function parseQuizJSON(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(content || '').replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (err) {
+    return null;
+  }
+  const questions = (Array.isArray(parsed?.questions) ? parsed.questions : [])
+    .filter(q => typeof q?.question === 'string' && Array.isArray(q.options) && q.options.length >= 2 &&
+      Number.isInteger(q.answer_index) && q.answer_index >= 0 && q.answer_index < q.options.length)
+    .map((q, i) => ({ id: `q${i + 1}`, question: q.question, options: q.options.map(String), answer_index: q.answer_index }));
+  const flashcards = (Array.isArray(parsed?.flashcards) ? parsed.flashcards : [])
+    .filter(f => typeof f?.front === 'string' && typeof f?.back === 'string')
+    .map((f, i) => ({ id: `f${i + 1}`, front: f.front, back: f.back }));
+  if (!questions.length && !flashcards.length) return null;
+  return { questions, flashcards };
+}
+
+/* ---------------------------
+   Simplify endpoint (protected)
+   POST /api/simplify { text, level?, force? } -> { simplified, glossary, level, source, glossary_source, cached, redactions, quota_exceeded }
+   level: A1 | A2 | B1 | B2 (reading level of the rewrite, default B1)
+   glossary: [{ word, explanation, example }] — difficult words of the simplified text, so they
+   can be tapped where they occur; explanation is null for words found by the local detector
+   Without a model (or without AI quota, like /api/quiz) the text is not rewritten: simplified
+   is the original, one sentence per line. A model rewrite counts as an AI summary of the quota.
+----------------------------*/
+const READING_LEVELS = ['A1', 'A2', 'B1', 'B2'];
+const SIMPLIFY_MAX_CHARS = parseInt(process.env.SIMPLIFY_MAX_CHARS, 10) || 12000;
+const GLOSSARY_SIZE = 12;
+
+app.post('/api/simplify', requireAuth, userRateLimiter('simplify'), loadQuota, loadRedaction, async (req, res) => {
+  try {
+    const { text } = req.body || {};
+    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'Missing text' });
+    if (text.length > SIMPLIFY_MAX_CHARS) return res.status(400).json({ error: `Text too long (max ${SIMPLIFY_MAX_CHARS} characters)` });
+    const level = String(req.body.level || 'B1').toUpperCase();
+    if (!READING_LEVELS.includes(level)) return res.status(400).json({ error: `level must be one of: ${READING_LEVELS.join(', ')}` });
+
+    // the cache holds the redacted result, personal data is put back per request
+    const redacted = redactForProviders(text, req.redaction);
+    const respond = (result, cached) => res.json({
+      ...result,
+      simplified: redacted.restore(result.simplified),
+      glossary: result.glossary
+        .filter(g => !PLACEHOLDER_WORD_RE.test(g.word))
+        .map(g => ({ ...g, explanation: redacted.restore(g.explanation), example: redacted.restore(g.example) })),
+      level,
+      cached,
+      redactions: redacted.report,
+      quota_exceeded: false
+    });
+    const cacheKey = `cache:simplify:${sha256(`${level}\n${normalizeForCache(redacted.text)}`)}`;
+    const hit = wantsFresh(req) ? null : await cacheGet(cacheKey, req.user.id);
+    if (hit) return respond(hit, true);
+    const access = await summaryAccess(req);
+    if (access.error) return res.status(402).json({ error: access.error });
+
+    const messages = [
+      {
+        role: 'system',
+        content:
+          `Herschrijf de tekst in eenvoudig Nederlands op taalniveau ${level} (ERK) voor leerlingen die Nederlands als tweede taal leren. ` +
+          `Gebruik korte zinnen en veelgebruikte woorden en laat geen belangrijke informatie weg. ` +
+          `Kies daarnaast maximaal ${GLOSSARY_SIZE} moeilijke woorden die in je herschreven tekst staan en leg elk woord uit in één korte zin op niveau ${level}. ` +
+          `Antwoord alleen met JSON: {"simplified":"...","glossary":[{"word":"woord zoals in de tekst","explanation":"..."}]}` +
+          placeholderPrompt(redacted.text)
+      },
+      { role: 'user', content: redacted.text }
+    ];
+    for (const provider of access.quotaExceeded ? [] : chatProviders()) {
+      try {
+        const ai = await provider.chat(messages, { maxTokens: Math.min(4000, estimateTokens(text) * 2 + 600), json: true });
+        await recordUsage(req.user.id, 'simplify', [ai.usage], null, text);
+        const parsed = parseSimplifyJSON(ai.content);
+        if (!parsed) {
+          console.warn(`[simplify] ${provider.name} returned no usable result`);
+          continue;
+        }
+        await settleSummary(req.user.id, req.reserved, true);
+        const glossary = parsed.glossary.length ? parsed.glossary : localGlossary(parsed.simplified);
+        const result = {
+          simplified: parsed.simplified,
+          glossary,
+          source: provider.name,
+          glossary_source: parsed.glossary.length ? provider.name : 'local'
+        };
+        await cacheSet(cacheKey, result, req.user.id);
+        return respond(result, false);
+      } catch (err) {
+        if (err.usage) await recordUsage(req.user.id, 'simplify', [err.usage], null, text);
+        console.warn(`[simplify] provider ${provider.name} failed:`, err.message);
+      }
+    }
+    await settleSummary(req.user.id, req.reserved, false);
+    const sentences = scoreSentences(text).sentences;
+    return res.json({
+      simplified: sentences.join('\n'),
+      glossary: localGlossary(text),
+      level,
+      source: 'local',
+      glossary_source: 'local',
+      cached: false,
+      redactions: [],
+      quota_exceeded: access.quotaExceeded
+    });
+  } catch (err) {
+    if (req.reserved) await releaseUsage(req.user.id, req.reserved);
+    console.error('/api/simplify unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+// Validates the model output; glossary words must occur in the simplified text
+function parseSimplifyJSON(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(content || '').replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (err) {
+    return null;
+  }
+  if (typeof parsed?.simplified !== 'string' || !parsed.simplified.trim()) return null;
+  const simplified = parsed.simplified.trim();
+  const { sentences } = scoreSentences(simplified);
+  const seen = new Set();
+  const glossary = (Array.isArray(parsed.glossary) ? parsed.glossary : [])
+    .filter(g => typeof g?.word === 'string' && typeof g.explanation === 'string' && g.word.trim())
+    .map(g => ({ word: g.word.trim(), explanation: g.explanation.trim() }))
+    .filter(g => wordPattern(g.word).test(simplified) && !seen.has(g.word.toLowerCase()) && seen.add(g.word.toLowerCase()))
+    .slice(0, GLOSSARY_SIZE)
+    .map(g => ({ ...g, example: exampleSentence(sentences, g.word) }));
+  return { simplified, glossary };
+}
+
+function localGlossary(text) {
+  const { sentences } = scoreSentences(text);
+  return difficultWords(text, GLOSSARY_SIZE).map(word => ({ word, explanation: null, example: exampleSentence(sentences, word) }));
+}
+
+/* ---------------------------
+   History sync endpoints (protected)
+   - GET    /api/summaries?limit=50&before=<created_at>   newest first, paginated
+            &q=<words>&folder=<name>&source=<source>&since=<created_at>   History search and filters:
+            every word must occur in the text, summary or tags; folder= (empty) finds notes without a folder
+   - GET    /api/summaries?updated_since=<updated_at>&after_id=<id>   changes incl. deleted rows (for sync),
+            ordered on (updated_at, id); next_cursor + next_after_id give the next page
+   - POST   /api/summaries   { client_id, text, summary, source?, options?, sections?, folder?, tags?, created_at? }
+            uploads a note made on the device (offline or while the backend could not save it);
+            sending the same client_id again returns the row stored the first time
+   - PATCH  /api/summaries/:id   { text?, summary?, folder?, tags?, updated_at?, version_reason? }
+   - DELETE /api/summaries/:id   soft delete so other devices see the removal
+   - POST   /api/summaries/:id/restore   undo a soft delete (History's "Ongedaan maken")
+   - GET    /api/summaries/:id/versions  earlier states of the text/summary, newest first
+   Every change of text or summary (edit, re-summarize, restore of a version)
+   is kept in summary_versions.
+   updated_at is the server's time of the last change (the sync cursor, so an edit
+   pushed late is still pulled by the other devices); client_updated_at is the
+   time of the last edit, on the client's clock for a PATCH. Conflicts are
+   last-write-wins on that edit time: a PATCH whose updated_at is older than the
+   stored row's gets 409 with the current row.
+----------------------------*/
+const SUMMARY_COLUMNS = 'id, text, summary, source, options, sections, folder, tags, created_at, updated_at, client_updated_at, deleted_at';
+const MAX_TAGS = 20;
+
+// folder: subject name or null; tags: trimmed, unique (case-insensitive), at most MAX_TAGS
+function cleanFolder(folder) {
+  return cleanText(folder, 60) || null;
+}
+
+function cleanTags(tags) {
+  const seen = new Set();
+  return tags
+    .map(tag => cleanText(tag, 40).replace(/^#/, ''))
+    .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()))
+    .slice(0, MAX_TAGS);
+}
+
+app.get('/api/summaries', requireAuth, userRateLimiter('history'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    let query = supabase.from('summaries').select(SUMMARY_COLUMNS).eq('user_id', req.user.id);
+
+    if (req.query.updated_since) {
+      // updated_at is not unique: rows sharing the timestamp of a page boundary are
+      // found through the id, so the cursor is the (updated_at, id) pair
+      const since = cursorValue(req.query.updated_since);
+      query = req.query.after_id == null
+        ? query.gt('updated_at', since)
+        : query.or(`updated_at.gt."${since}",and(updated_at.eq."${since}",id.gt."${cursorValue(req.query.after_id)}")`);
+      query = query.order('updated_at', { ascending: true }).order('id', { ascending: true });
+    } else {
+      query = query.is('deleted_at', null).order('created_at', { ascending: false });
+      if (req.query.before) query = query.lt('created_at', String(req.query.before));
+      query = filterSummaries(query, req.query);
+    }
+
+    const { data, error } = await query.limit(limit);
+    if (error) {
+      console.error('/api/summaries list error', error);
+      return res.status(500).json({ error: 'Failed to load summaries' });
+    }
+
+    const items = data || [];
+    let nextCursor = null;
+    let nextAfterId = null;
+    if (items.length === limit) {
+      const last = items[items.length - 1];
+      nextCursor = req.query.updated_since ? last.updated_at : last.created_at;
+      if (req.query.updated_since) nextAfterId = last.id;
+    }
+    return res.json({ items, next_cursor: nextCursor, next_after_id: nextAfterId });
+  } catch (err) {
+    console.error('/api/summaries unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+// quotes and backslashes would end the quoted value in the PostgREST or() filter
+function cursorValue(value) {
+  return String(value).replace(/["\\]/g, '');
+}
+
+const MAX_SEARCH_WORDS = 10;
+
+// History search on the server, so notes older than the ones on the device are found too
+function filterSummaries(query, params) {
+  if (typeof params.folder === 'string') query = params.folder ? query.eq('folder', params.folder) : query.is('folder', null);
+  if (typeof params.source === 'string' && params.source) query = query.eq('source', params.source);
+  if (typeof params.since === 'string' && params.since) query = query.gte('created_at', params.since);
+  if (typeof params.q !== 'string') return query;
+  // * is the ilike wildcard of PostgREST, % and _ are those of Postgres
+  const words = params.q.toLowerCase().split(/\s+/).map(w => cursorValue(w).replace(/[*%_]/g, '')).filter(Boolean);
+  for (const word of words.slice(0, MAX_SEARCH_WORDS)) {
+    query = query.or(`text.ilike."*${word}*",summary.ilike."*${word}*",tags.cs.{"${word}"}`);
+  }
+  return query;
+}
+
+app.post('/api/summaries', requireAuth, userRateLimiter('history'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+
+    const { client_id: clientId, text, summary, source, options, sections, folder, tags, created_at: createdAt } = req.body || {};
+    if (typeof clientId !== 'string' || !clientId.trim() || clientId.length > 100) return res.status(400).json({ error: 'Missing client_id' });
+    if (typeof text !== 'string' || typeof summary !== 'string') return res.status(400).json({ error: 'text and summary must be strings' });
+
+    const existing = await findUploadedSummary(req.user.id, clientId);
+    if (existing) return res.json({ item: existing });
+
+    const now = new Date().toISOString();
+    const created = createdAt && !Number.isNaN(Date.parse(createdAt)) && new Date(createdAt) < new Date() ? new Date(createdAt).toISOString() : now;
+    const row = {
+      id: crypto.randomUUID(),
+      user_id: req.user.id,
+      client_id: clientId,
+      text,
+      summary,
+      source: typeof source === 'string' ? source.slice(0, 40) : null,
+      options: options ? normalizeSummaryOptions(options).options || null : null,
+      sections: Array.isArray(sections) && sections.length ? sections : null,
+      folder: cleanFolder(folder),
+      tags: Array.isArray(tags) ? cleanTags(tags) : [],
+      match_hash: matchHash(text),
+      created_at: created,
+      updated_at: now
+    };
+    const { data, error } = await supabase.from('summaries').insert(row).select(SUMMARY_COLUMNS).single();
+    if (error) {
+      // a retry of the same upload that raced this one
+      const raced = error.code === '23505' ? await findUploadedSummary(req.user.id, clientId) : null;
+      if (raced) return res.json({ item: raced });
+      console.error('/api/summaries upload error', error);
+      return res.status(500).json({ error: 'Failed to save summary' });
+    }
+    return res.status(201).json({ item: data });
+  } catch (err) {
+    console.error('/api/summaries upload unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+async function findUploadedSummary(userId, clientId) {
+  const { data, error } = await supabase
+    .from('summaries')
+    .select(SUMMARY_COLUMNS)
+    .eq('user_id', userId)
+    .eq('client_id', clientId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// The client's edit time as an ISO string: now when it sent none, undefined when it is not
+// a date. A clock that runs ahead is capped at now, so it cannot win every later conflict.
+function clientEditTime(value) {
+  const now = Date.now();
+  if (value == null) return new Date(now).toISOString();
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) return undefined;
+  return new Date(Math.min(time, now)).toISOString();
+}
+
+app.patch('/api/summaries/:id', requireAuth, userRateLimiter('history'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+
+    const { text, summary, folder, tags, updated_at: clientUpdatedAt, version_reason: versionReason } = req.body || {};
+    const changes = {};
+    if (typeof text === 'string') {
+      changes.text = text;
+      changes.match_hash = matchHash(text);
+    }
+    if (typeof summary === 'string') changes.summary = summary;
+    if (folder === null || typeof folder === 'string') changes.folder = cleanFolder(folder);
+    if (Array.isArray(tags)) changes.tags = cleanTags(tags);
+    if (!Object.keys(changes).length) return res.status(400).json({ error: 'Nothing to update' });
+    const editedAt = clientEditTime(clientUpdatedAt);
+    if (editedAt === undefined) return res.status(400).json({ error: 'updated_at must be a date' });
+
+    const current = await findOwnSummary(req.user.id, req.params.id);
+    if (!current) return res.status(404).json({ error: 'Summary not found' });
+    if (current.deleted_at) return res.status(410).json({ error: 'Summary was deleted', item: current });
+    const storedEdit = current.client_updated_at || current.updated_at;
+    if (storedEdit && editedAt < new Date(storedEdit).toISOString()) {
+      return res.status(409).json({ error: 'Summary was changed on another device', item: current });
+    }
+
+    changes.updated_at = new Date().toISOString();
+    changes.client_updated_at = editedAt;
+    const { data, error } = await supabase
+      .from('summaries')
+      .update(changes)
+      .eq('id', current.id)
+      .eq('user_id', req.user.id)
+      .select(SUMMARY_COLUMNS)
+      .single();
+    if (error) {
+      console.error('/api/summaries patch error', error);
+      return res.status(500).json({ error: 'Failed to update summary' });
+    }
+    if (data.text !== current.text || data.summary !== current.summary) {
+      await recordSummaryVersion(req.user.id, current, data, VERSION_REASONS.includes(versionReason) ? versionReason : 'edit');
+    }
+    return res.json({ item: data });
+  } catch (err) {
+    console.error('/api/summaries patch unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+app.delete('/api/summaries/:id', requireAuth, userRateLimiter('history'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+
+    const current = await findOwnSummary(req.user.id, req.params.id);
+    if (!current) return res.status(404).json({ error: 'Summary not found' });
+    if (current.deleted_at) return res.json({ ok: true });
+
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('summaries')
+      .update({ deleted_at: now, updated_at: now })
+      .eq('id', current.id)
+      .eq('user_id', req.user.id);
+    if (error) {
+      console.error('/api/summaries delete error', error);
+      return res.status(500).json({ error: 'Failed to delete summary' });
+    }
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('/api/summaries delete unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post('/api/summaries/:id/restore', requireAuth, userRateLimiter('history'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+
+    const current = await findOwnSummary(req.user.id, req.params.id);
+    if (!current) return res.status(404).json({ error: 'Summary not found' });
+    if (!current.deleted_at) return res.json({ item: current });
+
+    const { data, error } = await supabase
+      .from('summaries')
+      .update({ deleted_at: null, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('user_id', req.user.id)
+      .select(SUMMARY_COLUMNS)
+      .single();
+    if (error) {
+      console.error('/api/summaries restore error', error);
+      return res.status(500).json({ error: 'Failed to restore summary' });
+    }
+    return res.json({ item: data });
+  } catch (err) {
+    console.error('/api/summaries restore unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+app.get('/api/summaries/:id/versions', requireAuth, userRateLimiter('history'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+
+    const current = await findOwnSummary(req.user.id, req.params.id);
+    if (!current) return res.status(404).json({ error: 'Summary not found' });
+    const { data, error } = await supabase
+      .from('summary_versions')
+      .select(VERSION_COLUMNS)
+      .eq('summary_id', current.id)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(MAX_VERSIONS);
+    if (error) throw error;
+    return res.json({ items: data || [] });
+  } catch (err) {
+    console.error('/api/summaries versions unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+const VERSION_COLUMNS = 'id, text, summary, source, options, reason, created_at';
+const VERSION_REASONS = ['created', 'edit', 'resummarize', 'restore'];
+const MAX_VERSIONS = 100;
+
+// Stores the new state of a note; the first change also stores the state before it
+// (notes get no version row when they are created). Best effort: a failed insert
+// never fails the update itself.
+async function recordSummaryVersion(userId, previous, updated, reason) {
+  try {
+    const version = (row, why, at) => ({
+      summary_id: row.id,
+      user_id: userId,
+      text: row.text || '',
+      summary: row.summary || '',
+      source: row.source || null,
+      options: row.options || null,
+      reason: why,
+      created_at: at || new Date().toISOString()
+    });
+    const { data: existing, error } = await supabase.from('summary_versions').select('id').eq('summary_id', previous.id).limit(1);
+    if (error) throw error;
+    const rows = existing?.length ? [] : [version(previous, 'created', previous.updated_at || previous.created_at)];
+    rows.push(version(updated, reason, updated.updated_at));
+    const { error: insertError } = await supabase.from('summary_versions').insert(rows);
+    if (insertError) throw insertError;
+  } catch (err) {
+    console.warn('Failed to save summary version', err);
+  }
+}
+
+async function findOwnSummary(userId, id) {
+  const { data, error } = await supabase
+    .from('summaries')
+    .select(SUMMARY_COLUMNS)
+    .eq('id', String(id))
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/* ---------------------------
+   Export (protected)
+   - POST /api/export { format: markdown | html | anki, notes: [{ id } | { text, summary, source?, date? }] }
+   Notes with an id are read from the user's synced summaries, the others are
+   exported as sent (local notes), in the given order. The response is the file
+   itself; html is the print layout the app converts to PDF.
+----------------------------*/
+const MAX_EXPORT_NOTES = 200;
+
+app.post('/api/export', requireAuth, userRateLimiter('export'), async (req, res) => {
+  try {
+    const { format, notes } = req.body || {};
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    if (!Array.isArray(notes) || !notes.length) return res.status(400).json({ error: 'notes must be a non-empty array' });
+    if (notes.length > MAX_EXPORT_NOTES) return res.status(400).json({ error: `At most ${MAX_EXPORT_NOTES} notes per export` });
+    const invalid = notes.findIndex(n => !n || typeof n !== 'object' || Array.isArray(n));
+    if (invalid !== -1) return res.status(400).json({ error: `notes[${invalid}] must be an object` });
+
+    const ids = notes.filter(n => n.id && !n.text).map(n => String(n.id));
+    const byId = new Map();
+    if (ids.length) {
+      if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+      const { data, error } = await supabase
+        .from('summaries')
+        .select(SUMMARY_COLUMNS)
+        .eq('user_id', req.user.id)
+        .in('id', ids)
+        .is('deleted_at', null);
+      if (error) throw error;
+      for (const row of data || []) byId.set(row.id, row);
+      const missing = ids.filter(id => !byId.has(id));
+      if (missing.length) return res.status(404).json({ error: 'Summaries not found', ids: missing });
+    }
+
+    const resolved = notes.map(n => (byId.has(String(n.id)) && !n.text ? byId.get(String(n.id)) : {
+      title: n.title,
+      text: String(n.text || ''),
+      summary: String(n.summary || ''),
+      source: n.source,
+      date: n.date,
+      // the formatters read title and summary of every section
+      sections: Array.isArray(n.sections) ? n.sections.filter(s => s && typeof s === 'object') : null
+    }));
+    res.type(EXPORT_FORMATS[format].mimeType + '; charset=utf-8');
+    res.attachment(exportFileName(resolved, format));
+    return res.send(exportNotes(resolved, format));
+  } catch (err) {
+    console.error('/api/export unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+/* ---------------------------
+   Classes (protected)
+   A teacher creates a class and hands out its join code; students join with it.
+   Notes and summaries are shared with the whole class; a share marked as an
+   assignment lets the teacher see which students summarized that text (matched
+   on the match hash of their own summaries: case, punctuation and spacing are
+   ignored). Model calls on text shared with a class are recorded with its id,
+   so the class usage only shows the work done for the class.
+   - GET    /api/classes                          my classes with my role
+   - POST   /api/classes { name, welcome_text? }   create (you become its teacher)
+   - POST   /api/classes/join { code, display_name? }
+   - GET    /api/classes/:id                      class, members (teachers) and shares
+   - PATCH  /api/classes/:id { name?, welcome_text?, redaction? }   teacher (redaction: see PII redaction)
+   - POST   /api/classes/:id/code                 new join code   teacher
+   - DELETE /api/classes/:id/members/:userId      remove a student (teacher) or leave (yourself)
+   - POST   /api/classes/:id/shares { summary_id? | text, summary?, title?, assignment? }
+   - DELETE /api/classes/:id/shares/:shareId      teacher or the member who shared it
+   - GET    /api/classes/:id/shares/:shareId/progress   teacher; students who summarized it
+   - GET    /api/classes/:id/usage?days=30        teacher; the students' usage on the class's shared texts
+----------------------------*/
+const JOIN_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const CLASS_COLUMNS = 'id, name, welcome_text, join_code, redaction, teacher_id, created_at';
+const SHARE_COLUMNS = 'id, class_id, shared_by, summary_id, title, text, summary, assignment, created_at';
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MATCH_HASH_BATCH = 500;
+
+function newJoinCode() {
+  return Array.from({ length: 6 }, () => JOIN_CODE_CHARS[crypto.randomInt(JOIN_CODE_CHARS.length)]).join('');
+}
+
+// retries on the unique constraint of join_code
+async function withUniqueJoinCode(write) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data, error } = await write(newJoinCode());
+    if (!error) return data;
+    if (error.code !== '23505') throw new Error(error.message);
+  }
+  throw new Error('Could not generate a unique join code');
+}
+
+function requireSupabase(req, res, next) {
+  if (!supabase) return res.status(500).json({ error: 'Server misconfiguration: Supabase not configured' });
+  next();
+}
+
+// loads req.membership for :id; only members get through, optionally only some roles
+function requireClassRole(...roles) {
+  return async (req, res, next) => {
+    // class ids are uuids; anything else would be a Postgres type error instead of a 404
+    if (!UUID_RE.test(String(req.params.id))) return res.status(404).json({ error: 'Class not found' });
+    try {
+      const { data, error } = await supabase
+        .from('class_members')
+        .select('class_id, user_id, role, display_name')
+        .eq('class_id', String(req.params.id))
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return res.status(404).json({ error: 'Class not found' });
+      if (roles.length && !roles.includes(data.role)) return res.status(403).json({ error: `Only ${roles.join('/')}s can do this` });
+      req.membership = data;
+      next();
+    } catch (err) {
+      console.error('requireClassRole error', err);
+      return res.status(500).json({ error: 'Failed to load class membership' });
+    }
+  };
+}
+
+function cleanText(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+// the join code and privacy settings are only for teachers; students got the code already.
+// Teachers see the class's settings on top of the deployment's (without its name list)
+function publicClass(row, role) {
+  if (role !== 'teacher') return { ...row, join_code: undefined, redaction: undefined, role };
+  return { ...row, redaction: { ...DEFAULT_REDACTION, names: [], ...normalizeRedaction(row.redaction) }, role };
+}
+
+async function classStudents(classId) {
+  const { data, error } = await supabase
+    .from('class_members')
+    .select('user_id, role, display_name, joined_at')
+    .eq('class_id', classId)
+    .eq('role', 'student');
+  if (error) throw error;
+  return data || [];
+}
+
+// Rows saved before match_hash existed get it once, when the server starts (below);
+// lookups only read match_hash. migrations/drop-text-hash.sql removes the old text_hash
+// column after this has run.
+async function backfillMatchHashes(table) {
+  for (;;) {
+    const { data, error } = await supabase.from(table).select('id, text').is('match_hash', null).limit(MATCH_HASH_BATCH);
+    if (error) throw error;
+    for (const row of data || []) {
+      const { error: updateError } = await supabase.from(table).update({ match_hash: matchHash(row.text) }).eq('id', row.id);
+      if (updateError) throw updateError;
+    }
+    if (!data || data.length < MATCH_HASH_BATCH) return;
+  }
+}
+if (supabase) {
+  Promise.all(['summaries', 'class_shares'].map(table => backfillMatchHashes(table)))
+    .catch(err => console.error('match_hash backfill error', err));
+}
+
+// The class whose shared text this is (the newest share wins), or null; see recordUsage
+async function classForText(userId, text) {
+  const { data: memberships, error } = await supabase.from('class_members').select('class_id').eq('user_id', userId);
+  if (error) throw error;
+  if (!memberships?.length) return null;
+  const classIds = memberships.map(m => m.class_id);
+  const { data, error: shareError } = await supabase
+    .from('class_shares')
+    .select('class_id')
+    .in('class_id', classIds)
+    .eq('match_hash', matchHash(text))
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (shareError) throw shareError;
+  return data?.[0]?.class_id || null;
+}
+
+app.get('/api/classes', requireAuth, userRateLimiter('classes'), requireSupabase, async (req, res) => {
+  try {
+    const { data: memberships, error } = await supabase.from('class_members').select('class_id, role').eq('user_id', req.user.id);
+    if (error) throw error;
+    if (!memberships?.length) return res.json({ items: [] });
+
+    const roles = Object.fromEntries(memberships.map(m => [m.class_id, m.role]));
+    const { data: classes, error: classError } = await supabase
+      .from('classes')
+      .select(CLASS_COLUMNS)
+      .in('id', Object.keys(roles))
+      .order('created_at', { ascending: true });
+    if (classError) throw classError;
+    return res.json({ items: (classes || []).map(c => publicClass(c, roles[c.id])) });
+  } catch (err) {
+    console.error('/api/classes unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.post('/api/classes', requireAuth, userRateLimiter('classes'), requireSupabase, async (req, res) => {
+  try {
+    const name = cleanText(req.body?.name, 100);
+    if (!name) return res.status(400).json({ error: 'Missing name' });
+    const welcomeText = cleanText(req.body?.welcome_text, 2000) || null;
+
+    const id = crypto.randomUUID();
+    const row = await withUniqueJoinCode(code => supabase
+      .from('classes')
+      .insert({ id, name, welcome_text: welcomeText, join_code: code, teacher_id: req.user.id, created_at: new Date().toISOString() })
+      .select(CLASS_COLUMNS)
+      .single());
+    const { error } = await supabase.from('class_members').insert({
+      class_id: id,
+      user_id: req.user.id,
+      role: 'teacher',
+      display_name: cleanText(req.body?.display_name, 60) || req.user.email || null,
+      joined_at: new Date().toISOString()
+    });
+    if (error) {
+      // the two writes are not one transaction: never leave a class without its teacher behind
+      const { error: cleanupError } = await supabase.from('classes').delete().eq('id', id);
+      if (cleanupError) console.error('/api/classes create cleanup failed', cleanupError);
+      throw error;
+    }
+    return res.status(201).json({ item: publicClass(row, 'teacher') });
+  } catch (err) {
+    console.error('/api/classes create unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.post('/api/classes/join', requireAuth, userRateLimiter('classes'), requireSupabase, async (req, res) => {
+  try {
+    const code = cleanText(req.body?.code, 20).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!code) return res.status(400).json({ error: 'Missing code' });
+
+    const { data: row, error } = await supabase.from('classes').select(CLASS_COLUMNS).eq('join_code', code).maybeSingle();
+    if (error) throw error;
+    if (!row) return res.status(404).json({ error: 'Unknown join code' });
+
+    const { data: existing } = await supabase
+      .from('class_members')
+      .select('role')
+      .eq('class_id', row.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+    if (existing) return res.json({ item: publicClass(row, existing.role) });
+
+    const { error: insertError } = await supabase.from('class_members').insert({
+      class_id: row.id,
+      user_id: req.user.id,
+      role: 'student',
+      display_name: cleanText(req.body?.display_name, 60) || req.user.email || null,
+      joined_at: new Date().toISOString()
+    });
+    if (insertError) throw insertError;
+    return res.status(201).json({ item: publicClass(row, 'student') });
+  } catch (err) {
+    console.error('/api/classes/join unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.get('/api/classes/:id', requireAuth, userRateLimiter('classes'), requireSupabase, requireClassRole(), async (req, res) => {
+  try {
+    const classId = req.membership.class_id;
+    const { data: row, error } = await supabase.from('classes').select(CLASS_COLUMNS).eq('id', classId).single();
+    if (error) throw error;
+    const { data: shares, error: shareError } = await supabase
+      .from('class_shares')
+      .select(SHARE_COLUMNS)
+      .eq('class_id', classId)
+      .order('created_at', { ascending: false });
+    if (shareError) throw shareError;
+
+    const teacher = req.membership.role === 'teacher';
+    return res.json({
+      item: publicClass(row, req.membership.role),
+      members: teacher ? await classStudents(classId) : undefined,
+      shares: shares || []
+    });
+  } catch (err) {
+    console.error('/api/classes/:id unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.patch('/api/classes/:id', requireAuth, userRateLimiter('classes'), requireSupabase, requireClassRole('teacher'), async (req, res) => {
+  try {
+    const changes = {};
+    if (req.body?.name != null) changes.name = cleanText(req.body.name, 100);
+    if (req.body?.welcome_text !== undefined) changes.welcome_text = cleanText(req.body.welcome_text, 2000) || null;
+    if (req.body?.redaction !== undefined) {
+      if (req.body.redaction !== null && typeof req.body.redaction !== 'object') return res.status(400).json({ error: 'redaction must be an object or null' });
+      // enabled is not a class setting (classes only make masking stricter)
+      const { enabled, ...redaction } = normalizeRedaction(req.body.redaction || {});
+      changes.redaction = req.body.redaction ? redaction : null;
+    }
+    if (changes.name === '') return res.status(400).json({ error: 'Name cannot be empty' });
+    if (!Object.keys(changes).length) return res.status(400).json({ error: 'Nothing to update' });
+
+    const { data, error } = await supabase
+      .from('classes')
+      .update(changes)
+      .eq('id', req.membership.class_id)
+      .select(CLASS_COLUMNS)
+      .single();
+    if (error) throw error;
+    // the members' settings are combined from all their classes
+    if (changes.redaction !== undefined) redactionCache.clear();
+    return res.json({ item: publicClass(data, 'teacher') });
+  } catch (err) {
+    console.error('/api/classes patch unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.post('/api/classes/:id/code', requireAuth, userRateLimiter('classes'), requireSupabase, requireClassRole('teacher'), async (req, res) => {
+  try {
+    const data = await withUniqueJoinCode(code => supabase
+      .from('classes')
+      .update({ join_code: code })
+      .eq('id', req.membership.class_id)
+      .select(CLASS_COLUMNS)
+      .single());
+    return res.json({ item: publicClass(data, 'teacher') });
+  } catch (err) {
+    console.error('/api/classes/:id/code unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.delete('/api/classes/:id/members/:userId', requireAuth, userRateLimiter('classes'), requireSupabase, requireClassRole(), async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+    if (!UUID_RE.test(userId)) return res.status(404).json({ error: 'Student not found' });
+    const self = userId === req.user.id;
+    if (!self && req.membership.role !== 'teacher') return res.status(403).json({ error: 'Only teachers can remove students' });
+    if (self && req.membership.role === 'teacher') return res.status(400).json({ error: 'The teacher cannot leave the class' });
+
+    const { data, error } = await supabase
+      .from('class_members')
+      .delete()
+      .eq('class_id', req.membership.class_id)
+      .eq('user_id', userId)
+      .eq('role', 'student')
+      .select('user_id');
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: 'Student not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('/api/classes members delete unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.post('/api/classes/:id/shares', requireAuth, userRateLimiter('classes'), requireSupabase, requireClassRole(), async (req, res) => {
+  try {
+    let text = typeof req.body?.text === 'string' ? req.body.text : '';
+    let summary = typeof req.body?.summary === 'string' ? req.body.summary : null;
+    let summaryId = null;
+    if (req.body?.summary_id) {
+      const own = await findOwnSummary(req.user.id, req.body.summary_id);
+      if (!own || own.deleted_at) return res.status(404).json({ error: 'Summary not found' });
+      ({ text, summary } = own);
+      summaryId = own.id;
+    }
+    if (!text.trim()) return res.status(400).json({ error: 'Missing text or summary_id' });
+    const assignment = !!req.body?.assignment;
+    if (assignment && req.membership.role !== 'teacher') return res.status(403).json({ error: 'Only teachers can share assignments' });
+
+    const share = {
+      id: crypto.randomUUID(),
+      class_id: req.membership.class_id,
+      shared_by: req.user.id,
+      summary_id: summaryId,
+      title: cleanText(req.body?.title, 200) || text.trim().split('\n')[0].slice(0, 80),
+      text,
+      summary,
+      assignment,
+      match_hash: matchHash(text),
+      created_at: new Date().toISOString()
+    };
+    const { error } = await supabase.from('class_shares').insert(share);
+    if (error) throw error;
+    const { match_hash, ...item } = share;
+    return res.status(201).json({ item });
+  } catch (err) {
+    console.error('/api/classes shares unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.delete('/api/classes/:id/shares/:shareId', requireAuth, userRateLimiter('classes'), requireSupabase, requireClassRole(), async (req, res) => {
+  try {
+    if (!UUID_RE.test(String(req.params.shareId))) return res.status(404).json({ error: 'Share not found' });
+    let query = supabase
+      .from('class_shares')
+      .delete()
+      .eq('id', String(req.params.shareId))
+      .eq('class_id', req.membership.class_id);
+    if (req.membership.role !== 'teacher') query = query.eq('shared_by', req.user.id);
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: 'Share not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('/api/classes shares delete unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.get('/api/classes/:id/shares/:shareId/progress', requireAuth, userRateLimiter('classes'), requireSupabase, requireClassRole('teacher'), async (req, res) => {
+  try {
+    if (!UUID_RE.test(String(req.params.shareId))) return res.status(404).json({ error: 'Share not found' });
+    const { data: share, error } = await supabase
+      .from('class_shares')
+      .select('id, text')
+      .eq('id', String(req.params.shareId))
+      .eq('class_id', req.membership.class_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!share) return res.status(404).json({ error: 'Share not found' });
+
+    const students = await classStudents(req.membership.class_id);
+    const studentIds = students.map(s => s.user_id);
+    const { data: done, error: doneError } = studentIds.length
+      ? await supabase
+        .from('summaries')
+        .select('id, user_id, created_at')
+        .eq('match_hash', matchHash(share.text))
+        .in('user_id', studentIds)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: true })
+      : { data: [] };
+    if (doneError) throw doneError;
+
+    // the first summary per student counts
+    const first = new Map();
+    for (const row of done || []) if (!first.has(row.user_id)) first.set(row.user_id, row);
+    const items = students.map(s => ({
+      user_id: s.user_id,
+      display_name: s.display_name,
+      summarized: first.has(s.user_id),
+      summarized_at: first.get(s.user_id)?.created_at || null
+    }));
+    return res.json({ items, done: first.size, total: students.length });
+  } catch (err) {
+    console.error('/api/classes progress unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.get('/api/classes/:id/usage', requireAuth, userRateLimiter('classes'), requireSupabase, requireClassRole('teacher'), async (req, res) => {
+  try {
+    const since = new Date(Date.now() - (usageDays(req) - 1) * 24 * 60 * 60 * 1000);
+    since.setUTCHours(0, 0, 0, 0);
+    const students = await classStudents(req.membership.class_id);
+    const names = Object.fromEntries(students.map(s => [s.user_id, s.display_name]));
+    const rows = students.length ? await loadUsageRows(since, students.map(s => s.user_id), req.membership.class_id) : [];
+
+    const { total, ...totals } = aggregateUsage(rows, 'total', () => true)[0] || { total: true, ...emptyUsage() };
+    return res.json({
+      since: since.toISOString(),
+      total: totals,
+      users: aggregateUsage(rows, 'user_id', r => r.user_id).map(u => ({ ...u, display_name: names[u.user_id] || null }))
+    });
+  } catch (err) {
+    console.error('/api/classes usage unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+/* ---------------------------
+   PII redaction
+   Text is masked before it goes to a model provider (the detectors are in
+   redaction.js). Every distinct value gets a placeholder such as [NAAM_1]; the
+   kinds in `restore` are put back into the summary (and the stored text), the
+   others (BSN, IBAN by default) never leave the server or reach the database.
+   Config: PII_REDACTION (JSON) for the deployment, classes.redaction per class.
+   A class can only make it stricter: the settings of all classes of a user are
+   combined (more kinds, fewer restored kinds, no Vision OCR if any class says so);
+   enabled is a deployment setting, a class cannot switch masking off.
+   { enabled, kinds, restore, names: [...], member_names, external_ocr }
+   member_names masks the display names of the members of the user's classes;
+   external_ocr: false keeps photos on the server (tesseract only, no Google Vision).
+----------------------------*/
+const EXTERNAL_OCR_ENGINES = ['vision'];
+const DEFAULT_REDACTION = {
+  enabled: true,
+  kinds: PII_KINDS,
+  restore: ['email', 'phone', 'postcode', 'address', 'name'],
+  names: [],
+  member_names: true,
+  external_ocr: true,
+  ...normalizeRedaction(parseJSONEnv('PII_REDACTION'))
+};
+const REDACTION_CACHE_MS = 60 * 1000;
+const redactionCache = new Map(); // userId -> { config, at }
+
+// Effective config for a user: the deployment's, tightened by every class the user is in
+async function redactionFor(userId) {
+  const hit = redactionCache.get(userId);
+  if (hit && Date.now() - hit.at < REDACTION_CACHE_MS) return hit.config;
+  let config = DEFAULT_REDACTION;
+  if (supabase) {
+    try {
+      const { data: memberships, error } = await supabase.from('class_members').select('class_id').eq('user_id', userId);
+      if (error) throw error;
+      const classIds = (memberships || []).map(m => m.class_id);
+      if (classIds.length) {
+        const { data: classes, error: classError } = await supabase.from('classes').select('id, redaction').in('id', classIds);
+        if (classError) throw classError;
+        for (const row of classes || []) {
+          if (row.redaction) config = stricterRedaction(config, { ...DEFAULT_REDACTION, ...normalizeRedaction(row.redaction) });
+        }
+        if (config.member_names) {
+          const { data: members, error: memberError } = await supabase.from('class_members').select('display_name').in('class_id', classIds);
+          if (memberError) throw memberError;
+          config = { ...config, names: [...new Set([...config.names, ...(members || []).map(m => m.display_name).filter(Boolean)])] };
+        }
+      }
+    } catch (err) {
+      console.warn('Failed to load class privacy settings, using the defaults', err.message || err);
+    }
+  }
+  redactionCache.set(userId, { config, at: Date.now() });
+  return config;
+}
+
+async function loadRedaction(req, res, next) {
+  try {
+    req.redaction = await redactionFor(req.user.id);
+    return next();
+  } catch (err) {
+    console.error('loadRedaction error', err);
+    return res.status(500).json({ error: 'Failed to load privacy settings' });
+  }
+}
+
+/* ---------------------------
+   OCR providers
+   Each provider has { name, enabled(), recognize(buffer, { mode }) } and resolves to
+   { text, blocks: [{ text, confidence }] } with confidence between 0 and 1.
+   mode "layout" returns Markdown built from the block/paragraph/line hierarchy.
+   Vision also reads scanned PDFs (recognizePdf, used by /api/import); only the
+   scanned pages are sent, split off into small PDFs by pdf-worker.js.
+   runOcrProviders walks OCR_PROVIDERS in order (or only the requested engine).
+----------------------------*/
+const OCR_ENGINES = {
+  vision: {
+    name: 'vision',
+    enabled: () => !!GOOGLE_VISION_API_KEY,
+    async recognize(buffer, { mode } = {}) {
+      const visionPayload = {
+        requests: [
+          {
+            image: { content: buffer.toString('base64') },
+            // document detection returns the full page/block/paragraph hierarchy
+            features: [{ type: mode === 'layout' ? 'DOCUMENT_TEXT_DETECTION' : 'TEXT_DETECTION', maxResults: 1 }]
+          }
+        ]
+      };
+
+      const visionRes = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${GOOGLE_VISION_API_KEY}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(visionPayload),
+        signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS)
+      });
+
+      const visionJson = await visionRes.json().catch(() => null);
+      if (!visionRes.ok || visionJson?.responses?.[0]?.error) {
+        const err = new Error(`Vision API error ${visionRes.status}: ${JSON.stringify(visionJson).slice(0, 300)}`);
+        err.status = visionRes.status;
+        throw err;
+      }
+
+      const response = visionJson?.responses?.[0] || {};
+      const blocks = visionBlocks(response.fullTextAnnotation);
+      if (mode === 'layout' && response.fullTextAnnotation) {
+        return { text: layoutToMarkdown(visionLayout(response.fullTextAnnotation)), blocks };
+      }
+      const text =
+        response.fullTextAnnotation?.text ||
+        response.textAnnotations?.[0]?.description ||
+        '';
+      return { text, blocks };
+    },
+    // PDFs without a text layer (scans); files:annotate takes at most 5 pages per request.
+    // Each request gets a PDF of just its pages (numbers: their page numbers in that PDF);
+    // without pdf-lib the whole file goes along with every request.
+    async recognizePdf(buffer, pageNumbers, { mode } = {}) {
+      let parts = [];
+      if (pdfLib) {
+        parts = (await runPdfWorker('split', buffer, { pages: pageNumbers, size: 5 })).parts
+          .map(part => ({ ...part, numbers: part.pages.map((_, i) => i + 1) }));
+      } else {
+        for (let i = 0; i < pageNumbers.length; i += 5) {
+          const numbers = pageNumbers.slice(i, i + 5);
+          parts.push({ pages: numbers, pdf: buffer, numbers });
+        }
+      }
+      const results = [];
+      for (const part of parts) {
+        const visionRes = await fetch(`https://vision.googleapis.com/v1/files:annotate?key=${GOOGLE_VISION_API_KEY}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            requests: [{
+              inputConfig: { content: Buffer.from(part.pdf).toString('base64'), mimeType: 'application/pdf' },
+              features: [{ type: 'DOCUMENT_TEXT_DETECTION' }],
+              pages: part.numbers
+            }]
+          }),
+          signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS * 3)
+        });
+        const visionJson = await visionRes.json().catch(() => null);
+        if (!visionRes.ok || visionJson?.responses?.[0]?.error) {
+          const err = new Error(`Vision API error ${visionRes.status}: ${JSON.stringify(visionJson).slice(0, 300)}`);
+          err.status = visionRes.status;
+          throw err;
+        }
+        for (const response of visionJson?.responses?.[0]?.responses || []) {
+          const annotation = response.fullTextAnnotation;
+          const text = mode === 'layout' && annotation ? layoutToMarkdown(visionLayout(annotation)) : annotation?.text || '';
+          const page = part.pages[part.numbers.indexOf(response.context?.pageNumber)];
+          results.push({ page, text, blocks: visionBlocks(annotation) });
+        }
+      }
+      return results;
+    }
+  },
+  tesseract: {
+    name: 'tesseract',
+    enabled: () => !!Tesseract,
+    async recognize(buffer, { mode } = {}) {
+      const worker = await getTesseractWorker();
+      const { data } = await worker.recognize(buffer, {}, { text: true, blocks: true });
+      const blocks = (data.blocks || [])
+        .map(b => ({ text: (b.text || '').trim(), confidence: round2((b.confidence || 0) / 100) }))
+        .filter(b => b.text);
+      if (mode === 'layout') return { text: layoutToMarkdown(tesseractLayout(data)), blocks };
+      return { text: data.text || '', blocks };
+    }
+  }
+};
+
+for (const name of OCR_PROVIDERS) {
+  if (!Object.hasOwn(OCR_ENGINES, name)) console.warn(`Unknown provider "${name}" in OCR_PROVIDERS — ignoring.`);
+}
+
+// Vision reports confidence per block; the block text is rebuilt from its symbols
+function visionBlocks(annotation) {
+  const blocks = [];
+  for (const page of annotation?.pages || []) {
+    for (const block of page.blocks || []) {
+      let text = '';
+      for (const paragraph of block.paragraphs || []) {
+        for (const word of paragraph.words || []) {
+          for (const symbol of word.symbols || []) {
+            text += symbol.text;
+            const breakType = symbol.property?.detectedBreak?.type;
+            if (breakType === 'SPACE' || breakType === 'SURE_SPACE') text += ' ';
+            else if (breakType === 'EOL_SURE_SPACE' || breakType === 'LINE_BREAK') text += '\n';
+          }
+        }
+      }
+      if (text.trim()) blocks.push({ text: text.trim(), confidence: round2(block.confidence ?? 0) });
+    }
+  }
+  return blocks;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/* ---------------------------
+   Layout-aware OCR output
+   Both engines are normalized to
+     pages: [{ paragraphs: [{ lines: [{ words: [{ text, bbox }] }] }] }]
+   with bbox = { x0, y0, x1, y1 }, then turned into Markdown:
+   - tall, short paragraphs become headings (# / ##)
+   - bullet and numbered lines become list items
+   - lines with wide gaps between words become table rows
+   - two-column pages are read column by column between full-width paragraphs
+----------------------------*/
+function bboxFromVertices(vertices) {
+  const xs = (vertices || []).map(v => v.x || 0);
+  const ys = (vertices || []).map(v => v.y || 0);
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+function unionBbox(boxes) {
+  return {
+    x0: Math.min(...boxes.map(b => b.x0)),
+    y0: Math.min(...boxes.map(b => b.y0)),
+    x1: Math.max(...boxes.map(b => b.x1)),
+    y1: Math.max(...boxes.map(b => b.y1))
+  };
+}
+
+// Vision has no line objects: a line ends at a symbol with an end-of-line break
+function visionLayout(annotation) {
+  return (annotation.pages || []).map(page => ({
+    paragraphs: (page.blocks || []).flatMap(block => (block.paragraphs || []).map(paragraph => {
+      const lines = [];
+      let words = [];
+      for (const word of paragraph.words || []) {
+        const symbols = word.symbols || [];
+        const breakType = symbols[symbols.length - 1]?.property?.detectedBreak?.type;
+        let text = symbols.map(sym => sym.text).join('');
+        if (breakType === 'HYPHEN') text += '-';
+        words.push({ text, bbox: bboxFromVertices(word.boundingBox?.vertices) });
+        if (breakType === 'EOL_SURE_SPACE' || breakType === 'LINE_BREAK' || breakType === 'HYPHEN') {
+          lines.push({ words });
+          words = [];
+        }
+      }
+      if (words.length) lines.push({ words });
+      return { lines };
+    }))
+  }));
+}
+
+function tesseractLayout(data) {
+  return [{
+    paragraphs: (data.blocks || []).flatMap(block => (block.paragraphs || []).map(paragraph => ({
+      lines: (paragraph.lines || []).map(line => ({
+        words: (line.words || []).map(word => ({ text: word.text, bbox: word.bbox }))
+      }))
+    })))
+  }];
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+const BULLET_RE = /^([•·▪◦●○■□➢►‣*–-]|\d{1,2}[.)]|[a-z][.)])\s*/;
+
+function layoutToMarkdown(pages) {
+  return pages.map(pageToMarkdown).filter(Boolean).join('\n\n');
+}
+
+function pageToMarkdown(page) {
+  const paragraphs = page.paragraphs
+    .map(p => ({ lines: p.lines.filter(l => l.words.length) }))
+    .filter(p => p.lines.length)
+    .map(p => {
+      for (const line of p.lines) line.bbox = unionBbox(line.words.map(w => w.bbox));
+      return { ...p, bbox: unionBbox(p.lines.map(l => l.bbox)) };
+    });
+  if (!paragraphs.length) return '';
+
+  const lineHeights = splitColumnGutters(paragraphs).flatMap(p => p.lines.map(l => l.bbox.y1 - l.bbox.y0));
+  const bodyHeight = median(lineHeights) || 1;
+
+  const blocks = orderParagraphs(splitColumnGutters(paragraphs))
+    .map(p => paragraphToMarkdown(p, bodyHeight))
+    .filter(Boolean);
+  // consecutive list items stay one list
+  const isList = b => /^(-|\d+\.) /.test(b);
+  return blocks.reduce((md, b, i) => (i === 0 ? b : md + (isList(b) && isList(blocks[i - 1]) ? '\n' : '\n\n') + b), '');
+}
+
+// Engines sometimes merge the lines of two columns into one line. When most
+// lines of a paragraph have a wide gap over the middle of the page, split the
+// paragraph into a left and a right paragraph.
+function splitColumnGutters(paragraphs) {
+  const page = unionBbox(paragraphs.map(p => p.bbox));
+  const width = page.x1 - page.x0 || 1;
+  const mid = page.x0 + width / 2;
+  const gutterAt = (line) => {
+    for (let i = 1; i < line.words.length; i++) {
+      const a = line.words[i - 1].bbox.x1;
+      const b = line.words[i].bbox.x0;
+      if (a <= mid + width * 0.1 && b >= mid - width * 0.1 && b - a > width * 0.04) return (a + b) / 2;
+    }
+    return null;
+  };
+
+  return paragraphs.flatMap(p => {
+    const gutters = p.lines.map(gutterAt).filter(g => g !== null);
+    if (!gutters.length || gutters.length < p.lines.length * 0.6) return [p];
+    const gutter = median(gutters);
+    const side = (keep) => {
+      const lines = p.lines
+        .map(l => ({ words: l.words.filter(w => keep((w.bbox.x0 + w.bbox.x1) / 2 < gutter)) }))
+        .filter(l => l.words.length);
+      for (const line of lines) line.bbox = unionBbox(line.words.map(w => w.bbox));
+      return lines.length ? [{ lines, bbox: unionBbox(lines.map(l => l.bbox)) }] : [];
+    };
+    return [...side(isLeft => isLeft), ...side(isLeft => !isLeft)];
+  });
+}
+
+// Reading order: on two-column pages, full-width paragraphs (titles, figures
+// spanning both columns) split the page into bands; each band is read left
+// column first, then right column.
+function orderParagraphs(paragraphs) {
+  const page = unionBbox(paragraphs.map(p => p.bbox));
+  const width = page.x1 - page.x0 || 1;
+  const mid = page.x0 + width / 2;
+  const isFullWidth = p => p.bbox.x0 < mid - width * 0.05 && p.bbox.x1 > mid + width * 0.05;
+  const isLeft = p => (p.bbox.x0 + p.bbox.x1) / 2 < mid;
+  const byTop = (a, b) => (a.bbox.y0 - b.bbox.y0) || (a.bbox.x0 - b.bbox.x0);
+
+  const columnParagraphs = paragraphs.filter(p => !isFullWidth(p));
+  const left = columnParagraphs.filter(isLeft);
+  const right = columnParagraphs.filter(p => !isLeft(p));
+  const twoColumns = left.length >= 2 && right.length >= 2 && columnParagraphs.length >= paragraphs.length * 0.6;
+  if (!twoColumns) return paragraphs.slice().sort(byTop);
+
+  const ordered = [];
+  let band = [];
+  const flush = () => {
+    ordered.push(...band.filter(isLeft).sort(byTop), ...band.filter(p => !isLeft(p)).sort(byTop));
+    band = [];
+  };
+  for (const p of paragraphs.slice().sort(byTop)) {
+    if (isFullWidth(p)) {
+      flush();
+      ordered.push(p);
+    } else {
+      band.push(p);
+    }
+  }
+  flush();
+  return ordered;
+}
+
+// Words separated by a gap of several character widths are separate table cells
+function lineCells(line) {
+  const chars = line.words.reduce((n, w) => n + Math.max(w.text.length, 1), 0);
+  const charWidth = line.words.reduce((n, w) => n + (w.bbox.x1 - w.bbox.x0), 0) / (chars || 1);
+  const cells = [[line.words[0].text]];
+  for (let i = 1; i < line.words.length; i++) {
+    const gap = line.words[i].bbox.x0 - line.words[i - 1].bbox.x1;
+    if (gap > charWidth * 3) cells.push([]);
+    cells[cells.length - 1].push(line.words[i].text);
+  }
+  return cells.map(c => c.join(' '));
+}
+
+function joinLines(texts) {
+  // re-join words hyphenated at the end of a line
+  return texts.reduce((acc, t) => (acc.endsWith('-') && /^[a-z\u00C0-\u017F]/.test(t) ? acc.slice(0, -1) + t : acc ? `${acc} ${t}` : t), '');
+}
+
+function paragraphToMarkdown(paragraph, bodyHeight) {
+  const lineTexts = paragraph.lines.map(l => l.words.map(w => w.text).join(' ').trim()).filter(Boolean);
+  const text = joinLines(lineTexts);
+  if (!text) return '';
+
+  const height = median(paragraph.lines.map(l => l.bbox.y1 - l.bbox.y0));
+  const looksLikeHeading = paragraph.lines.length <= 2 && text.length <= 80 && !/[.,;:]$/.test(text);
+  if (looksLikeHeading && height >= bodyHeight * 1.6) return `# ${text}`;
+  if (looksLikeHeading && height >= bodyHeight * 1.25) return `## ${text}`;
+
+  const rows = paragraph.lines.map(lineCells);
+  if (rows.length >= 2 && rows.filter(r => r.length >= 2).length >= rows.length * 0.6) {
+    const columns = Math.max(...rows.map(r => r.length));
+    const pad = r => [...r, ...Array(columns - r.length).fill('')];
+    const md = rows.map(r => `| ${pad(r).join(' | ')} |`);
+    md.splice(1, 0, `|${' --- |'.repeat(columns)}`);
+    return md.join('\n');
+  }
+
+  if (BULLET_RE.test(lineTexts[0])) {
+    const items = [];
+    for (const line of lineTexts) {
+      const m = line.match(BULLET_RE);
+      if (m) items.push({ marker: /^\d/.test(m[1]) ? `${parseInt(m[1], 10)}.` : '-', parts: [line.slice(m[0].length)] });
+      else items[items.length - 1].parts.push(line);
+    }
+    return items.map(it => `${it.marker} ${joinLines(it.parts)}`).join('\n');
+  }
+
+  return text;
+}
+
+// One shared worker. The language packs come from the @tesseract.js-data packages
+// (copied into one langPath directory) so nothing is downloaded at runtime.
+let tesseractWorker = null;
+function getTesseractWorker() {
+  if (!tesseractWorker) {
+    tesseractWorker = (async () => {
+      const fs = require('fs');
+      const path = require('path');
+      const langPath = process.env.TESSERACT_LANG_PATH || path.join(require('os').tmpdir(), 'instanotes-tessdata');
+      fs.mkdirSync(langPath, { recursive: true });
+      for (const code of TESSERACT_LANGS) {
+        const target = path.join(langPath, `${code}.traineddata.gz`);
+        if (fs.existsSync(target)) continue;
+        const pack = require(`@tesseract.js-data/${code}`);
+        fs.copyFileSync(path.join(pack.langPath, `${code}.traineddata.gz`), target);
+      }
+      return Tesseract.createWorker(TESSERACT_LANGS, 1, { langPath, cacheMethod: 'none', gzip: true });
+    })().catch((err) => {
+      tesseractWorker = null;
+      throw err;
+    });
+  }
+  return tesseractWorker;
+}
+
+// returns { text, blocks, engine } from the first OCR provider that answers
+// external: false skips engines that send the image to another service (class privacy setting)
+async function runOcrProviders(buffer, engine, mode, external = true) {
+  const names = (engine ? [engine] : OCR_PROVIDERS).filter(name => external || !EXTERNAL_OCR_ENGINES.includes(name));
+  const providers = names.filter(name => Object.hasOwn(OCR_ENGINES, name)).map(name => OCR_ENGINES[name]).filter(p => p.enabled());
+  if (!providers.length) {
+    const err = new Error(engine
+      ? `OCR engine "${engine}" is not available.`
+      : 'No OCR provider configured. Set GOOGLE_VISION_API_KEY or install tesseract.js.');
+    err.status = 501;
+    throw err;
+  }
+
+  let lastError = null;
+  for (const provider of providers) {
+    try {
+      const result = await provider.recognize(buffer, { mode });
+      return { ...result, engine: provider.name };
+    } catch (err) {
+      console.warn(`[ocr] provider ${provider.name} failed:`, err.message);
+      lastError = err;
+    }
+  }
+  const err = new Error('All OCR providers failed');
+  err.status = 502;
+  err.details = lastError ? String(lastError.message) : undefined;
+  throw err;
+}
+
+// runOcrProviders through the result cache; adds cached: true|false
+async function cachedOcr(buffer, engine, mode, { force = false, external = true, owner = null } = {}) {
+  const key = ocrCacheKey(buffer, engine, mode);
+  if (!force) {
+    const hit = await cacheGet(key, owner);
+    if (hit) return { ...hit, cached: true };
+  }
+  const result = await runOcrProviders(buffer, engine, mode, external);
+  await cacheSet(key, result, owner);
+  return { ...result, cached: false };
+}
+
+/* ---------------------------
+   OCR endpoint (POST /api/ocr)
+   - expects multipart/form-data field "image"
+   - optional field "engine" to pick one provider (vision | tesseract)
+   - optional field "mode": "layout" for Markdown with headings, lists,
+     tables and two-column reading order
+   - optional field "force" = 1 to skip the result cache
+   - requires multer to be installed
+   - returns { text, engine, mode, cached, blocks: [{ text, confidence }] }
+----------------------------*/
+app.post(
+  '/api/ocr',
+  requireAuth,
+  userRateLimiter('ocr'),
+  (req, res, next) => {
+    if (!upload) {
+      return res.status(501).json({ error: 'OCR disabled: multer not installed. Run `npm install multer` in backend.' });
+    }
+    upload.single('image')(req, res, (err) => {
+      if (err) {
+        console.error('/api/ocr upload error', err);
+        return res.status(400).json({ error: 'Upload error', details: String(err.message || err) });
+      }
+      next();
+    });
+  },
+  loadQuota,
+  loadRedaction,
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: 'Missing image file (field name "image")' });
+      const engine = req.body?.engine || req.query.engine || null;
+      if (engine && !Object.hasOwn(OCR_ENGINES, engine)) return res.status(400).json({ error: `Unknown OCR engine "${engine}"` });
+      if (engine && !req.redaction.external_ocr && EXTERNAL_OCR_ENGINES.includes(engine)) {
+        return res.status(400).json({ error: `OCR engine "${engine}" is turned off by the privacy settings of your class` });
+      }
+      const quota = await ocrAccess(req, 1);
+      if (quota.error) return res.status(402).json({ error: quota.error });
+
+      const mode = ocrMode(req);
+      const result = await cachedOcr(req.file.buffer, engine, mode, { force: wantsFresh(req), external: req.redaction.external_ocr, owner: req.user.id });
+      await countOcrPages(req.user.id, [result], req.reserved);
+      return res.json({ text: result.text || '', engine: result.engine, mode, cached: result.cached, blocks: result.blocks || [] });
+    } catch (err) {
+      if (req.reserved) await releaseUsage(req.user.id, req.reserved);
+      if (err.status === 501 || err.status === 502) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+      }
+      console.error('/api/ocr unexpected', err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+/* ---------------------------
+   Multi-page OCR (POST /api/ocr/batch)
+   - multipart/form-data field "images" (repeat per page, in page order)
+   - optional fields "engine", "mode" and "force" like /api/ocr
+   - returns { text, pages: [{ page, text, engine, cached, blocks }] }; text joins the
+     pages with "--- Pagina N ---" markers
+----------------------------*/
+app.post(
+  '/api/ocr/batch',
+  requireAuth,
+  (req, res, next) => {
+    if (!upload) {
+      return res.status(501).json({ error: 'OCR disabled: multer not installed. Run `npm install multer` in backend.' });
+    }
+    upload.array('images', MAX_OCR_PAGES)(req, res, (err) => {
+      if (err) {
+        console.error('/api/ocr/batch upload error', err);
+        return res.status(400).json({ error: 'Upload error', details: String(err.message || err) });
+      }
+      next();
+    });
+  },
+  // after the upload: a batch takes one rate-limit slot per page
+  userRateLimiter('ocr', { cost: req => req.files?.length || 1 }),
+  loadQuota,
+  loadRedaction,
+  async (req, res) => {
+    try {
+      if (!req.files || !req.files.length) return res.status(400).json({ error: 'Missing image files (field name "images")' });
+      const engine = req.body?.engine || req.query.engine || null;
+      if (engine && !Object.hasOwn(OCR_ENGINES, engine)) return res.status(400).json({ error: `Unknown OCR engine "${engine}"` });
+      if (engine && !req.redaction.external_ocr && EXTERNAL_OCR_ENGINES.includes(engine)) {
+        return res.status(400).json({ error: `OCR engine "${engine}" is turned off by the privacy settings of your class` });
+      }
+      const quota = await ocrAccess(req, req.files.length);
+      if (quota.error) return res.status(402).json({ error: quota.error });
+
+      // one page at a time: tesseract has a single worker and Vision has per-minute quotas
+      const mode = ocrMode(req);
+      const pages = [];
+      for (let i = 0; i < req.files.length; i++) {
+        const result = await cachedOcr(req.files[i].buffer, engine, mode, { force: wantsFresh(req), external: req.redaction.external_ocr, owner: req.user.id });
+        pages.push({ page: i + 1, text: (result.text || '').trim(), engine: result.engine, cached: result.cached, blocks: result.blocks || [] });
+      }
+      await countOcrPages(req.user.id, pages, req.reserved);
+
+      return res.json({ text: joinPages(pages.map(p => p.text)), mode, pages });
+    } catch (err) {
+      if (req.reserved) await releaseUsage(req.user.id, req.reserved);
+      if (err.status === 501 || err.status === 502) {
+        return res.status(err.status).json({ error: err.message, details: err.details });
+      }
+      console.error('/api/ocr/batch unexpected', err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+function ocrMode(req) {
+  return (req.body?.mode || req.query.mode) === 'layout' ? 'layout' : 'text';
+}
+
+function joinPages(texts) {
+  if (texts.length === 1) return texts[0];
+  return texts.map((t, i) => `--- Pagina ${i + 1} ---\n${t}`).join('\n\n');
+}
+
+/* ---------------------------
+   File import (POST /api/import)
+   - multipart/form-data field "file": a PDF, DOCX or plain-text file (.txt/.md)
+   - requires multer; PDF needs pdf-parse, DOCX needs mammoth
+   - returns { text, title, format, pages, ocr, truncated } with text as Markdown:
+     PDF pages go through the layout pipeline above (headings, lists, tables,
+     columns) and are joined with "--- Pagina N ---" markers like /api/ocr/batch;
+     DOCX headings, lists and tables come from the Word styles
+   - pages ([{ page, text, ocr }], PDF only) and ocr ({ engine, pages, cached, skipped })
+     describe the OCR fallback: pages without a text layer (scans) are read with
+     Vision, or with tesseract from the page images when Vision is not configured
+     or the class privacy settings keep images away from external engines; they
+     count against the OCR quota
+   - PDFs are read in a worker thread (pdf-worker.js) that is stopped after
+     PDF_TIMEOUT_MS, so a slow or broken file cannot block the server
+   Nothing is saved here; the app opens the text in the Editor to summarize it.
+----------------------------*/
+const SCANNED_PAGE_CHARS = 20;
+
+app.post(
+  '/api/import',
+  requireAuth,
+  userRateLimiter('import'),
+  (req, res, next) => {
+    if (!importUpload) {
+      return res.status(501).json({ error: 'Import disabled: multer not installed. Run `npm install multer` in backend.' });
+    }
+    importUpload.single('file')(req, res, (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `File too large (max ${IMPORT_MAX_MB} MB)` });
+        console.error('/api/import upload error', err);
+        return res.status(400).json({ error: 'Upload error', details: String(err.message || err) });
+      }
+      next();
+    });
+  },
+  loadQuota,
+  loadRedaction,
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: 'Missing file (field name "file")' });
+      const format = importFormat(req.file);
+      if (!format) return res.status(415).json({ error: 'Unsupported file type (use PDF, DOCX or TXT)' });
+      const fallbackTitle = fileTitle(req.file.originalname);
+
+      if (format === 'txt') {
+        const text = decodeText(req.file.buffer).trim();
+        if (!text) return res.status(422).json({ error: 'The file contains no text' });
+        return res.json({ text, title: fallbackTitle, format, pages: null, ocr: null, truncated: false });
+      }
+
+      if (format === 'docx') {
+        if (!mammoth) return res.status(501).json({ error: 'DOCX import disabled: run `npm install mammoth` in backend.' });
+        let text;
+        try {
+          const { value } = await mammoth.convertToHtml({ buffer: req.file.buffer });
+          text = docxHtmlToMarkdown(value);
+        } catch (err) {
+          return res.status(422).json({ error: 'Could not read the DOCX file', details: String(err.message || err) });
+        }
+        if (!text) return res.status(422).json({ error: 'The file contains no text' });
+        const heading = text.match(/^#{1,6} (.+)$/m);
+        return res.json({ text, title: heading ? heading[1].trim() : fallbackTitle, format, pages: null, ocr: null, truncated: false });
+      }
+
+      if (!pdfParse) return res.status(501).json({ error: 'PDF import disabled: run `npm install pdf-parse` in backend.' });
+      let pdf;
+      try {
+        pdf = await pdfToPages(req.file.buffer);
+      } catch (err) {
+        return res.status(422).json({ error: 'Could not read the PDF file', details: String(err.message || err) });
+      }
+
+      const { pages } = pdf;
+      let ocr = null;
+      const scanned = pages.filter(p => p.text.replace(/\s/g, '').length < SCANNED_PAGE_CHARS);
+      if (scanned.length) {
+        const vision = OCR_ENGINES.vision;
+        const useVision = vision.enabled() && req.redaction.external_ocr;
+        if (!useVision && OCR_ENGINES.tesseract.enabled()) {
+          // tesseract reads the scan image of each page, on this server
+          const numbers = scanned.slice(0, MAX_OCR_PAGES).map(p => p.page);
+          let images;
+          try {
+            ({ images } = await runPdfWorker('images', req.file.buffer, { pages: numbers }));
+          } catch (err) {
+            return res.status(422).json({ error: 'Could not read the scanned pages', details: String(err.message || err) });
+          }
+          const results = [];
+          if (images.length) {
+            const quota = await ocrAccess(req, images.length);
+            if (quota.error) return res.status(402).json({ error: quota.error });
+            try {
+              for (const { page, image } of images) {
+                const result = await cachedOcr(Buffer.from(image), 'tesseract', 'layout', { force: wantsFresh(req), owner: req.user.id });
+                results.push(result);
+                const target = pages.find(p => p.page === page);
+                if (result.text.trim()) Object.assign(target, { text: result.text.trim(), ocr: true });
+              }
+            } catch (err) {
+              await releaseUsage(req.user.id, req.reserved);
+              console.warn('[import] tesseract pdf OCR failed:', err.message);
+              return res.status(502).json({ error: 'OCR of the scanned pages failed', details: String(err.message) });
+            }
+            await countOcrPages(req.user.id, results, req.reserved);
+          }
+          const read = images.map(i => i.page);
+          ocr = {
+            engine: 'tesseract',
+            pages: read,
+            cached: results.length > 0 && results.every(r => r.cached),
+            skipped: scanned.map(p => p.page).filter(n => !read.includes(n))
+          };
+        } else if (!useVision) {
+          if (scanned.length === pages.length) {
+            return res.status(422).json({
+              error: vision.enabled()
+                ? 'This PDF contains scanned pages; OCR for PDFs is turned off by the privacy settings of your class'
+                : 'This PDF contains scanned pages and OCR is not available. Take photos of the pages instead.'
+            });
+          }
+          ocr = { engine: null, pages: [], cached: false, skipped: scanned.map(p => p.page) };
+        } else {
+          const numbers = scanned.slice(0, MAX_OCR_PAGES).map(p => p.page);
+          const key = ocrCacheKey(req.file.buffer, 'vision', `pdf:${numbers.join(',')}`);
+          let results = wantsFresh(req) ? null : await cacheGet(key, req.user.id);
+          const cached = !!results;
+          if (!results) {
+            const quota = await ocrAccess(req, numbers.length);
+            if (quota.error) return res.status(402).json({ error: quota.error });
+            try {
+              results = await vision.recognizePdf(req.file.buffer, numbers, { mode: 'layout' });
+            } catch (err) {
+              await releaseUsage(req.user.id, req.reserved);
+              console.warn('[import] vision pdf OCR failed:', err.message);
+              return res.status(502).json({ error: 'OCR of the scanned pages failed', details: String(err.message) });
+            }
+            await cacheSet(key, results, req.user.id);
+            await countOcrPages(req.user.id, numbers.map(() => ({ engine: 'vision', cached: false })), req.reserved);
+          }
+          for (const result of results) {
+            const page = pages.find(p => p.page === result.page);
+            if (page && result.text.trim()) Object.assign(page, { text: result.text.trim(), ocr: true });
+          }
+          ocr = { engine: 'vision', pages: numbers, cached, skipped: scanned.slice(MAX_OCR_PAGES).map(p => p.page) };
+        }
+      }
+
+      const text = joinPages(pages.map(p => p.text)).trim();
+      if (!pages.some(p => p.text.trim())) return res.status(422).json({ error: 'The file contains no text' });
+      return res.json({ text, title: pdf.title || fallbackTitle, format, pages, ocr, truncated: pdf.numpages > pages.length });
+    } catch (err) {
+      console.error('/api/import unexpected', err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+// Runs a pdf-worker.js task on buffer and resolves to its result (images and PDFs in it
+// arrive as Uint8Arrays). The worker is stopped after PDF_TIMEOUT_MS or when it uses more
+// than PDF_MEMORY_MB; errors carry status 422.
+function runPdfWorker(task, buffer, options = {}) {
+  return new Promise((resolve, reject) => {
+    // a copy: small Buffers share a pooled ArrayBuffer, which pdf.js would read as a whole
+    const data = new Uint8Array(buffer);
+    const worker = new Worker(path.join(__dirname, 'pdf-worker.js'), {
+      workerData: { ...options, task, buffer: data },
+      transferList: [data.buffer],
+      resourceLimits: { maxOldGenerationSizeMb: PDF_MEMORY_MB }
+    });
+    const fail = (message) => {
+      const err = new Error(message);
+      err.status = 422;
+      reject(err);
+    };
+    const timer = setTimeout(() => {
+      fail(`Reading the PDF took longer than ${PDF_TIMEOUT_MS / 1000} s`);
+      worker.terminate();
+    }, PDF_TIMEOUT_MS);
+    worker.once('message', ({ result, error }) => {
+      clearTimeout(timer);
+      worker.terminate();
+      if (error) fail(error);
+      else resolve(result);
+    });
+    worker.once('error', (err) => {
+      clearTimeout(timer);
+      fail(String(err.message || err));
+    });
+    worker.once('exit', (code) => {
+      clearTimeout(timer);
+      fail(`Reading the PDF stopped (exit code ${code})`);
+    });
+  });
+}
+
+// Every page is laid out from its text items; the worker only reads the first
+// IMPORT_MAX_PAGES pages
+async function pdfToPages(buffer) {
+  const result = await runPdfWorker('text', buffer, { max: IMPORT_MAX_PAGES });
+  const pages = result.pages.map((page, i) => ({
+    page: i + 1,
+    text: page ? pageToMarkdown(pdfPageLayout(page.items, page.top)).trim() : '',
+    ocr: false
+  }));
+  return { pages, numpages: result.numpages, title: result.title };
+}
+
+// pdf.js text items are runs of text in one font on one baseline. They are split
+// into words (positions estimated from the run width), grouped into lines on their
+// baseline and into paragraphs on line spacing and font size, so pageToMarkdown
+// reads them like OCR output. y is flipped to grow downwards like the OCR engines.
+function pdfPageLayout(items, pageTop) {
+  const words = [];
+  let spaceBefore = true;
+  for (const item of items) {
+    const str = item.str || '';
+    if (!str.trim()) {
+      spaceBefore = true;
+      continue;
+    }
+    const [a, b, c, d, x, y] = item.transform;
+    const height = Math.hypot(c, d) || Math.hypot(a, b) || 1;
+    const charWidth = (item.width || height * 0.5 * str.length) / str.length;
+    const baseline = pageTop - y;
+    const re = /\S+/g;
+    let m;
+    while ((m = re.exec(str))) {
+      const bbox = { x0: x + m.index * charWidth, y0: baseline - height, x1: x + (m.index + m[0].length) * charWidth, y1: baseline };
+      const prev = words[words.length - 1];
+      // runs that split a word (kerning, one bold letter) are glued back together
+      if (m.index === 0 && !spaceBefore && prev && Math.abs(prev.bbox.y1 - baseline) < height * 0.3 && Math.abs(bbox.x0 - prev.bbox.x1) < height * 0.2) {
+        prev.text += m[0];
+        prev.bbox = unionBbox([prev.bbox, bbox]);
+      } else {
+        words.push({ text: m[0], bbox });
+      }
+    }
+    spaceBefore = /\s$/.test(str);
+  }
+
+  const lines = [];
+  for (const word of words.slice().sort((p, q) => p.bbox.y1 - q.bbox.y1)) {
+    const line = lines[lines.length - 1];
+    if (line && word.bbox.y1 - line.baseline <= line.height * 0.3) line.words.push(word);
+    else lines.push({ baseline: word.bbox.y1, height: word.bbox.y1 - word.bbox.y0, words: [word] });
+  }
+  for (const line of lines) {
+    line.words.sort((p, q) => p.bbox.x0 - q.bbox.x0);
+    line.height = median(line.words.map(w => w.bbox.y1 - w.bbox.y0));
+  }
+
+  const paragraphs = [];
+  let previous = null;
+  for (const line of lines) {
+    const sameSize = previous && Math.abs(line.height - previous.height) <= Math.max(line.height, previous.height) * 0.15;
+    const spacing = previous ? line.baseline - previous.baseline : Infinity;
+    if (sameSize && spacing <= Math.max(line.height, previous.height) * 1.6) paragraphs[paragraphs.length - 1].lines.push({ words: line.words });
+    else paragraphs.push({ lines: [{ words: line.words }] });
+    previous = line;
+  }
+  return { paragraphs };
+}
+
+/* ---------------------------
+   Background jobs (protected)
+   - POST /api/jobs/summarize { text, options?, force? }              -> 202 { id, status }
+   - POST /api/jobs/ocr  multipart "images" (+ mode, engine,
+       summarize=1 and options as JSON to summarize the pages after OCR,
+       force=1 to skip the result cache)                                 -> 202 { id, status }
+   - GET  /api/jobs/:id                                                -> job (own jobs only)
+   A job is { id, type, status: queued|running|retrying|done|failed, progress 0..1,
+   step, attempts, result, error }. With REDIS_URL the queue lives in Redis (list
+   jobs:queue, records job:<id>, inputs job:<id>:input, ids per user jobs:user:<userId>)
+   so any instance can run it;
+   without Redis an in-memory queue is used (dev only), its jobs are dropped
+   JOB_TTL_SEC after their last update like the Redis keys expire. Failed
+   provider calls are retried with exponential backoff.
+----------------------------*/
+const memoryJobs = new Map();
+const memoryJobInputs = new Map();
+const memoryJobTimers = new Map();
+const memoryJobQueue = [];
+
+async function saveJob(job) {
+  job.updated_at = new Date().toISOString();
+  if (redis) {
+    await redis.set(`job:${job.id}`, JSON.stringify(job), 'EX', JOB_TTL_SEC);
+  } else {
+    memoryJobs.set(job.id, job);
+    clearTimeout(memoryJobTimers.get(job.id));
+    memoryJobTimers.set(job.id, setTimeout(() => dropMemoryJob(job.id), JOB_TTL_SEC * 1000).unref());
+  }
+  return job;
+}
+
+function dropMemoryJob(id) {
+  clearTimeout(memoryJobTimers.get(id));
+  memoryJobTimers.delete(id);
+  memoryJobs.delete(id);
+  memoryJobInputs.delete(id);
+}
+
+async function loadJob(id) {
+  if (redis) {
+    const raw = await redis.get(`job:${id}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+  return memoryJobs.get(id) || null;
+}
+
+async function enqueueJob(userId, type, input) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    user_id: userId,
+    type,
+    status: 'queued',
+    progress: 0,
+    step: 'In de wachtrij',
+    attempts: 0,
+    result: null,
+    error: null,
+    created_at: now,
+    updated_at: now
+  };
+  if (redis) {
+    // image buffers are stored as base64 next to the job record
+    const stored = { ...input, images: (input.images || []).map(b => b.toString('base64')) };
+    await redis.set(`job:${job.id}:input`, JSON.stringify(stored), 'EX', JOB_TTL_SEC);
+    await saveJob(job);
+    // per-user index for the account export and deletion
+    await redis.multi().sadd(`jobs:user:${userId}`, job.id).expire(`jobs:user:${userId}`, JOB_TTL_SEC).exec();
+    await redis.lpush('jobs:queue', job.id);
+  } else {
+    memoryJobInputs.set(job.id, input);
+    await saveJob(job);
+    memoryJobQueue.push(job.id);
+    setImmediate(runMemoryJobs);
+  }
+  return job;
+}
+
+async function loadJobInput(id) {
+  if (!redis) return memoryJobInputs.get(id) || null;
+  const raw = await redis.get(`job:${id}:input`);
+  if (!raw) return null;
+  const input = JSON.parse(raw);
+  return { ...input, images: (input.images || []).map(b => Buffer.from(b, 'base64')) };
+}
+
+async function dropJobInput(id) {
+  if (redis) await redis.del(`job:${id}:input`);
+  else memoryJobInputs.delete(id);
+}
+
+const JOB_RUNNERS = {
+  async summarize(job, input, update) {
+    const redacted = redactForProviders(input.text, input.redaction || DEFAULT_REDACTION);
+    const options = resolveSummaryLanguage(input.options, input.text);
+    const result = await cachedSummarizeLongText(redacted.text, options, {
+      force: input.force,
+      owner: job.user_id,
+      // the quota was checked when the job was submitted
+      providers: input.aiAllowed === false ? [PROVIDERS.extractive] : summaryProviders(),
+      onProgress: (done, total) => update({ status: 'running', progress: done / total, step: `Deel ${done} van ${total - 1} samengevat` }),
+      // each model call is retried on its own; extractive only takes over after the retries
+      retry: { onRetry: (err, attempt) => update({ status: 'retrying', step: `Opnieuw proberen (${attempt})`, attempts: attempt }) }
+    });
+    await settleSummary(job.user_id, input.reserved, isModelSummary(result));
+    await update({ status: 'running', progress: 0.95, step: 'Opslaan' });
+    const summary = redacted.restore(result.summary);
+    const sections = restoreSections(result.sections, redacted.restore);
+    const record = await saveSummaryToDB(job.user_id, redacted.stored, summary, result.source, usageCost(result.usage), { options, sections });
+    await recordUsage(job.user_id, 'summary', result.usage, record?.id, input.text);
+    const { usage, ...rest } = result;
+    return {
+      ...rest, summary, sections, redactions: redacted.report, options,
+      quota_exceeded: input.aiAllowed === false, id: record?.id || null, created_at: record?.created_at || null
+    };
+  },
+
+  async ocr(job, input, update) {
+    const total = input.images.length;
+    // when the pages are summarized afterwards, OCR is the first 70% of the progress bar
+    const share = input.summarize ? 0.7 : 1;
+    const pages = [];
+    for (let i = 0; i < total; i++) {
+      await update({ status: 'running', progress: (i / total) * share, step: `Pagina ${i + 1} van ${total} lezen` });
+      const result = await withRetry(
+        () => cachedOcr(input.images[i], input.engine, input.mode, { force: input.force, external: input.redaction?.external_ocr !== false, owner: job.user_id }),
+        { onRetry: (err, attempt) => update({ status: 'retrying', step: `Pagina ${i + 1}: opnieuw proberen (${attempt})`, attempts: attempt }) }
+      );
+      pages.push({ page: i + 1, text: (result.text || '').trim(), engine: result.engine, cached: result.cached, blocks: result.blocks || [] });
+    }
+    await countOcrPages(job.user_id, pages, input.reserved);
+    const text = joinPages(pages.map(p => p.text));
+    if (!input.summarize) return { text, mode: input.mode, pages };
+
+    await update({ status: 'running', progress: share, step: 'Samenvatten' });
+    const summary = await JOB_RUNNERS.summarize(job, { text, options: input.options, aiAllowed: input.aiAllowed, force: input.force, redaction: input.redaction, reserved: input.reserved }, (patch) => update({
+      ...patch,
+      progress: patch.progress != null ? share + patch.progress * (1 - share) : undefined
+    }));
+    return { text, mode: input.mode, pages, ...summary };
+  }
+};
+
+async function runJob(id) {
+  let job = await loadJob(id);
+  if (!job) return;
+  const input = await loadJobInput(id);
+  // progress updates are best effort: a failed write must not fail the job
+  const update = async (patch) => {
+    const clean = Object.fromEntries(Object.entries(patch).filter(([, v]) => v !== undefined));
+    job = { ...job, ...clean };
+    try {
+      await saveJob(job);
+    } catch (err) {
+      console.error(`[jobs] could not update job ${id}`, err);
+    }
+  };
+  try {
+    if (!input) throw new Error('Job input expired');
+    await update({ status: 'running', step: 'Bezig' });
+    const result = await JOB_RUNNERS[job.type](job, input, update);
+    await update({ status: 'done', progress: 1, step: 'Klaar', result });
+  } catch (err) {
+    console.error(`[jobs] ${job.type} job ${id} failed`, err);
+    if (input) await releaseUsage(job.user_id, input.reserved);
+    await update({ status: 'failed', step: 'Mislukt', error: err.message || String(err) });
+  } finally {
+    await dropJobInput(id);
+  }
+}
+
+let memoryJobsRunning = 0;
+async function runMemoryJobs() {
+  while (memoryJobsRunning < JOB_WORKERS && memoryJobQueue.length) {
+    const id = memoryJobQueue.shift();
+    memoryJobsRunning++;
+    runJob(id).finally(() => {
+      memoryJobsRunning--;
+      setImmediate(runMemoryJobs);
+    });
+  }
+}
+
+// Redis workers block on the queue with their own connection (BRPOP blocks the client)
+function startRedisJobWorkers() {
+  for (let i = 0; i < JOB_WORKERS; i++) {
+    const conn = redis.duplicate();
+    conn.on('error', (e) => console.error('Redis job worker error', e));
+    (async function loop() {
+      for (;;) {
+        try {
+          const popped = await conn.brpop('jobs:queue', 5);
+          if (popped) await runJob(popped[1]);
+        } catch (err) {
+          console.error('[jobs] worker error', err);
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+      }
+    })();
+  }
+}
+if (redis) startRedisJobWorkers();
+
+function publicJob(job) {
+  const { user_id, ...rest } = job;
+  return rest;
+}
+
+app.post('/api/jobs/summarize', requireAuth, userRateLimiter('summarize'), loadQuota, loadRedaction, async (req, res) => {
+  try {
+    const { text } = req.body || {};
+    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'Missing text' });
+    const { options, error: optionsError } = normalizeSummaryOptions(req.body.options);
+    if (optionsError) return res.status(400).json({ error: optionsError });
+
+    const access = await summaryAccess(req);
+    if (access.error) return res.status(402).json({ error: access.error });
+
+    // the job settles (or gives back) what was reserved here
+    const job = await enqueueJob(req.user.id, 'summarize', {
+      text, options, aiAllowed: !access.quotaExceeded, force: wantsFresh(req), redaction: req.redaction, reserved: req.reserved
+    });
+    return res.status(202).json(publicJob(job));
+  } catch (err) {
+    await releaseUsage(req.user.id, req.reserved);
+    console.error('/api/jobs/summarize unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+app.post(
+  '/api/jobs/ocr',
+  requireAuth,
+  (req, res, next) => {
+    if (!upload) {
+      return res.status(501).json({ error: 'OCR disabled: multer not installed. Run `npm install multer` in backend.' });
+    }
+    upload.array('images', MAX_OCR_PAGES)(req, res, (err) => {
+      if (err) {
+        console.error('/api/jobs/ocr upload error', err);
+        return res.status(400).json({ error: 'Upload error', details: String(err.message || err) });
+      }
+      next();
+    });
+  },
+  // after the upload: a batch takes one rate-limit slot per page
+  userRateLimiter('ocr', { cost: req => req.files?.length || 1 }),
+  loadQuota,
+  loadRedaction,
+  async (req, res) => {
+    try {
+      if (!req.files || !req.files.length) return res.status(400).json({ error: 'Missing image files (field name "images")' });
+      const engine = req.body?.engine || null;
+      if (engine && !Object.hasOwn(OCR_ENGINES, engine)) return res.status(400).json({ error: `Unknown OCR engine "${engine}"` });
+      if (engine && !req.redaction.external_ocr && EXTERNAL_OCR_ENGINES.includes(engine)) {
+        return res.status(400).json({ error: `OCR engine "${engine}" is turned off by the privacy settings of your class` });
+      }
+
+      const summarize = ['1', 'true'].includes(String(req.body?.summarize || ''));
+      let options = DEFAULT_SUMMARY_OPTIONS;
+      if (summarize && req.body.options) {
+        let parsed;
+        try {
+          parsed = JSON.parse(req.body.options);
+        } catch (err) {
+          return res.status(400).json({ error: 'options must be JSON' });
+        }
+        const normalized = normalizeSummaryOptions(parsed);
+        if (normalized.error) return res.status(400).json({ error: normalized.error });
+        options = normalized.options;
+      }
+      const quota = await ocrAccess(req, req.files.length);
+      if (quota.error) return res.status(402).json({ error: quota.error });
+      const access = summarize ? await summaryAccess(req) : {};
+      if (access.error) {
+        await releaseUsage(req.user.id, req.reserved);
+        return res.status(402).json({ error: access.error });
+      }
+
+      const job = await enqueueJob(req.user.id, 'ocr', {
+        images: req.files.map(f => f.buffer),
+        engine,
+        mode: ocrMode(req),
+        summarize,
+        options,
+        aiAllowed: !access.quotaExceeded,
+        force: wantsFresh(req),
+        redaction: req.redaction,
+        reserved: req.reserved
+      });
+      return res.status(202).json(publicJob(job));
+    } catch (err) {
+      if (req.reserved) await releaseUsage(req.user.id, req.reserved);
+      console.error('/api/jobs/ocr unexpected', err);
+      return res.status(500).json({ error: String(err) });
+    }
+  }
+);
+
+app.get('/api/jobs/:id', requireAuth, userRateLimiter('jobs'), async (req, res) => {
+  try {
+    const job = await loadJob(String(req.params.id));
+    if (!job || job.user_id !== req.user.id) return res.status(404).json({ error: 'Job not found' });
+    return res.json(publicJob(job));
+  } catch (err) {
+    console.error('/api/jobs/:id unexpected', err);
+    return res.status(500).json({ error: String(err) });
+  }
+});
+
+/* ---------------------------
+   Account data (protected, GDPR)
+   - GET    /api/me/export   everything stored for the user as one JSON file (attachment):
+                             account, plan, quota, summaries (incl. deleted), versions,
+                             usage events, classes (memberships, taught classes, shares) and jobs
+   - DELETE /api/me          cancels a running subscription, deletes the Supabase auth user
+                             and then its jobs, cached results, rate-limit and quota keys
+                             -> { deleted: true, removed: { ... } }
+   The user's rows go with the auth user (on delete cascade in schema.sql), so Postgres
+   removes them in the same transaction: a failure leaves the account as it was.
+   Classes taught by the user are deleted with their members and shares. Invoices stay
+   at Stripe (bookkeeping); only the subscription is cancelled.
+----------------------------*/
+const ACCOUNT_PAGE_SIZE = 1000;
+
+// Supabase returns at most 1000 rows per request
+async function selectAllRows(table, columns, column, value, orderBy = 'created_at') {
+  const rows = [];
+  for (let from = 0; ; from += ACCOUNT_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .eq(column, value)
+      .order(orderBy, { ascending: true })
+      .range(from, from + ACCOUNT_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < ACCOUNT_PAGE_SIZE) return rows;
+  }
+}
+
+async function userJobs(userId) {
+  if (!redis) return [...memoryJobs.values()].filter(job => job.user_id === userId);
+  const ids = await redis.smembers(`jobs:user:${userId}`);
+  const jobs = await Promise.all(ids.map(loadJob));
+  return jobs.filter(Boolean);
+}
+
+async function scanKeys(pattern) {
+  const keys = [];
+  let cursor = '0';
+  do {
+    const [next, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+    cursor = next;
+    keys.push(...batch);
+  } while (cursor !== '0');
+  return keys;
+}
+
+async function deleteUserKeys(userId) {
+  const rateKeys = Object.keys(RATE_LIMITS).map(route => `rl:${route}:${userId}`);
+  for (const key of rateKeys) inMemoryRate.delete(key);
+  for (const key of [...inMemoryUsage.keys()]) if (key.startsWith(`quota:${userId}:`)) inMemoryUsage.delete(key);
+  planCache.delete(userId);
+  redactionCache.delete(userId);
+
+  const jobs = await userJobs(userId);
+  for (const job of jobs) {
+    dropMemoryJob(job.id);
+    const queued = memoryJobQueue.indexOf(job.id);
+    if (queued >= 0) memoryJobQueue.splice(queued, 1);
+  }
+  if (redis) {
+    const keys = [...rateKeys, ...(await scanKeys(`quota:${userId}:*`)), `jobs:user:${userId}`];
+    for (const job of jobs) keys.push(`job:${job.id}`, `job:${job.id}:input`);
+    await redis.del(...keys);
+  }
+  return { jobs: jobs.length, cache_entries: await deleteUserCache(userId) };
+}
+
+async function cancelSubscription(userId) {
+  const { data: plan, error } = await supabase.from('user_plans').select('*').eq('user_id', userId).maybeSingle();
+  if (error) throw error;
+  if (!plan?.stripe_subscription_id || !ACTIVE_SUBSCRIPTION.includes(plan.status)) return false;
+  if (!stripe) throw new Error('Billing is not configured, cannot cancel the subscription');
+  await stripe.subscriptions.cancel(plan.stripe_subscription_id);
+  return true;
+}
+
+async function countRows(table, column, value) {
+  const { count, error } = await supabase.from(table).select(column, { count: 'exact', head: true }).eq(column, value);
+  if (error) throw error;
+  return count || 0;
+}
+
+app.get('/api/me/export', requireAuth, userRateLimiter('account'), requireSupabase, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const [summaries, versions, usageEvents, memberships, taught, shares] = await Promise.all([
+      selectAllRows('summaries', '*', 'user_id', userId),
+      selectAllRows('summary_versions', '*', 'user_id', userId),
+      selectAllRows('usage_events', '*', 'user_id', userId),
+      selectAllRows('class_members', '*', 'user_id', userId, 'joined_at'),
+      selectAllRows('classes', '*', 'teacher_id', userId),
+      selectAllRows('class_shares', '*', 'shared_by', userId)
+    ]);
+    const classIds = memberships.map(m => m.class_id);
+    const { data: classRows, error: classError } = classIds.length
+      ? await supabase.from('classes').select('id, name').in('id', classIds)
+      : { data: [], error: null };
+    if (classError) throw classError;
+    const classNames = new Map((classRows || []).map(c => [c.id, c.name]));
+    const { data: plan, error: planError } = await supabase.from('user_plans').select('*').eq('user_id', userId).maybeSingle();
+    if (planError) throw planError;
+
+    const exportedAt = new Date().toISOString();
+    const archive = {
+      format: 'instanotes-export',
+      version: 1,
+      exported_at: exportedAt,
+      account: { id: userId, email: req.user.email || null, role: req.user.role },
+      plan: plan || null,
+      quota: { period: usagePeriod(), ...(await getUsage(userId)) },
+      summaries,
+      summary_versions: versions,
+      usage_events: usageEvents,
+      classes: {
+        memberships: memberships.map(m => ({ ...m, class_name: classNames.get(m.class_id) || null })),
+        taught,
+        shares
+      },
+      jobs: (await userJobs(userId)).map(publicJob)
+    };
+    res.type('application/json; charset=utf-8');
+    res.attachment(`instanotes-data-${exportedAt.slice(0, 10)}.json`);
+    return res.send(JSON.stringify(archive, null, 2));
+  } catch (err) {
+    console.error('/api/me/export unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.delete('/api/me', requireAuth, userRateLimiter('account'), requireSupabase, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    // first, so a failed cancellation does not leave a paying subscription without an account
+    let subscriptionCancelled;
+    try {
+      subscriptionCancelled = await cancelSubscription(userId);
+    } catch (err) {
+      console.error('/api/me cancel subscription failed', err);
+      return res.status(502).json({ error: 'Could not cancel the subscription, the account was not deleted' });
+    }
+
+    // counted first for the answer; the rows themselves go with the auth user
+    const removed = { subscription_cancelled: subscriptionCancelled };
+    removed.summary_versions = await countRows('summary_versions', 'user_id', userId);
+    removed.summaries = await countRows('summaries', 'user_id', userId);
+    removed.usage_events = await countRows('usage_events', 'user_id', userId);
+    removed.class_shares = await countRows('class_shares', 'shared_by', userId);
+    removed.class_memberships = await countRows('class_members', 'user_id', userId);
+    removed.classes = await countRows('classes', 'teacher_id', userId);
+
+    const { error } = await supabase.auth.admin.deleteUser(userId);
+    if (error) throw error;
+    // other members' privacy settings included this user's display name
+    if (removed.class_memberships) redactionCache.clear();
+    // the account is gone by now; keys left behind by a failure here expire on their own
+    try {
+      Object.assign(removed, await deleteUserKeys(userId));
+    } catch (err) {
+      console.error('/api/me delete keys failed', err);
+    }
+    return res.json({ deleted: true, removed });
+  } catch (err) {
+    console.error('/api/me delete unexpected', err);
+    return res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+/* ---------------------------
+   difficult-word detector (glossary fallback for /api/simplify)
+   A length heuristic, not a vocabulary list: words of DIFFICULT_WORD_LENGTH letters
+   or more that are not stopwords are candidates. Dutch builds rare words as
+   compounds, so length is a fair stand-in for rarity, but it misses short rare
+   words ("ijver") and lets long everyday ones ("natuurlijk") through; a real
+   frequency list (e.g. SUBTLEX-NL) would do better. Words the text repeats (its key
+   terms) rank first, then longer words. Names (capitalized inside a sentence) are
+   skipped.
+----------------------------*/
+const DIFFICULT_WORD_LENGTH = 8;
+
+// words that only occur with a capital inside sentences (names, places)
+function properNouns(sentences) {
+  const capital = new Set();
+  const lower = new Set();
+  for (const sentence of sentences) {
+    for (const word of (sentence.match(/[\p{L}\p{M}\p{N}]+/gu) || []).slice(1)) {
+      (/^\p{Lu}/u.test(word) ? capital : lower).add(word.toLowerCase());
+    }
+  }
+  return new Set([...capital].filter(w => !lower.has(w)));
+}
+
+function difficultWords(text, max = 12) {
+  const { sentences, wordFreq, language } = scoreSentences(text);
+  const stopwords = stopwordsFor(language);
+  const names = properNouns(sentences);
+  return Object.keys(wordFreq)
+    .filter(w => w.length >= DIFFICULT_WORD_LENGTH && !stopwords.has(w) && !names.has(w) && !/\d/.test(w))
+    .sort((a, b) => (Math.min(wordFreq[b], 3) - Math.min(wordFreq[a], 3)) || (b.length - a.length) || (a < b ? -1 : 1))
+    .slice(0, max);
+}
+
+// First sentence that contains word (case-insensitive), for context in the glossary
+function exampleSentence(sentences, word) {
+  const pattern = wordPattern(word);
+  return sentences.find(s => pattern.test(s)) || null;
+}
+
+/* ---------------------------
+   deterministic cloze quiz (fallback when OpenAI is disabled)
+   blanks the most frequent keyword of the best-scoring sentences;
+   distractors are other frequent keywords from the same text
+----------------------------*/
+function generateClozeQuiz(inputText, count = 5) {
+  const { scored, wordFreq, language } = scoreSentences(inputText);
+  const stopwords = stopwordsFor(language);
+  const isKeyword = (w) => w.length >= 4 && !stopwords.has(w) && !/^\d+$/.test(w);
+  const byRank = (a, b) => (wordFreq[b] - wordFreq[a]) || (b.length - a.length) || (a < b ? -1 : a > b ? 1 : 0);
+  const keywords = Object.keys(wordFreq).filter(isKeyword).sort(byRank);
+
+  const picked = scored
+    .map((x, index) => ({ ...x, index }))
+    .filter(x => tokenize(x.sentence).some(isKeyword))
+    .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+    .slice(0, count)
+    .sort((a, b) => a.index - b.index);
+
+  const questions = [];
+  const flashcards = [];
+  picked.forEach((x, i) => {
+    const answer = tokenize(x.sentence).filter(isKeyword).sort(byRank)[0];
+    const pattern = wordPattern(answer);
+    const match = x.sentence.match(pattern);
+    const original = match ? match[0].slice(match[1].length) : answer;
+    const cloze = x.sentence.replace(pattern, '$1_____');
+
+    const distractors = keywords.filter(k => k !== answer).slice(i, i + 3);
+    if (distractors.length < 3) distractors.push(...keywords.filter(k => k !== answer && !distractors.includes(k)).slice(0, 3 - distractors.length));
+    const options = distractors.slice();
+    const answerIndex = stableHash(x.sentence) % (options.length + 1);
+    options.splice(answerIndex, 0, answer);
+
+    questions.push({ id: `q${i + 1}`, question: cloze, options, answer_index: answerIndex });
+    flashcards.push({ id: `f${i + 1}`, front: cloze, back: original });
+  });
+  return { questions, flashcards };
+}
+
+function stableHash(str) {
+  let h = 0;
+  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) >>> 0;
+  return h;
+}
+
+/* ---------------------------
+   Save summary to Supabase 'summaries' table (best-effort)
+   returns the saved record (or null) so clients can use the same id locally
+   extra: { options, sections } — the summary options used (so it can be
+   regenerated) and the per-section summaries of a chunked text
+----------------------------*/
+async function saveSummaryToDB(userId, text, summary, source, costEstimate, extra = {}) {
+  try {
+    if (!supabase) return null;
+    const now = new Date().toISOString();
+    const payload = {
+      id: crypto.randomUUID(),
+      user_id: userId || null,
+      text: text || '',
+      summary: summary || '',
+      source: source || null,
+      cost_estimate: costEstimate || null,
+      options: extra.options || null,
+      sections: extra.sections && extra.sections.length ? extra.sections : null,
+      match_hash: matchHash(text),
+      created_at: now,
+      updated_at: now
+    };
+    const { error } = await supabase.from('summaries').insert(payload);
+    if (error) {
+      console.warn('Failed to insert summary to Supabase', error);
+      return null;
+    }
+    return payload;
+  } catch (err) {
+    console.error('saveSummaryToDB error', err);
+    return null;
+  }
+}
+
+// note_id (Editor re-summarizing an opened note) updates that note instead of adding one
+async function storeSummary(userId, noteId, text, summary, source, costEstimate, extra = {}) {
+  if (noteId && supabase) {
+    try {
+      const current = await findOwnSummary(userId, noteId);
+      if (current && !current.deleted_at) {
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+          .from('summaries')
+          .update({
+            text,
+            summary: summary || '',
+            source: source || null,
+            options: extra.options || null,
+            sections: extra.sections && extra.sections.length ? extra.sections : null,
+            match_hash: matchHash(text),
+            updated_at: now,
+            client_updated_at: now
+          })
+          .eq('id', current.id)
+          .eq('user_id', userId)
+          .select(SUMMARY_COLUMNS)
+          .single();
+        if (error) throw error;
+        await recordSummaryVersion(userId, current, data, 'resummarize');
+        return data;
+      }
+    } catch (err) {
+      console.warn('Failed to update summary, saving it as a new one', err);
+    }
+  }
+  return saveSummaryToDB(userId, text, summary, source, costEstimate, extra);
+}
+
+/* ---------------------------
+   Start server
+----------------------------*/
+// the tests (backend/test) require this file and listen on a free port themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server listening on port ${PORT}`);
+  });
+}
+
+module.exports = { app };
\ No newline at end of file
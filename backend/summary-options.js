@@ -0,0 +1,141 @@
+// backend/summary-options.js
+// Summary options and the prompts built from them, for server.js.
+// { length: short|medium|long, style: bullets|paragraph|keyterms|outline, language }
+// The defaults match the original behaviour: short bullets, in the language of the
+// text (language "auto": detected, Dutch when unclear). The prompt is written in the
+// summary language; languages without their own prompt get the English one.
+
+const { EXTRACTIVE_SENTENCES, detectLanguage } = require('./extractive');
+const { PLACEHOLDER_RE } = require('./redaction');
+
+const SUMMARY_LENGTHS = {
+  short: { sentences: EXTRACTIVE_SENTENCES.short, maxTokens: 300 },
+  medium: { sentences: EXTRACTIVE_SENTENCES.medium, maxTokens: 600 },
+  long: { sentences: EXTRACTIVE_SENTENCES.long, maxTokens: 1000 }
+};
+const SUMMARY_STYLES = ['bullets', 'paragraph', 'keyterms', 'outline'];
+const LANGUAGE_NAMES = {
+  nl: 'Nederlands', en: 'Engels', de: 'Duits', fr: 'Frans', es: 'Spaans', tr: 'Turks', ar: 'Arabisch', pl: 'Pools', uk: 'Oekraïens'
+};
+const ENGLISH_LANGUAGE_NAMES = {
+  nl: 'Dutch', en: 'English', de: 'German', fr: 'French', es: 'Spanish', tr: 'Turkish', ar: 'Arabic', pl: 'Polish', uk: 'Ukrainian'
+};
+const DEFAULT_SUMMARY_OPTIONS = { length: 'short', style: 'bullets', language: 'auto' };
+
+const SUMMARY_PROMPTS = {
+  nl: {
+    lengths: { short: 'kort (3 tot 5 punten)', medium: 'middellang (5 tot 8 punten)', long: 'uitgebreid (8 tot 12 punten)' },
+    styles: {
+      bullets: 'in bullets (- ...)',
+      paragraph: 'als lopende tekst in één of twee alinea\'s',
+      keyterms: 'als lijst met kernbegrippen, elk met een korte definitie (- Begrip: uitleg)',
+      outline: 'als schema met kopjes en genummerde punten'
+    },
+    summarize: (length, style) => `Vat de tekst ${length} samen ${style}.`,
+    language: 'Schrijf de samenvatting in het Nederlands.',
+    headings: 'De tekst heeft kopjes (#). Vat elk kopje apart samen en zet het kopje erboven.',
+    placeholders: 'Persoonsgegevens zijn vervangen door aanduidingen zoals [NAAM_1]; neem die letterlijk over en verzin geen namen of gegevens.'
+  },
+  en: {
+    lengths: { short: 'briefly (3 to 5 points)', medium: 'at medium length (5 to 8 points)', long: 'in detail (8 to 12 points)' },
+    styles: {
+      bullets: 'as bullet points (- ...)',
+      paragraph: 'as running text in one or two paragraphs',
+      keyterms: 'as a list of key terms, each with a short definition (- Term: explanation)',
+      outline: 'as an outline with headings and numbered points'
+    },
+    summarize: (length, style) => `Summarize the text ${length} ${style}.`,
+    language: 'Write the summary in English.',
+    headings: 'The text has headings (#). Summarize each heading separately and put the heading above it.',
+    placeholders: 'Personal data has been replaced by placeholders such as [NAAM_1]; copy them literally and do not make up names or details.'
+  },
+  tr: {
+    lengths: { short: 'kısaca (3 ila 5 madde)', medium: 'orta uzunlukta (5 ila 8 madde)', long: 'ayrıntılı olarak (8 ila 12 madde)' },
+    styles: {
+      bullets: 'madde işaretleriyle (- ...)',
+      paragraph: 'bir veya iki paragraflık akıcı bir metin olarak',
+      keyterms: 'her biri kısa bir tanımla birlikte anahtar kavramlar listesi olarak (- Kavram: açıklama)',
+      outline: 'başlıklar ve numaralı maddelerle bir şema olarak'
+    },
+    summarize: (length, style) => `Metni ${style} ${length} özetle.`,
+    language: 'Özeti Türkçe yaz.',
+    headings: 'Metinde başlıklar (#) var. Her başlığı ayrı ayrı özetle ve başlığı özetin üstüne yaz.',
+    placeholders: 'Kişisel veriler [NAAM_1] gibi yer tutucularla değiştirildi; bunları aynen aktar, isim veya bilgi uydurma.'
+  },
+  ar: {
+    lengths: { short: 'بإيجاز (من 3 إلى 5 نقاط)', medium: 'بطول متوسط (من 5 إلى 8 نقاط)', long: 'بالتفصيل (من 8 إلى 12 نقطة)' },
+    styles: {
+      bullets: 'على شكل نقاط (- ...)',
+      paragraph: 'كنص متصل في فقرة أو فقرتين',
+      keyterms: 'كقائمة بالمفاهيم الأساسية، لكل منها تعريف قصير (- المفهوم: الشرح)',
+      outline: 'كمخطط بعناوين ونقاط مرقمة'
+    },
+    summarize: (length, style) => `لخّص النص ${length} ${style}.`,
+    language: 'اكتب الملخص باللغة العربية.',
+    headings: 'يحتوي النص على عناوين (#). لخّص كل عنوان على حدة وضع العنوان فوق ملخصه.',
+    placeholders: 'تم استبدال البيانات الشخصية برموز مثل [NAAM_1]؛ انسخها كما هي ولا تخترع أسماء أو بيانات.'
+  }
+};
+
+// returns { options } or { error } for a 400 response
+function normalizeSummaryOptions(input) {
+  const options = { ...DEFAULT_SUMMARY_OPTIONS };
+  if (input == null) return { options };
+  if (typeof input !== 'object') return { error: 'options must be an object' };
+  if (input.length != null) {
+    if (typeof input.length !== 'string' || !Object.hasOwn(SUMMARY_LENGTHS, input.length)) return { error: `Unknown length "${input.length}" (short, medium, long)` };
+    options.length = input.length;
+  }
+  if (input.style != null) {
+    if (!SUMMARY_STYLES.includes(input.style)) return { error: `Unknown style "${input.style}" (${SUMMARY_STYLES.join(', ')})` };
+    options.style = input.style;
+  }
+  if (input.language != null) {
+    const language = String(input.language).toLowerCase().split(/[-_]/)[0];
+    if (language !== 'auto' && !Object.hasOwn(LANGUAGE_NAMES, language)) {
+      return { error: `Unsupported language "${input.language}" (auto, ${Object.keys(LANGUAGE_NAMES).join(', ')})` };
+    }
+    options.language = language;
+  }
+  return { options };
+}
+
+// language "auto" becomes the language of the text; called once per request so the
+// chunks of a long text, the cache key and the stored options all use the same language
+function resolveSummaryLanguage(options, text) {
+  if (options.language !== 'auto') return options;
+  const detected = detectLanguage(text);
+  return { ...options, language: LANGUAGE_NAMES[detected] ? detected : 'nl' };
+}
+
+function summaryMessages(text, options, hasHeadings) {
+  const resolved = resolveSummaryLanguage(options, text);
+  return [
+    { role: 'system', content: summaryPrompt(resolved, hasHeadings) + placeholderPrompt(text, resolved.language) },
+    { role: 'user', content: text }
+  ];
+}
+
+function summaryPrompt(options, hasHeadings) {
+  const prompt = SUMMARY_PROMPTS[options.language] || SUMMARY_PROMPTS.en;
+  const language = SUMMARY_PROMPTS[options.language] ? prompt.language : `Write the summary in ${ENGLISH_LANGUAGE_NAMES[options.language]}.`;
+  return `${prompt.summarize(prompt.lengths[options.length], prompt.styles[options.style])} ${language}` +
+    // layout OCR output has Markdown headings: keep them as section boundaries
+    (hasHeadings ? ` ${prompt.headings}` : '');
+}
+
+// redacted texts (see PII redaction): the placeholders are put back after the model call
+function placeholderPrompt(text, language = 'nl') {
+  return PLACEHOLDER_RE.test(text) ? ` ${(SUMMARY_PROMPTS[language] || SUMMARY_PROMPTS.en).placeholders}` : '';
+}
+
+module.exports = {
+  SUMMARY_LENGTHS,
+  SUMMARY_STYLES,
+  LANGUAGE_NAMES,
+  DEFAULT_SUMMARY_OPTIONS,
+  normalizeSummaryOptions,
+  resolveSummaryLanguage,
+  summaryMessages,
+  placeholderPrompt
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.close());
+test.beforeEach(() => server.reset());
+
+// a teacher with a note (edited once), a class with a student and shares from both
+async function seed() {
+  const teacher = server.userFor();
+  const student = server.userFor();
+  const note = (await server.api('POST', '/api/summaries', { user: teacher, body: { client_id: 'n1', text: 'Tekst', summary: '- samenvatting' } })).body.item;
+  await server.api('PATCH', `/api/summaries/${note.id}`, { user: teacher, body: { summary: '- bewerkt' } });
+  const studentNote = (await server.api('POST', '/api/summaries', { user: student, body: { client_id: 'n1', text: 'Eigen tekst', summary: '' } })).body.item;
+  const created = (await server.api('POST', '/api/classes', { user: teacher, body: { name: '2A' } })).body.item;
+  await server.api('POST', '/api/classes/join', { user: student, body: { code: created.join_code } });
+  await server.api('POST', `/api/classes/${created.id}/shares`, { user: teacher, body: { summary_id: note.id } });
+  await server.api('POST', `/api/classes/${created.id}/shares`, { user: student, body: { text: 'Van de leerling' } });
+  server.db.usage_events = [
+    { id: 1, user_id: teacher.id, kind: 'summary' },
+    { id: 2, user_id: student.id, kind: 'summary' }
+  ];
+  return { teacher, student, note, studentNote, classId: created.id };
+}
+
+test('deletes the account with its rows, classes and shares, and nothing of other users', async () => {
+  const { teacher, student, studentNote } = await seed();
+  assert.equal(server.db.summary_versions.length, 2); // as created, and the edit
+
+  const res = await server.api('DELETE', '/api/me', { user: teacher });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.removed, {
+    subscription_cancelled: false,
+    summary_versions: 2,
+    summaries: 1,
+    usage_events: 1,
+    class_shares: 1,
+    class_memberships: 1,
+    classes: 1,
+    jobs: 0,
+    cache_entries: 0
+  });
+  assert.deepEqual(server.deletedUsers, [teacher.id]);
+
+  assert.deepEqual(server.db.summaries.map(r => r.id), [studentNote.id]);
+  assert.deepEqual(server.db.summary_versions, []);
+  assert.deepEqual(server.db.usage_events.map(r => r.user_id), [student.id]);
+  // the class went with its teacher, and with it the student's membership and share
+  assert.deepEqual(server.db.classes, []);
+  assert.deepEqual(server.db.class_members, []);
+  assert.deepEqual(server.db.class_shares, []);
+  assert.equal((await server.api('GET', '/api/summaries', { user: teacher })).status, 401);
+});
+
+test('a student\'s shares go with the account, the class stays', async () => {
+  const { teacher, student, classId } = await seed();
+  assert.equal((await server.api('DELETE', '/api/me', { user: student })).status, 200);
+  const { body } = await server.api('GET', `/api/classes/${classId}`, { user: teacher });
+  assert.deepEqual(body.members, []);
+  assert.deepEqual(body.shares.map(s => s.shared_by), [teacher.id]);
+});
+
+test('keeps every row when deleting the auth user fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { teacher } = await seed();
+  const before = structuredClone(server.db);
+  server.failNext('auth.users', 'delete');
+
+  const res = await server.api('DELETE', '/api/me', { user: teacher });
+  assert.equal(res.status, 500);
+  assert.deepEqual(server.db, before);
+  assert.equal((await server.api('GET', '/api/summaries', { user: teacher })).status, 200);
+});
+
+test('does not log the id of the deleted user', async (t) => {
+  const user = server.userFor();
+  const log = t.mock.method(console, 'log', () => {});
+  assert.equal((await server.api('DELETE', '/api/me', { user })).status, 200);
+  assert.ok(!log.mock.calls.some(call => call.arguments.join(' ').includes(user.id)));
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeSupabase = require('./helpers/fake-supabase');
+const { startServer } = require('./helpers/server');
+const { startFakeModel } = require('./helpers/fake-model');
+
+const ASSIGNMENT = 'De Romeinen bouwden wegen door heel Europa.';
+const LEGACY_TEXT = 'Een notitie van voor match_hash.';
+
+let server;
+let model;
+test.before(async () => {
+  // rows written before match_hash existed; the server fills them in when it starts
+  fakeSupabase.db.summaries = [{ id: 'legacy-1', user_id: null, text: LEGACY_TEXT, summary: '', match_hash: null }];
+  fakeSupabase.db.class_shares = [{ id: 'legacy-share', class_id: null, text: LEGACY_TEXT, match_hash: null }];
+  model = await startFakeModel();
+  server = await startServer({ OPENAI_COMPAT_BASE_URL: model.url, SUMMARY_PROVIDERS: 'compatible,extractive' });
+});
+test.after(async () => {
+  await server.close();
+  await model.close();
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function createClass(teacher, name = '3B Geschiedenis') {
+  const res = await server.api('POST', '/api/classes', { user: teacher, body: { name } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.item;
+}
+
+async function join(student, code, displayName) {
+  return server.api('POST', '/api/classes/join', { user: student, body: { code, display_name: displayName } });
+}
+
+test('fills in match_hash for older rows once when the server starts', async () => {
+  for (let i = 0; i < 50 && server.db.class_shares.some(r => !r.match_hash); i++) await sleep(10);
+  const [note] = server.db.summaries;
+  const [share] = server.db.class_shares;
+  assert.match(note.match_hash, /^[0-9a-f]{64}$/);
+  assert.equal(share.match_hash, note.match_hash);
+});
+
+test('a student joins with the code; only the teacher sees the code and the members', async () => {
+  const teacher = server.userFor();
+  const created = await createClass(teacher);
+  assert.equal(created.role, 'teacher');
+  assert.match(created.join_code, /^[A-Z2-9]{6}$/);
+
+  const student = server.userFor();
+  const joined = await join(student, ` ${created.join_code.toLowerCase()} `, 'Sanne');
+  assert.equal(joined.status, 201);
+  assert.equal(joined.body.item.role, 'student');
+  assert.equal(joined.body.item.join_code, undefined);
+  assert.equal((await join(student, created.join_code)).status, 200);
+  assert.equal((await join(student, 'ZZZZZZ')).status, 404);
+
+  const asTeacher = await server.api('GET', `/api/classes/${created.id}`, { user: teacher });
+  assert.deepEqual(asTeacher.body.members.map(m => m.display_name), ['Sanne']);
+  const asStudent = await server.api('GET', `/api/classes/${created.id}`, { user: student });
+  assert.equal(asStudent.body.members, undefined);
+  assert.equal(asStudent.body.item.join_code, undefined);
+});
+
+test('answers 404 for malformed ids and classes you are not in, 403 for teacher-only actions', async () => {
+  const teacher = server.userFor();
+  const created = await createClass(teacher);
+  const student = server.userFor();
+  await join(student, created.join_code);
+
+  assert.equal((await server.api('GET', '/api/classes/not-a-uuid', { user: teacher })).status, 404);
+  assert.equal((await server.api('GET', `/api/classes/${created.id}`, { user: server.userFor() })).status, 404);
+  assert.equal((await server.api('PATCH', `/api/classes/${created.id}`, { user: student, body: { name: 'x' } })).status, 403);
+  assert.equal((await server.api('POST', `/api/classes/${created.id}/shares`, { user: student, body: { text: 'x', assignment: true } })).status, 403);
+  assert.equal((await server.api('GET', `/api/classes/${created.id}/shares/not-a-uuid/progress`, { user: teacher })).status, 404);
+});
+
+test('a class is not left behind without its teacher when adding the teacher fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const teacher = server.userFor();
+  const before = (server.db.classes || []).length;
+  server.failNext('class_members', 'insert');
+  const res = await server.api('POST', '/api/classes', { user: teacher, body: { name: 'Mislukt' } });
+  assert.equal(res.status, 500);
+  assert.equal(server.db.classes.length, before);
+});
+
+test('assignment progress and class usage count the students\' summaries of the shared text', async () => {
+  const teacher = server.userFor();
+  const created = await createClass(teacher);
+  const [done, notYet] = [server.userFor(), server.userFor()];
+  await join(done, created.join_code, 'Daan');
+  await join(notYet, created.join_code, 'Noor');
+
+  const shared = await server.api('POST', `/api/classes/${created.id}/shares`, {
+    user: teacher,
+    body: { text: ASSIGNMENT, assignment: true }
+  });
+  assert.equal(shared.status, 201);
+  assert.equal(shared.body.item.match_hash, undefined);
+
+  // retyped with other case, punctuation and spacing
+  const retyped = 'de romeinen  bouwden wegen, door heel EUROPA!';
+  assert.equal((await server.api('POST', '/api/summarize', { user: done, body: { text: retyped, force: true } })).status, 200);
+  // work outside the class is not class usage
+  assert.equal((await server.api('POST', '/api/summarize', { user: done, body: { text: 'Iets voor thuis.', force: true } })).status, 200);
+
+  const progress = await server.api('GET', `/api/classes/${created.id}/shares/${shared.body.item.id}/progress`, { user: teacher });
+  assert.equal(progress.status, 200);
+  assert.equal(progress.body.done, 1);
+  assert.equal(progress.body.total, 2);
+  assert.deepEqual(progress.body.items.map(i => [i.display_name, i.summarized]), [['Daan', true], ['Noor', false]]);
+
+  const usage = await server.api('GET', `/api/classes/${created.id}/usage`, { user: teacher });
+  assert.equal(usage.status, 200);
+  assert.deepEqual(usage.body.users.map(u => [u.display_name, u.ai_calls]), [['Daan', 1]]);
+});
+
+test('students may remove their own shares, not those of others', async () => {
+  const teacher = server.userFor();
+  const created = await createClass(teacher);
+  const student = server.userFor();
+  await join(student, created.join_code);
+  const share = async user => (await server.api('POST', `/api/classes/${created.id}/shares`, { user, body: { text: 'Gedeelde notitie' } })).body.item;
+  const own = await share(student);
+  const teachers = await share(teacher);
+
+  assert.equal((await server.api('DELETE', `/api/classes/${created.id}/shares/${teachers.id}`, { user: student })).status, 404);
+  assert.equal((await server.api('DELETE', `/api/classes/${created.id}/shares/${own.id}`, { user: student })).status, 200);
+  assert.equal((await server.api('DELETE', `/api/classes/${created.id}/shares/${teachers.id}`, { user: teacher })).status, 200);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportNotes, exportFileName, summaryBullets, noteTitle } = require('../export');
+
+const NOTE = {
+  text: 'De Romeinen bouwden wegen.\nDie wegen waren belangrijk.',
+  summary: '- Aquaduct: een brug voor water\n- De Romeinen bouwden wegen door heel Europa',
+  source: 'openai',
+  created_at: '2026-10-01T08:00:00Z'
+};
+
+test('titles a note after its first line', () => {
+  assert.equal(noteTitle(NOTE), 'De Romeinen bouwden wegen.');
+  assert.equal(noteTitle({ title: ' Hoofdstuk 3 ' }), 'Hoofdstuk 3');
+  assert.equal(noteTitle({ text: 'x'.repeat(80) }), `${'x'.repeat(57)}...`);
+  assert.equal(noteTitle({}), 'Notitie');
+});
+
+test('splits summaries into bullets, or into sentences without bullets', () => {
+  assert.deepEqual(summaryBullets('- een\n* twee\n1. drie'), ['een', 'twee', 'drie']);
+  assert.deepEqual(summaryBullets('Eerste zin. Tweede zin!'), ['Eerste zin.', 'Tweede zin!']);
+});
+
+test('exports Markdown with the summary, sections and original text', () => {
+  const md = exportNotes([{ ...NOTE, sections: [{ title: 'Deel 1', summary: 'A' }, { title: 'Deel 2', summary: 'B' }] }], 'markdown');
+  assert.match(md, /^# De Romeinen bouwden wegen\.\n\n_2026-10-01 · Bron: openai_\n\n## Samenvatting\n/);
+  assert.match(md, /### Deel 1\n\nA\n\n### Deel 2\n\nB/);
+  assert.match(md, /## Originele tekst\n\nDe Romeinen bouwden wegen\.\nDie wegen/);
+  assert.equal(exportNotes([NOTE, NOTE], 'markdown').split('\n\n---\n\n').length, 2);
+});
+
+test('exports escaped HTML with bullet lists', () => {
+  const html = exportNotes([{ ...NOTE, summary: '- <b>vet</b> & "zo"' }], 'html');
+  assert.match(html, /<ul><li>&lt;b&gt;vet&lt;\/b&gt; &amp; &quot;zo&quot;<\/li><\/ul>/);
+  assert.match(html, /<div class="original">De Romeinen bouwden wegen\.<br>Die wegen/);
+});
+
+test('exports Anki cards: terms as front and back, other bullets as a cloze', () => {
+  const lines = exportNotes([NOTE], 'anki').trim().split('\n');
+  assert.deepEqual(lines.slice(0, 4), ['#separator:tab', '#html:true', '#tags:instanotes', '#deck column:3']);
+  assert.equal(lines[4], '"Aquaduct"\t"een brug voor water"\t"InstaNotes::De Romeinen bouwden wegen."');
+  assert.equal(lines[5].split('\t')[0], '"De _____ bouwden wegen door heel Europa"');
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => exportNotes([NOTE], 'docx'), /Unknown export format: docx/);
+});
+
+test('names the file after the note or the number of notes', () => {
+  assert.equal(exportFileName([NOTE], 'markdown'), 'de-romeinen-bouwden-wegen.md');
+  assert.equal(exportFileName([{ text: '!!!' }], 'html'), 'notitie.html');
+  assert.equal(exportFileName([NOTE, NOTE, NOTE], 'anki'), 'instanotes-3-notities.txt');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, detectLanguage, wordPattern, splitSections, summarizeExtractive } = require('../extractive');
+
+const TEXT = [
+  'De Romeinen bouwden wegen door heel Europa.',
+  'Het weer was die zomer warm.',
+  'De wegen van de Romeinen waren belangrijk voor het leger.',
+  'Een kat sliep op de bank.',
+  'Langs de wegen bouwden de Romeinen forten.'
+].join(' ');
+
+test('tokenizes words in any script', () => {
+  assert.deepEqual(tokenize('Één, twee; İstanbul 3!'), ['één', 'twee', 'istanbul', '3']);
+  assert.deepEqual(tokenize('الكِتاب'), ['الكتاب']);
+});
+
+test('detects Dutch, English, Turkish and Arabic', () => {
+  assert.equal(detectLanguage(TEXT), 'nl');
+  assert.equal(detectLanguage('The Romans built roads and they were used for trade.'), 'en');
+  assert.equal(detectLanguage('Bu kitap çok güzel ve ben onu sevdim.'), 'tr');
+  assert.equal(detectLanguage('هذا الكتاب في المكتبة'), 'ar');
+  assert.equal(detectLanguage('1234'), null);
+});
+
+test('matches whole words only', () => {
+  assert.ok(wordPattern('weg').test('Over de weg.'));
+  assert.ok(!wordPattern('weg').test('Over de wegen.'));
+  assert.ok(wordPattern('c++').test('Leer c++ nu'));
+});
+
+test('picks the sentences with the most frequent words, in text order', () => {
+  assert.equal(
+    summarizeExtractive(TEXT, 2),
+    'De Romeinen bouwden wegen door heel Europa. Langs de wegen bouwden de Romeinen forten.'
+  );
+  assert.equal(summarizeExtractive('Eén zin.', 3, 'bullets'), '- Eén zin.');
+});
+
+test('formats the picked sentences per style', () => {
+  assert.match(summarizeExtractive(TEXT, 2, 'outline'), /^1\. De Romeinen.*\n2\. /);
+  assert.match(summarizeExtractive(TEXT, 1, 'keyterms'), /^- (Romeinen|Wegen): De Romeinen bouwden/);
+});
+
+test('summarizes Markdown sections separately under their headings', () => {
+  const md = '# Wegen\nDe Romeinen bouwden wegen.\n\n# Forten\nLangs de grens stonden forten.';
+  assert.deepEqual(splitSections(md), [
+    { title: 'Wegen', body: 'De Romeinen bouwden wegen.' },
+    { title: 'Forten', body: 'Langs de grens stonden forten.' }
+  ]);
+  assert.equal(summarizeExtractive(md, 2, 'outline'), '## Wegen\n1. De Romeinen bouwden wegen.\n\n## Forten\n1. Langs de grens stonden forten.');
+});
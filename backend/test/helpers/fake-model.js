@@ -0,0 +1,64 @@
+// backend/test/helpers/fake-model.js
+// A local OpenAI-compatible /chat/completions for the behaviour tests (OPENAI_COMPAT_BASE_URL).
+// Each reply is a list of tokens; a stream sends one data line per token, gap ms apart.
+// A token { raw } is written as is (e.g. a malformed line); a status other than 200 is an error
+// reply (after gap ms), for the next `times` calls.
+
+const http = require('http');
+
+async function startFakeModel() {
+  const state = { tokens: ['Samenvatting.'], gap: 0, status: 200, times: Infinity, requests: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const payload = JSON.parse(body || '{}');
+      state.requests.push(payload);
+      const tokens = state.tokens;
+      if (state.status !== 200 && state.times > 0) {
+        state.times--;
+        if (state.gap) await new Promise(resolve => setTimeout(resolve, state.gap));
+        res.writeHead(state.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'model unavailable' } }));
+        return;
+      }
+      if (!payload.stream) {
+        const content = tokens.filter(t => typeof t === 'string').join('');
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ model: 'fake', choices: [{ message: { content } }], usage: { prompt_tokens: 10, completion_tokens: 5 } }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const token of tokens) {
+        if (res.destroyed) return;
+        const line = typeof token === 'string'
+          ? `data: ${JSON.stringify({ model: 'fake', choices: [{ delta: { content: token } }] })}`
+          : token.raw;
+        res.write(`${line}\n\n`);
+        if (state.gap) await new Promise(resolve => setTimeout(resolve, state.gap));
+      }
+      res.write(`data: ${JSON.stringify({ model: 'fake', choices: [], usage: { prompt_tokens: 10, completion_tokens: 5 } })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    // reply(tokens, { gap, status, times }) sets what the next calls answer
+    reply(tokens, { gap = 0, status = 200, times = Infinity } = {}) {
+      state.tokens = tokens;
+      state.gap = gap;
+      state.status = status;
+      state.times = times;
+    },
+    requests: state.requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startFakeModel };
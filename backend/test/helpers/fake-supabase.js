@@ -0,0 +1,300 @@
+// backend/test/helpers/fake-supabase.js
+// In-memory stand-in for the part of @supabase/supabase-js that server.js uses: query
+// builders over plain arrays (db), PostgREST or() filters, unique keys (error 23505 like
+// Postgres), sign-in with the tokens from userFor() and the on delete cascades of the
+// auth user.
+
+const crypto = require('crypto');
+
+const db = {};
+// unique keys besides id, as in schema.sql
+const UNIQUE = {
+  summaries: [['user_id', 'client_id']],
+  user_plans: [['user_id']],
+  classes: [['join_code']],
+  class_members: [['class_id', 'user_id']]
+};
+// on delete cascade, as in schema.sql: [table, column, parent table]
+const CASCADES = [
+  ['summaries', 'user_id', 'auth.users'],
+  ['summary_versions', 'user_id', 'auth.users'],
+  ['user_plans', 'user_id', 'auth.users'],
+  ['usage_events', 'user_id', 'auth.users'],
+  ['classes', 'teacher_id', 'auth.users'],
+  ['class_members', 'user_id', 'auth.users'],
+  ['class_shares', 'shared_by', 'auth.users'],
+  ['summary_versions', 'summary_id', 'summaries'],
+  ['class_members', 'class_id', 'classes'],
+  ['class_shares', 'class_id', 'classes']
+];
+const users = new Map(); // token -> { id, email, app_metadata }
+const deletedUsers = [];
+const failures = []; // [{ table, op }]: the next matching query returns an error
+
+function rows(table) {
+  if (!db[table]) db[table] = [];
+  return db[table];
+}
+
+function reset() {
+  for (const table of Object.keys(db)) delete db[table];
+  deletedUsers.length = 0;
+  failures.length = 0;
+}
+
+// A user and the bearer token that signs in as it; role "admin" for the admin routes
+function userFor({ role = null } = {}) {
+  const id = crypto.randomUUID();
+  const token = `token-${id}`;
+  users.set(token, { id, email: `${id.slice(0, 8)}@school.test`, app_metadata: role ? { role } : {} });
+  return { id, token };
+}
+
+function cascadeDelete(parent, ids) {
+  for (const [table, column, from] of CASCADES) {
+    if (from !== parent || !db[table]) continue;
+    const gone = db[table].filter(r => ids.some(id => same(r[column], id)));
+    db[table] = db[table].filter(r => !gone.includes(r));
+    if (gone.length) cascadeDelete(table, gone.map(r => r.id));
+  }
+}
+
+function failNext(table, op) {
+  failures.push({ table, op });
+}
+
+function same(a, b) {
+  return String(a) === String(b);
+}
+
+function compare(a, b) {
+  if (a == null || b == null) return NaN;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function likeRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, 'is');
+}
+
+function condition(column, op, value) {
+  switch (op) {
+    case 'eq': return r => same(r[column], value);
+    case 'neq': return r => !same(r[column], value);
+    case 'gt': return r => compare(r[column], value) > 0;
+    case 'gte': return r => compare(r[column], value) >= 0;
+    case 'lt': return r => compare(r[column], value) < 0;
+    case 'lte': return r => compare(r[column], value) <= 0;
+    case 'ilike': return r => likeRegExp(value).test(r[column] ?? '');
+    case 'is': return r => (r[column] ?? null) === (value === 'null' ? null : value);
+    case 'in': return r => value.map(String).includes(String(r[column]));
+    case 'cs': return r => value.every(v => (r[column] || []).includes(v));
+    default: throw new Error(`fake-supabase: unsupported filter ${op}`);
+  }
+}
+
+// Splits on the commas outside parentheses, braces and quotes
+function splitTerms(expr) {
+  const terms = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < expr.length; i++) {
+    const c = expr[i];
+    if (c === '\\' && quoted) {
+      current += c + expr[++i];
+      continue;
+    }
+    if (c === '"') quoted = !quoted;
+    else if (!quoted && (c === '(' || c === '{')) depth++;
+    else if (!quoted && (c === ')' || c === '}')) depth--;
+    if (c === ',' && !depth && !quoted) {
+      terms.push(current);
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  if (current) terms.push(current);
+  return terms;
+}
+
+function unquote(value) {
+  return /^".*"$/.test(value) ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value;
+}
+
+// PostgREST logic trees: col.op.value, and(...), or(...)
+function parseFilter(term) {
+  const group = term.match(/^(and|or)\((.*)\)$/);
+  if (group) {
+    const parts = splitTerms(group[2]).map(parseFilter);
+    return group[1] === 'and' ? r => parts.every(p => p(r)) : r => parts.some(p => p(r));
+  }
+  const [, column, op, raw] = term.match(/^([\w]+)\.(\w+)\.(.*)$/);
+  if (op === 'cs') return condition(column, op, splitTerms(raw.replace(/^\{|\}$/g, '')).map(unquote));
+  return condition(column, op, unquote(raw));
+}
+
+class Query {
+  constructor(table) {
+    this.table = table;
+    this.op = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.max = null;
+    this.from = 0;
+    this.one = null;
+  }
+
+  select() { return this; }
+  insert(payload) { return this.write('insert', payload); }
+  upsert(payload, { onConflict = 'id' } = {}) {
+    this.conflict = onConflict.split(',').map(s => s.trim());
+    return this.write('upsert', payload);
+  }
+  update(changes) {
+    this.op = 'update';
+    this.changes = changes;
+    return this;
+  }
+  delete() {
+    this.op = 'delete';
+    return this;
+  }
+  write(op, payload) {
+    this.op = op;
+    this.payload = Array.isArray(payload) ? payload : [payload];
+    return this;
+  }
+
+  eq(c, v) { return this.where(c, 'eq', v); }
+  neq(c, v) { return this.where(c, 'neq', v); }
+  gt(c, v) { return this.where(c, 'gt', v); }
+  gte(c, v) { return this.where(c, 'gte', v); }
+  lt(c, v) { return this.where(c, 'lt', v); }
+  lte(c, v) { return this.where(c, 'lte', v); }
+  ilike(c, v) { return this.where(c, 'ilike', v); }
+  is(c, v) { return this.where(c, 'is', v); }
+  in(c, v) { return this.where(c, 'in', v); }
+  contains(c, v) { return this.where(c, 'cs', v); }
+  where(column, op, value) {
+    this.filters.push(condition(column, op, value));
+    return this;
+  }
+  or(expr) {
+    this.filters.push(parseFilter(`or(${expr})`));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push([column, ascending ? 1 : -1]);
+    return this;
+  }
+  limit(n) {
+    this.max = n;
+    return this;
+  }
+  range(from, to) {
+    this.from = from;
+    this.max = to - from + 1;
+    return this;
+  }
+  single() {
+    this.one = 'single';
+    return this;
+  }
+  maybeSingle() {
+    this.one = 'maybe';
+    return this;
+  }
+
+  duplicate(row, ignore = null) {
+    const keys = [['id'], ...(UNIQUE[this.table] || [])];
+    return rows(this.table).find(other => other !== ignore &&
+      keys.some(key => key.every(k => row[k] != null && same(row[k], other[k]))));
+  }
+
+  run() {
+    const failure = failures.findIndex(f => f.table === this.table && f.op === this.op);
+    if (failure >= 0) {
+      failures.splice(failure, 1);
+      return { data: null, error: { code: 'XX000', message: `${this.op} on ${this.table} failed` } };
+    }
+    const table = rows(this.table);
+    let out;
+    if (this.op === 'insert') {
+      const created = this.payload.map(p => ({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...p }));
+      for (let i = 0; i < created.length; i++) {
+        if (this.duplicate(created[i]) || created.slice(0, i).some(c => same(c.id, created[i].id))) {
+          return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${this.table}` } };
+        }
+      }
+      table.push(...created);
+      out = created;
+    } else if (this.op === 'upsert') {
+      out = this.payload.map(p => {
+        const existing = table.find(r => this.conflict.every(k => same(r[k], p[k])));
+        if (existing) return Object.assign(existing, p);
+        const created = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...p };
+        table.push(created);
+        return created;
+      });
+    } else {
+      let matched = table.filter(r => this.filters.every(f => f(r)));
+      if (this.op === 'update') {
+        matched.forEach(r => Object.assign(r, this.changes));
+      } else if (this.op === 'delete') {
+        db[this.table] = table.filter(r => !matched.includes(r));
+        cascadeDelete(this.table, matched.map(r => r.id));
+      } else {
+        for (const [column, direction] of this.orders.slice().reverse()) {
+          matched = matched.slice().sort((a, b) => (compare(a[column], b[column]) || 0) * direction);
+        }
+        matched = matched.slice(this.from, this.max == null ? undefined : this.from + this.max);
+      }
+      out = matched;
+    }
+    out = out.map(r => structuredClone(r));
+    if (this.one) {
+      if (out.length === 1 || (out.length && this.one === 'maybe')) return { data: out[0], error: null };
+      return this.one === 'maybe' && !out.length
+        ? { data: null, error: null }
+        : { data: null, error: { code: 'PGRST116', message: `${out.length} rows` } };
+    }
+    return { data: out, error: null, count: out.length };
+  }
+
+  then(resolve, reject) {
+    try {
+      resolve(this.run());
+    } catch (err) {
+      reject(err);
+    }
+  }
+}
+
+function createClient() {
+  return {
+    from: table => new Query(table),
+    auth: {
+      async getUser(token) {
+        const user = users.get(token);
+        return user ? { data: { user }, error: null } : { data: { user: null }, error: { message: 'invalid JWT' } };
+      },
+      admin: {
+        async deleteUser(id) {
+          if (failures.some(f => f.table === 'auth.users')) {
+            failures.splice(failures.findIndex(f => f.table === 'auth.users'), 1);
+            return { data: null, error: { message: 'deleteUser failed' } };
+          }
+          deletedUsers.push(id);
+          cascadeDelete('auth.users', [id]);
+          for (const [token, user] of users) if (user.id === id) users.delete(token);
+          return { data: {}, error: null };
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createClient, db, reset, userFor, failNext, deletedUsers };
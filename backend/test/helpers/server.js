@@ -0,0 +1,63 @@
+// backend/test/helpers/server.js
+// Starts server.js for the behaviour tests: Supabase is fake-supabase.js, there is no Redis,
+// Stripe or OpenAI, and the app listens on a free port. node --test runs every test file in
+// its own process, so each file can pass its own env (read once when server.js loads).
+
+const fakeSupabase = require('./fake-supabase');
+
+const BASE_ENV = {
+  SUPABASE_URL: 'http://supabase.test',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-role',
+  DISABLE_OPENAI: '1',
+  REDIS_URL: '',
+  STRIPE_SECRET_KEY: '',
+  GOOGLE_VISION_API_KEY: '',
+  OPENAI_COMPAT_BASE_URL: ''
+};
+
+async function startServer(env = {}) {
+  Object.assign(process.env, BASE_ENV, env);
+  require.cache[require.resolve('@supabase/supabase-js')] = { exports: fakeSupabase, loaded: true };
+  // startup notices (no Redis, no Stripe, ...) are not test output
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  const { app } = require('../../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // -> { status, headers, body } with body parsed when it is JSON
+  async function api(method, path, { user, body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (user) init.headers.Authorization = `Bearer ${user.token}`;
+    if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const res = await fetch(url + path, init);
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // SSE and exports are not JSON
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  return {
+    url,
+    api,
+    ...fakeSupabase,
+    close() {
+      console.log = log;
+      console.warn = warn;
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DOCX_MIME, importFormat, fileTitle, decodeText, docxHtmlToMarkdown } = require('../import');
+
+const file = (name, head, mimetype = 'application/octet-stream') => ({ originalname: name, buffer: Buffer.from(head), mimetype });
+
+test('recognizes PDF by its header, DOCX by name or type and text files', () => {
+  assert.equal(importFormat(file('scan.bin', '%PDF-1.4')), 'pdf');
+  assert.equal(importFormat(file('Verslag.DOCX', 'PK\u0003\u0004')), 'docx');
+  assert.equal(importFormat(file('upload', 'PK\u0003\u0004', DOCX_MIME)), 'docx');
+  assert.equal(importFormat(file('archief.zip', 'PK\u0003\u0004')), null);
+  assert.equal(importFormat(file('notities.md', '# Kop')), 'txt');
+  assert.equal(importFormat(file('blob', 'hallo', 'text/plain')), 'txt');
+  assert.equal(importFormat(file('foto.jpg', 'ÿØ')), null);
+});
+
+test('titles the import after the file name', () => {
+  assert.equal(fileTitle('hoofdstuk_3_romeinen.pdf'), 'hoofdstuk 3 romeinen');
+  assert.equal(fileTitle('.pdf'), 'Geïmporteerd bestand');
+});
+
+test('decodes UTF-8, UTF-16 with BOM and Windows-1252', () => {
+  assert.equal(decodeText(Buffer.from('﻿Café\r\nthee\r', 'utf8')), 'Café\nthee\n');
+  assert.equal(decodeText(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Één', 'utf16le')])), 'Één');
+  const be = Buffer.from('Één', 'utf16le').swap16();
+  assert.equal(decodeText(Buffer.concat([Buffer.from([0xfe, 0xff]), be])), 'Één');
+  assert.equal(decodeText(Buffer.from([0x43, 0x61, 0x66, 0xe9, 0x20, 0x80, 0x20, 0x93, 0x6f, 0x94])), 'Café € “o”');
+});
+
+test('turns DOCX HTML into Markdown headings, lists and tables', () => {
+  const html = '<h1>Romeinen</h1><p>Zij bouwden <strong>wegen</strong> &amp; forten.</p>' +
+    '<ol><li>Eerst</li><li>Dan<ul><li>Binnen</li></ul></li></ol>' +
+    '<table><tr><td><p>Jaar</p></td><td>Gebeurtenis</td></tr><tr><td>79</td><td>Vesuvius | Pompeii</td></tr></table>';
+  assert.equal(docxHtmlToMarkdown(html), [
+    '# Romeinen',
+    '',
+    'Zij bouwden wegen & forten.',
+    '',
+    '1. Eerst',
+    '2. Dan',
+    '  - Binnen',
+    '',
+    '| Jaar | Gebeurtenis |',
+    '| --- | --- |',
+    '| 79 | Vesuvius \\| Pompeii |'
+  ].join('\n'));
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { startFakeModel } = require('./helpers/fake-model');
+
+let server;
+let model;
+test.before(async () => {
+  model = await startFakeModel();
+  server = await startServer({
+    OPENAI_COMPAT_BASE_URL: model.url,
+    SUMMARY_PROVIDERS: 'compatible,extractive',
+    JOB_RETRIES: '1',
+    FREE_AI_SUMMARIES: '1'
+  });
+});
+test.after(async () => {
+  await server.close();
+  await model.close();
+});
+test.beforeEach(() => {
+  server.reset();
+  model.reply(['- Samenvatting.']);
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const TEXT = 'De Romeinen bouwden wegen door heel Europa. Ze legden ook aquaducten aan.';
+
+async function submit(user, body = {}) {
+  const res = await server.api('POST', '/api/jobs/summarize', { user, body: { text: TEXT, force: true, ...body } });
+  assert.equal(res.status, 202, JSON.stringify(res.body));
+  return res.body;
+}
+
+// polls GET /api/jobs/:id like the app does until the job is done or failed
+async function finished(user, id) {
+  for (let i = 0; i < 200; i++) {
+    const res = await server.api('GET', `/api/jobs/${id}`, { user });
+    assert.equal(res.status, 200);
+    if (['done', 'failed'].includes(res.body.status)) return res.body;
+    await sleep(25);
+  }
+  throw new Error(`job ${id} did not finish`);
+}
+
+test('a summarize job is queued, runs and keeps its result and the saved note', async () => {
+  const user = server.userFor();
+  const queued = await submit(user);
+  assert.equal(queued.status, 'queued');
+  assert.equal(queued.user_id, undefined);
+
+  const job = await finished(user, queued.id);
+  assert.equal(job.status, 'done');
+  assert.equal(job.progress, 1);
+  assert.equal(job.result.summary, '- Samenvatting.');
+  assert.equal(job.result.source, 'compatible');
+  assert.equal(server.db.summaries.find(r => r.id === job.result.id).summary, '- Samenvatting.');
+  assert.equal((await server.api('GET', '/api/billing', { user })).body.usage.aiSummaries, 1);
+});
+
+test('retries a failed model call before the job gives up on it', async () => {
+  model.reply(['- Tweede poging.'], { status: 503, times: 1 });
+  const before = model.requests.length;
+  const user = server.userFor();
+  const job = await finished(user, (await submit(user)).id);
+  assert.equal(job.status, 'done');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.result.summary, '- Tweede poging.');
+  assert.equal(model.requests.length - before, 2);
+});
+
+test('falls back to the extractive summary once the monthly quota is used', async () => {
+  const user = server.userFor();
+  await finished(user, (await submit(user)).id);
+  const job = await finished(user, (await submit(user)).id);
+  assert.equal(job.result.source, 'extractive');
+  assert.equal(job.result.quota_exceeded, true);
+  assert.equal((await server.api('GET', '/api/billing', { user })).body.usage.aiSummaries, 1);
+});
+
+test('a job is only visible to the user who submitted it', async () => {
+  const owner = server.userFor();
+  const { id } = await submit(owner);
+  const stranger = server.userFor();
+  assert.equal((await server.api('GET', `/api/jobs/${id}`, { user: stranger })).status, 404);
+  assert.equal((await server.api('GET', '/api/jobs/nope', { user: owner })).status, 404);
+  await finished(owner, id);
+});
+
+test('rejects a job without text', async () => {
+  const res = await server.api('POST', '/api/jobs/summarize', { user: server.userFor(), body: { text: ' ' } });
+  assert.equal(res.status, 400);
+});
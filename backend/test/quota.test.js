@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { startFakeModel } = require('./helpers/fake-model');
+
+let server;
+let model;
+test.before(async () => {
+  model = await startFakeModel();
+  // no extractive fallback: a failed model call is a 502
+  server = await startServer({ OPENAI_COMPAT_BASE_URL: model.url, SUMMARY_PROVIDERS: 'compatible', PRO_AI_SUMMARIES: '2' });
+});
+test.after(async () => {
+  await server.close();
+  await model.close();
+});
+test.beforeEach(() => {
+  server.reset();
+  model.reply(['- Samenvatting.']);
+});
+
+// a pro user: no extractive fallback, so past the limit is a 402
+function proUser() {
+  const user = server.userFor();
+  server.db.user_plans = [{ user_id: user.id, plan: 'pro', status: 'active' }];
+  return user;
+}
+
+function summarize(user, text = 'De Romeinen bouwden wegen door heel Europa.') {
+  return server.api('POST', '/api/summarize', { user, body: { text, force: true } });
+}
+
+async function used(user) {
+  return (await server.api('GET', '/api/billing', { user })).body.usage.aiSummaries;
+}
+
+test('answers 402 once the monthly summaries are used', async () => {
+  const user = proUser();
+  assert.equal((await summarize(user)).status, 200);
+  assert.equal((await summarize(user)).status, 200);
+  const over = await summarize(user);
+  assert.equal(over.status, 402);
+  assert.match(over.body.error, /quota reached \(2\)/);
+  assert.equal(await used(user), 2);
+});
+
+test('concurrent requests cannot overspend the quota', async () => {
+  model.reply(['- Samenvatting.'], { gap: 100 });
+  const user = proUser();
+  const statuses = (await Promise.all([1, 2, 3, 4].map(() => summarize(user)))).map(r => r.status);
+  assert.deepEqual(statuses.sort(), [200, 200, 402, 402]);
+  assert.equal(await used(user), 2);
+});
+
+test('a summary that fails gives its reservation back', async () => {
+  model.reply(['- Samenvatting.'], { status: 500, times: 1 });
+  const user = proUser();
+  assert.equal((await summarize(user)).status, 502);
+  assert.equal(await used(user), 0);
+  assert.equal((await summarize(user)).status, 200);
+  assert.equal(await used(user), 1);
+});
+
+test('a reservation is given back to the month it was taken from', async (t) => {
+  const RealDate = Date;
+  const MONTH_MS = 40 * 24 * 60 * 60 * 1000;
+  // Date from here on is a month later, as when a request runs past midnight on the last day
+  class NextMonth extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [RealDate.now() + MONTH_MS]));
+    }
+
+    static now() {
+      return RealDate.now() + MONTH_MS;
+    }
+  }
+  t.after(() => { global.Date = RealDate; });
+
+  model.reply([], { status: 500, times: 1, gap: 200 });
+  const user = proUser();
+  const pending = summarize(user);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  global.Date = NextMonth;
+  assert.equal((await pending).status, 502);
+
+  assert.equal(await used(user), 0, 'next month starts at 0, not at -1');
+  global.Date = RealDate;
+  assert.equal(await used(user), 0, 'this month gets the summary back');
+});
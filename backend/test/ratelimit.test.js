@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+test.before(async () => {
+  server = await startServer({
+    RATE_LIMITS: JSON.stringify({ history: { free: 3, pro: 5, admin: 8 }, billing: { free: 2 } })
+  });
+});
+test.after(() => server.close());
+test.beforeEach(() => server.reset());
+
+const history = user => server.api('GET', '/api/summaries', { user });
+
+async function statuses(user, count, call = history) {
+  const out = [];
+  for (let i = 0; i < count; i++) out.push((await call(user)).status);
+  return out;
+}
+
+test('counts down RateLimit-Remaining and answers 429 with Retry-After past the limit', async () => {
+  const user = server.userFor();
+  const first = await history(user);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('ratelimit-policy'), '3;w=60');
+  assert.equal(first.headers.get('ratelimit-limit'), '3');
+  assert.equal(first.headers.get('ratelimit-remaining'), '2');
+  assert.equal(first.headers.get('ratelimit-reset'), '60');
+
+  await statuses(user, 2);
+  const limited = await history(user);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+  assert.equal(limited.headers.get('retry-after'), limited.body.retry_after.toString());
+  assert.ok(limited.body.retry_after > 0 && limited.body.retry_after <= 60);
+});
+
+test('a rejected request does not take a slot, and the window slides', async (t) => {
+  const user = server.userFor();
+  assert.deepEqual(await statuses(user, 5), [200, 200, 200, 429, 429]);
+
+  const start = Date.now();
+  t.mock.method(Date, 'now', () => start + 61 * 1000);
+  assert.deepEqual(await statuses(user, 4), [200, 200, 200, 429]);
+});
+
+test('each user and each route has its own window', async () => {
+  const user = server.userFor();
+  assert.deepEqual(await statuses(user, 4), [200, 200, 200, 429]);
+  assert.equal((await history(server.userFor())).status, 200);
+  const billing = u => server.api('GET', '/api/billing', { user: u });
+  assert.deepEqual(await statuses(user, 3, billing), [200, 200, 429]);
+});
+
+test('pro users and admins get their own limits', async () => {
+  const pro = server.userFor();
+  server.db.user_plans = [{ user_id: pro.id, plan: 'pro', status: 'active' }];
+  assert.deepEqual(await statuses(pro, 6), [200, 200, 200, 200, 200, 429]);
+
+  const admin = server.userFor({ role: 'admin' });
+  const res = await history(admin);
+  assert.equal(res.headers.get('ratelimit-limit'), '8');
+});
+
+test('sign-in comes before the limiter: without a token there is no slot to take', async () => {
+  const res = await server.api('GET', '/api/summaries');
+  assert.equal(res.status, 401);
+  assert.equal(res.headers.get('ratelimit-limit'), null);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PII_KINDS, normalizeRedaction, stricterRedaction, isValidBSN, isValidIBAN, redactPII, redactForProviders, createStreamRestorer } = require('../redaction');
+
+const CONFIG = { enabled: true, kinds: PII_KINDS, restore: ['email', 'phone', 'postcode', 'address', 'name'], names: [], member_names: true, external_ocr: true };
+
+function kinds(text, config = CONFIG) {
+  return redactPII(text, config).entities.map(e => e.kind);
+}
+
+test('masks e-mail addresses, phone numbers and postcodes', () => {
+  const { text, entities } = redactPII('Mail jan@school.nl of bel 06-12345678, postcode 1234 AB.', CONFIG);
+  assert.equal(text, 'Mail [EMAIL_1] of bel [TELEFOON_1], postcode [POSTCODE_1].');
+  assert.deepEqual(entities.map(e => e.value), ['jan@school.nl', '06-12345678', '1234 AB']);
+});
+
+test('masks IBANs only when the checksum is valid', () => {
+  const ibanOnly = { ...CONFIG, kinds: ['iban'] };
+  assert.deepEqual(kinds('Rekening NL91 ABNA 0417 1643 00', ibanOnly), ['iban']);
+  assert.deepEqual(kinds('Rekening NL91 ABNA 0417 1643 01', ibanOnly), []);
+});
+
+test('masks a BSN after a cue, whatever the number', () => {
+  assert.equal(redactPII('BSN: 111222333', CONFIG).text, 'BSN: [BSN_1]');
+  assert.equal(redactPII('Mijn burgerservicenummer is 1234.56.782', CONFIG).text, 'Mijn burgerservicenummer is [BSN_1]');
+  assert.equal(redactPII('sofinummer 123456789', CONFIG).text, 'sofinummer [BSN_1]');
+});
+
+test('leaves bare numbers alone, even when they pass the 11-proof', () => {
+  assert.ok(isValidBSN('384400000'));
+  assert.deepEqual(kinds('De maan staat 384400000 meter van de aarde.'), []);
+});
+
+test('masks a dotted BSN without a cue as a weak match that stays in the stored text', () => {
+  const { text, entities, stored } = redactForProviders('Nummer 1112.22.333 staat op de pas.', CONFIG);
+  assert.equal(text, 'Nummer [BSN_1] staat op de pas.');
+  assert.equal(entities[0].weak, true);
+  assert.equal(stored, 'Nummer 1112.22.333 staat op de pas.');
+  assert.deepEqual(kinds('Nummer 1112.22.334'), []);
+});
+
+test('masks street addresses and names after a cue, also where the first name recurs', () => {
+  const { text } = redactPII('Mijn naam is Sanne de Vries en ik woon op Dorpsstraat 12a. Sanne is 14.', CONFIG);
+  assert.equal(text, 'Mijn naam is [NAAM_1] en ik woon op [ADRES_1]. [NAAM_2] is 14.');
+});
+
+test('masks known names from the config', () => {
+  assert.equal(redactPII('Vandaag presenteert ahmed.', { ...CONFIG, names: ['ahmed'] }).text, 'Vandaag presenteert ahmed.');
+  assert.equal(redactPII('Vandaag presenteert Ahmed.', { ...CONFIG, names: ['ahmed'] }).text, 'Vandaag presenteert [NAAM_1].');
+});
+
+test('gives a repeated value the same placeholder', () => {
+  const { text, entities } = redactPII('jan@school.nl en JAN@school.nl', CONFIG);
+  assert.equal(text, '[EMAIL_1] en [EMAIL_1]');
+  assert.equal(entities.length, 1);
+});
+
+test('only runs the configured kinds and nothing when disabled', () => {
+  assert.deepEqual(kinds('jan@school.nl, 06-12345678', { ...CONFIG, kinds: ['phone'] }), ['phone']);
+  assert.deepEqual(kinds('jan@school.nl', { ...CONFIG, enabled: false }), []);
+});
+
+test('restores the restorable kinds and keeps the others masked in the stored text', () => {
+  const redacted = redactForProviders('Beste Sanne, je BSN 111222333 is bekend.', CONFIG);
+  assert.equal(redacted.text, 'Beste [NAAM_1], je BSN [BSN_1] is bekend.');
+  assert.equal(redacted.stored, 'Beste Sanne, je BSN [BSN_1] is bekend.');
+  assert.equal(redacted.restore('Samenvatting voor naam_1 over [BSN_1].'), 'Samenvatting voor Sanne over [BSN_1].');
+  assert.deepEqual(redacted.report.map(r => [r.kind, r.restored]), [['bsn', false], ['name', true]]);
+  assert.ok(!JSON.stringify(redacted.report).includes('111222333'));
+});
+
+test('restores placeholders split over streamed tokens', () => {
+  const { restore } = redactForProviders('Groetjes, Sanne', CONFIG);
+  const restorer = createStreamRestorer(restore);
+  const out = ['Door [NA', 'AM_1', '] geschreven', ' [x'].map(t => restorer.push(t)).join('') + restorer.flush();
+  assert.equal(out, 'Door Sanne geschreven [x');
+});
+
+test('validates IBAN checksums', () => {
+  assert.ok(isValidIBAN('NL91ABNA0417164300'));
+  assert.ok(!isValidIBAN('NL91ABNA0417164301'));
+});
+
+test('normalizeRedaction drops unknown keys and kinds', () => {
+  assert.deepEqual(normalizeRedaction({ kinds: ['email', 'shoe'], restore: 'name', names: [' Sanne ', 3, ''], extra: true }), {
+    kinds: ['email'],
+    names: ['Sanne']
+  });
+  assert.deepEqual(normalizeRedaction(null), {});
+});
+
+test('stricterRedaction combines two configs into the stricter one', () => {
+  const strict = stricterRedaction(CONFIG, { ...CONFIG, kinds: ['email'], restore: ['email'], names: ['Ahmed'], external_ocr: false });
+  assert.deepEqual(strict.kinds, PII_KINDS);
+  assert.deepEqual(strict.restore, ['email']);
+  assert.deepEqual(strict.names, ['Ahmed']);
+  assert.equal(strict.external_ocr, false);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { startFakeModel } = require('./helpers/fake-model');
+
+let server;
+let model;
+test.before(async () => {
+  model = await startFakeModel();
+  server = await startServer({ OPENAI_COMPAT_BASE_URL: model.url, SUMMARY_PROVIDERS: 'compatible,extractive' });
+});
+test.after(async () => {
+  await server.close();
+  await model.close();
+});
+test.beforeEach(() => {
+  server.reset();
+  model.reply(['Samenvatting.']);
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// "event: x\ndata: {...}\n\n" frames -> [{ event, data }]
+function events(text) {
+  return text.split('\n\n').filter(frame => frame.startsWith('event:')).map((frame) => {
+    const [eventLine, dataLine] = frame.split('\n');
+    return { event: eventLine.slice(6).trim(), data: JSON.parse(dataLine.slice(5)) };
+  });
+}
+
+async function stream(user, body) {
+  const res = await server.api('POST', '/api/summarize/stream', { user, body: { force: true, ...body } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return events(res.body);
+}
+
+async function usage(user) {
+  return (await server.api('GET', '/api/billing', { user })).body.usage;
+}
+
+test('streams the tokens, then done with the saved note', async () => {
+  model.reply(['- De Romeinen ', 'bouwden ', 'wegen.']);
+  const user = server.userFor();
+  const sent = await stream(user, { text: 'De Romeinen bouwden wegen door heel Europa.' });
+
+  assert.deepEqual(sent.filter(e => e.event === 'token').map(e => e.data.text).join(''), '- De Romeinen bouwden wegen.');
+  const done = sent.at(-1);
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.source, 'compatible');
+  assert.equal(done.data.summary, '- De Romeinen bouwden wegen.');
+  assert.equal(server.db.summaries.find(r => r.id === done.data.id).summary, '- De Romeinen bouwden wegen.');
+  assert.equal((await usage(user)).aiSummaries, 1);
+});
+
+test('skips a malformed line from the model and keeps streaming', async () => {
+  model.reply(['Eerste ', { raw: 'data: {"choices": [{"delta"' }, 'tweede.']);
+  const user = server.userFor();
+  const sent = await stream(user, { text: 'Een tekst over de Tachtigjarige Oorlog.' });
+
+  assert.deepEqual(sent.map(e => e.event), ['token', 'token', 'done']);
+  assert.equal(sent.at(-1).data.summary, 'Eerste tweede.');
+  assert.equal(sent.at(-1).data.source, 'compatible');
+});
+
+test('puts the redacted personal data back into the streamed tokens', async () => {
+  // the first call shows which placeholder the address gets; the second model answer uses it
+  const user = server.userFor();
+  await stream(user, { text: 'Mail jan@example.com over het verslag.' });
+  const prompt = model.requests.at(-1).messages.map(m => m.content).join('\n');
+  assert.ok(!prompt.includes('jan@example.com'));
+  const placeholder = prompt.match(/\[EMAIL_\d+\]/)[0];
+
+  model.reply(['Stuur het naar ', placeholder, '.']);
+  const sent = await stream(user, { text: 'Mail jan@example.com over het verslag.' });
+  assert.equal(sent.filter(e => e.event === 'token').map(e => e.data.text).join(''), 'Stuur het naar jan@example.com.');
+});
+
+test('a client that disconnects halfway keeps the partial summary as a new note', async () => {
+  model.reply(['Eerste deel. ', 'Tweede deel. ', 'Derde deel.'], { gap: 300 });
+  const user = server.userFor();
+  const abort = new AbortController();
+  const res = await fetch(`${server.url}/api/summarize/stream`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${user.token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: 'Een lange tekst over de Gouden Eeuw.', force: true }),
+    signal: abort.signal
+  });
+  const decoder = new TextDecoder();
+  for await (const chunk of res.body) {
+    if (decoder.decode(chunk, { stream: true }).includes('event: token')) break;
+  }
+  abort.abort();
+
+  for (let i = 0; i < 50 && !(server.db.summaries || []).length; i++) await sleep(20);
+  assert.equal(server.db.summaries.length, 1);
+  assert.equal(server.db.summaries[0].summary, 'Eerste deel. ');
+  assert.equal((await usage(user)).aiSummaries, 1);
+});
+
+test('gives the reserved summary back when no model answers', async () => {
+  model.reply([], { status: 503 });
+  const user = server.userFor();
+  const sent = await stream(user, { text: 'De Romeinen bouwden wegen door heel Europa. Ze legden ook aquaducten aan.' });
+  assert.equal(sent.at(-1).data.source, 'extractive');
+  assert.equal((await usage(user)).aiSummaries, 0);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.close());
+test.beforeEach(() => server.reset());
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function upload(user, fields = {}) {
+  const res = await server.api('POST', '/api/summaries', {
+    user,
+    body: { client_id: `local-${Math.random()}`, text: 'De Romeinen bouwden wegen.', summary: '- wegen', ...fields }
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.item;
+}
+
+async function pull(user, cursor, limit = 200) {
+  const query = cursor
+    ? `updated_since=${encodeURIComponent(cursor.updatedAt)}&after_id=${encodeURIComponent(cursor.id)}&limit=${limit}`
+    : `limit=${limit}`;
+  const res = await server.api('GET', `/api/summaries?${query}`, { user });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+test('an upload with the same client_id returns the first copy', async () => {
+  const user = server.userFor();
+  const first = await server.api('POST', '/api/summaries', { user, body: { client_id: 'n1', text: 'a', summary: 'b' } });
+  const again = await server.api('POST', '/api/summaries', { user, body: { client_id: 'n1', text: 'a', summary: 'b' } });
+  assert.equal(first.status, 201);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.item.id, first.body.item.id);
+  assert.equal(server.db.summaries.length, 1);
+});
+
+test('uploads in the same millisecond get their own ids', async (t) => {
+  const user = server.userFor();
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const first = await upload(user, { client_id: 'n1' });
+  const second = await upload(user, { client_id: 'n2' });
+  assert.notEqual(first.id, second.id);
+});
+
+test('an edit pushed late is pulled by a device that synced after the edit was made', async () => {
+  const phone = server.userFor();
+  const note = await upload(phone);
+  await sleep(5);
+  const editedOffline = new Date().toISOString();
+  await sleep(5);
+  const other = await upload(phone, { text: 'Een andere notitie.' });
+
+  // the tablet has seen everything up to the other note
+  const seen = await pull(phone, null);
+  const newest = seen.items.find(i => i.id === other.id);
+  const cursor = { updatedAt: newest.updated_at, id: newest.id };
+
+  const patched = await server.api('PATCH', `/api/summaries/${note.id}`, {
+    user: phone,
+    body: { text: 'Bewerkt zonder verbinding.', updated_at: editedOffline }
+  });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.item.client_updated_at, editedOffline);
+  assert.ok(patched.body.item.updated_at > cursor.updatedAt);
+
+  const { items } = await pull(phone, cursor);
+  assert.deepEqual(items.map(i => [i.id, i.text]), [[note.id, 'Bewerkt zonder verbinding.']]);
+});
+
+test('an edit older than the stored one gets 409 with the current row', async () => {
+  const user = server.userFor();
+  const note = await upload(user);
+  const older = new Date(Date.now() - 60000).toISOString();
+  await server.api('PATCH', `/api/summaries/${note.id}`, { user, body: { summary: '- nieuw' } });
+  const res = await server.api('PATCH', `/api/summaries/${note.id}`, { user, body: { summary: '- oud', updated_at: older } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.item.summary, '- nieuw');
+});
+
+test('rejects an edit time that is not a date and caps one in the future', async () => {
+  const user = server.userFor();
+  const note = await upload(user);
+  const garbage = await server.api('PATCH', `/api/summaries/${note.id}`, { user, body: { summary: 'x', updated_at: 'gisteren' } });
+  assert.equal(garbage.status, 400);
+
+  const future = await server.api('PATCH', `/api/summaries/${note.id}`, { user, body: { summary: 'x', updated_at: '2999-01-01T00:00:00.000Z' } });
+  assert.equal(future.status, 200);
+  assert.ok(future.body.item.client_updated_at <= new Date().toISOString());
+  // a later edit from a device with a correct clock still wins
+  await sleep(5);
+  const next = await server.api('PATCH', `/api/summaries/${note.id}`, { user, body: { summary: 'y', updated_at: new Date().toISOString() } });
+  assert.equal(next.status, 200);
+});
+
+test('pages through rows that share updated_at without skipping or repeating any', async () => {
+  const user = server.userFor();
+  const stamp = '2026-01-01T10:00:00.000Z';
+  for (const id of ['a', 'b', 'c', 'd', 'e']) {
+    server.db.summaries = server.db.summaries || [];
+    server.db.summaries.push({ id, user_id: user.id, text: id, summary: '', tags: [], created_at: stamp, updated_at: stamp, deleted_at: null });
+  }
+  const seen = [];
+  let cursor = { updatedAt: '2025-12-31T00:00:00.000Z', id: '' };
+  for (let page = 0; page < 5 && cursor; page++) {
+    const body = await pull(user, cursor, 2);
+    seen.push(...body.items.map(i => i.id));
+    cursor = body.next_cursor ? { updatedAt: body.next_cursor, id: body.next_after_id } : null;
+  }
+  assert.deepEqual(seen, ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('deleted notes reach the other devices through the cursor', async () => {
+  const user = server.userFor();
+  const note = await upload(user);
+  const { items } = await pull(user, null);
+  const cursor = { updatedAt: items[0].updated_at, id: items[0].id };
+  await sleep(5);
+  assert.equal((await server.api('DELETE', `/api/summaries/${note.id}`, { user })).status, 200);
+  const changes = await pull(user, cursor);
+  assert.equal(changes.items.length, 1);
+  assert.ok(changes.items[0].deleted_at);
+});
+
+test('only returns the notes of the signed-in user', async () => {
+  const owner = server.userFor();
+  const note = await upload(owner);
+  const stranger = server.userFor();
+  assert.deepEqual((await pull(stranger, null)).items, []);
+  const res = await server.api('PATCH', `/api/summaries/${note.id}`, { user: stranger, body: { summary: 'x' } });
+  assert.equal(res.status, 404);
+});
+
+test('a queued offline note upgraded with note_id is updated in place and pulled by the other devices', async () => {
+  const user = server.userFor();
+  const note = await upload(user, { text: 'De Romeinen bouwden wegen. Ze legden ook aquaducten aan.', summary: '- lokaal' });
+  const { items } = await pull(user, null);
+  const cursor = { updatedAt: items[0].updated_at, id: items[0].id };
+  await sleep(5);
+
+  const res = await server.api('POST', '/api/summarize', { user, body: { text: note.text, note_id: note.id, force: true } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.id, note.id);
+  assert.equal(server.db.summaries.length, 1);
+
+  const changes = await pull(user, cursor);
+  assert.deepEqual(changes.items.map(i => [i.id, i.summary]), [[note.id, res.body.summary]]);
+  assert.notEqual(res.body.summary, '- lokaal');
+  assert.equal(changes.items[0].client_updated_at, changes.items[0].updated_at);
+});
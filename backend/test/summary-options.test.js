@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SUMMARY_OPTIONS, normalizeSummaryOptions, resolveSummaryLanguage, summaryMessages } = require('../summary-options');
+
+test('falls back to the defaults for missing options', () => {
+  assert.deepEqual(normalizeSummaryOptions(undefined), { options: DEFAULT_SUMMARY_OPTIONS });
+  assert.deepEqual(normalizeSummaryOptions({}), { options: DEFAULT_SUMMARY_OPTIONS });
+  assert.deepEqual(normalizeSummaryOptions({ style: 'outline' }).options, { ...DEFAULT_SUMMARY_OPTIONS, style: 'outline' });
+});
+
+test('accepts language tags and normalizes them to their language', () => {
+  assert.equal(normalizeSummaryOptions({ language: 'EN-gb' }).options.language, 'en');
+  assert.equal(normalizeSummaryOptions({ language: 'nl_BE' }).options.language, 'nl');
+  assert.equal(normalizeSummaryOptions({ language: 'auto' }).options.language, 'auto');
+});
+
+test('rejects unknown values with an error', () => {
+  assert.match(normalizeSummaryOptions('short').error, /must be an object/);
+  assert.match(normalizeSummaryOptions({ length: 'huge' }).error, /Unknown length "huge"/);
+  assert.match(normalizeSummaryOptions({ length: 'toString' }).error, /Unknown length/);
+  assert.match(normalizeSummaryOptions({ length: 5 }).error, /Unknown length/);
+  assert.match(normalizeSummaryOptions({ style: 'poem' }).error, /Unknown style "poem"/);
+  assert.match(normalizeSummaryOptions({ language: 'xx' }).error, /Unsupported language "xx"/);
+});
+
+test('resolves "auto" to the language of the text, Dutch when unclear', () => {
+  const auto = DEFAULT_SUMMARY_OPTIONS;
+  assert.equal(resolveSummaryLanguage(auto, 'The Romans built roads that were used for trade in the whole empire.').language, 'en');
+  assert.equal(resolveSummaryLanguage(auto, '12345').language, 'nl');
+  assert.equal(resolveSummaryLanguage({ ...auto, language: 'de' }, 'De Romeinen bouwden wegen.').language, 'de');
+});
+
+test('writes the prompt in the summary language, English for languages without a prompt', () => {
+  const [dutch] = summaryMessages('tekst', { length: 'short', style: 'bullets', language: 'nl' }, false);
+  assert.match(dutch.content, /^Vat de tekst kort/);
+  const [german] = summaryMessages('Text', { length: 'long', style: 'paragraph', language: 'de' }, true);
+  assert.match(german.content, /Write the summary in German\./);
+  const [, user] = summaryMessages('Groetjes, [NAAM_1]', { length: 'short', style: 'bullets', language: 'nl' }, false);
+  assert.equal(user.content, 'Groetjes, [NAAM_1]');
+});
+
+test('tells the model to keep placeholders of redacted text', () => {
+  const [plain] = summaryMessages('Geen gegevens', { length: 'short', style: 'bullets', language: 'nl' }, false);
+  const [masked] = summaryMessages('Groetjes, [NAAM_1]', { length: 'short', style: 'bullets', language: 'nl' }, false);
+  assert.ok(masked.content.length > plain.content.length);
+  assert.match(masked.content, /\[NAAM_1\]/);
+});
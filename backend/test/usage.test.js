@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyUsage, aggregateUsage } = require('../usage');
+
+const ROWS = [
+  { user_id: 'a', kind: 'summary', prompt_tokens: 100, completion_tokens: 50, pages: 0, cost: '0.0001', created_at: '2026-10-01T08:00:00Z' },
+  { user_id: 'a', kind: 'ocr', prompt_tokens: 0, completion_tokens: 0, pages: 3, cost: 0.0045, created_at: '2026-10-01T09:00:00Z' },
+  { user_id: 'b', kind: 'quiz', prompt_tokens: 200, completion_tokens: null, pages: 0, cost: 0.0000004, created_at: '2026-10-02T10:00:00Z' }
+];
+
+test('counts model calls, OCR pages, tokens and cost per group', () => {
+  assert.deepEqual(aggregateUsage(ROWS, 'user_id', r => r.user_id), [
+    { user_id: 'b', ai_calls: 1, prompt_tokens: 200, completion_tokens: 0, ocr_pages: 0, cost: 0 },
+    { user_id: 'a', ai_calls: 1, prompt_tokens: 100, completion_tokens: 50, ocr_pages: 3, cost: 0.0046 }
+  ]);
+});
+
+test('sorts the groups newest first', () => {
+  assert.deepEqual(aggregateUsage(ROWS, 'day', r => r.created_at.slice(0, 10)).map(d => d.day), ['2026-10-02', '2026-10-01']);
+});
+
+test('returns no groups for no rows', () => {
+  assert.deepEqual(aggregateUsage([], 'total', () => true), []);
+  assert.deepEqual(emptyUsage(), { ai_calls: 0, prompt_tokens: 0, completion_tokens: 0, ocr_pages: 0, cost: 0 });
+});
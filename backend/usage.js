@@ -0,0 +1,27 @@
+// backend/usage.js
+// Totals for /api/usage, /api/admin/usage and the class usage of teachers, from
+// usage_events rows ({ kind, pages, prompt_tokens, completion_tokens, cost, ... }).
+
+function emptyUsage() {
+  return { ai_calls: 0, prompt_tokens: 0, completion_tokens: 0, ocr_pages: 0, cost: 0 };
+}
+
+// groups rows by keyOf(row); the key is returned under keyName (day, month, user_id)
+function aggregateUsage(rows, keyName, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    const group = groups.get(key) || { [keyName]: key, ...emptyUsage() };
+    if (row.kind === 'ocr') group.ocr_pages += row.pages || 0;
+    else group.ai_calls += 1;
+    group.prompt_tokens += row.prompt_tokens || 0;
+    group.completion_tokens += row.completion_tokens || 0;
+    group.cost += Number(row.cost) || 0;
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, cost: Math.round(g.cost * 1e6) / 1e6 }))
+    .sort((a, b) => (a[keyName] < b[keyName] ? 1 : -1));
+}
+
+module.exports = { emptyUsage, aggregateUsage };
@@ -0,0 +1,1044 @@
+// i18n.js
+// Translations of the app texts. The Dutch text is the key, so App.js reads like before:
+// t('Opslaan') returns the text in the current language, or the Dutch text itself when
+// there is no translation yet. Placeholders in braces are filled in from params:
+// t('Pagina {page}', { page: 2 }).
+import { getLocales } from 'expo-localization';
+
+// app languages, with their own name for the language picker
+export const LOCALES = { nl: 'Nederlands', en: 'English', ar: 'العربية', tr: 'Türkçe' };
+const RTL_LOCALES = ['ar'];
+// language tags for dates (Arabic with Latin digits, like the rest of the app)
+const DATE_LOCALES = { nl: 'nl-NL', en: 'en-GB', ar: 'ar-u-nu-latn', tr: 'tr-TR' };
+
+let current = 'nl';
+
+// First device language the app has texts for, Dutch otherwise
+export function deviceLocale() {
+  const match = getLocales().map(l => l.languageCode).find(code => LOCALES[code]);
+  return match || 'nl';
+}
+
+export function setLocale(locale) {
+  current = LOCALES[locale] ? locale : 'nl';
+}
+
+export function getLocale() {
+  return current;
+}
+
+export function isRTL(locale = current) {
+  return RTL_LOCALES.includes(locale);
+}
+
+export function t(text, params) {
+  const translated = (current !== 'nl' && TRANSLATIONS[current][text]) || text;
+  if (!params) return translated;
+  return translated.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+export function formatDate(date) {
+  return new Date(date).toLocaleDateString(DATE_LOCALES[current]);
+}
+
+export function formatDateTime(date) {
+  return new Date(date).toLocaleString(DATE_LOCALES[current]);
+}
+
+const TRANSLATIONS = {
+  en: {
+    // errors and sessions
+    'Sessie verlopen': 'Session expired',
+    'Te veel verzoeken. Probeer het over {seconds} seconden opnieuw.': 'Too many requests. Try again in {seconds} seconds.',
+    'Geen verbinding met de server': 'No connection to the server',
+    'Je sessie is verlopen. Log opnieuw in.': 'Your session has expired. Please sign in again.',
+    'Sync mislukt ({status})': 'Sync failed ({status})',
+    'Laden mislukt ({status})': 'Loading failed ({status})',
+    'Verbinding viel weg tijdens het samenvatten': 'The connection dropped while summarizing',
+    'OCR mislukt ({status})': 'OCR failed ({status})',
+    'Importeren mislukt ({status})': 'Import failed ({status})',
+    'Taak starten mislukt ({status})': 'Could not start the task ({status})',
+    'Taak ophalen mislukt ({status})': 'Could not fetch the task ({status})',
+    'Taak mislukt': 'Task failed',
+
+    // file import
+    'Geïmporteerd: {title} ({format}, 1 pagina)': 'Imported: {title} ({format}, 1 page)',
+    "Geïmporteerd: {title} ({format}, {count} pagina's)": 'Imported: {title} ({format}, {count} pages)',
+    'Geïmporteerd: {title} ({format})': 'Imported: {title} ({format})',
+    '1 gescande pagina gelezen met OCR': '1 scanned page read with OCR',
+    "{count} gescande pagina's gelezen met OCR": '{count} scanned pages read with OCR',
+    'pagina {pages} zonder tekst overgeslagen': 'page {pages} skipped (no text)',
+    "alleen de eerste pagina's zijn ingelezen": 'only the first pages were read',
+    'tekst': 'text',
+
+    // export and sharing
+    'Delen van bestanden is niet beschikbaar op dit apparaat.': 'Sharing files is not available on this device.',
+    'Exporteren als PDF': 'Export as PDF',
+    'Exporteren': 'Export',
+    'Exporteren mislukt': 'Export failed',
+    'Kies een formaat': 'Choose a format',
+    '{count} notities — kies een formaat': '{count} notes — choose a format',
+    'Anki-kaarten': 'Anki cards',
+    'Annuleren': 'Cancel',
+    'Geen klas': 'No class',
+    'Word eerst lid van een klas (Mijn klas op het beginscherm).': 'Join a class first (My class on the home screen).',
+    'Gedeeld': 'Shared',
+    'Gedeeld met {name} als opdracht.': 'Shared with {name} as an assignment.',
+    'Gedeeld met {name}.': 'Shared with {name}.',
+    'Delen mislukt': 'Sharing failed',
+    'Delen met klas': 'Share with class',
+    'Als notitie': 'As a note',
+    'Als opdracht': 'As an assignment',
+    'Kies een klas': 'Choose a class',
+
+    // login
+    'Inloggen': 'Sign in',
+    'Vul je e-mail en wachtwoord in.': 'Enter your email and password.',
+    'Inloggen mislukt': 'Sign-in failed',
+    'Account maken': 'Create account',
+    'Check je e-mail om je account te bevestigen.': 'Check your email to confirm your account.',
+    'Account maken mislukt': 'Could not create account',
+    'Magic link mislukt': 'Magic link failed',
+    'Vul eerst je e-mail in.': 'Enter your email first.',
+    'We hebben je een inloglink gestuurd. Open de link op dit apparaat.': 'We sent you a sign-in link. Open it on this device.',
+    'Inloggen bij InstaNotes': 'Sign in to InstaNotes',
+    'E-mail': 'Email',
+    'Wachtwoord': 'Password',
+    'Stuur magic link': 'Send magic link',
+
+    // home and actions
+    'Er wordt nog een scan verwerkt. Tik om het resultaat te openen.': 'A scan is still being processed. Tap to open the result.',
+    'Welkom bij InstaNotes': 'Welcome to InstaNotes',
+    'Scan of plak je lesstof en maak er samenvattingen en quizzen van.': 'Scan or paste your study material and turn it into summaries and quizzes.',
+    'Zit je in een klas? Vraag je docent om de klascode.': 'In a class? Ask your teacher for the class code.',
+    'Begin': 'Start',
+    'Bekijk samenvattingen': 'View summaries',
+    'Mijn klas': 'My class',
+    'Gratis': 'Free',
+    '{used}/{limit} AI-samenvattingen': '{used}/{limit} AI summaries',
+    "{used}/{limit} pagina's deze maand": '{used}/{limit} pages this month',
+    'Verbruik bekijken': 'View usage',
+    'Upgraden mislukt': 'Upgrade failed',
+    'Upgrade naar Pro': 'Upgrade to Pro',
+    'Instellingen': 'Settings',
+    'Uitloggen': 'Sign out',
+    'Acties': 'Actions',
+    'Kies een actie': 'Choose an action',
+    'Scan tekst (camera)': 'Scan text (camera)',
+    "Kies foto's (galerij)": 'Choose photos (gallery)',
+    'Importeer bestand (PDF, Word, tekst)': 'Import file (PDF, Word, text)',
+    'Plak tekst': 'Paste text',
+
+    // editor
+    'Editor': 'Editor',
+    'Niet gevonden': 'Not found',
+    'Deze notitie staat niet (meer) in Geschiedenis.': 'This note is not (or no longer) in History.',
+    'Cameratoegang': 'Camera access',
+    'Toegang tot camera geweigerd': 'Camera access denied',
+    'Fototoegang': 'Photo access',
+    "Toegang tot foto's geweigerd": 'Photo access denied',
+    'Fout': 'Error',
+    'Kon afbeelding niet openen': 'Could not open the image',
+    'Geen verbinding': 'No connection',
+    'Bestanden importeren kan alleen online.': 'Importing files only works online.',
+    'Importeren mislukt': 'Import failed',
+    'Geen afbeelding': 'No image',
+    'Kies eerst een foto of scan met camera': 'Choose a photo or scan with the camera first',
+    'apparaat': 'device',
+    'OCR fout': 'OCR error',
+    'Scannen mislukt': 'Scan failed',
+    'In de wachtrij': 'Queued',
+    'Verwerken mislukt': 'Processing failed',
+    '(geen samenvatting)': '(no summary)',
+    'Dit is een eenvoudige samenvatting, gemaakt op je telefoon. De AI-samenvatting volgt vanzelf zodra je weer online bent.': 'This is a simple summary made on your phone. The AI summary follows automatically once you are back online.',
+    'AI-tegoed op': 'AI credit used up',
+    'Je AI-samenvattingen voor deze maand zijn op. Dit is een eenvoudige samenvatting; hij staat in Geschiedenis.': 'You have used all your AI summaries for this month. This is a simple summary; it is in History.',
+    'Je AI-samenvattingen voor deze maand zijn op. De tekst is niet herschreven; de moeilijke woorden staan eronder.': 'You have used all your AI summaries for this month. The text was not rewritten; the difficult words are listed below.',
+    'Opgeslagen': 'Saved',
+    'Samenvatting is opgeslagen in Geschiedenis': 'The summary has been saved to History',
+    'Geen tekst': 'No text',
+    'Typ of plak eerst tekst of voer OCR uit.': 'Type or paste text first, or run OCR.',
+    'afgebroken': 'stopped',
+    'Samenvatting mislukt': 'Summary failed',
+    'Vereenvoudigen mislukt': 'Simplifying failed',
+    'Niets om te delen': 'Nothing to share',
+    'Gekopieerd': 'Copied',
+    'Tekst gekopieerd naar klembord': 'Text copied to the clipboard',
+    'Notitie van {date}': 'Note from {date}',
+    'gewijzigd {date}': 'edited {date}',
+    'Versies': 'Versions',
+    'Pagina {page}': 'Page {page}',
+    'Pagina scannen': 'Scan page',
+    "Foto's toevoegen": 'Add photos',
+    'Bestand': 'File',
+    'Behoud opmaak (koppen, lijsten, kolommen)': 'Keep layout (headings, lists, columns)',
+    'De tekst verschijnt hier (of plak)': 'The text appears here (or paste)',
+    'Tekst herkend met: {engine}': 'Text recognized with: {engine}',
+    'Tekst opslaan (zonder opnieuw samen te vatten)': 'Save text (without summarizing again)',
+    'Lengte': 'Length',
+    'Stijl': 'Style',
+    'Taal': 'Language',
+    'Kort': 'Short',
+    'Middel': 'Medium',
+    'Lang': 'Long',
+    'Alinea': 'Paragraph',
+    'Begrippen': 'Key terms',
+    'Schema': 'Outline',
+    'OCR uitvoeren': 'Run OCR',
+    'Stop': 'Stop',
+    'Samenvatten': 'Summarize',
+    'Even wachten: te veel verzoeken. Probeer het over {seconds} seconden opnieuw.': 'Please wait: too many requests. Try again in {seconds} seconds.',
+    'Scannen + samenvatten (op de achtergrond)': 'Scan + summarize (in the background)',
+    'Bezig…': 'Working…',
+    'Je kunt de app sluiten; het resultaat wordt later opgehaald.': 'You can close the app; the result is fetched later.',
+    'Terug': 'Back',
+    'Delen': 'Share',
+    'Kopiëren': 'Copy',
+    'Samenvatting': 'Summary',
+    'Opslaan': 'Save',
+    'Bezig met samenvatten…': 'Summarizing…',
+    '(nog geen samenvatting)': '(no summary yet)',
+    'Bron: {source}': 'Source: {source}',
+    '(eerder gemaakt)': '(made earlier)',
+    'Samenvatting bewerken': 'Edit summary',
+    'Opnieuw genereren': 'Generate again',
+    'Per onderdeel': 'Per section',
+    'Makkelijker lezen': 'Easier reading',
+    'Niveau': 'Level',
+    'Vereenvoudig tekst + woordenlijst': 'Simplify text + glossary',
+    'Herschrijven is nu niet beschikbaar; dit is de originele tekst met de moeilijke woorden gemarkeerd.': 'Rewriting is not available right now; this is the original text with the difficult words marked.',
+    'Niveau {level} · tik op een onderstreept woord voor uitleg': 'Level {level} · tap an underlined word for an explanation',
+    'Woordenlijst': 'Glossary',
+    'Geen uitleg beschikbaar: zoek dit woord op of vraag het je docent.': 'No explanation available: look this word up or ask your teacher.',
+    'In de tekst: “{example}”': 'In the text: “{example}”',
+    'Oefen met een quiz': 'Practice with a quiz',
+
+    // history
+    'Geschiedenis': 'History',
+    'Gesynchroniseerd': 'Synced',
+    'Wacht op synchronisatie': 'Waiting to sync',
+    'Offline samengevat · AI-samenvatting volgt': 'Summarized offline · AI summary follows',
+    'Alleen op dit apparaat': 'Only on this device',
+    'Altijd': 'Any time',
+    'Vandaag': 'Today',
+    '7 dagen': '7 days',
+    '30 dagen': '30 days',
+    'Nederlands': 'Dutch',
+    'Engels': 'English',
+    'Wiskunde': 'Mathematics',
+    'Aardrijkskunde': 'Geography',
+    'Biologie': 'Biology',
+    'Alles wissen': 'Clear all',
+    'Weet je zeker dat je alle {count} notities wilt verwijderen?': 'Are you sure you want to delete all {count} notes?',
+    'Wis alles': 'Clear all',
+    'Alle notities verwijderd': 'All notes deleted',
+    'Verwijderen': 'Delete',
+    '{count} notitie(s) verwijderen?': 'Delete {count} note(s)?',
+    'Verwijder': 'Delete',
+    '{count} notitie(s) verwijderd': '{count} note(s) deleted',
+    'Zoek in notities en samenvattingen': 'Search notes and summaries',
+    'Minder': 'Less',
+    'Filters': 'Filters',
+    'Alle mappen': 'All folders',
+    'Zonder map': 'No folder',
+    'Elke bron': 'Any source',
+    'Ongedaan maken': 'Undo',
+    'Verplaats {count} notitie(s) naar': 'Move {count} note(s) to',
+    'Geen map': 'No folder',
+    'Nieuwe map': 'New folder',
+    'Maken': 'Create',
+    '{count} geselecteerd': '{count} selected',
+    'Alles': 'All',
+    'Verplaats': 'Move',
+    '{count} van {total} notities': '{count} of {total} notes',
+    'Houd een notitie ingedrukt om te selecteren': 'Long-press a note to select it',
+    'Geen notities gevonden.': 'No notes found.',
+    'Nog geen opgeslagen samenvattingen.': 'No saved summaries yet.',
+    "{count} pagina('s)": '{count} page(s)',
+    "labels, gescheiden door komma's": 'tags, separated by commas',
+    'Export': 'Export',
+    'Openen': 'Open',
+    'Opnieuw': 'Again',
+    'Klas': 'Class',
+    'Map': 'Folder',
+    'Labels': 'Tags',
+    'Notitie verwijderd': 'Note deleted',
+
+    // versions
+    'Origineel': 'Original',
+    'Bewerkt': 'Edited',
+    'Opnieuw samengevat': 'Summarized again',
+    'Hersteld': 'Restored',
+    'Versie herstellen': 'Restore version',
+    'De tekst en samenvatting van {date} terugzetten? De huidige versie blijft bewaard.': 'Restore the text and summary from {date}? The current version is kept.',
+    'Herstellen': 'Restore',
+    'Nog geen eerdere versies. Bewerk de samenvatting of vat opnieuw samen in de Editor.': 'No earlier versions yet. Edit the summary or summarize again in the Editor.',
+    'huidige versie': 'current version',
+    'Samenvatting: deze versie → huidige': 'Summary: this version → current',
+    'De originele tekst is ook anders.': 'The original text is different too.',
+    'Sluiten': 'Close',
+    'Vergelijk': 'Compare',
+    'Herstel': 'Restore',
+
+    // quiz
+    'Er is geen tekst om een quiz van te maken.': 'There is no text to make a quiz from.',
+    'Quiz maken mislukt': 'Could not make a quiz',
+    'Quiz laden…': 'Loading quiz…',
+    'Nog {count} van {total} kaarten · {right} goed · {wrong} fout': '{count} of {total} cards left · {right} right · {wrong} wrong',
+    'Klaar voor nu!': 'Done for now!',
+    'Volgende herhaling: {date}': 'Next review: {date}',
+    'Toch alles oefenen': 'Practice everything anyway',
+    'Goed! Volgende': 'Correct! Next',
+    'Volgende': 'Next',
+    'Moeilijk': 'Hard',
+    'Goed': 'Good',
+    'Makkelijk': 'Easy',
+    'Toon antwoord': 'Show answer',
+    'Nieuwe quiz maken': 'Make a new quiz',
+
+    // usage
+    '{count} pag.': '{count} pp.',
+    'Verbruik laden mislukt': 'Could not load usage',
+    'Verbruik': 'Usage',
+    'Per maand': 'Per month',
+    'Nog geen verbruik.': 'No usage yet.',
+    'Afgelopen 30 dagen': 'Last 30 days',
+    'Alle gebruikers (30 dagen)': 'All users (30 days)',
+    'Totaal': 'Total',
+    'Vernieuwen': 'Refresh',
+
+    // settings
+    'Mijn gegevens': 'My data',
+    'Even wachten': 'Please wait',
+    'Probeer het over {seconds} seconden opnieuw.': 'Try again in {seconds} seconds.',
+    'Account verwijderen': 'Delete account',
+    'Je account, al je samenvattingen, versies, klassen en verbruik worden definitief verwijderd, ook op dit apparaat. Dit kan niet ongedaan worden gemaakt.': 'Your account and all your summaries, versions, classes and usage are deleted permanently, also on this device. This cannot be undone.',
+    'Verwijderen mislukt': 'Delete failed',
+    'Ingelogd als {email}': 'Signed in as {email}',
+    'Automatisch': 'Automatic',
+    'Auto': 'Auto',
+    'Taal gewijzigd': 'Language changed',
+    'Start de app opnieuw om de leesrichting aan te passen.': 'Restart the app to switch the reading direction.',
+    'Download alles wat InstaNotes van je bewaart: samenvattingen, versies, klassen en verbruik.': 'Download everything InstaNotes stores about you: summaries, versions, classes and usage.',
+    'Downloaden mislukt': 'Download failed',
+    'Gegevens downloaden': 'Download data',
+    'Verwijdert je account en al je gegevens op de server en op dit apparaat. Klassen waarvan je docent bent worden ook verwijderd.': 'Deletes your account and all your data on the server and on this device. Classes you teach are deleted too.',
+
+    // privacy
+    'namen': 'names',
+    'e-mailadressen': 'email addresses',
+    'telefoonnummers': 'phone numbers',
+    'adressen': 'addresses',
+    'postcodes': 'postcodes',
+    'Privacy: 1 persoonsgegeven ({kinds}) afgeschermd voordat de tekst naar de AI ging.': 'Privacy: 1 piece of personal data ({kinds}) was masked before the text went to the AI.',
+    'Privacy: {count} persoonsgegevens ({kinds}) afgeschermd voordat de tekst naar de AI ging.': 'Privacy: {count} pieces of personal data ({kinds}) were masked before the text went to the AI.',
+    'Blijft verborgen: {placeholders}.': 'Still hidden: {placeholders}.',
+    'Afschermen voordat tekst naar de AI gaat': 'Mask before text goes to the AI',
+    'Terugzetten in de samenvatting en de opgeslagen notitie': 'Put back in the summary and the saved note',
+    'Namen van klasgenoten afschermen': 'Mask classmates’ names',
+    "Foto's niet naar Google Vision": 'No photos to Google Vision',
+    "Extra namen om af te schermen (komma's ertussen)": 'Extra names to mask (separated by commas)',
+    'Privacy opslaan': 'Save privacy settings',
+
+    // classes
+    'Mijn klassen': 'My classes',
+    'Docent · code {code}': 'Teacher · code {code}',
+    'Leerling': 'Student',
+    'Je zit nog niet in een klas.': 'You are not in a class yet.',
+    'Word lid met een klascode': 'Join with a class code',
+    'Klascode (bijv. K7M2QP)': 'Class code (e.g. K7M2QP)',
+    'Je naam in de klas': 'Your name in the class',
+    'Lid worden mislukt': 'Could not join',
+    'Lid worden': 'Join',
+    'Klas maken (docent)': 'Create a class (teacher)',
+    'Naam van de klas': 'Class name',
+    'Klas maken mislukt': 'Could not create the class',
+    'Klas maken': 'Create class',
+    'Klas laden mislukt': 'Could not load the class',
+    'Voortgang laden mislukt': 'Could not load progress',
+    'Klas verlaten': 'Leave class',
+    'Wil je {name} verlaten?': 'Do you want to leave {name}?',
+    'Verlaten': 'Leave',
+    'Verlaten mislukt': 'Could not leave the class',
+    'Klascode:': 'Class code:',
+    'Nieuwe code mislukt': 'Could not make a new code',
+    'Nieuwe code maken': 'Make a new code',
+    'Welkomsttekst': 'Welcome text',
+    'Tekst op het beginscherm van je leerlingen': "Text on your students' home screen",
+    'Opslaan mislukt': 'Saving failed',
+    'Privacy': 'Privacy',
+    'Leerlingen ({count})': 'Students ({count})',
+    'Gedeeld met de klas': 'Shared with the class',
+    'opdracht': 'assignment',
+    'Voortgang': 'Progress',
+    '{done} van {total} leerlingen hebben samengevat': '{done} of {total} students have summarized',
+    'Nog niets gedeeld. Deel een samenvatting via Geschiedenis → Klas.': 'Nothing shared yet. Share a summary via History → Class.',
+    'Verbruik van de klas (30 dagen)': 'Class usage (30 days)'
+  },
+
+  ar: {
+    // errors and sessions
+    'Sessie verlopen': 'انتهت الجلسة',
+    'Te veel verzoeken. Probeer het over {seconds} seconden opnieuw.': 'طلبات كثيرة جدًا. حاول مرة أخرى بعد {seconds} ثانية.',
+    'Geen verbinding met de server': 'لا يوجد اتصال بالخادم',
+    'Je sessie is verlopen. Log opnieuw in.': 'انتهت جلستك. سجّل الدخول مرة أخرى.',
+    'Sync mislukt ({status})': 'فشلت المزامنة ({status})',
+    'Laden mislukt ({status})': 'فشل التحميل ({status})',
+    'Verbinding viel weg tijdens het samenvatten': 'انقطع الاتصال أثناء التلخيص',
+    'OCR mislukt ({status})': 'فشل التعرف على النص ({status})',
+    'Importeren mislukt ({status})': 'فشل الاستيراد ({status})',
+    'Taak starten mislukt ({status})': 'تعذّر بدء المهمة ({status})',
+    'Taak ophalen mislukt ({status})': 'تعذّر جلب المهمة ({status})',
+    'Taak mislukt': 'فشلت المهمة',
+
+    // file import
+    'Geïmporteerd: {title} ({format}, 1 pagina)': 'تم الاستيراد: {title} ({format}، صفحة واحدة)',
+    "Geïmporteerd: {title} ({format}, {count} pagina's)": 'تم الاستيراد: {title} ({format}، {count} صفحات)',
+    'Geïmporteerd: {title} ({format})': 'تم الاستيراد: {title} ({format})',
+    '1 gescande pagina gelezen met OCR': 'قُرئت صفحة ممسوحة واحدة بالتعرف الضوئي',
+    "{count} gescande pagina's gelezen met OCR": 'قُرئت {count} صفحات ممسوحة بالتعرف الضوئي',
+    'pagina {pages} zonder tekst overgeslagen': 'تم تخطي الصفحة {pages} (بلا نص)',
+    "alleen de eerste pagina's zijn ingelezen": 'قُرئت الصفحات الأولى فقط',
+    'tekst': 'نص',
+
+    // export and sharing
+    'Delen van bestanden is niet beschikbaar op dit apparaat.': 'مشاركة الملفات غير متاحة على هذا الجهاز.',
+    'Exporteren als PDF': 'تصدير بصيغة PDF',
+    'Exporteren': 'تصدير',
+    'Exporteren mislukt': 'فشل التصدير',
+    'Kies een formaat': 'اختر صيغة',
+    '{count} notities — kies een formaat': '{count} ملاحظات — اختر صيغة',
+    'Anki-kaarten': 'بطاقات Anki',
+    'Annuleren': 'إلغاء',
+    'Geen klas': 'لا يوجد صف',
+    'Word eerst lid van een klas (Mijn klas op het beginscherm).': 'انضم إلى صف أولًا (صفي في الشاشة الرئيسية).',
+    'Gedeeld': 'تمت المشاركة',
+    'Gedeeld met {name} als opdracht.': 'تمت المشاركة مع {name} كواجب.',
+    'Gedeeld met {name}.': 'تمت المشاركة مع {name}.',
+    'Delen mislukt': 'فشلت المشاركة',
+    'Delen met klas': 'مشاركة مع الصف',
+    'Als notitie': 'كملاحظة',
+    'Als opdracht': 'كواجب',
+    'Kies een klas': 'اختر صفًا',
+
+    // login
+    'Inloggen': 'تسجيل الدخول',
+    'Vul je e-mail en wachtwoord in.': 'أدخل بريدك الإلكتروني وكلمة المرور.',
+    'Inloggen mislukt': 'فشل تسجيل الدخول',
+    'Account maken': 'إنشاء حساب',
+    'Check je e-mail om je account te bevestigen.': 'تحقق من بريدك الإلكتروني لتأكيد حسابك.',
+    'Account maken mislukt': 'تعذّر إنشاء الحساب',
+    'Magic link': 'رابط الدخول',
+    'Magic link mislukt': 'فشل إرسال رابط الدخول',
+    'Vul eerst je e-mail in.': 'أدخل بريدك الإلكتروني أولًا.',
+    'We hebben je een inloglink gestuurd. Open de link op dit apparaat.': 'أرسلنا إليك رابط دخول. افتح الرابط على هذا الجهاز.',
+    'Inloggen bij InstaNotes': 'تسجيل الدخول إلى InstaNotes',
+    'E-mail': 'البريد الإلكتروني',
+    'Wachtwoord': 'كلمة المرور',
+    'Stuur magic link': 'أرسل رابط الدخول',
+
+    // home and actions
+    'Er wordt nog een scan verwerkt. Tik om het resultaat te openen.': 'لا يزال هناك مسح قيد المعالجة. اضغط لفتح النتيجة.',
+    'Welkom bij InstaNotes': 'مرحبًا بك في InstaNotes',
+    'Scan of plak je lesstof en maak er samenvattingen en quizzen van.': 'امسح أو الصق مادتك الدراسية وحوّلها إلى ملخصات واختبارات.',
+    'Zit je in een klas? Vraag je docent om de klascode.': 'هل أنت في صف؟ اطلب رمز الصف من معلمك.',
+    'Begin': 'ابدأ',
+    'Bekijk samenvattingen': 'عرض الملخصات',
+    'Mijn klas': 'صفي',
+    'Gratis': 'مجاني',
+    '{used}/{limit} AI-samenvattingen': '{used}/{limit} ملخصات بالذكاء الاصطناعي',
+    "{used}/{limit} pagina's deze maand": '{used}/{limit} صفحات هذا الشهر',
+    'Verbruik bekijken': 'عرض الاستخدام',
+    'Upgraden mislukt': 'فشلت الترقية',
+    'Upgrade naar Pro': 'الترقية إلى Pro',
+    'Instellingen': 'الإعدادات',
+    'Uitloggen': 'تسجيل الخروج',
+    'Acties': 'الإجراءات',
+    'Kies een actie': 'اختر إجراءً',
+    'Scan tekst (camera)': 'مسح نص (الكاميرا)',
+    "Kies foto's (galerij)": 'اختر صورًا (المعرض)',
+    'Importeer bestand (PDF, Word, tekst)': 'استيراد ملف (PDF، Word، نص)',
+    'Plak tekst': 'لصق نص',
+
+    // editor
+    'Editor': 'المحرر',
+    'Niet gevonden': 'غير موجود',
+    'Deze notitie staat niet (meer) in Geschiedenis.': 'هذه الملاحظة غير موجودة في السجل (أو لم تعد موجودة).',
+    'Cameratoegang': 'الوصول إلى الكاميرا',
+    'Toegang tot camera geweigerd': 'تم رفض الوصول إلى الكاميرا',
+    'Fototoegang': 'الوصول إلى الصور',
+    "Toegang tot foto's geweigerd": 'تم رفض الوصول إلى الصور',
+    'Fout': 'خطأ',
+    'Kon afbeelding niet openen': 'تعذّر فتح الصورة',
+    'Geen verbinding': 'لا يوجد اتصال',
+    'Bestanden importeren kan alleen online.': 'لا يمكن استيراد الملفات إلا عند الاتصال بالإنترنت.',
+    'Importeren mislukt': 'فشل الاستيراد',
+    'Geen afbeelding': 'لا توجد صورة',
+    'Kies eerst een foto of scan met camera': 'اختر صورة أو امسح بالكاميرا أولًا',
+    'apparaat': 'الجهاز',
+    'OCR fout': 'خطأ في التعرف على النص',
+    'Scannen mislukt': 'فشل المسح',
+    'In de wachtrij': 'في قائمة الانتظار',
+    'Verwerken mislukt': 'فشلت المعالجة',
+    '(geen samenvatting)': '(لا يوجد ملخص)',
+    'Dit is een eenvoudige samenvatting, gemaakt op je telefoon. De AI-samenvatting volgt vanzelf zodra je weer online bent.': 'هذا ملخص بسيط أُنشئ على هاتفك. سيصل ملخص الذكاء الاصطناعي تلقائيًا عند عودتك إلى الإنترنت.',
+    'AI-tegoed op': 'نفد رصيد الذكاء الاصطناعي',
+    'Je AI-samenvattingen voor deze maand zijn op. Dit is een eenvoudige samenvatting; hij staat in Geschiedenis.': 'استنفدت ملخصات الذكاء الاصطناعي لهذا الشهر. هذا ملخص بسيط، وهو محفوظ في السجل.',
+    'Je AI-samenvattingen voor deze maand zijn op. De tekst is niet herschreven; de moeilijke woorden staan eronder.': 'استنفدت ملخصات الذكاء الاصطناعي لهذا الشهر. لم تُعَد كتابة النص؛ الكلمات الصعبة مذكورة أدناه.',
+    'Opgeslagen': 'تم الحفظ',
+    'Samenvatting is opgeslagen in Geschiedenis': 'تم حفظ الملخص في السجل',
+    'Geen tekst': 'لا يوجد نص',
+    'Typ of plak eerst tekst of voer OCR uit.': 'اكتب نصًا أو الصقه أولًا، أو شغّل التعرف على النص.',
+    'afgebroken': 'متوقف',
+    'Samenvatting mislukt': 'فشل التلخيص',
+    'Vereenvoudigen mislukt': 'فشل التبسيط',
+    'Niets om te delen': 'لا يوجد ما يُشارك',
+    'Gekopieerd': 'تم النسخ',
+    'Tekst gekopieerd naar klembord': 'تم نسخ النص إلى الحافظة',
+    'Notitie van {date}': 'ملاحظة بتاريخ {date}',
+    'gewijzigd {date}': 'عُدّلت {date}',
+    'Versies': 'الإصدارات',
+    'Pagina {page}': 'الصفحة {page}',
+    'Pagina scannen': 'مسح صفحة',
+    "Foto's toevoegen": 'إضافة صور',
+    'Bestand': 'ملف',
+    'Behoud opmaak (koppen, lijsten, kolommen)': 'الحفاظ على التنسيق (العناوين، القوائم، الأعمدة)',
+    'De tekst verschijnt hier (of plak)': 'يظهر النص هنا (أو الصقه)',
+    'Tekst herkend met: {engine}': 'تم التعرف على النص بواسطة: {engine}',
+    'Tekst opslaan (zonder opnieuw samen te vatten)': 'حفظ النص (دون إعادة التلخيص)',
+    'Lengte': 'الطول',
+    'Stijl': 'الأسلوب',
+    'Taal': 'اللغة',
+    'Kort': 'قصير',
+    'Middel': 'متوسط',
+    'Lang': 'طويل',
+    'Bullets': 'نقاط',
+    'Alinea': 'فقرة',
+    'Begrippen': 'مصطلحات',
+    'Schema': 'مخطط',
+    'OCR uitvoeren': 'تشغيل التعرف على النص',
+    'Stop': 'إيقاف',
+    'Samenvatten': 'تلخيص',
+    'Even wachten: te veel verzoeken. Probeer het over {seconds} seconden opnieuw.': 'انتظر قليلًا: طلبات كثيرة جدًا. حاول مرة أخرى بعد {seconds} ثانية.',
+    'Scannen + samenvatten (op de achtergrond)': 'مسح + تلخيص (في الخلفية)',
+    'Bezig…': 'جارٍ العمل…',
+    'Je kunt de app sluiten; het resultaat wordt later opgehaald.': 'يمكنك إغلاق التطبيق؛ ستُجلب النتيجة لاحقًا.',
+    'Terug': 'رجوع',
+    'Delen': 'مشاركة',
+    'Kopiëren': 'نسخ',
+    'Samenvatting': 'الملخص',
+    'Opslaan': 'حفظ',
+    'Bezig met samenvatten…': 'جارٍ التلخيص…',
+    '(nog geen samenvatting)': '(لا يوجد ملخص بعد)',
+    'Bron: {source}': 'المصدر: {source}',
+    '(eerder gemaakt)': '(أُنشئ سابقًا)',
+    'Samenvatting bewerken': 'تعديل الملخص',
+    'Opnieuw genereren': 'إنشاء من جديد',
+    'Per onderdeel': 'حسب القسم',
+    'Makkelijker lezen': 'قراءة أسهل',
+    'Niveau': 'المستوى',
+    'Vereenvoudig tekst + woordenlijst': 'تبسيط النص + قائمة المفردات',
+    'Herschrijven is nu niet beschikbaar; dit is de originele tekst met de moeilijke woorden gemarkeerd.': 'إعادة الصياغة غير متاحة الآن؛ هذا هو النص الأصلي مع تمييز الكلمات الصعبة.',
+    'Niveau {level} · tik op een onderstreept woord voor uitleg': 'المستوى {level} · اضغط على كلمة مسطّرة لشرحها',
+    'Woordenlijst': 'قائمة المفردات',
+    'Geen uitleg beschikbaar: zoek dit woord op of vraag het je docent.': 'لا يوجد شرح: ابحث عن هذه الكلمة أو اسأل معلمك.',
+    'In de tekst: “{example}”': 'في النص: «{example}»',
+    'Oefen met een quiz': 'تدرّب باختبار',
+
+    // history
+    'Geschiedenis': 'السجل',
+    'Gesynchroniseerd': 'تمت المزامنة',
+    'Wacht op synchronisatie': 'في انتظار المزامنة',
+    'Offline samengevat · AI-samenvatting volgt': 'لُخّص دون اتصال · ملخص الذكاء الاصطناعي قادم',
+    'Alleen op dit apparaat': 'على هذا الجهاز فقط',
+    'Altijd': 'كل الأوقات',
+    'Vandaag': 'اليوم',
+    '7 dagen': '7 أيام',
+    '30 dagen': '30 يومًا',
+    'Nederlands': 'الهولندية',
+    'Engels': 'الإنجليزية',
+    'Wiskunde': 'الرياضيات',
+    'Aardrijkskunde': 'الجغرافيا',
+    'Biologie': 'الأحياء',
+    'Alles wissen': 'مسح الكل',
+    'Weet je zeker dat je alle {count} notities wilt verwijderen?': 'هل أنت متأكد أنك تريد حذف جميع الملاحظات ({count})؟',
+    'Wis alles': 'مسح الكل',
+    'Alle notities verwijderd': 'تم حذف جميع الملاحظات',
+    'Verwijderen': 'حذف',
+    '{count} notitie(s) verwijderen?': 'حذف {count} ملاحظة؟',
+    'Verwijder': 'حذف',
+    '{count} notitie(s) verwijderd': 'تم حذف {count} ملاحظة',
+    'Zoek in notities en samenvattingen': 'ابحث في الملاحظات والملخصات',
+    'Minder': 'أقل',
+    'Filters': 'عوامل التصفية',
+    'Alle mappen': 'كل المجلدات',
+    'Zonder map': 'بلا مجلد',
+    'Elke bron': 'أي مصدر',
+    'Ongedaan maken': 'تراجع',
+    'Verplaats {count} notitie(s) naar': 'نقل {count} ملاحظة إلى',
+    'Geen map': 'بلا مجلد',
+    'Nieuwe map': 'مجلد جديد',
+    'Maken': 'إنشاء',
+    '{count} geselecteerd': 'تم تحديد {count}',
+    'Alles': 'الكل',
+    'Verplaats': 'نقل',
+    '{count} van {total} notities': '{count} من {total} ملاحظة',
+    'Houd een notitie ingedrukt om te selecteren': 'اضغط مطولًا على ملاحظة لتحديدها',
+    'Geen notities gevonden.': 'لم يتم العثور على ملاحظات.',
+    'Nog geen opgeslagen samenvattingen.': 'لا توجد ملخصات محفوظة بعد.',
+    "{count} pagina('s)": '{count} صفحة',
+    "labels, gescheiden door komma's": 'وسوم، مفصولة بفواصل',
+    'Export': 'تصدير',
+    'Openen': 'فتح',
+    'Opnieuw': 'مرة أخرى',
+    'Quiz': 'اختبار',
+    'Klas': 'الصف',
+    'Map': 'مجلد',
+    'Labels': 'وسوم',
+    'Notitie verwijderd': 'تم حذف الملاحظة',
+
+    // versions
+    'Origineel': 'الأصلي',
+    'Bewerkt': 'معدّل',
+    'Opnieuw samengevat': 'أعيد تلخيصه',
+    'Hersteld': 'مستعاد',
+    'Versie herstellen': 'استعادة الإصدار',
+    'De tekst en samenvatting van {date} terugzetten? De huidige versie blijft bewaard.': 'استعادة النص والملخص من {date}؟ سيبقى الإصدار الحالي محفوظًا.',
+    'Herstellen': 'استعادة',
+    'Nog geen eerdere versies. Bewerk de samenvatting of vat opnieuw samen in de Editor.': 'لا توجد إصدارات سابقة بعد. عدّل الملخص أو أعد التلخيص في المحرر.',
+    'huidige versie': 'الإصدار الحالي',
+    'Samenvatting: deze versie → huidige': 'الملخص: هذا الإصدار ← الحالي',
+    'De originele tekst is ook anders.': 'النص الأصلي مختلف أيضًا.',
+    'Sluiten': 'إغلاق',
+    'Vergelijk': 'مقارنة',
+    'Herstel': 'استعادة',
+
+    // quiz
+    'Er is geen tekst om een quiz van te maken.': 'لا يوجد نص لإنشاء اختبار منه.',
+    'Quiz maken mislukt': 'تعذّر إنشاء الاختبار',
+    'Quiz laden…': 'جارٍ تحميل الاختبار…',
+    'Nog {count} van {total} kaarten · {right} goed · {wrong} fout': 'متبقٍ {count} من {total} بطاقة · {right} صحيحة · {wrong} خاطئة',
+    'Klaar voor nu!': 'انتهيت الآن!',
+    'Volgende herhaling: {date}': 'المراجعة التالية: {date}',
+    'Toch alles oefenen': 'تدرّب على الكل على أي حال',
+    'Goed! Volgende': 'صحيح! التالي',
+    'Volgende': 'التالي',
+    'Moeilijk': 'صعب',
+    'Goed': 'جيد',
+    'Makkelijk': 'سهل',
+    'Toon antwoord': 'أظهر الإجابة',
+    'Nieuwe quiz maken': 'إنشاء اختبار جديد',
+
+    // usage
+    '{count} pag.': '{count} صفحة',
+    'Verbruik laden mislukt': 'تعذّر تحميل الاستخدام',
+    'Verbruik': 'الاستخدام',
+    'Per maand': 'شهريًا',
+    'Nog geen verbruik.': 'لا يوجد استخدام بعد.',
+    'Afgelopen 30 dagen': 'آخر 30 يومًا',
+    'Alle gebruikers (30 dagen)': 'جميع المستخدمين (30 يومًا)',
+    'Totaal': 'المجموع',
+    'Vernieuwen': 'تحديث',
+
+    // settings
+    'Mijn gegevens': 'بياناتي',
+    'Even wachten': 'انتظر قليلًا',
+    'Probeer het over {seconds} seconden opnieuw.': 'حاول مرة أخرى بعد {seconds} ثانية.',
+    'Account verwijderen': 'حذف الحساب',
+    'Je account, al je samenvattingen, versies, klassen en verbruik worden definitief verwijderd, ook op dit apparaat. Dit kan niet ongedaan worden gemaakt.': 'سيُحذف حسابك وجميع ملخصاتك وإصداراتك وصفوفك واستخدامك نهائيًا، وعلى هذا الجهاز أيضًا. لا يمكن التراجع عن ذلك.',
+    'Verwijderen mislukt': 'فشل الحذف',
+    'Ingelogd als {email}': 'مسجّل الدخول باسم {email}',
+    'Automatisch': 'تلقائي',
+    'Auto': 'تلقائي',
+    'Taal gewijzigd': 'تم تغيير اللغة',
+    'Start de app opnieuw om de leesrichting aan te passen.': 'أعد تشغيل التطبيق لتغيير اتجاه القراءة.',
+    'Download alles wat InstaNotes van je bewaart: samenvattingen, versies, klassen en verbruik.': 'نزّل كل ما يحفظه InstaNotes عنك: الملخصات والإصدارات والصفوف والاستخدام.',
+    'Downloaden mislukt': 'فشل التنزيل',
+    'Gegevens downloaden': 'تنزيل البيانات',
+    'Verwijdert je account en al je gegevens op de server en op dit apparaat. Klassen waarvan je docent bent worden ook verwijderd.': 'يحذف حسابك وجميع بياناتك على الخادم وعلى هذا الجهاز. تُحذف أيضًا الصفوف التي تدرّسها.',
+
+    // privacy
+    'namen': 'أسماء',
+    'e-mailadressen': 'عناوين بريد إلكتروني',
+    'telefoonnummers': 'أرقام هواتف',
+    'adressen': 'عناوين',
+    'postcodes': 'رموز بريدية',
+    'Privacy: 1 persoonsgegeven ({kinds}) afgeschermd voordat de tekst naar de AI ging.': 'الخصوصية: أُخفيت معلومة شخصية واحدة ({kinds}) قبل إرسال النص إلى الذكاء الاصطناعي.',
+    'Privacy: {count} persoonsgegevens ({kinds}) afgeschermd voordat de tekst naar de AI ging.': 'الخصوصية: أُخفيت {count} معلومات شخصية ({kinds}) قبل إرسال النص إلى الذكاء الاصطناعي.',
+    'Blijft verborgen: {placeholders}.': 'يبقى مخفيًا: {placeholders}.',
+    'Afschermen voordat tekst naar de AI gaat': 'إخفاء قبل إرسال النص إلى الذكاء الاصطناعي',
+    'Terugzetten in de samenvatting en de opgeslagen notitie': 'إعادتها في الملخص والملاحظة المحفوظة',
+    'Namen van klasgenoten afschermen': 'إخفاء أسماء زملاء الصف',
+    "Foto's niet naar Google Vision": 'عدم إرسال الصور إلى Google Vision',
+    "Extra namen om af te schermen (komma's ertussen)": 'أسماء إضافية لإخفائها (مفصولة بفواصل)',
+    'Privacy opslaan': 'حفظ إعدادات الخصوصية',
+
+    // classes
+    'Mijn klassen': 'صفوفي',
+    'Docent · code {code}': 'معلم · الرمز {code}',
+    'Leerling': 'طالب',
+    'Je zit nog niet in een klas.': 'لست في أي صف بعد.',
+    'Word lid met een klascode': 'انضم برمز الصف',
+    'Klascode (bijv. K7M2QP)': 'رمز الصف (مثال: K7M2QP)',
+    'Je naam in de klas': 'اسمك في الصف',
+    'Lid worden mislukt': 'تعذّر الانضمام',
+    'Lid worden': 'انضمام',
+    'Klas maken (docent)': 'إنشاء صف (معلم)',
+    'Naam van de klas': 'اسم الصف',
+    'Klas maken mislukt': 'تعذّر إنشاء الصف',
+    'Klas maken': 'إنشاء صف',
+    'Klas laden mislukt': 'تعذّر تحميل الصف',
+    'Voortgang laden mislukt': 'تعذّر تحميل التقدم',
+    'Klas verlaten': 'مغادرة الصف',
+    'Wil je {name} verlaten?': 'هل تريد مغادرة {name}؟',
+    'Verlaten': 'مغادرة',
+    'Verlaten mislukt': 'تعذّرت المغادرة',
+    'Klascode:': 'رمز الصف:',
+    'Nieuwe code mislukt': 'تعذّر إنشاء رمز جديد',
+    'Nieuwe code maken': 'إنشاء رمز جديد',
+    'Welkomsttekst': 'نص الترحيب',
+    'Tekst op het beginscherm van je leerlingen': 'نص على الشاشة الرئيسية لطلابك',
+    'Opslaan mislukt': 'فشل الحفظ',
+    'Privacy': 'الخصوصية',
+    'Leerlingen ({count})': 'الطلاب ({count})',
+    'Gedeeld met de klas': 'مُشارك مع الصف',
+    'opdracht': 'واجب',
+    'Voortgang': 'التقدم',
+    '{done} van {total} leerlingen hebben samengevat': 'لخّص {done} من {total} طالبًا',
+    'Nog niets gedeeld. Deel een samenvatting via Geschiedenis → Klas.': 'لا شيء مُشارك بعد. شارك ملخصًا عبر السجل ← الصف.',
+    'Verbruik van de klas (30 dagen)': 'استخدام الصف (30 يومًا)'
+  },
+
+  tr: {
+    // errors and sessions
+    'Sessie verlopen': 'Oturum sona erdi',
+    'Te veel verzoeken. Probeer het over {seconds} seconden opnieuw.': 'Çok fazla istek. {seconds} saniye sonra tekrar deneyin.',
+    'Geen verbinding met de server': 'Sunucuya bağlantı yok',
+    'Je sessie is verlopen. Log opnieuw in.': 'Oturumunuz sona erdi. Lütfen tekrar giriş yapın.',
+    'Sync mislukt ({status})': 'Eşitleme başarısız ({status})',
+    'Laden mislukt ({status})': 'Yükleme başarısız ({status})',
+    'Verbinding viel weg tijdens het samenvatten': 'Özetleme sırasında bağlantı koptu',
+    'OCR mislukt ({status})': 'OCR başarısız ({status})',
+    'Importeren mislukt ({status})': 'İçe aktarma başarısız ({status})',
+    'Taak starten mislukt ({status})': 'Görev başlatılamadı ({status})',
+    'Taak ophalen mislukt ({status})': 'Görev alınamadı ({status})',
+    'Taak mislukt': 'Görev başarısız',
+
+    // file import
+    'Geïmporteerd: {title} ({format}, 1 pagina)': 'İçe aktarıldı: {title} ({format}, 1 sayfa)',
+    "Geïmporteerd: {title} ({format}, {count} pagina's)": 'İçe aktarıldı: {title} ({format}, {count} sayfa)',
+    'Geïmporteerd: {title} ({format})': 'İçe aktarıldı: {title} ({format})',
+    '1 gescande pagina gelezen met OCR': '1 taranmış sayfa OCR ile okundu',
+    "{count} gescande pagina's gelezen met OCR": '{count} taranmış sayfa OCR ile okundu',
+    'pagina {pages} zonder tekst overgeslagen': 'metin içermeyen sayfa {pages} atlandı',
+    "alleen de eerste pagina's zijn ingelezen": 'yalnızca ilk sayfalar okundu',
+    'tekst': 'metin',
+
+    // export and sharing
+    'Delen van bestanden is niet beschikbaar op dit apparaat.': 'Bu cihazda dosya paylaşımı kullanılamıyor.',
+    'Exporteren als PDF': 'PDF olarak dışa aktar',
+    'Exporteren': 'Dışa aktar',
+    'Exporteren mislukt': 'Dışa aktarma başarısız',
+    'Kies een formaat': 'Bir biçim seçin',
+    '{count} notities — kies een formaat': '{count} not — bir biçim seçin',
+    'Anki-kaarten': 'Anki kartları',
+    'Annuleren': 'İptal',
+    'Geen klas': 'Sınıf yok',
+    'Word eerst lid van een klas (Mijn klas op het beginscherm).': 'Önce bir sınıfa katılın (ana ekranda Sınıfım).',
+    'Gedeeld': 'Paylaşıldı',
+    'Gedeeld met {name} als opdracht.': '{name} ile ödev olarak paylaşıldı.',
+    'Gedeeld met {name}.': '{name} ile paylaşıldı.',
+    'Delen mislukt': 'Paylaşma başarısız',
+    'Delen met klas': 'Sınıfla paylaş',
+    'Als notitie': 'Not olarak',
+    'Als opdracht': 'Ödev olarak',
+    'Kies een klas': 'Bir sınıf seçin',
+
+    // login
+    'Inloggen': 'Giriş yap',
+    'Vul je e-mail en wachtwoord in.': 'E-posta adresinizi ve şifrenizi girin.',
+    'Inloggen mislukt': 'Giriş başarısız',
+    'Account maken': 'Hesap oluştur',
+    'Check je e-mail om je account te bevestigen.': 'Hesabınızı onaylamak için e-postanızı kontrol edin.',
+    'Account maken mislukt': 'Hesap oluşturulamadı',
+    'Magic link': 'Giriş bağlantısı',
+    'Magic link mislukt': 'Giriş bağlantısı gönderilemedi',
+    'Vul eerst je e-mail in.': 'Önce e-posta adresinizi girin.',
+    'We hebben je een inloglink gestuurd. Open de link op dit apparaat.': 'Size bir giriş bağlantısı gönderdik. Bağlantıyı bu cihazda açın.',
+    'Inloggen bij InstaNotes': "InstaNotes'a giriş yap",
+    'E-mail': 'E-posta',
+    'Wachtwoord': 'Şifre',
+    'Stuur magic link': 'Giriş bağlantısı gönder',
+
+    // home and actions
+    'Er wordt nog een scan verwerkt. Tik om het resultaat te openen.': 'Bir tarama hâlâ işleniyor. Sonucu açmak için dokunun.',
+    'Welkom bij InstaNotes': "InstaNotes'a hoş geldiniz",
+    'Scan of plak je lesstof en maak er samenvattingen en quizzen van.': 'Ders materyalini tarayın veya yapıştırın, ondan özetler ve testler oluşturun.',
+    'Zit je in een klas? Vraag je docent om de klascode.': 'Bir sınıfta mısınız? Öğretmeninizden sınıf kodunu isteyin.',
+    'Begin': 'Başla',
+    'Bekijk samenvattingen': 'Özetleri görüntüle',
+    'Mijn klas': 'Sınıfım',
+    'Gratis': 'Ücretsiz',
+    '{used}/{limit} AI-samenvattingen': '{used}/{limit} yapay zekâ özeti',
+    "{used}/{limit} pagina's deze maand": 'bu ay {used}/{limit} sayfa',
+    'Verbruik bekijken': 'Kullanımı görüntüle',
+    'Upgraden mislukt': 'Yükseltme başarısız',
+    'Upgrade naar Pro': "Pro'ya yükselt",
+    'Instellingen': 'Ayarlar',
+    'Uitloggen': 'Çıkış yap',
+    'Acties': 'İşlemler',
+    'Kies een actie': 'Bir işlem seçin',
+    'Scan tekst (camera)': 'Metin tara (kamera)',
+    "Kies foto's (galerij)": 'Fotoğraf seç (galeri)',
+    'Importeer bestand (PDF, Word, tekst)': 'Dosya içe aktar (PDF, Word, metin)',
+    'Plak tekst': 'Metin yapıştır',
+
+    // editor
+    'Editor': 'Düzenleyici',
+    'Niet gevonden': 'Bulunamadı',
+    'Deze notitie staat niet (meer) in Geschiedenis.': 'Bu not Geçmiş’te yok (artık yok).',
+    'Cameratoegang': 'Kamera erişimi',
+    'Toegang tot camera geweigerd': 'Kamera erişimi reddedildi',
+    'Fototoegang': 'Fotoğraf erişimi',
+    "Toegang tot foto's geweigerd": 'Fotoğraf erişimi reddedildi',
+    'Fout': 'Hata',
+    'Kon afbeelding niet openen': 'Görsel açılamadı',
+    'Geen verbinding': 'Bağlantı yok',
+    'Bestanden importeren kan alleen online.': 'Dosyalar yalnızca çevrimiçiyken içe aktarılabilir.',
+    'Importeren mislukt': 'İçe aktarma başarısız',
+    'Geen afbeelding': 'Görsel yok',
+    'Kies eerst een foto of scan met camera': 'Önce bir fotoğraf seçin veya kamerayla tarayın',
+    'apparaat': 'cihaz',
+    'OCR fout': 'OCR hatası',
+    'Scannen mislukt': 'Tarama başarısız',
+    'In de wachtrij': 'Sırada',
+    'Verwerken mislukt': 'İşleme başarısız',
+    '(geen samenvatting)': '(özet yok)',
+    'Dit is een eenvoudige samenvatting, gemaakt op je telefoon. De AI-samenvatting volgt vanzelf zodra je weer online bent.': 'Bu, telefonunuzda oluşturulan basit bir özettir. Yapay zekâ özeti, tekrar çevrimiçi olduğunuzda otomatik olarak gelecek.',
+    'AI-tegoed op': 'Yapay zekâ hakkı bitti',
+    'Je AI-samenvattingen voor deze maand zijn op. Dit is een eenvoudige samenvatting; hij staat in Geschiedenis.': 'Bu ayki yapay zekâ özetleriniz bitti. Bu basit bir özettir; Geçmiş’te kayıtlı.',
+    'Je AI-samenvattingen voor deze maand zijn op. De tekst is niet herschreven; de moeilijke woorden staan eronder.': 'Bu ayki yapay zekâ özetleriniz bitti. Metin yeniden yazılmadı; zor kelimeler aşağıda.',
+    'Opgeslagen': 'Kaydedildi',
+    'Samenvatting is opgeslagen in Geschiedenis': 'Özet Geçmiş’e kaydedildi',
+    'Geen tekst': 'Metin yok',
+    'Typ of plak eerst tekst of voer OCR uit.': 'Önce metin yazın veya yapıştırın ya da OCR çalıştırın.',
+    'afgebroken': 'durduruldu',
+    'Samenvatting mislukt': 'Özetleme başarısız',
+    'Vereenvoudigen mislukt': 'Sadeleştirme başarısız',
+    'Niets om te delen': 'Paylaşılacak bir şey yok',
+    'Gekopieerd': 'Kopyalandı',
+    'Tekst gekopieerd naar klembord': 'Metin panoya kopyalandı',
+    'Notitie van {date}': '{date} tarihli not',
+    'gewijzigd {date}': 'düzenlendi {date}',
+    'Versies': 'Sürümler',
+    'Pagina {page}': 'Sayfa {page}',
+    'Pagina scannen': 'Sayfa tara',
+    "Foto's toevoegen": 'Fotoğraf ekle',
+    'Bestand': 'Dosya',
+    'Behoud opmaak (koppen, lijsten, kolommen)': 'Düzeni koru (başlıklar, listeler, sütunlar)',
+    'De tekst verschijnt hier (of plak)': 'Metin burada görünür (veya yapıştırın)',
+    'Tekst herkend met: {engine}': 'Metni tanıyan: {engine}',
+    'Tekst opslaan (zonder opnieuw samen te vatten)': 'Metni kaydet (yeniden özetlemeden)',
+    'Lengte': 'Uzunluk',
+    'Stijl': 'Biçim',
+    'Taal': 'Dil',
+    'Kort': 'Kısa',
+    'Middel': 'Orta',
+    'Lang': 'Uzun',
+    'Bullets': 'Maddeler',
+    'Alinea': 'Paragraf',
+    'Begrippen': 'Kavramlar',
+    'Schema': 'Taslak',
+    'OCR uitvoeren': 'OCR çalıştır',
+    'Stop': 'Durdur',
+    'Samenvatten': 'Özetle',
+    'Even wachten: te veel verzoeken. Probeer het over {seconds} seconden opnieuw.': 'Biraz bekleyin: çok fazla istek. {seconds} saniye sonra tekrar deneyin.',
+    'Scannen + samenvatten (op de achtergrond)': 'Tara + özetle (arka planda)',
+    'Bezig…': 'İşleniyor…',
+    'Je kunt de app sluiten; het resultaat wordt later opgehaald.': 'Uygulamayı kapatabilirsiniz; sonuç daha sonra alınır.',
+    'Terug': 'Geri',
+    'Delen': 'Paylaş',
+    'Kopiëren': 'Kopyala',
+    'Samenvatting': 'Özet',
+    'Opslaan': 'Kaydet',
+    'Bezig met samenvatten…': 'Özetleniyor…',
+    '(nog geen samenvatting)': '(henüz özet yok)',
+    'Bron: {source}': 'Kaynak: {source}',
+    '(eerder gemaakt)': '(daha önce oluşturuldu)',
+    'Samenvatting bewerken': 'Özeti düzenle',
+    'Opnieuw genereren': 'Yeniden oluştur',
+    'Per onderdeel': 'Bölüm bölüm',
+    'Makkelijker lezen': 'Daha kolay okuma',
+    'Niveau': 'Seviye',
+    'Vereenvoudig tekst + woordenlijst': 'Metni sadeleştir + sözlük',
+    'Herschrijven is nu niet beschikbaar; dit is de originele tekst met de moeilijke woorden gemarkeerd.': 'Yeniden yazma şu anda kullanılamıyor; bu, zor kelimeleri işaretlenmiş orijinal metindir.',
+    'Niveau {level} · tik op een onderstreept woord voor uitleg': 'Seviye {level} · açıklama için altı çizili bir kelimeye dokunun',
+    'Woordenlijst': 'Sözlük',
+    'Geen uitleg beschikbaar: zoek dit woord op of vraag het je docent.': 'Açıklama yok: bu kelimeye bakın veya öğretmeninize sorun.',
+    'In de tekst: “{example}”': 'Metinde: “{example}”',
+    'Oefen met een quiz': 'Bir testle çalış',
+
+    // history
+    'Geschiedenis': 'Geçmiş',
+    'Gesynchroniseerd': 'Eşitlendi',
+    'Wacht op synchronisatie': 'Eşitleme bekleniyor',
+    'Offline samengevat · AI-samenvatting volgt': 'Çevrimdışı özetlendi · yapay zekâ özeti gelecek',
+    'Alleen op dit apparaat': 'Yalnızca bu cihazda',
+    'Altijd': 'Tüm zamanlar',
+    'Vandaag': 'Bugün',
+    '7 dagen': '7 gün',
+    '30 dagen': '30 gün',
+    'Nederlands': 'Felemenkçe',
+    'Engels': 'İngilizce',
+    'Wiskunde': 'Matematik',
+    'Aardrijkskunde': 'Coğrafya',
+    'Biologie': 'Biyoloji',
+    'Alles wissen': 'Tümünü sil',
+    'Weet je zeker dat je alle {count} notities wilt verwijderen?': '{count} notun tümünü silmek istediğinizden emin misiniz?',
+    'Wis alles': 'Tümünü sil',
+    'Alle notities verwijderd': 'Tüm notlar silindi',
+    'Verwijderen': 'Sil',
+    '{count} notitie(s) verwijderen?': '{count} not silinsin mi?',
+    'Verwijder': 'Sil',
+    '{count} notitie(s) verwijderd': '{count} not silindi',
+    'Zoek in notities en samenvattingen': 'Notlarda ve özetlerde ara',
+    'Minder': 'Daha az',
+    'Filters': 'Filtreler',
+    'Alle mappen': 'Tüm klasörler',
+    'Zonder map': 'Klasörsüz',
+    'Elke bron': 'Her kaynak',
+    'Ongedaan maken': 'Geri al',
+    'Verplaats {count} notitie(s) naar': '{count} notu şuraya taşı',
+    'Geen map': 'Klasör yok',
+    'Nieuwe map': 'Yeni klasör',
+    'Maken': 'Oluştur',
+    '{count} geselecteerd': '{count} seçildi',
+    'Alles': 'Tümü',
+    'Verplaats': 'Taşı',
+    '{count} van {total} notities': '{total} nottan {count} tanesi',
+    'Houd een notitie ingedrukt om te selecteren': 'Seçmek için bir nota basılı tutun',
+    'Geen notities gevonden.': 'Not bulunamadı.',
+    'Nog geen opgeslagen samenvattingen.': 'Henüz kayıtlı özet yok.',
+    "{count} pagina('s)": '{count} sayfa',
+    "labels, gescheiden door komma's": 'etiketler, virgülle ayrılmış',
+    'Export': 'Dışa aktar',
+    'Openen': 'Aç',
+    'Opnieuw': 'Yeniden',
+    'Quiz': 'Test',
+    'Klas': 'Sınıf',
+    'Map': 'Klasör',
+    'Labels': 'Etiketler',
+    'Notitie verwijderd': 'Not silindi',
+
+    // versions
+    'Origineel': 'Orijinal',
+    'Bewerkt': 'Düzenlendi',
+    'Opnieuw samengevat': 'Yeniden özetlendi',
+    'Hersteld': 'Geri yüklendi',
+    'Versie herstellen': 'Sürümü geri yükle',
+    'De tekst en samenvatting van {date} terugzetten? De huidige versie blijft bewaard.': '{date} tarihli metin ve özet geri yüklensin mi? Mevcut sürüm saklanır.',
+    'Herstellen': 'Geri yükle',
+    'Nog geen eerdere versies. Bewerk de samenvatting of vat opnieuw samen in de Editor.': 'Henüz önceki sürüm yok. Düzenleyicide özeti düzenleyin veya yeniden özetleyin.',
+    'huidige versie': 'mevcut sürüm',
+    'Samenvatting: deze versie → huidige': 'Özet: bu sürüm → mevcut',
+    'De originele tekst is ook anders.': 'Orijinal metin de farklı.',
+    'Sluiten': 'Kapat',
+    'Vergelijk': 'Karşılaştır',
+    'Herstel': 'Geri yükle',
+
+    // quiz
+    'Er is geen tekst om een quiz van te maken.': 'Test oluşturmak için metin yok.',
+    'Quiz maken mislukt': 'Test oluşturulamadı',
+    'Quiz laden…': 'Test yükleniyor…',
+    'Nog {count} van {total} kaarten · {right} goed · {wrong} fout': '{total} karttan {count} kaldı · {right} doğru · {wrong} yanlış',
+    'Klaar voor nu!': 'Şimdilik bu kadar!',
+    'Volgende herhaling: {date}': 'Sonraki tekrar: {date}',
+    'Toch alles oefenen': 'Yine de hepsini çalış',
+    'Goed! Volgende': 'Doğru! Sonraki',
+    'Volgende': 'Sonraki',
+    'Moeilijk': 'Zor',
+    'Goed': 'İyi',
+    'Makkelijk': 'Kolay',
+    'Toon antwoord': 'Cevabı göster',
+    'Nieuwe quiz maken': 'Yeni test oluştur',
+
+    // usage
+    '{count} pag.': '{count} sf.',
+    'Verbruik laden mislukt': 'Kullanım yüklenemedi',
+    'Verbruik': 'Kullanım',
+    'Per maand': 'Aylık',
+    'Nog geen verbruik.': 'Henüz kullanım yok.',
+    'Afgelopen 30 dagen': 'Son 30 gün',
+    'Alle gebruikers (30 dagen)': 'Tüm kullanıcılar (30 gün)',
+    'Totaal': 'Toplam',
+    'Vernieuwen': 'Yenile',
+
+    // settings
+    'Mijn gegevens': 'Verilerim',
+    'Even wachten': 'Biraz bekleyin',
+    'Probeer het over {seconds} seconden opnieuw.': '{seconds} saniye sonra tekrar deneyin.',
+    'Account verwijderen': 'Hesabı sil',
+    'Je account, al je samenvattingen, versies, klassen en verbruik worden definitief verwijderd, ook op dit apparaat. Dit kan niet ongedaan worden gemaakt.': 'Hesabınız ve tüm özetleriniz, sürümleriniz, sınıflarınız ve kullanımınız bu cihazda da kalıcı olarak silinir. Bu işlem geri alınamaz.',
+    'Verwijderen mislukt': 'Silme başarısız',
+    'Ingelogd als {email}': '{email} olarak giriş yapıldı',
+    'Automatisch': 'Otomatik',
+    'Auto': 'Otomatik',
+    'Taal gewijzigd': 'Dil değiştirildi',
+    'Start de app opnieuw om de leesrichting aan te passen.': 'Okuma yönünü değiştirmek için uygulamayı yeniden başlatın.',
+    'Download alles wat InstaNotes van je bewaart: samenvattingen, versies, klassen en verbruik.': "InstaNotes'un sizin hakkınızda sakladığı her şeyi indirin: özetler, sürümler, sınıflar ve kullanım.",
+    'Downloaden mislukt': 'İndirme başarısız',
+    'Gegevens downloaden': 'Verileri indir',
+    'Verwijdert je account en al je gegevens op de server en op dit apparaat. Klassen waarvan je docent bent worden ook verwijderd.': 'Hesabınızı ve sunucudaki ve bu cihazdaki tüm verilerinizi siler. Öğretmeni olduğunuz sınıflar da silinir.',
+
+    // privacy
+    'namen': 'adlar',
+    'e-mailadressen': 'e-posta adresleri',
+    'telefoonnummers': 'telefon numaraları',
+    'adressen': 'adresler',
+    'postcodes': 'posta kodları',
+    'Privacy: 1 persoonsgegeven ({kinds}) afgeschermd voordat de tekst naar de AI ging.': 'Gizlilik: metin yapay zekâya gitmeden önce 1 kişisel veri ({kinds}) gizlendi.',
+    'Privacy: {count} persoonsgegevens ({kinds}) afgeschermd voordat de tekst naar de AI ging.': 'Gizlilik: metin yapay zekâya gitmeden önce {count} kişisel veri ({kinds}) gizlendi.',
+    'Blijft verborgen: {placeholders}.': 'Gizli kalanlar: {placeholders}.',
+    'Afschermen voordat tekst naar de AI gaat': 'Metin yapay zekâya gitmeden önce gizle',
+    'Terugzetten in de samenvatting en de opgeslagen notitie': 'Özette ve kayıtlı notta geri koy',
+    'Namen van klasgenoten afschermen': 'Sınıf arkadaşlarının adlarını gizle',
+    "Foto's niet naar Google Vision": "Fotoğrafları Google Vision'a gönderme",
+    "Extra namen om af te schermen (komma's ertussen)": 'Gizlenecek ek adlar (virgülle ayırın)',
+    'Privacy opslaan': 'Gizlilik ayarlarını kaydet',
+
+    // classes
+    'Mijn klassen': 'Sınıflarım',
+    'Docent · code {code}': 'Öğretmen · kod {code}',
+    'Leerling': 'Öğrenci',
+    'Je zit nog niet in een klas.': 'Henüz bir sınıfta değilsiniz.',
+    'Word lid met een klascode': 'Sınıf koduyla katıl',
+    'Klascode (bijv. K7M2QP)': 'Sınıf kodu (ör. K7M2QP)',
+    'Je naam in de klas': 'Sınıftaki adınız',
+    'Lid worden mislukt': 'Katılma başarısız',
+    'Lid worden': 'Katıl',
+    'Klas maken (docent)': 'Sınıf oluştur (öğretmen)',
+    'Naam van de klas': 'Sınıfın adı',
+    'Klas maken mislukt': 'Sınıf oluşturulamadı',
+    'Klas maken': 'Sınıf oluştur',
+    'Klas laden mislukt': 'Sınıf yüklenemedi',
+    'Voortgang laden mislukt': 'İlerleme yüklenemedi',
+    'Klas verlaten': 'Sınıftan ayrıl',
+    'Wil je {name} verlaten?': '{name} sınıfından ayrılmak istiyor musunuz?',
+    'Verlaten': 'Ayrıl',
+    'Verlaten mislukt': 'Ayrılma başarısız',
+    'Klascode:': 'Sınıf kodu:',
+    'Nieuwe code mislukt': 'Yeni kod oluşturulamadı',
+    'Nieuwe code maken': 'Yeni kod oluştur',
+    'Welkomsttekst': 'Karşılama metni',
+    'Tekst op het beginscherm van je leerlingen': 'Öğrencilerinizin ana ekranındaki metin',
+    'Opslaan mislukt': 'Kaydetme başarısız',
+    'Privacy': 'Gizlilik',
+    'Leerlingen ({count})': 'Öğrenciler ({count})',
+    'Gedeeld met de klas': 'Sınıfla paylaşılanlar',
+    'opdracht': 'ödev',
+    'Voortgang': 'İlerleme',
+    '{done} van {total} leerlingen hebben samengevat': '{total} öğrenciden {done} tanesi özetledi',
+    'Nog niets gedeeld. Deel een samenvatting via Geschiedenis → Klas.': 'Henüz bir şey paylaşılmadı. Bir özeti Geçmiş → Sınıf üzerinden paylaşın.',
+    'Verbruik van de klas (30 dagen)': 'Sınıfın kullanımı (30 gün)'
+  }
+};